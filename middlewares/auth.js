@@ -1,10 +1,15 @@
 // middlewares/auth.js
 import jwt from 'jsonwebtoken'
 import logger from '../utils/logger.js'
+import prisma from '../utils/prisma.js'
+import { API_KEY_HEADER, authenticateApiKey } from '../utils/apiKeys.js'
 
 const JWT_SECRET = process.env.JWT_SECRET
 
-const auth = (req, res, next) => {
+const isTokenRevoked = (user, tokenVersion) =>
+  !user || (user.status && user.status !== 'ATIVO') || (user.tokenVersion || 0) !== (tokenVersion || 0)
+
+const auth = async (req, res, next) => {
   const authHeader = req.headers.authorization
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -18,14 +23,9 @@ const auth = (req, res, next) => {
 
   const token = authHeader.split(' ')[1]
 
+  let decoded
   try {
-    const decoded = jwt.verify(token, JWT_SECRET)
-    req.user = decoded // você pode usar req.user nos controllers
-    logger.auth('token_verification', decoded.email, 'success', {
-      path: req.path,
-      method: req.method,
-    })
-    next()
+    decoded = jwt.verify(token, JWT_SECRET)
   } catch (err) {
     logger.auth('token_verification', 'unknown', 'failure', {
       reason: err.message,
@@ -34,6 +34,111 @@ const auth = (req, res, next) => {
     })
     return res.status(401).json({ message: 'Token inválido ou expirado' })
   }
+
+  try {
+    // tokenVersion muda ao inativar o usuario ou trocar a senha,
+    // invalidando todos os tokens emitidos antes disso
+    const user = await prisma.Cluster0.findUnique({
+      where: { id: decoded.id },
+      select: { status: true, tokenVersion: true },
+    })
+
+    let isRevoked = isTokenRevoked(user, decoded.tv)
+
+    // sessao encerrada (logout ou /private/sessoes) derruba tambem o access token
+    if (!isRevoked && decoded.sid) {
+      const sessao = await prisma.sessao.findUnique({
+        where: { id: decoded.sid },
+        select: { revogadoEm: true },
+      })
+      isRevoked = !sessao || Boolean(sessao.revogadoEm)
+    }
+
+    // token de personificacao: o admin que o emitiu tambem precisa continuar
+    // ativo e com perfil ADMIN
+    if (!isRevoked && decoded.imp) {
+      const admin = await prisma.Cluster0.findUnique({
+        where: { id: decoded.imp.id },
+        select: { status: true, tokenVersion: true, role: true },
+      })
+      isRevoked = isTokenRevoked(admin, decoded.imp.tv) || admin.role !== 'ADMIN'
+    }
+
+    if (isRevoked) {
+      logger.auth('token_verification', decoded.email, 'failure', {
+        reason: 'Token revoked',
+        path: req.path,
+        method: req.method,
+      })
+      return res.status(401).json({ message: 'Token inválido ou expirado' })
+    }
+  } catch (err) {
+    logger.error('Erro ao validar sessão do token', err, { path: req.path })
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+
+  if (decoded.imp) {
+    // id/email/role seguem sendo do usuario personificado; o admin real fica em impersonatedBy
+    const { imp, ...impersonated } = decoded
+    req.user = { ...impersonated, impersonatedBy: { id: imp.id, email: imp.email } }
+  } else {
+    req.user = decoded // você pode usar req.user nos controllers
+  }
+
+  logger.auth('token_verification', decoded.email, 'success', {
+    ...(decoded.imp && { impersonatedBy: decoded.imp.id }),
+    path: req.path,
+    method: req.method,
+  })
+  next()
+}
+
+const API_KEY_FAILURE_REASONS = {
+  invalid: 'Unknown API key',
+  revoked: 'API key revoked',
+  expired: 'API key expired',
+  ip: 'IP not allowed for API key',
 }
 
+const authenticateWithApiKey = async (req, res, next) => {
+  let result
+  try {
+    result = await authenticateApiKey(req.headers[API_KEY_HEADER], req.ip)
+  } catch (err) {
+    logger.error('Erro ao validar chave de API', err, { path: req.path })
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+
+  if (result.error) {
+    logger.auth('api_key_verification', result.chave?.nome || 'unknown', 'failure', {
+      reason: API_KEY_FAILURE_REASONS[result.error],
+      ip: req.ip,
+      path: req.path,
+      method: req.method,
+    })
+    return res.status(401).json({ message: 'Chave de API inválida ou expirada' })
+  }
+
+  // sem usuario: as permissoes vem dos escopos da chave (ver authorize)
+  const { chave } = result
+  req.user = {
+    id: null,
+    email: null,
+    role: null,
+    apiKey: { id: chave.id, nome: chave.nome, escopos: chave.escopos },
+  }
+
+  logger.auth('api_key_verification', chave.nome, 'success', {
+    apiKeyId: chave.id,
+    path: req.path,
+    method: req.method,
+  })
+  next()
+}
+
+// Rotas de integracao (/api) aceitam, alem do Bearer JWT, uma chave de API no
+// header X-API-Key. As rotas do proprio usuario (/private) seguem so com JWT.
+export const authOrApiKey = (req, res, next) =>
+  req.headers[API_KEY_HEADER] ? authenticateWithApiKey(req, res, next) : auth(req, res, next)
+
 export default auth
@@ -0,0 +1,30 @@
+// middlewares/authorize.js
+import logger from '../utils/logger.js'
+import { hasApiKeyScope, hasPermission } from '../utils/permissions.js'
+
+// Uso: router.get('/contas', authorize('contas', 'read'), handler)
+// Deve ser aplicado depois do middleware auth (depende de req.user).
+// Requisicoes com chave de API sao avaliadas pelos escopos da chave.
+const authorize = (modulo, acao) => (req, res, next) => {
+  const role = req.user?.role
+  const apiKey = req.user?.apiKey
+
+  const allowed = apiKey ? hasApiKeyScope(apiKey.escopos, modulo, acao) : hasPermission(role, modulo, acao)
+
+  if (!allowed) {
+    logger.auth('authorization', req.user?.email || apiKey?.nome || 'unknown', 'failure', {
+      reason: 'Permission denied',
+      role: role || null,
+      ...(apiKey && { apiKeyId: apiKey.id }),
+      modulo,
+      acao,
+      path: req.path,
+      method: req.method,
+    })
+    return res.status(403).json({ message: 'Acesso negado para o seu perfil' })
+  }
+
+  next()
+}
+
+export default authorize
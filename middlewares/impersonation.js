@@ -0,0 +1,20 @@
+// middlewares/impersonation.js
+import logger from '../utils/logger.js'
+import { isImpersonating } from '../utils/impersonation.js'
+
+// Uso: router.post('/me/senha', blockImpersonation, handler)
+// Acoes sensiveis (senha, MFA, inativacao...) so podem ser feitas pelo proprio
+// usuario, nunca por um admin personificando-o.
+const blockImpersonation = (req, res, next) => {
+  if (!isImpersonating(req)) return next()
+
+  logger.auth('impersonation_blocked', req.user.impersonatedBy.email, 'failure', {
+    userId: req.user.id,
+    impersonatedBy: req.user.impersonatedBy.id,
+    path: req.path,
+    method: req.method,
+  })
+  return res.status(403).json({ message: 'Acao nao permitida durante o acesso como outro usuario' })
+}
+
+export default blockImpersonation
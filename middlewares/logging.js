@@ -1,6 +1,17 @@
 // middlewares/logging.js
+import crypto from 'crypto'
 import logger from '../utils/logger.js'
 
+const REQUEST_ID_RE = /^[\w-]{1,64}$/
+
+// Identifica cada requisicao (reaproveita o X-Request-Id do proxy quando valido)
+export const requestIdMiddleware = (req, res, next) => {
+  const incoming = req.headers['x-request-id']
+  req.id = REQUEST_ID_RE.test(incoming || '') ? incoming : crypto.randomUUID()
+  res.set('X-Request-Id', req.id)
+  next()
+}
+
 // Middleware para logar requisições HTTP
 export const httpLoggingMiddleware = (req, res, next) => {
   const start = Date.now()
@@ -15,6 +26,9 @@ export const httpLoggingMiddleware = (req, res, next) => {
 
     // Prepara detalhes da requisição (sem dados sensíveis)
     const details = {
+      ...(req.id && { requestId: req.id }),
+      ...(req.user?.impersonatedBy && { impersonatedBy: req.user.impersonatedBy.id }),
+      ...(req.user?.apiKey && { apiKeyId: req.user.apiKey.id }),
       params: Object.keys(req.params).length > 0 ? req.params : undefined,
       query: Object.keys(req.query).length > 0 ? req.query : undefined,
     }
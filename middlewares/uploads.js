@@ -0,0 +1,62 @@
+// middlewares/uploads.js
+import express from 'express'
+import path from 'path'
+import auth from './auth.js'
+import authorize from './authorize.js'
+import logger from '../utils/logger.js'
+import { verifyUploadSignature } from '../utils/uploads.js'
+
+// Protege arquivos de alunos: aceita link assinado (?expires=&signature=)
+// ou um Bearer token de um perfil com leitura no modulo de alunos.
+export const requireUploadAccess = (req, res, next) => {
+  const filePath = `${req.baseUrl}${req.path}`
+  const { expires, signature } = req.query
+
+  if (expires || signature) {
+    if (verifyUploadSignature(filePath, expires, signature)) {
+      return next()
+    }
+
+    logger.auth('upload_signature', 'unknown', 'failure', {
+      reason: 'Invalid or expired signature',
+      path: filePath,
+    })
+    return res.status(403).json({ message: 'Link do arquivo invalido ou expirado' })
+  }
+
+  return auth(req, res, () => authorize('alunos', 'read')(req, res, next))
+}
+
+// Caminho relativo a pasta de uploads que o express.static serviria para a
+// requisicao (decodificado e normalizado); null quando nao da para decodificar
+const resolveUploadPath = (uploadsRoot, reqPath) => {
+  try {
+    const resolved = path.resolve(uploadsRoot, `.${path.posix.normalize(decodeURIComponent(reqPath))}`)
+    return path.relative(uploadsRoot, resolved)
+  } catch (_) {
+    return null
+  }
+}
+
+// Serve a pasta de uploads: arquivos de alunos so passam por
+// requireUploadAccess; o static generico nunca entrega a pasta alunos, nem
+// por caminhos equivalentes (/uploads/%61lunos, /uploads//alunos)
+export const createUploadsRouter = (uploadsRoot) => {
+  const router = express.Router()
+  const alunosDir = path.join(uploadsRoot, 'alunos')
+
+  router.use('/alunos', requireUploadAccess, express.static(alunosDir))
+  router.use((req, res, next) => {
+    const relativo = resolveUploadPath(uploadsRoot, req.path)
+    const [pasta] = (relativo ?? '').split(path.sep)
+    if (relativo === null || pasta.toLowerCase() === 'alunos') {
+      return res.status(404).json({ message: 'Arquivo nao encontrado' })
+    }
+    next()
+  })
+  router.use(express.static(uploadsRoot))
+
+  return router
+}
+
+export default requireUploadAccess
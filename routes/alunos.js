@@ -1,19 +1,53 @@
 // routes/alunos.js
 import express from 'express'
-import multer from 'multer'
-import path from 'path'
-import fs from 'fs'
+import authorize from '../middlewares/authorize.js'
+import logger from '../utils/logger.js'
 import prisma from '../utils/prisma.js'
+import { signUploadPath, uploadAlunos } from '../utils/uploads.js'
+import { recordAudit } from '../utils/audit.js'
+import { SEGMENTOS, checkTurmaCapacity, runMatriculaTransaction, turmaResumoSelect } from '../utils/turmas.js'
+import { checkAgeEligibility, getAgeRules } from '../utils/ageRules.js'
+import { parseVinculos, vinculoCreateData, vinculosInclude } from '../utils/responsaveis.js'
+import { validarCPF } from '../utils/cpf.js'
 
 const router = express.Router()
 
 // ====== CONSTANTES / HELPERS ======
 const isNonEmptyString = (s) => typeof s === 'string' && s.trim().length > 0
 const CEP_RE = /^\d{8}$/
+const OBJECT_ID_RE = /^[a-fA-F0-9]{24}$/
 const STATUS_VALUES = ['ATIVO', 'INATIVO']
-const TURMA_VALUES = ['BERCARIO', 'MATERNAL', 'PRE_ESCOLAR', 'EXTRA_CLASSE']
 const MAX_OBS_LEN = 500
 
+// relacoes devolvidas junto com o aluno
+const ALUNO_INCLUDE = {
+  enderecos: true,
+  turma: { select: turmaResumoSelect },
+  responsaveis: vinculosInclude,
+}
+
+// Vinculos que impedem a exclusao do aluno: o historico fica guardado e o
+// aluno que sai da escola passa para INATIVO
+const VINCULOS_ALUNO = {
+  responsaveis: 'responsáveis',
+  autorizacoesRetirada: 'autorizações de retirada',
+  entradasSaidas: 'entradas e saídas',
+  frequencias: 'frequência',
+  administracoesMedicamento: 'medicamentos administrados',
+  vacinas: 'vacinas',
+  registrosDiario: 'agenda diária',
+  ocorrencias: 'ocorrências',
+}
+
+// Campos que o PATCH altera. Vinculos (autorizacoesRetirada, frequencias, ...)
+// e anexos tem rotas proprias e nunca chegam ao update por aqui
+const CAMPOS_EDITAVEIS = [
+  'nome', 'cpf', 'dataNascimento', 'sexo', 'responsaveis', 'contatos',
+  'enderecos', 'status', 'turmaId', 'dataMatricula', 'observacoes',
+]
+// controlados pelo sistema: ignorados quando o cliente devolve o aluno lido
+const CAMPOS_IGNORADOS = ['numeroMatricula', 'criadoPorId', 'atualizadoPorId']
+
 const parseArrayField = (value) => {
   if (!value) return []
   if (Array.isArray(value)) return value
@@ -24,6 +58,116 @@ const parseArrayField = (value) => {
   return [String(value)]
 }
 
+// ====== LISTAGEM (GET /api/alunos) ======
+const ALUNO_SORT_FIELDS = ['nome', 'numeroMatricula', 'dataMatricula', 'dataNascimento', 'turma', 'status', 'criadoEm']
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 100
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/
+
+// Data de nascimento de quem completa "anos" hoje (idade em anos completos)
+const birthDateForAge = (anos, now = new Date()) =>
+  new Date(Date.UTC(now.getUTCFullYear() - anos, now.getUTCMonth(), now.getUTCDate()))
+
+const parseDateParam = (value, { endOfDay = false } = {}) => {
+  const date = new Date(String(value))
+  if (Number.isNaN(date.getTime())) return null
+  // "ate" so com a data inclui o dia inteiro
+  if (endOfDay && DATE_ONLY_RE.test(String(value))) date.setUTCHours(23, 59, 59, 999)
+  return date
+}
+
+// Monta o filtro do Prisma a partir da query; retorna { where, orderBy, page, limit } ou { error }
+const buildAlunoListQuery = (query) => {
+  const where = {}
+
+  if (query.status) {
+    const status = String(query.status).trim().toUpperCase()
+    if (!STATUS_VALUES.includes(status)) return { error: 'Status inválido' }
+    where.status = status
+  }
+
+  // aceitam um ou varios valores separados por virgula
+  if (query.turmaId) {
+    const turmaIds = String(query.turmaId).split(',').map((t) => t.trim()).filter(Boolean)
+    if (turmaIds.some((turmaId) => !OBJECT_ID_RE.test(turmaId))) return { error: 'Turma inválida' }
+    where.turmaId = turmaIds.length === 1 ? turmaIds[0] : { in: turmaIds }
+  }
+
+  if (query.segmento) {
+    const segmentos = String(query.segmento).split(',').map((t) => t.trim().toUpperCase()).filter(Boolean)
+    if (segmentos.some((segmento) => !SEGMENTOS.includes(segmento))) return { error: 'Segmento inválido' }
+    where.turma = { is: { segmento: segmentos.length === 1 ? segmentos[0] : { in: segmentos } } }
+  }
+
+  if (query.matriculaDe || query.matriculaAte) {
+    const de = query.matriculaDe ? parseDateParam(query.matriculaDe) : null
+    const ate = query.matriculaAte ? parseDateParam(query.matriculaAte, { endOfDay: true }) : null
+    if ((query.matriculaDe && !de) || (query.matriculaAte && !ate)) {
+      return { error: 'Período de matrícula inválido' }
+    }
+    where.dataMatricula = {}
+    if (de) where.dataMatricula.gte = de
+    if (ate) where.dataMatricula.lte = ate
+  }
+
+  if (query.idadeMin !== undefined || query.idadeMax !== undefined) {
+    const idadeMin = query.idadeMin !== undefined ? Number(query.idadeMin) : null
+    const idadeMax = query.idadeMax !== undefined ? Number(query.idadeMax) : null
+    const isValidAge = (idade) => idade === null || (Number.isInteger(idade) && idade >= 0 && idade <= 120)
+    if (!isValidAge(idadeMin) || !isValidAge(idadeMax) || (idadeMin !== null && idadeMax !== null && idadeMin > idadeMax)) {
+      return { error: 'Faixa de idade inválida' }
+    }
+    where.dataNascimento = {}
+    // idadeMin anos completos: nasceu ate a data de hoje menos idadeMin anos
+    if (idadeMin !== null) where.dataNascimento.lte = birthDateForAge(idadeMin)
+    // idadeMax anos completos: ainda nao fez idadeMax + 1
+    if (idadeMax !== null) where.dataNascimento.gt = birthDateForAge(idadeMax + 1)
+  }
+
+  if (query.alergias !== undefined && query.alergias !== '') {
+    if (!['true', 'false'].includes(String(query.alergias))) return { error: 'Filtro de alergias inválido' }
+    where.alergias = { isEmpty: String(query.alergias) === 'false' }
+  }
+
+  // busca livre: nome, numero de matricula ou nome de um responsavel
+  const termo = String(query.q || '').trim()
+  if (termo) {
+    const contem = { contains: termo, mode: 'insensitive' }
+    where.OR = [
+      { nome: contem },
+      { numeroMatricula: contem },
+      { responsaveis: { some: { responsavel: { is: { nome: contem } } } } },
+    ]
+  }
+
+  const ordenarPor = query.ordenarPor ? String(query.ordenarPor) : 'criadoEm'
+  if (!ALUNO_SORT_FIELDS.includes(ordenarPor)) return { error: 'Campo de ordenação inválido' }
+
+  const ordem = query.ordem ? String(query.ordem).toLowerCase() : ordenarPor === 'criadoEm' ? 'desc' : 'asc'
+  if (!['asc', 'desc'].includes(ordem)) return { error: 'Ordem inválida' }
+
+  const page = Math.max(parseInt(query.page, 10) || 1, 1)
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+
+  return {
+    where,
+    // turma ordena pelo nome da turma; id desempata registros com o mesmo valor, mantendo as paginas estaveis
+    orderBy: [ordenarPor === 'turma' ? { turma: { nome: ordem } } : { [ordenarPor]: ordem }, { id: ordem }],
+    page,
+    limit,
+  }
+}
+
+// Acrescenta links assinados para foto/documentos (a pasta de uploads exige token)
+const withSignedUploads = (aluno) => {
+  if (!aluno) return aluno
+  return {
+    ...aluno,
+    fotoUrl: signUploadPath(aluno.fotoPath),
+    documentosUrls: (aluno.documentos || []).map((doc) => signUploadPath(doc)),
+  }
+}
+
 /**
  * @swagger
  * tags:
@@ -61,7 +205,7 @@ const parseArrayField = (value) => {
  *         - cpf
  *         - dataNascimento
  *         - sexo
- *         - turma
+ *         - turmaId
  *         - dataMatricula
  *         - enderecos
  *       properties:
@@ -81,8 +225,7 @@ const parseArrayField = (value) => {
  *         responsaveis:
  *           type: array
  *           items:
- *             type: string
- *           example: ["Maria Silva", "José Silva"]
+ *             $ref: '#/components/schemas/VinculoResponsavelInput'
  *         alergias:
  *           type: array
  *           items:
@@ -101,10 +244,10 @@ const parseArrayField = (value) => {
  *           type: string
  *           enum: [ATIVO, INATIVO]
  *           example: "ATIVO"
- *         turma:
+ *         turmaId:
  *           type: string
- *           enum: [BERCARIO, MATERNAL, PRE_ESCOLAR, EXTRA_CLASSE]
- *           example: "MATERNAL"
+ *           description: ID da turma; com status ATIVO a turma precisa ter vaga
+ *           example: "64f1a3b9c2d4e5f678901299"
  *         dataMatricula:
  *           type: string
  *           format: date
@@ -115,7 +258,7 @@ const parseArrayField = (value) => {
  *
  *     AlunoUpdateInput:
  *       type: object
- *       description: Campos opcionais para atualização parcial do aluno.
+ *       description: Campos opcionais para atualização parcial do aluno. Outros campos (vínculos, anexos, alergias da ficha de saúde) são recusados com 400.
  *       properties:
  *         nome:
  *           type: string
@@ -131,12 +274,9 @@ const parseArrayField = (value) => {
  *           example: "M"
  *         responsaveis:
  *           type: array
+ *           description: Substitui todos os vínculos de responsáveis do aluno
  *           items:
- *             type: string
- *         alergias:
- *           type: array
- *           items:
- *             type: string
+ *             $ref: '#/components/schemas/VinculoResponsavelInput'
  *         contatos:
  *           type: array
  *           items:
@@ -148,9 +288,9 @@ const parseArrayField = (value) => {
  *         status:
  *           type: string
  *           enum: [ATIVO, INATIVO]
- *         turma:
+ *         turmaId:
  *           type: string
- *           enum: [BERCARIO, MATERNAL, PRE_ESCOLAR, EXTRA_CLASSE]
+ *           description: Nova turma; com status ATIVO a turma precisa ter vaga
  *         dataMatricula:
  *           type: string
  *           format: date
@@ -177,7 +317,7 @@ const parseArrayField = (value) => {
  *         responsaveis:
  *           type: array
  *           items:
- *             type: string
+ *             $ref: '#/components/schemas/VinculoResponsavel'
  *         alergias:
  *           type: array
  *           items:
@@ -193,8 +333,11 @@ const parseArrayField = (value) => {
  *         status:
  *           type: string
  *           enum: [ATIVO, INATIVO]
- *         turma:
+ *         turmaId:
  *           type: string
+ *           nullable: true
+ *         turma:
+ *           $ref: '#/components/schemas/TurmaResumo'
  *         dataMatricula:
  *           type: string
  *           format: date-time
@@ -213,6 +356,28 @@ const parseArrayField = (value) => {
  *           items:
  *             type: string
  *           example: ["/uploads/alunos/doc-1.pdf", "/uploads/alunos/doc-2.pdf"]
+ *         fotoUrl:
+ *           type: string
+ *           nullable: true
+ *           description: Link assinado e temporario para a foto
+ *         documentosUrls:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Links assinados e temporarios para os documentos
+ *         criadoPorId:
+ *           type: string
+ *           nullable: true
+ *           description: Usuario que cadastrou o aluno
+ *         atualizadoPorId:
+ *           type: string
+ *           nullable: true
+ *           description: Ultimo usuario que alterou o aluno
+ *         avisos:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Apenas no cadastro e na atualização; idade fora da faixa do segmento, mas dentro da tolerância
  *
  *     SimpleErrorResponse:
  *       type: object
@@ -222,60 +387,6 @@ const parseArrayField = (value) => {
  *           example: "Mensagem de erro descritiva."
  */
 
-// ===== CPF: validação completa (back) =====
-const validarCPF = (rawCpf) => {
-  let cpf = String(rawCpf || '').replace(/\D/g, '')
-  if (!cpf || cpf.length !== 11) return false
-
-  // rejeita 00000000000, 11111111111 etc.
-  if (/^(\d)\1{10}$/.test(cpf)) return false
-
-  let soma = 0
-  let resto
-
-  // 1º dígito verificador
-  for (let i = 1; i <= 9; i++) {
-    soma += parseInt(cpf.substring(i - 1, i), 10) * (11 - i)
-  }
-  resto = (soma * 10) % 11
-  if (resto === 10 || resto === 11) resto = 0
-  if (resto !== parseInt(cpf.substring(9, 10), 10)) return false
-
-  // 2º dígito verificador
-  soma = 0
-  for (let i = 1; i <= 10; i++) {
-    soma += parseInt(cpf.substring(i - 1, i), 10) * (12 - i)
-  }
-  resto = (soma * 10) % 11
-  if (resto === 10 || resto === 11) resto = 0
-  if (resto !== parseInt(cpf.substring(10, 11), 10)) return false
-
-  return true
-}
-
-// ===== MULTER (upload de foto/documentos) =====
-const UPLOAD_DIR = path.resolve('uploads', 'alunos')
-fs.mkdirSync(UPLOAD_DIR, { recursive: true })
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, UPLOAD_DIR)
-  },
-  filename: (req, file, cb) => {
-    const unique = Date.now() + '-' + Math.round(Math.random() * 1e9)
-    const ext = path.extname(file.originalname) || ''
-    cb(null, `${file.fieldname}-${unique}${ext}`)
-  }
-})
-
-const upload = multer({
-  storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024,
-    files: 10
-  }
-})
-
 // ====== GERAÇÃO DINÂMICA DO NÚMERO DE MATRÍCULA ======
 async function generateNumeroMatricula() {
   const ano = new Date().getFullYear().toString()
@@ -322,6 +433,9 @@ router.use((req, _res, next) => {
  *       Suporta envio de foto e documentos em `multipart/form-data`.
  *     tags:
  *       - Alunos
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -349,17 +463,21 @@ router.use((req, _res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/AlunoResponse'
  *       400:
- *         description: Erro de validação (CPF inválido, campos obrigatórios, etc.)
+ *         description: Erro de validação (CPF inválido, campos obrigatórios, idade fora da faixa da turma com o campo elegibilidade, etc.)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/SimpleErrorResponse'
  *       409:
- *         description: Conflito na geração do número de matrícula
+ *         description: Turma sem vagas ou conflito na geração do número de matrícula
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/SimpleErrorResponse'
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão para o módulo de alunos
  *       500:
  *         description: Erro interno ao cadastrar aluno
  *         content:
@@ -369,7 +487,8 @@ router.use((req, _res, next) => {
  */
 router.post(
   '/aluno',
-  upload.fields([
+  authorize('alunos', 'write'),
+  uploadAlunos.fields([
     { name: 'foto', maxCount: 1 },
     { name: 'documentos', maxCount: 10 }
   ]),
@@ -385,7 +504,7 @@ router.post(
         contatos,
         enderecos,
         status,
-        turma,
+        turmaId,
         dataMatricula,
         observacoes
       } = req.body
@@ -424,11 +543,11 @@ router.post(
       }
 
       // TURMA (obrigatória)
-      if (!isNonEmptyString(turma)) {
+      if (!isNonEmptyString(turmaId)) {
         return res.status(400).json({ error: 'Turma é obrigatória' })
       }
-      const turmaNorm = turma.trim().toUpperCase()
-      if (!TURMA_VALUES.includes(turmaNorm)) {
+      const turmaIdNorm = turmaId.trim()
+      if (!OBJECT_ID_RE.test(turmaIdNorm)) {
         return res.status(400).json({ error: 'Turma inválida' })
       }
 
@@ -449,10 +568,10 @@ router.post(
         observacoesNorm = observacoes.trim()
       }
 
-      const respArr = parseArrayField(responsaveis)
-        .map(String)
-        .map(s => s.trim())
-        .filter(isNonEmptyString)
+      const { vinculos, error: vinculosError } = await parseVinculos(parseArrayField(responsaveis))
+      if (vinculosError) {
+        return res.status(400).json({ error: vinculosError })
+      }
 
       const alergArr = parseArrayField(alergias)
         .map(String)
@@ -484,42 +603,84 @@ router.post(
       const fotoPath = fotoFile ? `/uploads/alunos/${fotoFile.filename}` : null
       const documentosPaths = documentosFiles.map(f => `/uploads/alunos/${f.filename}`)
 
-      // número de matrícula gerado dinamicamente
-      const numeroMatriculaGerado = await generateNumeroMatricula()
-
-      const aluno = await prisma.aluno.create({
-        data: {
-          nome: nome.trim(),
-          cpf: String(cpf).replace(/\D/g, ''),
-          dataNascimento: nascimentoDate,
-          sexo: sexoNorm,
-          responsaveis: respArr,
-          alergias: alergArr,
-          contatos: contArr,
-          enderecos: {
-            create: endArr.map(e => ({
-              cep: String(e.cep),
-              rua: e.rua.trim(),
-              bairro: e.bairro.trim(),
-              numero: String(e.numero).trim(),
-              cidade: e.cidade.trim(),
-              estado: e.estado.trim()
-            }))
+      // vaga e cadastro na mesma transacao (como no PATCH); a reserva da vaga
+      // grava a turma, entao matriculas simultaneas conflitam e sao refeitas
+      let elegibilidade = null
+      const aluno = await runMatriculaTransaction(async (tx) => {
+        // aluno ativo ocupa uma vaga; inativo so precisa de uma turma existente
+        const capacidade = await checkTurmaCapacity(turmaIdNorm, {
+          ocupaVaga: statusNorm === 'ATIVO',
+          client: tx
+        })
+        if (capacidade.error) {
+          const error = new Error(capacidade.error)
+          error.statusCode = capacidade.status
+          throw error
+        }
+
+        // idade fora da faixa do segmento: aviso dentro da tolerancia, recusa alem dela
+        elegibilidade = checkAgeEligibility(nascimentoDate, capacidade.turma, await getAgeRules())
+        if (elegibilidade.nivel === 'ERRO') {
+          const error = new Error(elegibilidade.mensagem)
+          error.statusCode = 400
+          error.elegibilidade = elegibilidade
+          throw error
+        }
+
+        // número de matrícula gerado dinamicamente
+        const numeroMatriculaGerado = await generateNumeroMatricula()
+
+        return tx.aluno.create({
+          data: {
+            nome: nome.trim(),
+            cpf: String(cpf).replace(/\D/g, ''),
+            dataNascimento: nascimentoDate,
+            sexo: sexoNorm,
+            responsaveis: {
+              create: vinculos.map(v => vinculoCreateData(v, req.user?.id || null))
+            },
+            alergias: alergArr,
+            contatos: contArr,
+            enderecos: {
+              create: endArr.map(e => ({
+                cep: String(e.cep),
+                rua: e.rua.trim(),
+                bairro: e.bairro.trim(),
+                numero: String(e.numero).trim(),
+                cidade: e.cidade.trim(),
+                estado: e.estado.trim()
+              }))
+            },
+            status: statusNorm,
+            turma: { connect: { id: turmaIdNorm } },
+            dataMatricula: dataMatriculaDate,
+            numeroMatricula: numeroMatriculaGerado,
+            observacoes: observacoesNorm,
+            fotoPath,
+            documentos: documentosPaths,
+            criadoPorId: req.user?.id || null,
+            atualizadoPorId: req.user?.id || null
           },
-          status: statusNorm,
-          turma: turmaNorm,
-          dataMatricula: dataMatriculaDate,
-          numeroMatricula: numeroMatriculaGerado,
-          observacoes: observacoesNorm,
-          fotoPath,
-          documentos: documentosPaths
-        },
-        include: { enderecos: true }
+          include: ALUNO_INCLUDE
+        })
       })
 
-      res.status(201).json(aluno)
+      logger.userAction('aluno_criado', req.user?.id, { alunoId: aluno.id })
+      await recordAudit(req, { entidade: 'aluno', entidadeId: aluno.id, acao: 'CRIAR', depois: aluno })
+
+      res.status(201).json({
+        ...withSignedUploads(aluno),
+        avisos: elegibilidade.nivel === 'AVISO' ? [elegibilidade.mensagem] : []
+      })
     } catch (error) {
       console.error(error)
+      // turma sem vagas, inexistente ou fora da faixa de idade
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          ...(error.elegibilidade ? { elegibilidade: error.elegibilidade } : {})
+        })
+      }
       if (error.code === 'P2002' && error.meta?.target?.includes('numeroMatricula')) {
         return res.status(409).json({ error: 'Número de matrícula já existente (conflito na geração)' })
       }
@@ -536,19 +697,115 @@ router.post(
  * @swagger
  * /api/alunos:
  *   get:
- *     summary: Lista todos os alunos
- *     description: Retorna a lista de alunos com seus endereços.
+ *     summary: Lista os alunos com paginação, filtros e ordenação
+ *     description: Retorna uma página de alunos (com endereços) e o total de registros que atendem aos filtros.
  *     tags:
  *       - Alunos
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Busca parcial, sem diferenciar maiúsculas, no nome, no número de matrícula e nos responsáveis
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ATIVO, INATIVO]
+ *       - in: query
+ *         name: turmaId
+ *         schema:
+ *           type: string
+ *         description: Um ou mais IDs de turma separados por vírgula
+ *       - in: query
+ *         name: segmento
+ *         schema:
+ *           type: string
+ *           example: "BERCARIO,MATERNAL"
+ *         description: Um ou mais segmentos (BERCARIO, MATERNAL, PRE_ESCOLAR, EXTRA_CLASSE) separados por vírgula
+ *       - in: query
+ *         name: matriculaDe
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: matriculaAte
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: idadeMin
+ *         schema:
+ *           type: integer
+ *         description: Idade mínima em anos completos
+ *       - in: query
+ *         name: idadeMax
+ *         schema:
+ *           type: integer
+ *         description: Idade máxima em anos completos
+ *       - in: query
+ *         name: alergias
+ *         schema:
+ *           type: boolean
+ *         description: true para quem tem alguma alergia cadastrada, false para quem não tem
+ *       - in: query
+ *         name: ordenarPor
+ *         schema:
+ *           type: string
+ *           enum: [nome, numeroMatricula, dataMatricula, dataNascimento, turma, status, criadoEm]
+ *           default: criadoEm
+ *         description: turma ordena pelo nome da turma
+ *       - in: query
+ *         name: ordem
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: Padrão desc para criadoEm e asc para os demais campos
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
  *     responses:
  *       200:
- *         description: Lista de alunos
+ *         description: Página de alunos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 alunos:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AlunoResponse'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                   description: Alunos que atendem aos filtros
+ *                 totalPages:
+ *                   type: integer
+ *       400:
+ *         description: Filtro, ordenação ou período inválido
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/AlunoResponse'
+ *               $ref: '#/components/schemas/SimpleErrorResponse'
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão para o módulo de alunos
  *       500:
  *         description: Erro ao buscar alunos
  *         content:
@@ -556,13 +813,32 @@ router.post(
  *             schema:
  *               $ref: '#/components/schemas/SimpleErrorResponse'
  */
-router.get('/alunos', async (_req, res) => {
+router.get('/alunos', authorize('alunos', 'read'), async (req, res) => {
   try {
-    const alunos = await prisma.aluno.findMany({
-      orderBy: { criadoEm: 'desc' },
-      include: { enderecos: true }
+    const listQuery = buildAlunoListQuery(req.query)
+    if (listQuery.error) {
+      return res.status(400).json({ error: listQuery.error })
+    }
+
+    const { where, orderBy, page, limit } = listQuery
+    const [total, alunos] = await Promise.all([
+      prisma.aluno.count({ where }),
+      prisma.aluno.findMany({
+        where,
+        orderBy,
+        skip: (page - 1) * limit,
+        take: limit,
+        include: ALUNO_INCLUDE
+      }),
+    ])
+
+    res.json({
+      alunos: alunos.map(withSignedUploads),
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
     })
-    res.json(alunos)
   } catch (error) {
     console.error(error)
     res.status(500).json({ error: 'Erro ao buscar alunos' })
@@ -581,6 +857,9 @@ router.get('/alunos', async (_req, res) => {
  *     description: Atualiza campos do aluno e, se enviado, substitui a lista de endereços.
  *     tags:
  *       - Alunos
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -603,7 +882,7 @@ router.get('/alunos', async (_req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/AlunoResponse'
  *       400:
- *         description: Erro de validação (CPF, datas, endereços, etc.)
+ *         description: Erro de validação (CPF, datas, endereços, campos não editáveis, idade fora da faixa da turma com o campo elegibilidade, etc.)
  *         content:
  *           application/json:
  *             schema:
@@ -615,11 +894,15 @@ router.get('/alunos', async (_req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/SimpleErrorResponse'
  *       409:
- *         description: Conflito de número de matrícula
+ *         description: Turma sem vagas ou conflito de número de matrícula
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/SimpleErrorResponse'
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão para o módulo de alunos
  *       500:
  *         description: Erro ao atualizar aluno
  *         content:
@@ -627,17 +910,33 @@ router.get('/alunos', async (_req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/SimpleErrorResponse'
  */
-router.patch('/aluno/:id', async (req, res) => {
+router.patch('/aluno/:id', authorize('alunos', 'write'), async (req, res) => {
   const { id } = req.params
-  const data = { ...req.body }
-  console.log('[PATCH /aluno/:id] payload:', JSON.stringify(data, null, 2))
+  const body = req.body || {}
+  console.log('[PATCH /aluno/:id] payload:', JSON.stringify(body, null, 2))
 
   try {
-    // não permitir edição de numeroMatricula
-    if ('numeroMatricula' in data) {
-      delete data.numeroMatricula
+    // a turma e uma entidade propria: o aluno aponta para ela por turmaId
+    if (body.turma !== undefined) {
+      return res.status(400).json({ error: 'Informe a turma pelo campo turmaId' })
     }
 
+    // Aluno.alergias so espelha a ficha de saude, que guarda gravidade e conduta
+    if (body.alergias !== undefined) {
+      return res.status(400).json({ error: 'Alergias são atualizadas na ficha de saúde (PUT /api/aluno/:id/saude)' })
+    }
+
+    const naoEditaveis = Object.keys(body)
+      .filter((campo) => !CAMPOS_EDITAVEIS.includes(campo) && !CAMPOS_IGNORADOS.includes(campo))
+    if (naoEditaveis.length > 0) {
+      return res.status(400).json({ error: `Campos não editáveis: ${naoEditaveis.join(', ')}` })
+    }
+
+    const data = Object.fromEntries(
+      Object.entries(body).filter(([campo]) => CAMPOS_EDITAVEIS.includes(campo))
+    )
+    data.atualizadoPorId = req.user?.id || null
+
     // ==== ENDEREÇOS (se vierem no body) ====
     let endArr = null
     if (data.enderecos !== undefined) {
@@ -705,12 +1004,15 @@ router.patch('/aluno/:id', async (req, res) => {
       data.status = statusNorm
     }
 
-    if (data.turma !== undefined) {
-      const turmaNorm = String(data.turma).trim().toUpperCase()
-      if (!TURMA_VALUES.includes(turmaNorm)) {
+    if (data.turmaId !== undefined) {
+      const turmaIdNorm = String(data.turmaId || '').trim()
+      if (!turmaIdNorm) {
+        return res.status(400).json({ error: 'Turma é obrigatória' })
+      }
+      if (!OBJECT_ID_RE.test(turmaIdNorm)) {
         return res.status(400).json({ error: 'Turma inválida' })
       }
-      data.turma = turmaNorm
+      data.turmaId = turmaIdNorm
     }
 
     if (data.observacoes !== undefined) {
@@ -726,18 +1028,16 @@ router.patch('/aluno/:id', async (req, res) => {
     }
 
     // normalizar arrays
+    // responsaveis enviados substituem todos os vinculos do aluno
     if (data.responsaveis !== undefined) {
-      data.responsaveis = parseArrayField(data.responsaveis)
-        .map(String)
-        .map(s => s.trim())
-        .filter(isNonEmptyString)
-    }
-
-    if (data.alergias !== undefined) {
-      data.alergias = parseArrayField(data.alergias)
-        .map(String)
-        .map(s => s.trim())
-        .filter(isNonEmptyString)
+      const { vinculos, error: vinculosError } = await parseVinculos(parseArrayField(data.responsaveis))
+      if (vinculosError) {
+        return res.status(400).json({ error: vinculosError })
+      }
+      data.responsaveis = {
+        deleteMany: {},
+        create: vinculos.map(v => vinculoCreateData(v, req.user?.id || null))
+      }
     }
 
     if (data.contatos !== undefined) {
@@ -747,8 +1047,60 @@ router.patch('/aluno/:id', async (req, res) => {
         .filter(isNonEmptyString)
     }
 
+    // regras de idade so importam quando a turma ou o nascimento mudam
+    const regrasIdade = data.turmaId !== undefined || data.dataNascimento !== undefined
+      ? await getAgeRules()
+      : null
+    const avisos = []
+
     // ==== TRANSAÇÃO: atualiza aluno + endereços ====
-    const alunoAtualizado = await prisma.$transaction(async (tx) => {
+    let alunoAntes = null
+    const alunoAtualizado = await runMatriculaTransaction(async (tx) => {
+      avisos.length = 0 // a transacao pode ser refeita apos conflito de vaga
+      // estado anterior para a auditoria
+      alunoAntes = await tx.aluno.findUnique({
+        where: { id },
+        include: ALUNO_INCLUDE
+      })
+
+      // entrar em uma turma (ou voltar a ATIVO) exige vaga na turma de destino
+      if (alunoAntes) {
+        const turmaDestino = data.turmaId ?? alunoAntes.turmaId
+        const statusFinal = data.status ?? alunoAntes.status
+        const mudouTurma = turmaDestino !== alunoAntes.turmaId
+        const reativado = statusFinal === 'ATIVO' && alunoAntes.status !== 'ATIVO'
+
+        let turma = null
+        if (turmaDestino && (mudouTurma || reativado)) {
+          const capacidade = await checkTurmaCapacity(turmaDestino, {
+            ocupaVaga: statusFinal === 'ATIVO',
+            excluirAlunoId: id,
+            client: tx
+          })
+          if (capacidade.error) {
+            const error = new Error(capacidade.error)
+            error.statusCode = capacidade.status
+            throw error
+          }
+          turma = capacidade.turma
+        }
+
+        // idade x segmento da turma: aviso dentro da tolerancia, recusa alem dela
+        if (turmaDestino && regrasIdade && (mudouTurma || data.dataNascimento !== undefined)) {
+          turma = turma || await tx.turma.findUnique({ where: { id: turmaDestino } })
+          const elegibilidade = turma
+            ? checkAgeEligibility(data.dataNascimento ?? alunoAntes.dataNascimento, turma, regrasIdade)
+            : { nivel: 'OK' }
+          if (elegibilidade.nivel === 'ERRO') {
+            const error = new Error(elegibilidade.mensagem)
+            error.statusCode = 400
+            error.elegibilidade = elegibilidade
+            throw error
+          }
+          if (elegibilidade.nivel === 'AVISO') avisos.push(elegibilidade.mensagem)
+        }
+      }
+
       // se veio endArr, refaz todos os endereços do aluno
       if (endArr !== null) {
         await tx.endereco.deleteMany({ where: { alunoId: id } })
@@ -772,10 +1124,10 @@ router.patch('/aluno/:id', async (req, res) => {
         data
       })
 
-      // devolve já com endereços
+      // devolve já com endereços e turma
       return tx.aluno.findUnique({
         where: { id },
-        include: { enderecos: true }
+        include: ALUNO_INCLUDE
       })
     })
 
@@ -783,10 +1135,27 @@ router.patch('/aluno/:id', async (req, res) => {
       return res.status(404).json({ error: 'Aluno não encontrado' })
     }
 
-    res.json(alunoAtualizado)
+    logger.userAction('aluno_atualizado', req.user?.id, { alunoId: id })
+    await recordAudit(req, {
+      entidade: 'aluno',
+      entidadeId: id,
+      acao: 'ATUALIZAR',
+      antes: alunoAntes,
+      depois: alunoAtualizado
+    })
+
+    res.json({ ...withSignedUploads(alunoAtualizado), avisos })
   } catch (error) {
     console.error('[PATCH /aluno/:id] ERRO:', error)
 
+    // turma sem vagas, inexistente ou fora da faixa de idade
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        ...(error.elegibilidade ? { elegibilidade: error.elegibilidade } : {})
+      })
+    }
+
     // erros de validação de endereço caem aqui
     if (error.message === 'Endereço inválido' ||
         error.message === 'Campos de endereço são obrigatórios' ||
@@ -814,9 +1183,15 @@ router.patch('/aluno/:id', async (req, res) => {
  * /api/aluno/{idAluno}:
  *   delete:
  *     summary: Exclui um aluno
- *     description: Remove o aluno e seus endereços associados.
+ *     description: |
+ *       Remove o aluno e seus endereços associados. Alunos com responsáveis vinculados ou
+ *       histórico (frequência, saúde, agenda, ocorrências, portaria) não são excluídos (409):
+ *       altere o status para INATIVO.
  *     tags:
  *       - Alunos
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: idAluno
@@ -834,6 +1209,12 @@ router.patch('/aluno/:id', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/SimpleErrorResponse'
+ *       409:
+ *         description: Aluno com registros vinculados (retorna `vinculos`); use o status INATIVO
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão para o módulo de alunos
  *       500:
  *         description: Erro ao excluir aluno
  *         content:
@@ -841,11 +1222,37 @@ router.patch('/aluno/:id', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/SimpleErrorResponse'
  */
-router.delete('/aluno/:idAluno', async (req, res) => {
+router.delete('/aluno/:idAluno', authorize('alunos', 'write'), async (req, res) => {
   const { idAluno } = req.params
   try {
+    const aluno = await prisma.aluno.findUnique({
+      where: { id: idAluno },
+      include: {
+        ...ALUNO_INCLUDE,
+        fichaSaude: { select: { id: true } },
+        _count: { select: Object.fromEntries(Object.keys(VINCULOS_ALUNO).map((campo) => [campo, true])) },
+      }
+    })
+    if (!aluno) {
+      return res.status(404).json({ error: 'Aluno não encontrado' })
+    }
+
+    const { fichaSaude, _count: contagem, ...alunoAntes } = aluno
+    const vinculos = Object.entries(VINCULOS_ALUNO)
+      .filter(([campo]) => contagem?.[campo] > 0)
+      .map(([, rotulo]) => rotulo)
+    if (fichaSaude) vinculos.push('ficha de saúde')
+    if (vinculos.length > 0) {
+      return res.status(409).json({
+        error: `Aluno possui registros vinculados (${vinculos.join(', ')}). Altere o status para INATIVO`,
+        vinculos,
+      })
+    }
+
     await prisma.endereco.deleteMany({ where: { alunoId: idAluno } })
     await prisma.aluno.delete({ where: { id: idAluno } })
+    logger.userAction('aluno_excluido', req.user?.id, { alunoId: idAluno })
+    await recordAudit(req, { entidade: 'aluno', entidadeId: idAluno, acao: 'EXCLUIR', antes: alunoAntes })
     return res.status(204).send()
   } catch (error) {
     console.error('Erro da exclusão: ', error)
@@ -867,6 +1274,9 @@ router.delete('/aluno/:idAluno', async (req, res) => {
  *     summary: Busca um aluno pelo ID
  *     tags:
  *       - Alunos
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -894,6 +1304,10 @@ router.delete('/aluno/:idAluno', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/SimpleErrorResponse'
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão para o módulo de alunos
  *       500:
  *         description: Erro ao buscar aluno
  *         content:
@@ -901,7 +1315,7 @@ router.delete('/aluno/:idAluno', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/SimpleErrorResponse'
  */
-router.get('/aluno/:id', async (req, res) => {
+router.get('/aluno/:id', authorize('alunos', 'read'), async (req, res) => {
   const { id } = req.params
 
   // valida ID como ObjectId (24 hex) se for o caso
@@ -912,14 +1326,14 @@ router.get('/aluno/:id', async (req, res) => {
   try {
     const aluno = await prisma.aluno.findUnique({
       where: { id },
-      include: { enderecos: true }
+      include: ALUNO_INCLUDE
     })
 
     if (!aluno) {
       return res.status(404).json({ error: 'Aluno não encontrado' })
     }
 
-    res.json(aluno)
+    res.json(withSignedUploads(aluno))
   } catch (error) {
     console.error('Erro ao buscar aluno:', error)
     res.status(500).json({ error: 'Erro ao buscar aluno' })
@@ -0,0 +1,277 @@
+// routes/chavesApi.js
+import express from 'express'
+import auth from '../middlewares/auth.js'
+import authorize from '../middlewares/authorize.js'
+import blockImpersonation from '../middlewares/impersonation.js'
+import logger from '../utils/logger.js'
+import prisma from '../utils/prisma.js'
+import { recordAudit } from '../utils/audit.js'
+import {
+  API_KEY_MODULES,
+  apiKeySelect,
+  createApiKey,
+  getApiKeyStatus,
+  normalizeIpAllowlist,
+  normalizeScopes,
+  revokeApiKey,
+} from '../utils/apiKeys.js'
+
+const router = express.Router()
+
+const withStatus = (chave) => ({ ...chave, status: getApiKeyStatus(chave) })
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Chaves de API
+ *     description: Chaves para integracoes sem login (sistema contabil, scripts). Enviadas no header X-API-Key nas rotas /api.
+ *
+ * components:
+ *   schemas:
+ *     ChaveApi:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         nome:
+ *           type: string
+ *         prefixo:
+ *           type: string
+ *           description: Trecho publico da chave (rajj_<prefixo>_...)
+ *         escopos:
+ *           type: array
+ *           items:
+ *             type: string
+ *             example: contas:read
+ *         ipsPermitidos:
+ *           type: array
+ *           items:
+ *             type: string
+ *             example: 203.0.113.0/24
+ *         status:
+ *           type: string
+ *           enum: [ATIVA, EXPIRADA, REVOGADA]
+ *         expiraEm:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         ultimoUsoEm:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         ultimoUsoIp:
+ *           type: string
+ *           nullable: true
+ *         criadoPorId:
+ *           type: string
+ *         criadoEm:
+ *           type: string
+ *           format: date-time
+ *         revogadaEm:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+router.use(auth)
+
+/**
+ * @swagger
+ * /private/chaves-api:
+ *   get:
+ *     summary: Lista as chaves de API
+ *     tags:
+ *       - Chaves de API
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Chaves listadas (sem o valor da chave)
+ *       401:
+ *         description: Token ausente, invalido ou expirado
+ *       403:
+ *         description: Perfil sem permissao para esta operacao
+ *       500:
+ *         description: Erro no servidor
+ */
+router.get('/', authorize('integracoes', 'read'), async (_req, res) => {
+  try {
+    const chaves = await prisma.chaveApi.findMany({
+      select: apiKeySelect,
+      orderBy: { criadoEm: 'desc' },
+    })
+
+    return res.status(200).json({ message: 'Chaves listadas com sucesso', chaves: chaves.map(withStatus) })
+  } catch (err) {
+    console.error('[GET /private/chaves-api] erro:', err)
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
+/**
+ * @swagger
+ * /private/chaves-api:
+ *   post:
+ *     summary: Cria uma chave de API
+ *     description: O valor da chave e retornado apenas nesta resposta; no banco fica somente o hash.
+ *     tags:
+ *       - Chaves de API
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nome
+ *               - escopos
+ *             properties:
+ *               nome:
+ *                 type: string
+ *                 example: Sistema contabil
+ *               escopos:
+ *                 type: array
+ *                 description: "modulo:read ou modulo:write (escrita inclui leitura) nos modulos alunos e contas"
+ *                 items:
+ *                   type: string
+ *                   example: contas:read
+ *               ipsPermitidos:
+ *                 type: array
+ *                 description: IPs ou faixas CIDR de onde a chave pode ser usada. Vazio libera qualquer origem.
+ *                 items:
+ *                   type: string
+ *               expiraEm:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Chave criada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 chave:
+ *                   $ref: '#/components/schemas/ChaveApi'
+ *                 key:
+ *                   type: string
+ *                   description: Valor da chave, exibido uma unica vez
+ *       400:
+ *         description: Nome, escopos, IPs ou validade invalidos
+ *       401:
+ *         description: Token ausente, invalido ou expirado
+ *       403:
+ *         description: Perfil sem permissao para esta operacao
+ *       500:
+ *         description: Erro no servidor
+ */
+router.post('/', authorize('integracoes', 'write'), blockImpersonation, async (req, res) => {
+  try {
+    const nome = String(req.body.nome || '').trim()
+    if (!nome || nome.length > 100) {
+      return res.status(400).json({ message: 'Nome e obrigatorio (ate 100 caracteres)' })
+    }
+
+    const scopes = normalizeScopes(req.body.escopos)
+    if (scopes.error) {
+      return res.status(400).json({ message: scopes.error, modulos: API_KEY_MODULES })
+    }
+
+    const allowlist = normalizeIpAllowlist(req.body.ipsPermitidos)
+    if (allowlist.error) {
+      return res.status(400).json({ message: allowlist.error })
+    }
+
+    let expiraEm = null
+    if (req.body.expiraEm) {
+      expiraEm = new Date(String(req.body.expiraEm))
+      if (Number.isNaN(expiraEm.getTime()) || expiraEm.getTime() <= Date.now()) {
+        return res.status(400).json({ message: 'Validade deve ser uma data futura' })
+      }
+    }
+
+    const { chave, key } = await createApiKey({
+      nome,
+      escopos: scopes.escopos,
+      ipsPermitidos: allowlist.ipsPermitidos,
+      expiraEm,
+      criadoPorId: req.user.id,
+    })
+
+    logger.userAction('chave_api_criada', req.user.id, { chaveApiId: chave.id, escopos: chave.escopos })
+    await recordAudit(req, { entidade: 'chaveApi', entidadeId: chave.id, acao: 'CRIAR', depois: chave })
+
+    return res.status(201).json({
+      message: 'Chave criada. Guarde o valor agora: ele nao sera exibido novamente.',
+      chave: withStatus(chave),
+      key,
+    })
+  } catch (err) {
+    console.error('[POST /private/chaves-api] erro:', err)
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
+/**
+ * @swagger
+ * /private/chaves-api/{id}:
+ *   delete:
+ *     summary: Revoga uma chave de API
+ *     tags:
+ *       - Chaves de API
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Chave revogada
+ *       400:
+ *         description: ID invalido
+ *       401:
+ *         description: Token ausente, invalido ou expirado
+ *       403:
+ *         description: Perfil sem permissao para esta operacao
+ *       404:
+ *         description: Chave nao encontrada ou ja revogada
+ *       500:
+ *         description: Erro no servidor
+ */
+router.delete('/:id', authorize('integracoes', 'write'), blockImpersonation, async (req, res) => {
+  const { id } = req.params
+
+  if (!/^[a-fA-F0-9]{24}$/.test(id)) {
+    return res.status(400).json({ message: 'ID invalido' })
+  }
+
+  try {
+    const revoked = await revokeApiKey(id)
+
+    if (revoked === 0) {
+      return res.status(404).json({ message: 'Chave nao encontrada ou ja revogada' })
+    }
+
+    logger.userAction('chave_api_revogada', req.user.id, { chaveApiId: id })
+    await recordAudit(req, {
+      entidade: 'chaveApi',
+      entidadeId: id,
+      acao: 'ATUALIZAR',
+      antes: { revogadaEm: null },
+      depois: { revogadaEm: new Date() },
+    })
+
+    return res.status(200).json({ message: 'Chave revogada' })
+  } catch (err) {
+    console.error('[DELETE /private/chaves-api/:id] erro:', err)
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
+export default router
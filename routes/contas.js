@@ -1,5 +1,7 @@
 import express from 'express'
+import authorize from '../middlewares/authorize.js'
 import prisma from '../utils/prisma.js'
+import { recordAudit } from '../utils/audit.js'
 
 const router = express.Router()
 
@@ -173,6 +175,7 @@ function parseDateOr400(value, res, fieldName) {
  *       - Contas
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -192,6 +195,8 @@ function parseDateOr400(value, res, fieldName) {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/SimpleErrorResponse'
+ *       403:
+ *         description: Perfil sem permissão para o módulo de contas
  *       500:
  *         description: Erro ao cadastrar conta
  *         content:
@@ -199,7 +204,7 @@ function parseDateOr400(value, res, fieldName) {
  *             schema:
  *               $ref: '#/components/schemas/SimpleErrorResponse'
  */
-router.post('/conta', async (req, res) => {
+router.post('/conta', authorize('contas', 'write'), async (req, res) => {
   try {
     const {
       tipo,
@@ -249,6 +254,8 @@ router.post('/conta', async (req, res) => {
       }
     })
 
+    await recordAudit(req, { entidade: 'conta', entidadeId: conta.id, acao: 'CRIAR', depois: conta })
+
     res.status(201).json(conta)
   } catch (error) {
     console.error('[POST /conta] erro:', error)
@@ -270,6 +277,7 @@ router.post('/conta', async (req, res) => {
  *       - Contas
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: tipo
@@ -304,6 +312,8 @@ router.post('/conta', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/SimpleErrorResponse'
+ *       403:
+ *         description: Perfil sem permissão para o módulo de contas
  *       500:
  *         description: Erro ao buscar contas
  *         content:
@@ -311,7 +321,7 @@ router.post('/conta', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/SimpleErrorResponse'
  */
-router.get('/contas', async (req, res) => {
+router.get('/contas', authorize('contas', 'read'), async (req, res) => {
   try {
     const { tipo, status, mes } = req.query
 
@@ -355,6 +365,7 @@ router.get('/contas', async (req, res) => {
  *       - Contas
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -382,6 +393,8 @@ router.get('/contas', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/SimpleErrorResponse'
+ *       403:
+ *         description: Perfil sem permissão para o módulo de contas
  *       500:
  *         description: Erro ao buscar conta
  *         content:
@@ -389,7 +402,7 @@ router.get('/contas', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/SimpleErrorResponse'
  */
-router.get('/conta/:id', async (req, res) => {
+router.get('/conta/:id', authorize('contas', 'read'), async (req, res) => {
   const { id } = req.params
 
   if (!/^[a-fA-F0-9]{24}$/.test(id)) {
@@ -423,6 +436,7 @@ router.get('/conta/:id', async (req, res) => {
  *       - Contas
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -456,6 +470,8 @@ router.get('/conta/:id', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/SimpleErrorResponse'
+ *       403:
+ *         description: Perfil sem permissão para o módulo de contas
  *       500:
  *         description: Erro ao atualizar conta
  *         content:
@@ -463,7 +479,7 @@ router.get('/conta/:id', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/SimpleErrorResponse'
  */
-router.patch('/conta/:id', async (req, res) => {
+router.patch('/conta/:id', authorize('contas', 'write'), async (req, res) => {
   const { id } = req.params
   const body = req.body
 
@@ -524,11 +540,18 @@ router.patch('/conta/:id', async (req, res) => {
       dataUpdate.observacoes = isNonEmptyString(body.observacoes) ? body.observacoes.trim() : null
     }
 
+    const contaAntes = await prisma.conta.findUnique({ where: { id } })
+    if (!contaAntes) {
+      return res.status(404).json({ error: 'Conta não encontrada' })
+    }
+
     const conta = await prisma.conta.update({
       where: { id },
       data: dataUpdate
     })
 
+    await recordAudit(req, { entidade: 'conta', entidadeId: id, acao: 'ATUALIZAR', antes: contaAntes, depois: conta })
+
     res.json(conta)
   } catch (error) {
     console.error('[PATCH /conta/:id] erro:', error)
@@ -550,6 +573,7 @@ router.patch('/conta/:id', async (req, res) => {
  *       - Contas
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -573,6 +597,8 @@ router.patch('/conta/:id', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/SimpleErrorResponse'
+ *       403:
+ *         description: Perfil sem permissão para o módulo de contas
  *       500:
  *         description: Erro ao excluir conta
  *         content:
@@ -580,7 +606,7 @@ router.patch('/conta/:id', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/SimpleErrorResponse'
  */
-router.delete('/conta/:id', async (req, res) => {
+router.delete('/conta/:id', authorize('contas', 'write'), async (req, res) => {
   const { id } = req.params
 
   if (!/^[a-fA-F0-9]{24}$/.test(id)) {
@@ -588,7 +614,13 @@ router.delete('/conta/:id', async (req, res) => {
   }
 
   try {
+    const contaAntes = await prisma.conta.findUnique({ where: { id } })
+    if (!contaAntes) {
+      return res.status(404).json({ error: 'Conta não encontrada' })
+    }
+
     await prisma.conta.delete({ where: { id } })
+    await recordAudit(req, { entidade: 'conta', entidadeId: id, acao: 'EXCLUIR', antes: contaAntes })
     return res.status(204).send()
   } catch (error) {
     console.error('[DELETE /conta/:id] erro:', error)
@@ -0,0 +1,276 @@
+// routes/convites.js
+import express from 'express'
+import he from 'he'
+import auth from '../middlewares/auth.js'
+import authorize from '../middlewares/authorize.js'
+import logger from '../utils/logger.js'
+import prisma from '../utils/prisma.js'
+import mailer from '../utils/mailer.js'
+import { normalizeRole } from '../utils/permissions.js'
+import {
+  INVITE_TTL_HOURS,
+  createInvite,
+  getInviteStatus,
+  inviteSelect,
+  revokeInvite,
+} from '../utils/invites.js'
+
+const router = express.Router()
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const INVITE_STATUS_VALUES = ['PENDENTE', 'ACEITO', 'EXPIRADO', 'REVOGADO']
+
+const withStatus = (convite) => ({ ...convite, status: getInviteStatus(convite) })
+
+const sendInviteEmail = async (convite, token) => {
+  const appUrl = process.env.APP_URL || 'http://localhost:3000'
+  const inviteLink = `${appUrl}/index.html?convite=${encodeURIComponent(token)}`
+  const safeInviteLink = he.encode(inviteLink)
+
+  await mailer.sendMail({
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    to: convite.email,
+    subject: 'Convite de acesso - RAJJ',
+    html: `
+      <p>Ola!</p>
+      <p>Voce foi convidado(a) para acessar o sistema RAJJ com o perfil ${he.encode(convite.role)}.</p>
+      <p>Use o link abaixo para concluir o seu cadastro (valido por ${INVITE_TTL_HOURS} horas, uso unico):</p>
+      <p><a href="${safeInviteLink}">${safeInviteLink}</a></p>
+      <p>Se voce nao esperava este convite, ignore este e-mail.</p>
+    `,
+  })
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Convites
+ *     description: Convites de cadastro da equipe (link de uso unico com perfil e validade).
+ *
+ * components:
+ *   schemas:
+ *     Convite:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         email:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [ADMIN, SECRETARIA, FINANCEIRO, PROFESSOR]
+ *         status:
+ *           type: string
+ *           enum: [PENDENTE, ACEITO, EXPIRADO, REVOGADO]
+ *         criadoPorId:
+ *           type: string
+ *         criadoEm:
+ *           type: string
+ *           format: date-time
+ *         expiraEm:
+ *           type: string
+ *           format: date-time
+ *         aceitoEm:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         aceitoPorId:
+ *           type: string
+ *           nullable: true
+ *         revogadoEm:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+router.use(auth)
+
+/**
+ * @swagger
+ * /private/convites:
+ *   get:
+ *     summary: Lista os convites enviados
+ *     tags:
+ *       - Convites
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDENTE, ACEITO, EXPIRADO, REVOGADO]
+ *     responses:
+ *       200:
+ *         description: Convites listados
+ *       400:
+ *         description: Status invalido
+ *       401:
+ *         description: Token ausente, invalido ou expirado
+ *       403:
+ *         description: Perfil sem permissao para esta operacao
+ *       500:
+ *         description: Erro no servidor
+ */
+router.get('/', authorize('usuarios', 'read'), async (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status).trim().toUpperCase() : null
+    if (status && !INVITE_STATUS_VALUES.includes(status)) {
+      return res.status(400).json({ message: 'Status invalido' })
+    }
+
+    const convites = await prisma.convite.findMany({
+      select: inviteSelect,
+      orderBy: { criadoEm: 'desc' },
+    })
+
+    const lista = convites.map(withStatus).filter((convite) => !status || convite.status === status)
+
+    return res.status(200).json({ message: 'Convites listados com sucesso', convites: lista })
+  } catch (err) {
+    console.error('[GET /private/convites] erro:', err)
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
+/**
+ * @swagger
+ * /private/convites:
+ *   post:
+ *     summary: Convida uma pessoa para se cadastrar
+ *     description: Envia por e-mail um link de uso unico para o cadastro, com o perfil ja definido. Um novo convite para o mesmo e-mail revoga os pendentes.
+ *     tags:
+ *       - Convites
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [ADMIN, SECRETARIA, FINANCEIRO, PROFESSOR]
+ *     responses:
+ *       201:
+ *         description: Convite enviado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 convite:
+ *                   $ref: '#/components/schemas/Convite'
+ *       400:
+ *         description: E-mail ou perfil invalido
+ *       401:
+ *         description: Token ausente, invalido ou expirado
+ *       403:
+ *         description: Perfil sem permissao para esta operacao
+ *       409:
+ *         description: Ja existe usuario com este e-mail
+ *       503:
+ *         description: Falha ao enviar o e-mail do convite
+ *       500:
+ *         description: Erro no servidor
+ */
+router.post('/', authorize('usuarios', 'write'), async (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase()
+    if (!EMAIL_RE.test(email)) {
+      return res.status(400).json({ message: 'E-mail invalido' })
+    }
+
+    const role = normalizeRole(req.body.role)
+    if (!role) {
+      return res.status(400).json({ message: 'Perfil invalido' })
+    }
+
+    const existingUser = await prisma.Cluster0.findUnique({
+      where: { email },
+      select: { id: true },
+    })
+    if (existingUser) {
+      return res.status(409).json({ message: 'Ja existe um usuario com este e-mail' })
+    }
+
+    const { convite, token } = await createInvite({ email, role, criadoPorId: req.user.id })
+
+    try {
+      await sendInviteEmail(convite, token)
+    } catch (mailError) {
+      logger.error('Falha ao enviar convite', mailError, { conviteId: convite.id, email })
+      await revokeInvite(convite.id)
+      return res.status(503).json({ message: 'Nao foi possivel enviar o convite. Tente novamente.' })
+    }
+
+    logger.userAction('convite_enviado', req.user.id, { conviteId: convite.id, email, role })
+
+    return res.status(201).json({ message: 'Convite enviado', convite: withStatus(convite) })
+  } catch (err) {
+    console.error('[POST /private/convites] erro:', err)
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
+/**
+ * @swagger
+ * /private/convites/{id}:
+ *   delete:
+ *     summary: Revoga um convite pendente
+ *     tags:
+ *       - Convites
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Convite revogado
+ *       400:
+ *         description: ID invalido
+ *       401:
+ *         description: Token ausente, invalido ou expirado
+ *       403:
+ *         description: Perfil sem permissao para esta operacao
+ *       404:
+ *         description: Convite nao encontrado ou ja utilizado
+ *       500:
+ *         description: Erro no servidor
+ */
+router.delete('/:id', authorize('usuarios', 'write'), async (req, res) => {
+  const { id } = req.params
+
+  if (!/^[a-fA-F0-9]{24}$/.test(id)) {
+    return res.status(400).json({ message: 'ID invalido' })
+  }
+
+  try {
+    const revoked = await revokeInvite(id)
+
+    if (revoked === 0) {
+      return res.status(404).json({ message: 'Convite nao encontrado ou ja utilizado' })
+    }
+
+    logger.userAction('convite_revogado', req.user.id, { conviteId: id })
+
+    return res.status(200).json({ message: 'Convite revogado' })
+  } catch (err) {
+    console.error('[DELETE /private/convites/:id] erro:', err)
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
+export default router
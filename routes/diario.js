@@ -0,0 +1,835 @@
+// routes/diario.js
+import express from 'express'
+import authorize from '../middlewares/authorize.js'
+import logger from '../utils/logger.js'
+import prisma from '../utils/prisma.js'
+import { canAccessTurma } from '../utils/turmas.js'
+import { parseDia } from '../utils/frequencia.js'
+import { findEmailsResponsaveis } from '../utils/responsaveis.js'
+import {
+  normalizeRegistroDiario,
+  resumoDiario,
+  sendResumoDiario,
+} from '../utils/diario.js'
+
+const router = express.Router()
+
+const OBJECT_ID_RE = /^[a-fA-F0-9]{24}$/
+
+const alunoResumoSelect = { id: true, nome: true, numeroMatricula: true }
+const alunoDiarioSelect = {
+  ...alunoResumoSelect,
+  status: true,
+  turmaId: true,
+  turma: { select: { id: true, nome: true, professoresIds: true } },
+}
+
+const pad = (n) => String(n).padStart(2, '0')
+
+// dia local de hoje, "AAAA-MM-DD"
+const hoje = (now = new Date()) => `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`
+
+// Retorna { dia, texto } com o dia informado (ou hoje), ou { error }
+const parseDiaDiario = (value) => {
+  const texto = value === undefined || value === '' ? hoje() : String(value)
+  const dia = parseDia(texto)
+  if (!dia) return { error: 'Data inválida (AAAA-MM-DD)' }
+  if (texto > hoje()) return { error: 'Não é possível registrar a agenda de um dia futuro' }
+  return { dia, texto }
+}
+
+// Retorna { aluno } ou { status, error }; professores so acessam alunos das proprias turmas
+const loadAluno = async (req, id) => {
+  const aluno = await prisma.aluno.findUnique({ where: { id }, select: alunoDiarioSelect })
+  if (!aluno) return { status: 404, error: 'Aluno não encontrado' }
+  if (!canAccessTurma(req, aluno.turma)) return { status: 403, error: 'Professor sem acesso a este aluno' }
+  return { aluno }
+}
+
+const loadTurma = async (req, id) => {
+  const turma = await prisma.turma.findUnique({ where: { id } })
+  if (!turma) return { status: 404, error: 'Turma não encontrada' }
+  if (!canAccessTurma(req, turma)) return { status: 403, error: 'Professor sem acesso a esta turma' }
+  return { turma }
+}
+
+const enviarResumo = async (aluno, dia, texto) => {
+  const registros = await prisma.registroDiario.findMany({ where: { alunoId: aluno.id, data: dia } })
+  if (registros.length === 0) return { aluno: aluno.id, enviados: [], falhas: [], motivo: 'Sem registros no dia' }
+
+  const emails = await findEmailsResponsaveis(aluno.id)
+  if (emails.length === 0) return { aluno: aluno.id, enviados: [], falhas: [], motivo: 'Responsáveis sem e-mail' }
+
+  const { enviados, falhas } = await sendResumoDiario(aluno, texto, resumoDiario(registros), emails)
+  return { aluno: aluno.id, enviados, falhas }
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Diario
+ *     description: Agenda diária das crianças (alimentação, sono, higiene, atividades e recados) e resumo do dia por e-mail aos responsáveis.
+ *
+ * components:
+ *   schemas:
+ *     RegistroDiarioInput:
+ *       type: object
+ *       required:
+ *         - tipo
+ *       description: |
+ *         Campos por tipo:
+ *         ALIMENTACAO `refeicao` (obrigatória), `aceitacao`, `quantidadeMl`;
+ *         SONO `inicio` (obrigatório) e `fim`;
+ *         HIGIENE `tipoHigiene` (obrigatório) e `evacuacao`;
+ *         ATIVIDADE `descricao` (obrigatória);
+ *         OBSERVACAO `descricao` e/ou `humor`.
+ *       properties:
+ *         data:
+ *           type: string
+ *           format: date
+ *           description: Padrão é hoje
+ *         tipo:
+ *           type: string
+ *           enum: [ALIMENTACAO, SONO, HIGIENE, ATIVIDADE, OBSERVACAO]
+ *         hora:
+ *           type: string
+ *           example: "11:30"
+ *         descricao:
+ *           type: string
+ *         refeicao:
+ *           type: string
+ *           enum: [CAFE_DA_MANHA, LANCHE_MANHA, ALMOCO, LANCHE_TARDE, JANTAR, MAMADEIRA]
+ *         aceitacao:
+ *           type: string
+ *           enum: [TUDO, MAIS_DA_METADE, METADE, POUCO, RECUSOU]
+ *         quantidadeMl:
+ *           type: integer
+ *         inicio:
+ *           type: string
+ *           example: "12:30"
+ *         fim:
+ *           type: string
+ *           example: "14:00"
+ *         tipoHigiene:
+ *           type: string
+ *           enum: [FRALDA, BANHEIRO, BANHO, ESCOVACAO]
+ *         evacuacao:
+ *           type: string
+ *           enum: [XIXI, COCO, XIXI_E_COCO, SECA]
+ *         humor:
+ *           type: string
+ *           enum: [ALEGRE, CALMO, AGITADO, CHOROSO, SONOLENTO, INDISPOSTO]
+ *
+ *     RegistroDiario:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         alunoId:
+ *           type: string
+ *         turmaId:
+ *           type: string
+ *           nullable: true
+ *         data:
+ *           type: string
+ *           format: date-time
+ *         tipo:
+ *           type: string
+ *         hora:
+ *           type: string
+ *           nullable: true
+ *         detalhes:
+ *           type: object
+ *         descricao:
+ *           type: string
+ *           nullable: true
+ *         registradoPorEmail:
+ *           type: string
+ *           nullable: true
+ *
+ *     ResumoDiario:
+ *       type: object
+ *       properties:
+ *         total:
+ *           type: integer
+ *         refeicoes:
+ *           type: array
+ *           items:
+ *             type: object
+ *         sono:
+ *           type: object
+ *           properties:
+ *             cochilos:
+ *               type: integer
+ *             totalMinutos:
+ *               type: integer
+ *             periodos:
+ *               type: array
+ *               items:
+ *                 type: object
+ *         higiene:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: integer
+ *             trocasFralda:
+ *               type: integer
+ *             evacuacoes:
+ *               type: integer
+ *         atividades:
+ *           type: array
+ *           items:
+ *             type: object
+ *         observacoes:
+ *           type: array
+ *           items:
+ *             type: object
+ *         humor:
+ *           type: string
+ *           nullable: true
+ *
+ *     EnvioResumoDiario:
+ *       type: object
+ *       properties:
+ *         aluno:
+ *           type: string
+ *         enviados:
+ *           type: array
+ *           items:
+ *             type: string
+ *         falhas:
+ *           type: array
+ *           items:
+ *             type: string
+ *         motivo:
+ *           type: string
+ *           description: Por que nada foi enviado
+ */
+
+// =======================================
+// Agenda do aluno (GET/POST /api/aluno/:id/diario)
+// =======================================
+
+/**
+ * @swagger
+ * /api/aluno/{id}/diario:
+ *   get:
+ *     summary: Agenda do aluno em um dia, com o resumo
+ *     tags:
+ *       - Diario
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: data
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Padrão é hoje
+ *     responses:
+ *       200:
+ *         description: Registros do dia (por hora) e resumo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 aluno:
+ *                   type: object
+ *                 data:
+ *                   type: string
+ *                 resumo:
+ *                   $ref: '#/components/schemas/ResumoDiario'
+ *                 registros:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RegistroDiario'
+ *       400:
+ *         description: ID ou data inválidos
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       404:
+ *         description: Aluno não encontrado
+ *       500:
+ *         description: Erro ao buscar agenda
+ *   post:
+ *     summary: Adiciona um registro à agenda do aluno
+ *     tags:
+ *       - Diario
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RegistroDiarioInput'
+ *     responses:
+ *       201:
+ *         description: Registro criado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RegistroDiario'
+ *       400:
+ *         description: Dados inválidos, data futura ou aluno inativo
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       404:
+ *         description: Aluno não encontrado
+ *       500:
+ *         description: Erro ao registrar agenda
+ */
+router.get('/aluno/:id/diario', authorize('diario', 'read'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  const { dia, texto, error: diaError } = parseDiaDiario(req.query.data)
+  if (diaError) return res.status(400).json({ error: diaError })
+
+  try {
+    const { aluno, status, error } = await loadAluno(req, id)
+    if (error) return res.status(status).json({ error })
+
+    const registros = await prisma.registroDiario.findMany({
+      where: { alunoId: id, data: dia },
+      orderBy: [{ hora: 'asc' }, { criadoEm: 'asc' }],
+    })
+
+    res.json({
+      aluno: { id: aluno.id, nome: aluno.nome, numeroMatricula: aluno.numeroMatricula },
+      data: texto,
+      resumo: resumoDiario(registros),
+      registros,
+    })
+  } catch (error) {
+    console.error('[GET /aluno/:id/diario] erro:', error)
+    res.status(500).json({ error: 'Erro ao buscar agenda' })
+  }
+})
+
+router.post('/aluno/:id/diario', authorize('diario', 'write'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const body = req.body || {}
+    const { dia, error: diaError } = parseDiaDiario(body.data)
+    if (diaError) return res.status(400).json({ error: diaError })
+
+    const { data, error: validationError } = normalizeRegistroDiario(body)
+    if (validationError) return res.status(400).json({ error: validationError })
+
+    const { aluno, status, error } = await loadAluno(req, id)
+    if (error) return res.status(status).json({ error })
+    if (aluno.status !== 'ATIVO') return res.status(400).json({ error: 'Aluno inativo' })
+
+    const registro = await prisma.registroDiario.create({
+      data: {
+        alunoId: id,
+        turmaId: aluno.turmaId || null,
+        data: dia,
+        ...data,
+        registradoPorId: req.user?.id || null,
+        registradoPorEmail: req.user?.email || null,
+      },
+    })
+
+    logger.userAction('diario_registrado', req.user?.id, { alunoId: id, registroId: registro.id, tipo: registro.tipo })
+
+    res.status(201).json(registro)
+  } catch (error) {
+    console.error('[POST /aluno/:id/diario] erro:', error)
+    res.status(500).json({ error: 'Erro ao registrar agenda' })
+  }
+})
+
+// =======================================
+// Correção de registros (PATCH/DELETE /api/diario/:id)
+// =======================================
+
+/**
+ * @swagger
+ * /api/diario/{id}:
+ *   patch:
+ *     summary: Corrige um registro da agenda
+ *     description: Os campos enviados são mesclados ao registro; o tipo não muda.
+ *     tags:
+ *       - Diario
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RegistroDiarioInput'
+ *     responses:
+ *       200:
+ *         description: Registro atualizado
+ *       400:
+ *         description: Dados inválidos
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       404:
+ *         description: Registro não encontrado
+ *       500:
+ *         description: Erro ao atualizar agenda
+ *   delete:
+ *     summary: Exclui um registro da agenda
+ *     tags:
+ *       - Diario
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Registro excluído
+ *       400:
+ *         description: ID inválido
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       404:
+ *         description: Registro não encontrado
+ *       500:
+ *         description: Erro ao excluir registro da agenda
+ */
+router.patch('/diario/:id', authorize('diario', 'write'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const atual = await prisma.registroDiario.findUnique({ where: { id }, include: { turma: true } })
+    if (!atual) return res.status(404).json({ error: 'Registro não encontrado' })
+    if (!canAccessTurma(req, atual.turma)) {
+      return res.status(403).json({ error: 'Professor sem acesso a esta turma' })
+    }
+
+    const { data, error } = normalizeRegistroDiario(req.body, atual)
+    if (error) return res.status(400).json({ error })
+
+    const registro = await prisma.registroDiario.update({
+      where: { id },
+      data: { ...data, atualizadoPorId: req.user?.id || null },
+    })
+
+    logger.userAction('diario_atualizado', req.user?.id, { alunoId: registro.alunoId, registroId: id })
+
+    res.json(registro)
+  } catch (error) {
+    console.error('[PATCH /diario/:id] erro:', error)
+    res.status(500).json({ error: 'Erro ao atualizar agenda' })
+  }
+})
+
+router.delete('/diario/:id', authorize('diario', 'write'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const atual = await prisma.registroDiario.findUnique({ where: { id }, include: { turma: true } })
+    if (!atual) return res.status(404).json({ error: 'Registro não encontrado' })
+    if (!canAccessTurma(req, atual.turma)) {
+      return res.status(403).json({ error: 'Professor sem acesso a esta turma' })
+    }
+
+    await prisma.registroDiario.delete({ where: { id } })
+
+    logger.userAction('diario_excluido', req.user?.id, { alunoId: atual.alunoId, registroId: id, tipo: atual.tipo })
+
+    res.status(204).send()
+  } catch (error) {
+    console.error('[DELETE /diario/:id] erro:', error)
+    res.status(500).json({ error: 'Erro ao excluir registro da agenda' })
+  }
+})
+
+// =======================================
+// Agenda da turma (GET/POST /api/turma/:id/diario)
+// =======================================
+
+/**
+ * @swagger
+ * /api/turma/{id}/diario:
+ *   get:
+ *     summary: Resumo do dia de cada aluno ATIVO da turma
+ *     tags:
+ *       - Diario
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: data
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Resumo por aluno
+ *       400:
+ *         description: ID ou data inválidos
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       404:
+ *         description: Turma não encontrada
+ *       500:
+ *         description: Erro ao buscar agenda da turma
+ *   post:
+ *     summary: Registra o mesmo item na agenda de vários alunos da turma
+ *     description: |
+ *       Os campos do registro (como em `RegistroDiarioInput`) valem para todos os alunos ATIVOS da turma, ou só para `alunosIds`.
+ *       `registros` traz, por aluno, os campos que mudam (ex.: a aceitação do almoço de cada criança).
+ *     tags:
+ *       - Diario
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/RegistroDiarioInput'
+ *               - type: object
+ *                 properties:
+ *                   alunosIds:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   registros:
+ *                     type: array
+ *                     items:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/RegistroDiarioInput'
+ *                         - type: object
+ *                           required:
+ *                             - alunoId
+ *                           properties:
+ *                             alunoId:
+ *                               type: string
+ *     responses:
+ *       201:
+ *         description: Registros criados
+ *       400:
+ *         description: Dados inválidos ou aluno fora da turma
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       404:
+ *         description: Turma não encontrada
+ *       500:
+ *         description: Erro ao registrar agenda da turma
+ */
+router.get('/turma/:id/diario', authorize('diario', 'read'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  const { dia, texto, error: diaError } = parseDiaDiario(req.query.data)
+  if (diaError) return res.status(400).json({ error: diaError })
+
+  try {
+    const { turma, status, error } = await loadTurma(req, id)
+    if (error) return res.status(status).json({ error })
+
+    const [alunos, registros] = await Promise.all([
+      prisma.aluno.findMany({ where: { turmaId: id, status: 'ATIVO' }, select: alunoResumoSelect, orderBy: { nome: 'asc' } }),
+      prisma.registroDiario.findMany({ where: { turmaId: id, data: dia } }),
+    ])
+
+    res.json({
+      data: texto,
+      turma: { id: turma.id, nome: turma.nome },
+      alunos: alunos.map((aluno) => ({
+        aluno,
+        resumo: resumoDiario(registros.filter((registro) => registro.alunoId === aluno.id)),
+      })),
+    })
+  } catch (error) {
+    console.error('[GET /turma/:id/diario] erro:', error)
+    res.status(500).json({ error: 'Erro ao buscar agenda da turma' })
+  }
+})
+
+router.post('/turma/:id/diario', authorize('diario', 'write'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const { data: diaInformado, alunosIds: informados, registros: excecoes = [], ...padrao } = req.body || {}
+    const { dia, texto, error: diaError } = parseDiaDiario(diaInformado)
+    if (diaError) return res.status(400).json({ error: diaError })
+
+    if (informados !== undefined && (!Array.isArray(informados) || informados.length === 0)) {
+      return res.status(400).json({ error: 'alunosIds deve ser uma lista não vazia' })
+    }
+    if (!Array.isArray(excecoes)) return res.status(400).json({ error: 'Registros deve ser uma lista' })
+
+    const { turma, status, error } = await loadTurma(req, id)
+    if (error) return res.status(status).json({ error })
+
+    const ativos = await prisma.aluno.findMany({ where: { turmaId: id, status: 'ATIVO' }, select: { id: true } })
+    const ativosIds = new Set(ativos.map((aluno) => aluno.id))
+
+    const alvos = informados ? [...new Set(informados.map(String))] : [...ativosIds]
+    for (const alunoId of alvos) {
+      if (!ativosIds.has(alunoId)) {
+        return res.status(400).json({ error: `Aluno ${alunoId} não está ativo na turma` })
+      }
+    }
+    if (alvos.length === 0) return res.status(400).json({ error: 'Turma sem alunos ativos' })
+
+    const porAluno = new Map()
+    for (const excecao of excecoes) {
+      const alunoId = String(excecao?.alunoId || '')
+      if (!alvos.includes(alunoId)) {
+        return res.status(400).json({ error: `Aluno ${alunoId || '(sem id)'} não faz parte deste registro` })
+      }
+      if (porAluno.has(alunoId)) {
+        return res.status(400).json({ error: `Aluno ${alunoId} informado mais de uma vez` })
+      }
+      porAluno.set(alunoId, excecao)
+    }
+
+    const registradoPor = { registradoPorId: req.user?.id || null, registradoPorEmail: req.user?.email || null }
+    const criar = []
+    for (const alunoId of alvos) {
+      const { data, error: validationError } = normalizeRegistroDiario({ ...padrao, ...porAluno.get(alunoId) })
+      if (validationError) {
+        return res.status(400).json({ error: porAluno.has(alunoId) ? `Aluno ${alunoId}: ${validationError}` : validationError })
+      }
+      criar.push({ alunoId, turmaId: id, data: dia, ...data, ...registradoPor })
+    }
+
+    const { count } = await prisma.registroDiario.createMany({ data: criar })
+
+    logger.userAction('diario_turma_registrado', req.user?.id, { turmaId: id, data: texto, tipo: criar[0].tipo, total: count })
+
+    res.status(201).json({ data: texto, turma: { id: turma.id, nome: turma.nome }, total: count })
+  } catch (error) {
+    console.error('[POST /turma/:id/diario] erro:', error)
+    res.status(500).json({ error: 'Erro ao registrar agenda da turma' })
+  }
+})
+
+// =======================================
+// Resumo do dia por e-mail
+// =======================================
+
+/**
+ * @swagger
+ * /api/aluno/{id}/diario/enviar:
+ *   post:
+ *     summary: Envia o resumo do dia do aluno por e-mail aos responsáveis
+ *     description: Vai para os responsáveis vinculados com e-mail, exceto os impedidos de retirar o aluno.
+ *     tags:
+ *       - Diario
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               data:
+ *                 type: string
+ *                 format: date
+ *                 description: Padrão é hoje
+ *     responses:
+ *       200:
+ *         description: Resultado do envio
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EnvioResumoDiario'
+ *       400:
+ *         description: ID ou data inválidos
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       404:
+ *         description: Aluno não encontrado
+ *       500:
+ *         description: Erro ao enviar resumo do dia
+ */
+router.post('/aluno/:id/diario/enviar', authorize('diario', 'write'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  const { dia, texto, error: diaError } = parseDiaDiario(req.body?.data)
+  if (diaError) return res.status(400).json({ error: diaError })
+
+  try {
+    const { aluno, status, error } = await loadAluno(req, id)
+    if (error) return res.status(status).json({ error })
+
+    const envio = await enviarResumo(aluno, dia, texto)
+
+    logger.userAction('diario_enviado', req.user?.id, {
+      alunoId: id,
+      data: texto,
+      enviados: envio.enviados.length,
+      falhas: envio.falhas.length,
+    })
+
+    res.json(envio)
+  } catch (error) {
+    console.error('[POST /aluno/:id/diario/enviar] erro:', error)
+    res.status(500).json({ error: 'Erro ao enviar resumo do dia' })
+  }
+})
+
+/**
+ * @swagger
+ * /api/turma/{id}/diario/enviar:
+ *   post:
+ *     summary: Envia o resumo do dia de todos os alunos ATIVOS da turma
+ *     description: Alunos sem registro no dia ou sem responsável com e-mail voltam com `motivo`.
+ *     tags:
+ *       - Diario
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               data:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       200:
+ *         description: Resultado do envio por aluno
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: string
+ *                 enviados:
+ *                   type: integer
+ *                   description: Total de e-mails enviados
+ *                 alunos:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EnvioResumoDiario'
+ *       400:
+ *         description: ID ou data inválidos
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       404:
+ *         description: Turma não encontrada
+ *       500:
+ *         description: Erro ao enviar resumos do dia
+ */
+router.post('/turma/:id/diario/enviar', authorize('diario', 'write'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  const { dia, texto, error: diaError } = parseDiaDiario(req.body?.data)
+  if (diaError) return res.status(400).json({ error: diaError })
+
+  try {
+    const { status, error } = await loadTurma(req, id)
+    if (error) return res.status(status).json({ error })
+
+    const alunos = await prisma.aluno.findMany({
+      where: { turmaId: id, status: 'ATIVO' },
+      select: alunoResumoSelect,
+      orderBy: { nome: 'asc' },
+    })
+
+    // um aluno por vez para nao estourar o limite do servidor SMTP
+    const envios = []
+    for (const aluno of alunos) {
+      envios.push(await enviarResumo(aluno, dia, texto))
+    }
+    const enviados = envios.reduce((total, envio) => total + envio.enviados.length, 0)
+
+    logger.userAction('diario_turma_enviado', req.user?.id, { turmaId: id, data: texto, enviados })
+
+    res.json({ data: texto, enviados, alunos: envios })
+  } catch (error) {
+    console.error('[POST /turma/:id/diario/enviar] erro:', error)
+    res.status(500).json({ error: 'Erro ao enviar resumos do dia' })
+  }
+})
+
+export default router
@@ -0,0 +1,855 @@
+// routes/frequencia.js
+import express from 'express'
+import fs from 'fs'
+import authorize from '../middlewares/authorize.js'
+import logger from '../utils/logger.js'
+import prisma from '../utils/prisma.js'
+import { canAccessTurma } from '../utils/turmas.js'
+import { signUploadPath, toAlunoUploadPath, uploadAlunos } from '../utils/uploads.js'
+import {
+  formatHora,
+  getRegrasFrequencia,
+  normalizeRegistroFrequencia,
+  normalizeRegrasFrequencia,
+  parseDia,
+  parseMes,
+  resumoFrequencia,
+  setRegrasFrequencia,
+} from '../utils/frequencia.js'
+
+const router = express.Router()
+
+const OBJECT_ID_RE = /^[a-fA-F0-9]{24}$/
+const MAX_ANEXOS = 5
+const DIA_MS = 24 * 60 * 60 * 1000
+
+const alunoResumoSelect = { id: true, nome: true, numeroMatricula: true }
+
+const withAnexosUrls = (registro) => ({
+  ...registro,
+  anexosUrls: (registro.anexos || []).map((anexo) => signUploadPath(anexo)),
+})
+
+const discardRequestUploads = (req) => {
+  for (const file of req.files || []) {
+    fs.promises.unlink(file.path).catch(() => {})
+  }
+}
+
+const isFuture = (dia) => dia.toISOString().slice(0, 10) > new Date().toISOString().slice(0, 10)
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Frequencia
+ *     description: Chamada diária por turma, justificativas de falta e percentuais mensais com alerta de faltas.
+ *
+ * components:
+ *   schemas:
+ *     RegistroFrequenciaInput:
+ *       type: object
+ *       properties:
+ *         alunoId:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [PRESENTE, FALTA, FALTA_JUSTIFICADA]
+ *         horaChegada:
+ *           type: string
+ *           example: "07:45"
+ *         horaSaida:
+ *           type: string
+ *           example: "17:10"
+ *         justificativa:
+ *           type: string
+ *
+ *     Frequencia:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         alunoId:
+ *           type: string
+ *         turmaId:
+ *           type: string
+ *         data:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [PRESENTE, FALTA, FALTA_JUSTIFICADA]
+ *         horaChegada:
+ *           type: string
+ *           nullable: true
+ *         horaSaida:
+ *           type: string
+ *           nullable: true
+ *         justificativa:
+ *           type: string
+ *           nullable: true
+ *         anexos:
+ *           type: array
+ *           items:
+ *             type: string
+ *         anexosUrls:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Links assinados e temporários dos anexos
+ *
+ *     ResumoFrequencia:
+ *       type: object
+ *       properties:
+ *         dias:
+ *           type: integer
+ *           description: Dias com chamada registrada
+ *         presencas:
+ *           type: integer
+ *         faltas:
+ *           type: integer
+ *         faltasJustificadas:
+ *           type: integer
+ *         percentualPresenca:
+ *           type: number
+ *           nullable: true
+ *         percentualFaltas:
+ *           type: number
+ *           nullable: true
+ *           description: Faltas (e justificadas, se contarJustificadas) sobre os dias registrados
+ *         alerta:
+ *           type: boolean
+ *           description: percentualFaltas acima de percentualMaximoFaltas
+ *
+ *     RegrasFrequencia:
+ *       type: object
+ *       properties:
+ *         percentualMaximoFaltas:
+ *           type: number
+ *           example: 25
+ *         contarJustificadas:
+ *           type: boolean
+ *           example: false
+ */
+
+// =======================================
+// Regras de alerta (GET/PUT /api/frequencia/regras)
+// =======================================
+
+/**
+ * @swagger
+ * /api/frequencia/regras:
+ *   get:
+ *     summary: Limite de faltas que gera alerta
+ *     tags:
+ *       - Frequencia
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Regras atuais
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RegrasFrequencia'
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão para o módulo de frequência
+ *       500:
+ *         description: Erro ao buscar regras de frequência
+ *   put:
+ *     summary: Altera o limite de faltas que gera alerta
+ *     tags:
+ *       - Frequencia
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RegrasFrequencia'
+ *     responses:
+ *       200:
+ *         description: Regras atualizadas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RegrasFrequencia'
+ *       400:
+ *         description: Valor inválido
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Apenas administradores
+ *       500:
+ *         description: Erro ao salvar regras de frequência
+ */
+router.get('/frequencia/regras', authorize('frequencia', 'read'), async (_req, res) => {
+  try {
+    res.json(await getRegrasFrequencia())
+  } catch (error) {
+    console.error('[GET /frequencia/regras] erro:', error)
+    res.status(500).json({ error: 'Erro ao buscar regras de frequência' })
+  }
+})
+
+router.put('/frequencia/regras', authorize('configuracoes', 'write'), async (req, res) => {
+  try {
+    const atuais = await getRegrasFrequencia()
+    const { regras, error } = normalizeRegrasFrequencia(req.body, atuais)
+    if (error) return res.status(400).json({ error })
+
+    const salvas = await setRegrasFrequencia(regras, req.user?.id || null)
+
+    logger.userAction('regras_frequencia_atualizadas', req.user?.id, { regras: salvas })
+
+    res.json(salvas)
+  } catch (error) {
+    console.error('[PUT /frequencia/regras] erro:', error)
+    res.status(500).json({ error: 'Erro ao salvar regras de frequência' })
+  }
+})
+
+// =======================================
+// Frequência mensal (GET /api/frequencia/mensal)
+// =======================================
+
+/**
+ * @swagger
+ * /api/frequencia/mensal:
+ *   get:
+ *     summary: Percentual de presença e faltas de cada aluno no mês, com alerta
+ *     tags:
+ *       - Frequencia
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: mes
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "2025-03"
+ *       - in: query
+ *         name: turmaId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: somenteAlertas
+ *         schema:
+ *           type: boolean
+ *         description: Apenas alunos com faltas acima do limite
+ *     responses:
+ *       200:
+ *         description: Resumo por aluno
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mes:
+ *                   type: string
+ *                 regras:
+ *                   $ref: '#/components/schemas/RegrasFrequencia'
+ *                 total:
+ *                   type: integer
+ *                 alunos:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/ResumoFrequencia'
+ *                       - type: object
+ *                         properties:
+ *                           aluno:
+ *                             type: object
+ *                           turmaId:
+ *                             type: string
+ *       400:
+ *         description: Mês ou turma inválidos
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       500:
+ *         description: Erro ao calcular frequência
+ */
+router.get('/frequencia/mensal', authorize('frequencia', 'read'), async (req, res) => {
+  try {
+    const periodo = parseMes(req.query.mes)
+    if (!periodo) return res.status(400).json({ error: 'Mês inválido (AAAA-MM)' })
+
+    const where = { data: { gte: periodo.inicio, lt: periodo.fim } }
+
+    if (req.query.turmaId) {
+      const turmaId = String(req.query.turmaId)
+      if (!OBJECT_ID_RE.test(turmaId)) return res.status(400).json({ error: 'Turma inválida' })
+      const turma = await prisma.turma.findUnique({ where: { id: turmaId } })
+      if (!turma) return res.status(404).json({ error: 'Turma não encontrada' })
+      if (!canAccessTurma(req, turma)) {
+        return res.status(403).json({ error: 'Professor sem acesso a esta turma' })
+      }
+      where.turmaId = turmaId
+    } else if (req.user?.role === 'PROFESSOR') {
+      const turmas = await prisma.turma.findMany({
+        where: { professoresIds: { has: req.user.id } },
+        select: { id: true },
+      })
+      where.turmaId = { in: turmas.map((turma) => turma.id) }
+    }
+
+    const [regras, registros] = await Promise.all([
+      getRegrasFrequencia(),
+      prisma.frequencia.findMany({
+        where,
+        orderBy: { data: 'asc' },
+        include: { aluno: { select: alunoResumoSelect } },
+      }),
+    ])
+
+    const porAluno = new Map()
+    for (const registro of registros) {
+      const grupo = porAluno.get(registro.alunoId) || { aluno: registro.aluno, registros: [] }
+      grupo.registros.push(registro)
+      porAluno.set(registro.alunoId, grupo)
+    }
+
+    let alunos = [...porAluno.values()]
+      .map(({ aluno, registros: doAluno }) => ({
+        aluno,
+        // turma do ultimo dia registrado no mes
+        turmaId: doAluno[doAluno.length - 1].turmaId,
+        ...resumoFrequencia(doAluno, regras),
+      }))
+      .sort((a, b) => String(a.aluno?.nome).localeCompare(String(b.aluno?.nome)))
+
+    if (req.query.somenteAlertas === 'true') alunos = alunos.filter((item) => item.alerta)
+
+    res.json({ mes: req.query.mes, regras, total: alunos.length, alunos })
+  } catch (error) {
+    console.error('[GET /frequencia/mensal] erro:', error)
+    res.status(500).json({ error: 'Erro ao calcular frequência' })
+  }
+})
+
+// =======================================
+// Chamada da turma (GET/PUT /api/turma/:id/frequencia)
+// =======================================
+
+/**
+ * @swagger
+ * /api/turma/{id}/frequencia:
+ *   get:
+ *     summary: Chamada da turma em um dia
+ *     description: Lista os alunos ATIVOS da turma com o registro do dia (null se ainda não marcado).
+ *     tags:
+ *       - Frequencia
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: data
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Chamada do dia
+ *       400:
+ *         description: Data ou ID inválidos
+ *       404:
+ *         description: Turma não encontrada
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       500:
+ *         description: Erro ao buscar frequência
+ *   put:
+ *     summary: Marca a chamada da turma de uma vez
+ *     description: |
+ *       `status` é aplicado a todos os alunos ATIVOS da turma que não estão em `registros`; `registros` traz as exceções.
+ *       Presença sem horário usa a entrada e a saída registradas na portaria naquele dia. Reenviar o mesmo dia sobrescreve
+ *       os status, mantendo justificativas e anexos já enviados.
+ *     tags:
+ *       - Frequencia
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - data
+ *             properties:
+ *               data:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-03-10"
+ *               status:
+ *                 type: string
+ *                 enum: [PRESENTE, FALTA, FALTA_JUSTIFICADA]
+ *               registros:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/RegistroFrequenciaInput'
+ *     responses:
+ *       200:
+ *         description: Chamada gravada
+ *       400:
+ *         description: Data futura, status inválido ou aluno fora da turma
+ *       404:
+ *         description: Turma não encontrada
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       500:
+ *         description: Erro ao registrar frequência
+ */
+router.get('/turma/:id/frequencia', authorize('frequencia', 'read'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  const dia = parseDia(req.query.data)
+  if (!dia) return res.status(400).json({ error: 'Data inválida (AAAA-MM-DD)' })
+
+  try {
+    const turma = await prisma.turma.findUnique({ where: { id } })
+    if (!turma) return res.status(404).json({ error: 'Turma não encontrada' })
+    if (!canAccessTurma(req, turma)) {
+      return res.status(403).json({ error: 'Professor sem acesso a esta turma' })
+    }
+
+    const [alunos, registros] = await Promise.all([
+      prisma.aluno.findMany({ where: { turmaId: id, status: 'ATIVO' }, select: alunoResumoSelect, orderBy: { nome: 'asc' } }),
+      prisma.frequencia.findMany({ where: { turmaId: id, data: dia } }),
+    ])
+
+    const porAluno = new Map(registros.map((registro) => [registro.alunoId, registro]))
+    res.json({
+      data: req.query.data,
+      turmaId: id,
+      alunos: alunos.map((aluno) => {
+        const registro = porAluno.get(aluno.id)
+        return { aluno, frequencia: registro ? withAnexosUrls(registro) : null }
+      }),
+    })
+  } catch (error) {
+    console.error('[GET /turma/:id/frequencia] erro:', error)
+    res.status(500).json({ error: 'Erro ao buscar frequência' })
+  }
+})
+
+router.put('/turma/:id/frequencia', authorize('frequencia', 'write'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const body = req.body || {}
+    const dia = parseDia(body.data)
+    if (!dia) return res.status(400).json({ error: 'Data inválida (AAAA-MM-DD)' })
+    if (isFuture(dia)) return res.status(400).json({ error: 'Não é possível registrar frequência de um dia futuro' })
+
+    let padrao = null
+    if (body.status !== undefined) {
+      const { data, error } = normalizeRegistroFrequencia({ status: body.status })
+      if (error) return res.status(400).json({ error })
+      padrao = data
+    }
+
+    const informados = body.registros ?? []
+    if (!Array.isArray(informados)) return res.status(400).json({ error: 'Registros deve ser uma lista' })
+    if (!padrao && informados.length === 0) {
+      return res.status(400).json({ error: 'Informe o status da turma ou os registros dos alunos' })
+    }
+
+    const turma = await prisma.turma.findUnique({ where: { id } })
+    if (!turma) return res.status(404).json({ error: 'Turma não encontrada' })
+    if (!canAccessTurma(req, turma)) {
+      return res.status(403).json({ error: 'Professor sem acesso a esta turma' })
+    }
+
+    const alunos = await prisma.aluno.findMany({ where: { turmaId: id, status: 'ATIVO' }, select: { id: true } })
+    const alunosIds = new Set(alunos.map((aluno) => aluno.id))
+
+    // excecoes informadas, depois o status padrao para o restante da turma
+    const porAluno = new Map()
+    for (const item of informados) {
+      const alunoId = String(item?.alunoId || '')
+      if (!alunosIds.has(alunoId)) {
+        return res.status(400).json({ error: `Aluno ${alunoId || '(sem id)'} não está ativo na turma` })
+      }
+      if (porAluno.has(alunoId)) {
+        return res.status(400).json({ error: `Aluno ${alunoId} informado mais de uma vez` })
+      }
+      const { data, error } = normalizeRegistroFrequencia(item)
+      if (error) return res.status(400).json({ error: `Aluno ${alunoId}: ${error}` })
+      porAluno.set(alunoId, data)
+    }
+    if (padrao) {
+      for (const alunoId of alunosIds) {
+        if (!porAluno.has(alunoId)) porAluno.set(alunoId, { ...padrao })
+      }
+    }
+
+    // presenca sem horario: usa a primeira entrada e a ultima saida da portaria no dia
+    const semHorario = [...porAluno].filter(
+      ([, data]) => data.status === 'PRESENTE' && (data.horaChegada === undefined || data.horaSaida === undefined)
+    )
+    if (semHorario.length > 0) {
+      const movimentacoes = await prisma.entradaSaida.findMany({
+        where: {
+          alunoId: { in: semHorario.map(([alunoId]) => alunoId) },
+          tipo: { in: ['ENTRADA', 'SAIDA'] },
+          registradoEm: { gte: dia, lt: new Date(dia.getTime() + DIA_MS) },
+        },
+        orderBy: { registradoEm: 'asc' },
+      })
+      for (const [alunoId, data] of semHorario) {
+        const doAluno = movimentacoes.filter((mov) => mov.alunoId === alunoId)
+        const entrada = doAluno.find((mov) => mov.tipo === 'ENTRADA')
+        const saida = doAluno.filter((mov) => mov.tipo === 'SAIDA').pop()
+        if (data.horaChegada === undefined && entrada) data.horaChegada = formatHora(entrada.registradoEm)
+        if (data.horaSaida === undefined && saida) data.horaSaida = formatHora(saida.registradoEm)
+      }
+    }
+
+    const userId = req.user?.id || null
+    const registros = await prisma.$transaction(async (tx) => {
+      const gravados = []
+      for (const [alunoId, data] of porAluno) {
+        gravados.push(
+          await tx.frequencia.upsert({
+            where: { alunoId_data: { alunoId, data: dia } },
+            create: {
+              status: data.status,
+              horaChegada: data.horaChegada ?? null,
+              horaSaida: data.horaSaida ?? null,
+              justificativa: data.justificativa ?? null,
+              anexos: [],
+              alunoId,
+              turmaId: id,
+              data: dia,
+              registradoPorId: userId,
+              atualizadoPorId: userId,
+            },
+            update: { ...data, turmaId: id, atualizadoPorId: userId },
+          })
+        )
+      }
+      return gravados
+    })
+
+    logger.userAction('frequencia_registrada', req.user?.id, { turmaId: id, data: body.data, total: registros.length })
+
+    res.json({ data: body.data, turmaId: id, total: registros.length, registros: registros.map(withAnexosUrls) })
+  } catch (error) {
+    console.error('[PUT /turma/:id/frequencia] erro:', error)
+    res.status(500).json({ error: 'Erro ao registrar frequência' })
+  }
+})
+
+// =======================================
+// Alterar registro (PATCH /api/frequencia/:id)
+// =======================================
+
+/**
+ * @swagger
+ * /api/frequencia/{id}:
+ *   patch:
+ *     summary: Corrige o registro de um aluno em um dia
+ *     tags:
+ *       - Frequencia
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RegistroFrequenciaInput'
+ *     responses:
+ *       200:
+ *         description: Registro atualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Frequencia'
+ *       400:
+ *         description: Erro de validação
+ *       404:
+ *         description: Registro não encontrado
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       500:
+ *         description: Erro ao atualizar frequência
+ */
+router.patch('/frequencia/:id', authorize('frequencia', 'write'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const { data, error } = normalizeRegistroFrequencia(req.body || {}, { parcial: true })
+    if (error) return res.status(400).json({ error })
+
+    const antes = await prisma.frequencia.findUnique({ where: { id }, include: { turma: true } })
+    if (!antes) return res.status(404).json({ error: 'Registro de frequência não encontrado' })
+    if (!canAccessTurma(req, antes.turma)) {
+      return res.status(403).json({ error: 'Professor sem acesso a esta turma' })
+    }
+
+    const registro = await prisma.frequencia.update({
+      where: { id },
+      data: { ...data, atualizadoPorId: req.user?.id || null },
+    })
+
+    logger.userAction('frequencia_atualizada', req.user?.id, { frequenciaId: id })
+
+    res.json(withAnexosUrls(registro))
+  } catch (error) {
+    console.error('[PATCH /frequencia/:id] erro:', error)
+    res.status(500).json({ error: 'Erro ao atualizar frequência' })
+  }
+})
+
+// =======================================
+// Justificar falta (POST /api/frequencia/:id/justificativa)
+// =======================================
+
+/**
+ * @swagger
+ * /api/frequencia/{id}/justificativa:
+ *   post:
+ *     summary: Justifica uma falta, com atestado ou outros anexos
+ *     description: O registro passa a FALTA_JUSTIFICADA; os anexos se somam aos já enviados (até 5 por registro).
+ *     tags:
+ *       - Frequencia
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               justificativa:
+ *                 type: string
+ *                 example: "Atestado médico"
+ *               anexos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       200:
+ *         description: Falta justificada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Frequencia'
+ *       400:
+ *         description: Sem justificativa nem anexos, ou anexos demais
+ *       404:
+ *         description: Registro não encontrado
+ *       409:
+ *         description: O aluno estava presente
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       500:
+ *         description: Erro ao justificar falta
+ */
+router.post(
+  '/frequencia/:id/justificativa',
+  authorize('frequencia', 'write'),
+  uploadAlunos.array('anexos', MAX_ANEXOS),
+  async (req, res) => {
+    const { id } = req.params
+    if (!OBJECT_ID_RE.test(id)) {
+      discardRequestUploads(req)
+      return res.status(400).json({ error: 'ID inválido' })
+    }
+
+    try {
+      const { data, error } = normalizeRegistroFrequencia(
+        { justificativa: req.body?.justificativa ?? '' },
+        { parcial: true }
+      )
+      const arquivos = req.files || []
+      if (error || (!data.justificativa && arquivos.length === 0)) {
+        discardRequestUploads(req)
+        return res.status(400).json({ error: error || 'Informe a justificativa ou anexe um documento' })
+      }
+
+      const antes = await prisma.frequencia.findUnique({ where: { id }, include: { turma: true } })
+      if (!antes) {
+        discardRequestUploads(req)
+        return res.status(404).json({ error: 'Registro de frequência não encontrado' })
+      }
+      if (!canAccessTurma(req, antes.turma)) {
+        discardRequestUploads(req)
+        return res.status(403).json({ error: 'Professor sem acesso a esta turma' })
+      }
+      if (antes.status === 'PRESENTE') {
+        discardRequestUploads(req)
+        return res.status(409).json({ error: 'Apenas faltas podem ser justificadas' })
+      }
+
+      const anexos = [...(antes.anexos || []), ...arquivos.map(toAlunoUploadPath)]
+      if (anexos.length > MAX_ANEXOS) {
+        discardRequestUploads(req)
+        return res.status(400).json({ error: `Cada falta aceita no máximo ${MAX_ANEXOS} anexos` })
+      }
+
+      const registro = await prisma.frequencia.update({
+        where: { id },
+        data: {
+          status: 'FALTA_JUSTIFICADA',
+          justificativa: data.justificativa ?? antes.justificativa,
+          anexos,
+          atualizadoPorId: req.user?.id || null,
+        },
+      })
+
+      logger.userAction('falta_justificada', req.user?.id, { frequenciaId: id, anexos: arquivos.length })
+
+      res.json(withAnexosUrls(registro))
+    } catch (error) {
+      console.error('[POST /frequencia/:id/justificativa] erro:', error)
+      discardRequestUploads(req)
+      res.status(500).json({ error: 'Erro ao justificar falta' })
+    }
+  }
+)
+
+// =======================================
+// Frequência do aluno (GET /api/aluno/:id/frequencia)
+// =======================================
+
+/**
+ * @swagger
+ * /api/aluno/{id}/frequencia:
+ *   get:
+ *     summary: Registros e percentuais do aluno no mês
+ *     tags:
+ *       - Frequencia
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: mes
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "2025-03"
+ *     responses:
+ *       200:
+ *         description: Frequência do mês
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mes:
+ *                   type: string
+ *                 resumo:
+ *                   $ref: '#/components/schemas/ResumoFrequencia'
+ *                 registros:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Frequencia'
+ *       400:
+ *         description: ID ou mês inválidos
+ *       404:
+ *         description: Aluno não encontrado
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       500:
+ *         description: Erro ao buscar frequência
+ */
+router.get('/aluno/:id/frequencia', authorize('frequencia', 'read'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  const periodo = parseMes(req.query.mes)
+  if (!periodo) return res.status(400).json({ error: 'Mês inválido (AAAA-MM)' })
+
+  try {
+    const encontrado = await prisma.aluno.findUnique({
+      where: { id },
+      select: { ...alunoResumoSelect, turma: { select: { professoresIds: true } } },
+    })
+    if (!encontrado) return res.status(404).json({ error: 'Aluno não encontrado' })
+
+    const { turma, ...aluno } = encontrado
+    if (!canAccessTurma(req, turma)) {
+      return res.status(403).json({ error: 'Professor sem acesso a este aluno' })
+    }
+
+    const [regras, registros] = await Promise.all([
+      getRegrasFrequencia(),
+      prisma.frequencia.findMany({
+        where: { alunoId: id, data: { gte: periodo.inicio, lt: periodo.fim } },
+        orderBy: { data: 'asc' },
+      }),
+    ])
+
+    res.json({
+      aluno,
+      mes: req.query.mes,
+      resumo: resumoFrequencia(registros, regras),
+      registros: registros.map(withAnexosUrls),
+    })
+  } catch (error) {
+    console.error('[GET /aluno/:id/frequencia] erro:', error)
+    res.status(500).json({ error: 'Erro ao buscar frequência' })
+  }
+})
+
+export default router
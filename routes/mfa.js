@@ -0,0 +1,462 @@
+// routes/mfa.js
+import express from 'express'
+import bcrypt from 'bcrypt'
+import auth from '../middlewares/auth.js'
+import authorize from '../middlewares/authorize.js'
+import blockImpersonation from '../middlewares/impersonation.js'
+import logger from '../utils/logger.js'
+import prisma from '../utils/prisma.js'
+import { normalizeRole } from '../utils/permissions.js'
+import { buildOtpAuthUri, generateTotpSecret, verifyTotp } from '../utils/totp.js'
+import {
+  decryptSecret,
+  encryptSecret,
+  generateRecoveryCodes,
+  getMfaRequiredRoles,
+  hashRecoveryCode,
+  isTotpEnabled,
+  setMfaRequiredRoles,
+} from '../utils/mfa.js'
+
+const router = express.Router()
+const TOTP_ISSUER = process.env.MFA_TOTP_ISSUER || 'RAJJ'
+
+const findCurrentUser = (req) =>
+  prisma.Cluster0.findUnique({ where: { id: req.user.id } })
+
+/**
+ * @swagger
+ * tags:
+ *   - name: MFA
+ *     description: Cadastro do aplicativo autenticador (TOTP), codigos de recuperacao e politica de MFA por perfil.
+ *
+ * components:
+ *   schemas:
+ *     MfaStatusResponse:
+ *       type: object
+ *       properties:
+ *         totpAtivo:
+ *           type: boolean
+ *         recoveryCodesRestantes:
+ *           type: integer
+ *         obrigatorioParaPerfil:
+ *           type: boolean
+ *     MfaTotpSetupResponse:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *         secret:
+ *           type: string
+ *           description: Segredo base32 para digitacao manual no app
+ *         otpauthUrl:
+ *           type: string
+ *           description: URI otpauth:// para gerar o QR code no front
+ *     MfaRecoveryCodesResponse:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *         recoveryCodes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Exibidos uma unica vez; cada codigo vale um login
+ *     MfaPolicy:
+ *       type: object
+ *       properties:
+ *         perfis:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [ADMIN, SECRETARIA, FINANCEIRO, PROFESSOR]
+ */
+router.use(auth)
+
+/**
+ * @swagger
+ * /private/mfa:
+ *   get:
+ *     summary: Situacao do MFA do usuario logado
+ *     tags:
+ *       - MFA
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Situacao do MFA
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MfaStatusResponse'
+ *       401:
+ *         description: Token ausente, invalido ou expirado
+ *       500:
+ *         description: Erro no servidor
+ */
+router.get('/', async (req, res) => {
+  try {
+    const user = await findCurrentUser(req)
+    if (!user) return res.status(404).json({ message: 'Usuario nao encontrado' })
+
+    const requiredRoles = await getMfaRequiredRoles()
+
+    return res.status(200).json({
+      totpAtivo: isTotpEnabled(user),
+      recoveryCodesRestantes: (user.mfaRecoveryCodes || []).length,
+      obrigatorioParaPerfil: requiredRoles.includes(req.user.role),
+    })
+  } catch (err) {
+    console.error('[GET /private/mfa] erro:', err)
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
+/**
+ * @swagger
+ * /private/mfa/totp/setup:
+ *   post:
+ *     summary: Gera um novo segredo TOTP para o app autenticador
+ *     description: O segredo so passa a valer depois de confirmado em /private/mfa/totp/confirm.
+ *     tags:
+ *       - MFA
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Segredo gerado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MfaTotpSetupResponse'
+ *       401:
+ *         description: Token ausente, invalido ou expirado
+ *       409:
+ *         description: TOTP ja esta ativo
+ *       500:
+ *         description: Erro no servidor
+ */
+router.post('/totp/setup', blockImpersonation, async (req, res) => {
+  try {
+    const user = await findCurrentUser(req)
+    if (!user) return res.status(404).json({ message: 'Usuario nao encontrado' })
+
+    if (isTotpEnabled(user)) {
+      return res.status(409).json({ message: 'Aplicativo autenticador ja esta ativo' })
+    }
+
+    const secret = generateTotpSecret()
+
+    await prisma.Cluster0.update({
+      where: { id: user.id },
+      data: { mfaTotpPendente: encryptSecret(secret) },
+    })
+
+    logger.userAction('mfa_totp_setup_iniciado', user.id)
+
+    return res.status(200).json({
+      message: 'Escaneie o QR code e confirme com um codigo do aplicativo',
+      secret,
+      otpauthUrl: buildOtpAuthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER }),
+    })
+  } catch (err) {
+    console.error('[POST /private/mfa/totp/setup] erro:', err)
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
+/**
+ * @swagger
+ * /private/mfa/totp/confirm:
+ *   post:
+ *     summary: Confirma o app autenticador e ativa o TOTP
+ *     tags:
+ *       - MFA
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: TOTP ativado; retorna os codigos de recuperacao
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MfaRecoveryCodesResponse'
+ *       400:
+ *         description: Codigo ausente, invalido ou setup nao iniciado
+ *       401:
+ *         description: Token ausente, invalido ou expirado
+ *       500:
+ *         description: Erro no servidor
+ */
+router.post('/totp/confirm', blockImpersonation, async (req, res) => {
+  try {
+    const { code } = req.body
+    if (!code) return res.status(400).json({ message: 'Codigo e obrigatorio' })
+
+    const user = await findCurrentUser(req)
+    if (!user) return res.status(404).json({ message: 'Usuario nao encontrado' })
+
+    if (!user.mfaTotpPendente) {
+      return res.status(400).json({ message: 'Nenhuma configuracao de TOTP pendente' })
+    }
+
+    const counter = verifyTotp(decryptSecret(user.mfaTotpPendente), code)
+    if (counter === null) {
+      return res.status(400).json({ message: 'Codigo invalido' })
+    }
+
+    const recoveryCodes = generateRecoveryCodes()
+
+    await prisma.Cluster0.update({
+      where: { id: user.id },
+      data: {
+        mfaTotpSecret: user.mfaTotpPendente,
+        mfaTotpPendente: null,
+        mfaTotpAtivadoEm: new Date(),
+        mfaTotpUltimoPasso: counter,
+        mfaRecoveryCodes: recoveryCodes.map(hashRecoveryCode),
+      },
+    })
+
+    logger.userAction('mfa_totp_ativado', user.id)
+
+    return res.status(200).json({
+      message: 'Aplicativo autenticador ativado. Guarde os codigos de recuperacao.',
+      recoveryCodes,
+    })
+  } catch (err) {
+    console.error('[POST /private/mfa/totp/confirm] erro:', err)
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
+/**
+ * @swagger
+ * /private/mfa/totp/disable:
+ *   post:
+ *     summary: Desativa o app autenticador (exige a senha atual)
+ *     tags:
+ *       - MFA
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: TOTP desativado
+ *       400:
+ *         description: Senha nao enviada
+ *       401:
+ *         description: Senha incorreta ou token invalido
+ *       500:
+ *         description: Erro no servidor
+ */
+router.post('/totp/disable', blockImpersonation, async (req, res) => {
+  try {
+    const { password } = req.body
+    if (!password) return res.status(400).json({ message: 'Senha e obrigatoria' })
+
+    const user = await findCurrentUser(req)
+    if (!user) return res.status(404).json({ message: 'Usuario nao encontrado' })
+
+    const isPasswordValid = await bcrypt.compare(password, user.password)
+    if (!isPasswordValid) {
+      logger.warn('MFA: senha incorreta ao desativar TOTP', { userId: user.id })
+      return res.status(401).json({ message: 'Senha incorreta' })
+    }
+
+    await prisma.Cluster0.update({
+      where: { id: user.id },
+      data: {
+        mfaTotpSecret: null,
+        mfaTotpPendente: null,
+        mfaTotpAtivadoEm: null,
+        mfaTotpUltimoPasso: null,
+        mfaRecoveryCodes: [],
+      },
+    })
+
+    logger.userAction('mfa_totp_desativado', user.id)
+
+    return res.status(200).json({ message: 'Aplicativo autenticador desativado' })
+  } catch (err) {
+    console.error('[POST /private/mfa/totp/disable] erro:', err)
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
+/**
+ * @swagger
+ * /private/mfa/recovery-codes:
+ *   post:
+ *     summary: Gera novos codigos de recuperacao (invalida os anteriores)
+ *     tags:
+ *       - MFA
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Novos codigos gerados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MfaRecoveryCodesResponse'
+ *       400:
+ *         description: Senha nao enviada ou TOTP inativo
+ *       401:
+ *         description: Senha incorreta ou token invalido
+ *       500:
+ *         description: Erro no servidor
+ */
+router.post('/recovery-codes', blockImpersonation, async (req, res) => {
+  try {
+    const { password } = req.body
+    if (!password) return res.status(400).json({ message: 'Senha e obrigatoria' })
+
+    const user = await findCurrentUser(req)
+    if (!user) return res.status(404).json({ message: 'Usuario nao encontrado' })
+
+    if (!isTotpEnabled(user)) {
+      return res.status(400).json({ message: 'Ative o aplicativo autenticador primeiro' })
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password)
+    if (!isPasswordValid) {
+      return res.status(401).json({ message: 'Senha incorreta' })
+    }
+
+    const recoveryCodes = generateRecoveryCodes()
+
+    await prisma.Cluster0.update({
+      where: { id: user.id },
+      data: { mfaRecoveryCodes: recoveryCodes.map(hashRecoveryCode) },
+    })
+
+    logger.userAction('mfa_recovery_codes_regerados', user.id)
+
+    return res.status(200).json({
+      message: 'Novos codigos de recuperacao gerados',
+      recoveryCodes,
+    })
+  } catch (err) {
+    console.error('[POST /private/mfa/recovery-codes] erro:', err)
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
+/**
+ * @swagger
+ * /private/mfa/politica:
+ *   get:
+ *     summary: Perfis obrigados a usar MFA
+ *     tags:
+ *       - MFA
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Politica atual
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MfaPolicy'
+ *       401:
+ *         description: Token ausente, invalido ou expirado
+ *       403:
+ *         description: Apenas administradores
+ *       500:
+ *         description: Erro no servidor
+ *   put:
+ *     summary: Define os perfis obrigados a usar MFA
+ *     description: Usuarios desses perfis sem app autenticador recebem o codigo por e-mail no login.
+ *     tags:
+ *       - MFA
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MfaPolicy'
+ *     responses:
+ *       200:
+ *         description: Politica atualizada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MfaPolicy'
+ *       400:
+ *         description: Perfil invalido
+ *       401:
+ *         description: Token ausente, invalido ou expirado
+ *       403:
+ *         description: Apenas administradores
+ *       500:
+ *         description: Erro no servidor
+ */
+router.get('/politica', authorize('configuracoes', 'read'), async (_req, res) => {
+  try {
+    const perfis = await getMfaRequiredRoles()
+    return res.status(200).json({ perfis })
+  } catch (err) {
+    console.error('[GET /private/mfa/politica] erro:', err)
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
+router.put('/politica', authorize('configuracoes', 'write'), async (req, res) => {
+  try {
+    if (!Array.isArray(req.body.perfis)) {
+      return res.status(400).json({ message: 'Informe a lista de perfis' })
+    }
+
+    const perfis = req.body.perfis.map(normalizeRole)
+    if (perfis.some((perfil) => !perfil)) {
+      return res.status(400).json({ message: 'Perfil invalido' })
+    }
+
+    const saved = await setMfaRequiredRoles([...new Set(perfis)], req.user.id)
+
+    logger.userAction('mfa_politica_atualizada', req.user.id, { perfis: saved })
+
+    return res.status(200).json({ perfis: saved })
+  } catch (err) {
+    console.error('[PUT /private/mfa/politica] erro:', err)
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
+export default router
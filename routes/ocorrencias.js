@@ -0,0 +1,826 @@
+// routes/ocorrencias.js
+import express from 'express'
+import fs from 'fs'
+import authorize from '../middlewares/authorize.js'
+import logger from '../utils/logger.js'
+import prisma from '../utils/prisma.js'
+import { recordAudit } from '../utils/audit.js'
+import { findEmailsResponsaveis } from '../utils/responsaveis.js'
+import { canAccessTurma } from '../utils/turmas.js'
+import { signUploadPath, toAlunoUploadPath, uploadAlunos } from '../utils/uploads.js'
+import {
+  GRAVIDADES_OCORRENCIA,
+  TIPOS_OCORRENCIA,
+  getOcorrenciaStatus,
+  normalizeOcorrenciaInput,
+  parseAlunosOcorrencia,
+  sendOcorrenciaEmail,
+} from '../utils/ocorrencias.js'
+
+const router = express.Router()
+
+const isNonEmptyString = (s) => typeof s === 'string' && s.trim().length > 0
+const OBJECT_ID_RE = /^[a-fA-F0-9]{24}$/
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/
+const STATUS_OCORRENCIA = ['PENDENTE_CIENCIA', 'CONCLUIDA']
+const MAX_FOTOS = 5
+const MAX_OBS_LEN = 500
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 100
+
+const alunoResumoSelect = { id: true, nome: true, numeroMatricula: true }
+
+const ocorrenciaInclude = {
+  alunos: { include: { aluno: { select: alunoResumoSelect } } },
+}
+
+const withDetalhes = (ocorrencia) => ({
+  ...ocorrencia,
+  status: getOcorrenciaStatus(ocorrencia),
+  fotosUrls: (ocorrencia.fotos || []).map((foto) => signUploadPath(foto)),
+})
+
+const discardRequestUploads = (req) => {
+  for (const file of req.files || []) {
+    fs.promises.unlink(file.path).catch(() => {})
+  }
+}
+
+// Turmas do professor logado; null para os demais perfis (sem restricao)
+const findTurmasProfessor = async (req) => {
+  if (req.user?.role !== 'PROFESSOR') return null
+  const turmas = await prisma.turma.findMany({
+    where: { professoresIds: { has: req.user.id } },
+    select: { id: true },
+  })
+  return turmas.map((turma) => turma.id)
+}
+
+// Professores acessam as ocorrencias com algum aluno das proprias turmas
+const canAccessOcorrencia = (turmasProfessor, ocorrencia) =>
+  !turmasProfessor || ocorrencia.alunos.some((vinculo) => turmasProfessor.includes(vinculo.turmaId))
+
+const parseDateParam = (value, { endOfDay = false } = {}) => {
+  const date = new Date(String(value))
+  if (Number.isNaN(date.getTime())) return null
+  // "ate" so com a data inclui o dia inteiro
+  if (endOfDay && DATE_ONLY_RE.test(String(value))) date.setUTCHours(23, 59, 59, 999)
+  return date
+}
+
+// Monta o filtro do Prisma a partir da query; retorna { where, page, limit } ou { error }
+const buildOcorrenciaListQuery = (query, turmasProfessor) => {
+  const filtros = []
+
+  if (query.alunoId) {
+    if (!OBJECT_ID_RE.test(String(query.alunoId))) return { error: 'Aluno inválido' }
+    filtros.push({ alunos: { some: { alunoId: String(query.alunoId) } } })
+  }
+
+  if (query.turmaId) {
+    if (!OBJECT_ID_RE.test(String(query.turmaId))) return { error: 'Turma inválida' }
+    filtros.push({ alunos: { some: { turmaId: String(query.turmaId) } } })
+  }
+  if (turmasProfessor) {
+    filtros.push({ alunos: { some: { turmaId: { in: turmasProfessor } } } })
+  }
+
+  if (query.de || query.ate) {
+    const de = query.de ? parseDateParam(query.de) : null
+    const ate = query.ate ? parseDateParam(query.ate, { endOfDay: true }) : null
+    if ((query.de && !de) || (query.ate && !ate)) return { error: 'Período inválido' }
+    const ocorridaEm = {}
+    if (de) ocorridaEm.gte = de
+    if (ate) ocorridaEm.lte = ate
+    filtros.push({ ocorridaEm })
+  }
+
+  for (const [campo, valores, rotulo] of [
+    ['tipo', TIPOS_OCORRENCIA, 'Tipo inválido'],
+    ['gravidade', GRAVIDADES_OCORRENCIA, 'Gravidade inválida'],
+  ]) {
+    if (!query[campo]) continue
+    const valor = String(query[campo]).trim().toUpperCase()
+    if (!valores.includes(valor)) return { error: rotulo }
+    filtros.push({ [campo]: valor })
+  }
+
+  if (query.status) {
+    const status = String(query.status).trim().toUpperCase()
+    if (!STATUS_OCORRENCIA.includes(status)) return { error: 'Status inválido' }
+    filtros.push(
+      status === 'PENDENTE_CIENCIA'
+        ? { alunos: { some: { cienciaEm: null } } }
+        : { alunos: { every: { cienciaEm: { not: null } } } }
+    )
+  }
+
+  const page = Math.max(parseInt(query.page, 10) || 1, 1)
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+
+  return { where: filtros.length ? { AND: filtros } : {}, page, limit }
+}
+
+// Avisa por e-mail as familias que ainda nao deram ciencia. Retorna o resultado
+// por aluno e marca notificadoEm nos vinculos avisados.
+const notificarFamilias = async (ocorrencia) => {
+  const resultados = []
+
+  for (const vinculo of ocorrencia.alunos) {
+    if (vinculo.cienciaEm) continue
+
+    const emails = await findEmailsResponsaveis(vinculo.alunoId)
+    if (emails.length === 0) {
+      resultados.push({ alunoId: vinculo.alunoId, enviados: [], falhas: [], motivo: 'Responsáveis sem e-mail' })
+      continue
+    }
+
+    const { enviados, falhas } = await sendOcorrenciaEmail(ocorrencia, vinculo.aluno, emails)
+    if (enviados.length > 0) {
+      vinculo.notificadoEm = new Date()
+      await prisma.ocorrenciaAluno.update({ where: { id: vinculo.id }, data: { notificadoEm: vinculo.notificadoEm } })
+    }
+    resultados.push({ alunoId: vinculo.alunoId, enviados, falhas })
+  }
+
+  return resultados
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Ocorrencias
+ *     description: Ocorrências com alunos (quedas, mordidas, mal-estar), aviso às famílias e ciência dos responsáveis.
+ *
+ * components:
+ *   schemas:
+ *     OcorrenciaInput:
+ *       type: object
+ *       required:
+ *         - alunos
+ *         - tipo
+ *         - gravidade
+ *         - ocorridaEm
+ *         - descricao
+ *       properties:
+ *         alunos:
+ *           type: string
+ *           description: 'JSON com os alunos: [{ "alunoId": "...", "papel": "LESIONADO" }] (papel: ENVOLVIDO, LESIONADO ou CAUSADOR)'
+ *         tipo:
+ *           type: string
+ *           enum: [QUEDA, MORDIDA, BATIDA, ARRANHAO, BRIGA, MAL_ESTAR, REACAO_ALERGICA, OUTRO]
+ *         gravidade:
+ *           type: string
+ *           enum: [LEVE, MODERADA, GRAVE]
+ *         ocorridaEm:
+ *           type: string
+ *           format: date-time
+ *         local:
+ *           type: string
+ *           example: Parque
+ *         descricao:
+ *           type: string
+ *         providencias:
+ *           type: string
+ *           description: O que a escola fez (primeiros socorros, contato com a família...)
+ *         testemunhas:
+ *           type: string
+ *           description: JSON com os nomes das testemunhas
+ *         notificar:
+ *           type: boolean
+ *           default: true
+ *           description: Envia o aviso por e-mail aos responsáveis
+ *         fotos:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: binary
+ *
+ *     Ocorrencia:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         tipo:
+ *           type: string
+ *         gravidade:
+ *           type: string
+ *         ocorridaEm:
+ *           type: string
+ *           format: date-time
+ *         local:
+ *           type: string
+ *           nullable: true
+ *         descricao:
+ *           type: string
+ *         providencias:
+ *           type: string
+ *           nullable: true
+ *         testemunhas:
+ *           type: array
+ *           items:
+ *             type: string
+ *         fotosUrls:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Links assinados e temporários das fotos
+ *         status:
+ *           type: string
+ *           enum: [PENDENTE_CIENCIA, CONCLUIDA]
+ *         alunos:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               alunoId:
+ *                 type: string
+ *               aluno:
+ *                 type: object
+ *               turmaId:
+ *                 type: string
+ *               papel:
+ *                 type: string
+ *               notificadoEm:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               cienciaEm:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               cienciaNome:
+ *                 type: string
+ *                 nullable: true
+ *               cienciaObservacao:
+ *                 type: string
+ *                 nullable: true
+ */
+
+// =======================================
+// Cadastro e listagem (POST /api/ocorrencia, GET /api/ocorrencias)
+// =======================================
+
+/**
+ * @swagger
+ * /api/ocorrencia:
+ *   post:
+ *     summary: Registra uma ocorrência e avisa as famílias
+ *     description: Professores só registram ocorrências com alunos das próprias turmas.
+ *     tags:
+ *       - Ocorrencias
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/OcorrenciaInput'
+ *     responses:
+ *       201:
+ *         description: Ocorrência registrada, com o resultado do aviso em `notificacoes`
+ *       400:
+ *         description: Dados inválidos ou aluno não encontrado
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       500:
+ *         description: Erro ao registrar ocorrência
+ */
+router.post('/ocorrencia', authorize('ocorrencias', 'write'), uploadAlunos.array('fotos', MAX_FOTOS), async (req, res) => {
+  try {
+    const body = req.body || {}
+
+    const { alunos: informados, error: alunosError } = parseAlunosOcorrencia(body.alunos)
+    if (alunosError) {
+      discardRequestUploads(req)
+      return res.status(400).json({ error: alunosError })
+    }
+
+    const { data, error } = normalizeOcorrenciaInput(body)
+    if (error) {
+      discardRequestUploads(req)
+      return res.status(400).json({ error })
+    }
+
+    const alunos = await prisma.aluno.findMany({
+      where: { id: { in: informados.map((item) => item.alunoId) } },
+      select: { ...alunoResumoSelect, turmaId: true, turma: { select: { professoresIds: true } } },
+    })
+    const alunoPorId = new Map(alunos.map((aluno) => [aluno.id, aluno]))
+
+    for (const { alunoId } of informados) {
+      const aluno = alunoPorId.get(alunoId)
+      if (!aluno) {
+        discardRequestUploads(req)
+        return res.status(400).json({ error: `Aluno ${alunoId} não encontrado` })
+      }
+      if (!canAccessTurma(req, aluno.turma)) {
+        discardRequestUploads(req)
+        return res.status(403).json({ error: `Professor sem acesso ao aluno ${aluno.nome}` })
+      }
+    }
+
+    const ocorrencia = await prisma.ocorrencia.create({
+      data: {
+        ...data,
+        fotos: (req.files || []).map(toAlunoUploadPath),
+        registradoPorId: req.user?.id || null,
+        registradoPorEmail: req.user?.email || null,
+        alunos: {
+          create: informados.map(({ alunoId, papel }) => ({
+            alunoId,
+            turmaId: alunoPorId.get(alunoId).turmaId || null,
+            papel,
+            notificadoEm: null,
+            cienciaEm: null,
+          })),
+        },
+      },
+      include: ocorrenciaInclude,
+    })
+
+    logger.userAction('ocorrencia_registrada', req.user?.id, {
+      ocorrenciaId: ocorrencia.id,
+      tipo: ocorrencia.tipo,
+      gravidade: ocorrencia.gravidade,
+      alunos: informados.map((item) => item.alunoId),
+    })
+
+    await recordAudit(req, { entidade: 'ocorrencia', entidadeId: ocorrencia.id, acao: 'CRIAR', depois: ocorrencia })
+
+    // falha no aviso nao desfaz o registro; o aviso pode ser reenviado
+    let notificacoes = []
+    if (String(body.notificar) !== 'false') {
+      try {
+        notificacoes = await notificarFamilias(ocorrencia)
+      } catch (notifyError) {
+        logger.error('Falha ao avisar as famílias da ocorrência', notifyError, { ocorrenciaId: ocorrencia.id })
+      }
+    }
+
+    res.status(201).json({ ...withDetalhes(ocorrencia), notificacoes })
+  } catch (error) {
+    discardRequestUploads(req)
+    console.error('[POST /ocorrencia] erro:', error)
+    res.status(500).json({ error: 'Erro ao registrar ocorrência' })
+  }
+})
+
+/**
+ * @swagger
+ * /api/ocorrencias:
+ *   get:
+ *     summary: Lista ocorrências com filtros e paginação
+ *     description: Professores veem apenas as ocorrências com alunos das próprias turmas.
+ *     tags:
+ *       - Ocorrencias
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: alunoId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: turmaId
+ *         schema:
+ *           type: string
+ *         description: Turma do aluno quando a ocorrência foi registrada
+ *       - in: query
+ *         name: de
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: ate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: tipo
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: gravidade
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDENTE_CIENCIA, CONCLUIDA]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Ocorrências, mais recentes primeiro
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ocorrencias:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Ocorrencia'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *       400:
+ *         description: Filtro inválido
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão
+ *       500:
+ *         description: Erro ao buscar ocorrências
+ */
+router.get('/ocorrencias', authorize('ocorrencias', 'read'), async (req, res) => {
+  try {
+    const turmasProfessor = await findTurmasProfessor(req)
+    const { where, page, limit, error } = buildOcorrenciaListQuery(req.query, turmasProfessor)
+    if (error) return res.status(400).json({ error })
+
+    const [total, ocorrencias] = await Promise.all([
+      prisma.ocorrencia.count({ where }),
+      prisma.ocorrencia.findMany({
+        where,
+        orderBy: [{ ocorridaEm: 'desc' }, { id: 'desc' }],
+        skip: (page - 1) * limit,
+        take: limit,
+        include: ocorrenciaInclude,
+      }),
+    ])
+
+    res.json({
+      ocorrencias: ocorrencias.map(withDetalhes),
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    })
+  } catch (error) {
+    console.error('[GET /ocorrencias] erro:', error)
+    res.status(500).json({ error: 'Erro ao buscar ocorrências' })
+  }
+})
+
+// =======================================
+// Consulta e correção (GET/PATCH /api/ocorrencia/:id)
+// =======================================
+
+/**
+ * @swagger
+ * /api/ocorrencia/{id}:
+ *   get:
+ *     summary: Busca uma ocorrência
+ *     tags:
+ *       - Ocorrencias
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Ocorrência
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Ocorrencia'
+ *       400:
+ *         description: ID inválido
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       404:
+ *         description: Ocorrência não encontrada
+ *       500:
+ *         description: Erro ao buscar ocorrência
+ *   patch:
+ *     summary: Corrige uma ocorrência ainda sem todas as ciências
+ *     description: Os alunos envolvidos não mudam. Fotos enviadas são somadas às existentes.
+ *     tags:
+ *       - Ocorrencias
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/OcorrenciaInput'
+ *     responses:
+ *       200:
+ *         description: Ocorrência atualizada
+ *       400:
+ *         description: Dados inválidos
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       404:
+ *         description: Ocorrência não encontrada
+ *       409:
+ *         description: Ocorrência concluída (todas as famílias deram ciência)
+ *       500:
+ *         description: Erro ao atualizar ocorrência
+ */
+router.get('/ocorrencia/:id', authorize('ocorrencias', 'read'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const ocorrencia = await prisma.ocorrencia.findUnique({ where: { id }, include: ocorrenciaInclude })
+    if (!ocorrencia) return res.status(404).json({ error: 'Ocorrência não encontrada' })
+    if (!canAccessOcorrencia(await findTurmasProfessor(req), ocorrencia)) {
+      return res.status(403).json({ error: 'Professor sem acesso a esta ocorrência' })
+    }
+
+    res.json(withDetalhes(ocorrencia))
+  } catch (error) {
+    console.error('[GET /ocorrencia/:id] erro:', error)
+    res.status(500).json({ error: 'Erro ao buscar ocorrência' })
+  }
+})
+
+router.patch('/ocorrencia/:id', authorize('ocorrencias', 'write'), uploadAlunos.array('fotos', MAX_FOTOS), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    discardRequestUploads(req)
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const atual = await prisma.ocorrencia.findUnique({ where: { id }, include: ocorrenciaInclude })
+    if (!atual) {
+      discardRequestUploads(req)
+      return res.status(404).json({ error: 'Ocorrência não encontrada' })
+    }
+    if (!canAccessOcorrencia(await findTurmasProfessor(req), atual)) {
+      discardRequestUploads(req)
+      return res.status(403).json({ error: 'Professor sem acesso a esta ocorrência' })
+    }
+    if (getOcorrenciaStatus(atual) === 'CONCLUIDA') {
+      discardRequestUploads(req)
+      return res.status(409).json({ error: 'Ocorrência concluída não pode ser alterada' })
+    }
+
+    const { data, error } = normalizeOcorrenciaInput(req.body || {}, { parcial: true })
+    if (error) {
+      discardRequestUploads(req)
+      return res.status(400).json({ error })
+    }
+
+    const novasFotos = (req.files || []).map(toAlunoUploadPath)
+    if (atual.fotos.length + novasFotos.length > MAX_FOTOS) {
+      discardRequestUploads(req)
+      return res.status(400).json({ error: `Máximo de ${MAX_FOTOS} fotos por ocorrência` })
+    }
+    if (novasFotos.length) data.fotos = [...atual.fotos, ...novasFotos]
+
+    if (Object.keys(data).length === 0) {
+      return res.status(400).json({ error: 'Nenhum campo para atualizar' })
+    }
+
+    const ocorrencia = await prisma.ocorrencia.update({
+      where: { id },
+      data: { ...data, atualizadoPorId: req.user?.id || null },
+      include: ocorrenciaInclude,
+    })
+
+    logger.userAction('ocorrencia_atualizada', req.user?.id, { ocorrenciaId: id, campos: Object.keys(data) })
+
+    await recordAudit(req, { entidade: 'ocorrencia', entidadeId: id, acao: 'ATUALIZAR', antes: atual, depois: ocorrencia })
+
+    res.json(withDetalhes(ocorrencia))
+  } catch (error) {
+    discardRequestUploads(req)
+    console.error('[PATCH /ocorrencia/:id] erro:', error)
+    res.status(500).json({ error: 'Erro ao atualizar ocorrência' })
+  }
+})
+
+// =======================================
+// Ciência dos responsáveis
+// =======================================
+
+/**
+ * @swagger
+ * /api/ocorrencia/{id}/ciencia:
+ *   post:
+ *     summary: Registra a ciência do responsável de um aluno da ocorrência
+ *     description: |
+ *       O responsável precisa estar vinculado ao aluno e não pode estar impedido de retirá-lo.
+ *       Com a ciência de todas as famílias a ocorrência fica CONCLUIDA.
+ *     tags:
+ *       - Ocorrencias
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - alunoId
+ *               - responsavelId
+ *             properties:
+ *               alunoId:
+ *                 type: string
+ *               responsavelId:
+ *                 type: string
+ *               observacao:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Ciência registrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Ocorrencia'
+ *       400:
+ *         description: Aluno fora da ocorrência ou responsável não vinculado/impedido
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       404:
+ *         description: Ocorrência não encontrada
+ *       409:
+ *         description: A família deste aluno já deu ciência
+ *       500:
+ *         description: Erro ao registrar ciência
+ */
+router.post('/ocorrencia/:id/ciencia', authorize('ocorrencias', 'write'), async (req, res) => {
+  const { id } = req.params
+  const { alunoId, responsavelId, observacao } = req.body || {}
+  if (!OBJECT_ID_RE.test(id) || !OBJECT_ID_RE.test(String(alunoId)) || !OBJECT_ID_RE.test(String(responsavelId))) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+  if (isNonEmptyString(observacao) && observacao.trim().length > MAX_OBS_LEN) {
+    return res.status(400).json({ error: `Observação deve ter no máximo ${MAX_OBS_LEN} caracteres` })
+  }
+
+  try {
+    const ocorrencia = await prisma.ocorrencia.findUnique({ where: { id }, include: ocorrenciaInclude })
+    if (!ocorrencia) return res.status(404).json({ error: 'Ocorrência não encontrada' })
+    if (!canAccessOcorrencia(await findTurmasProfessor(req), ocorrencia)) {
+      return res.status(403).json({ error: 'Professor sem acesso a esta ocorrência' })
+    }
+
+    const vinculo = ocorrencia.alunos.find((item) => item.alunoId === alunoId)
+    if (!vinculo) return res.status(400).json({ error: 'Aluno não faz parte desta ocorrência' })
+    if (vinculo.cienciaEm) {
+      return res.status(409).json({ error: 'A família deste aluno já deu ciência da ocorrência' })
+    }
+
+    const [responsavelAluno, impedimento] = await Promise.all([
+      prisma.alunoResponsavel.findUnique({
+        where: { alunoId_responsavelId: { alunoId, responsavelId } },
+        include: { responsavel: { select: { id: true, nome: true } } },
+      }),
+      prisma.autorizacaoRetirada.findFirst({
+        where: { alunoId, responsavelId, impedido: true, revogadaEm: null },
+        select: { id: true },
+      }),
+    ])
+    if (!responsavelAluno) return res.status(400).json({ error: 'Responsável não vinculado ao aluno' })
+    if (impedimento) return res.status(400).json({ error: 'Responsável impedido de responder pelo aluno' })
+
+    const ciencia = {
+      cienciaEm: new Date(),
+      cienciaResponsavelId: responsavelId,
+      cienciaNome: responsavelAluno.responsavel.nome,
+      cienciaObservacao: isNonEmptyString(observacao) ? observacao.trim() : null,
+      cienciaRegistradaPorId: req.user?.id || null,
+    }
+    // condicional: de duas ciencias simultaneas para o mesmo aluno, so a primeira vale
+    const { count } = await prisma.ocorrenciaAluno.updateMany({
+      where: { id: vinculo.id, cienciaEm: null },
+      data: ciencia,
+    })
+    if (count === 0) {
+      return res.status(409).json({ error: 'A família deste aluno já deu ciência da ocorrência' })
+    }
+
+    const atualizada = {
+      ...ocorrencia,
+      alunos: ocorrencia.alunos.map((item) => (item.id === vinculo.id ? { ...item, ...ciencia } : item)),
+    }
+    const status = getOcorrenciaStatus(atualizada)
+
+    logger.userAction('ocorrencia_ciencia', req.user?.id, { ocorrenciaId: id, alunoId, responsavelId, status })
+
+    await recordAudit(req, {
+      entidade: 'ocorrencia',
+      entidadeId: id,
+      acao: 'ATUALIZAR',
+      antes: { [`ciencia_${alunoId}`]: null },
+      depois: { [`ciencia_${alunoId}`]: { responsavelId, nome: ciencia.cienciaNome, em: ciencia.cienciaEm } },
+    })
+
+    res.json(withDetalhes(atualizada))
+  } catch (error) {
+    console.error('[POST /ocorrencia/:id/ciencia] erro:', error)
+    res.status(500).json({ error: 'Erro ao registrar ciência' })
+  }
+})
+
+/**
+ * @swagger
+ * /api/ocorrencia/{id}/notificar:
+ *   post:
+ *     summary: Reenvia o aviso por e-mail às famílias que ainda não deram ciência
+ *     tags:
+ *       - Ocorrencias
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Resultado do envio por aluno
+ *       400:
+ *         description: ID inválido
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       404:
+ *         description: Ocorrência não encontrada
+ *       409:
+ *         description: Todas as famílias já deram ciência
+ *       500:
+ *         description: Erro ao avisar as famílias
+ */
+router.post('/ocorrencia/:id/notificar', authorize('ocorrencias', 'write'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const ocorrencia = await prisma.ocorrencia.findUnique({ where: { id }, include: ocorrenciaInclude })
+    if (!ocorrencia) return res.status(404).json({ error: 'Ocorrência não encontrada' })
+    if (!canAccessOcorrencia(await findTurmasProfessor(req), ocorrencia)) {
+      return res.status(403).json({ error: 'Professor sem acesso a esta ocorrência' })
+    }
+    if (getOcorrenciaStatus(ocorrencia) === 'CONCLUIDA') {
+      return res.status(409).json({ error: 'Todas as famílias já deram ciência' })
+    }
+
+    const notificacoes = await notificarFamilias(ocorrencia)
+
+    logger.userAction('ocorrencia_notificada', req.user?.id, {
+      ocorrenciaId: id,
+      enviados: notificacoes.reduce((total, item) => total + item.enviados.length, 0),
+    })
+
+    res.json({ notificacoes })
+  } catch (error) {
+    console.error('[POST /ocorrencia/:id/notificar] erro:', error)
+    res.status(500).json({ error: 'Erro ao avisar as famílias' })
+  }
+})
+
+export default router
@@ -1,13 +1,102 @@
 // routes/private.js
 import express from 'express'
+import bcrypt from 'bcrypt'
+import multer from 'multer'
+import path from 'path'
+import fs from 'fs'
 import auth from '../middlewares/auth.js'
+import authorize from '../middlewares/authorize.js'
+import blockImpersonation from '../middlewares/impersonation.js'
+import logger from '../utils/logger.js'
 import prisma from '../utils/prisma.js'
+import { DEFAULT_ROLE, normalizeRole } from '../utils/permissions.js'
+import { listActiveSessions, revokeAllSessions, revokeSession } from '../utils/sessions.js'
+import { unlockAccount } from '../utils/loginThrottle.js'
+import {
+  getPasswordHistory,
+  getPasswordPolicy,
+  nextPasswordHistory,
+  normalizePasswordPolicy,
+  passwordPolicyError,
+  setPasswordPolicy,
+  validatePassword,
+} from '../utils/password.js'
+import { isEmailInUse, sendEmailVerification } from '../utils/emailVerification.js'
+import { AUDIT_ACTIONS, recordAudit } from '../utils/audit.js'
+import { IMPERSONATION_TTL_MINUTES, issueImpersonationToken } from '../utils/impersonation.js'
+import { listLoginHistory } from '../utils/loginHistory.js'
+import { validarCPF } from '../utils/cpf.js'
 
 const router = express.Router()
 const CEP_RE = /^\d{8}$/
 const BRAZIL_PHONE_RE = /^(?:[1-9][0-9])(?:9\d{8}|\d{8})$/
 const STATUS_VALUES = ['ATIVO', 'INATIVO']
 
+const USER_UPLOAD_DIR = path.resolve('uploads', 'usuarios')
+fs.mkdirSync(USER_UPLOAD_DIR, { recursive: true })
+
+const userStorage = multer.diskStorage({
+  destination: (_req, _file, cb) => cb(null, USER_UPLOAD_DIR),
+  filename: (_req, file, cb) => {
+    const unique = Date.now() + '-' + Math.round(Math.random() * 1e9)
+    const ext = path.extname(file.originalname) || ''
+    cb(null, `${file.fieldname}-${unique}${ext}`)
+  },
+})
+
+const uploadPerfil = multer({
+  storage: userStorage,
+  limits: {
+    fileSize: 5 * 1024 * 1024,
+    files: 11,
+  },
+})
+
+const toUploadPath = (file) => `/uploads/usuarios/${file.filename}`
+
+// Remove arquivos de /uploads/usuarios (anexos substituidos ou de uma requisicao recusada)
+const removeUserUploads = (uploadPaths) => {
+  for (const uploadPath of uploadPaths) {
+    if (!uploadPath || !uploadPath.startsWith('/uploads/usuarios/')) continue
+    fs.promises
+      .unlink(path.join(USER_UPLOAD_DIR, path.basename(uploadPath)))
+      .catch(() => {})
+  }
+}
+
+const discardRequestUploads = (req) => {
+  const files = [...(req.files?.foto || []), ...(req.files?.documentos || [])]
+  removeUserUploads(files.map(toUploadPath))
+}
+
+// Troca de e-mail: o novo endereco fica pendente ate ser confirmado pelo link.
+// Retorna { error } ou { emailPendente } (null quando o e-mail nao muda).
+const resolveEmailChange = async (userId, rawEmail) => {
+  const email = String(rawEmail).trim().toLowerCase()
+  if (!email) return { error: 'E-mail e obrigatorio' }
+
+  const current = await prisma.Cluster0.findUnique({
+    where: { id: userId },
+    select: { email: true },
+  })
+  if (!current) return { notFound: true }
+  if (current.email === email) return { emailPendente: null }
+
+  if (await isEmailInUse(email, userId)) return { error: 'E-mail ja esta em uso' }
+  return { emailPendente: email }
+}
+
+// Envia a confirmacao para o e-mail pendente; a falha no envio nao desfaz a atualizacao
+const notifyEmailChange = async (user, emailPendente) => {
+  try {
+    await sendEmailVerification(user, emailPendente)
+    return true
+  } catch (err) {
+    console.error('[private] falha ao enviar confirmacao de e-mail:', err)
+    return false
+  }
+}
+
 const parseArrayField = (value) => {
   if (!value) return []
   if (Array.isArray(value)) return value
@@ -30,32 +119,6 @@ const parseObjectField = (value) => {
   return null
 }
 
-const validarCPF = (rawCpf) => {
-  const cpf = String(rawCpf || '').replace(/\D/g, '')
-  if (!cpf || cpf.length !== 11) return false
-  if (/^(\d)\1{10}$/.test(cpf)) return false
-
-  let soma = 0
-  let resto = 0
-
-  for (let i = 1; i <= 9; i += 1) {
-    soma += Number.parseInt(cpf.substring(i - 1, i), 10) * (11 - i)
-  }
-
-  resto = (soma * 10) % 11
-  if (resto === 10 || resto === 11) resto = 0
-  if (resto !== Number.parseInt(cpf.substring(9, 10), 10)) return false
-
-  soma = 0
-  for (let i = 1; i <= 10; i += 1) {
-    soma += Number.parseInt(cpf.substring(i - 1, i), 10) * (12 - i)
-  }
-
-  resto = (soma * 10) % 11
-  if (resto === 10 || resto === 11) resto = 0
-  return resto === Number.parseInt(cpf.substring(10, 11), 10)
-}
-
 const normalizarTelefoneBR = (value) => {
   const digits = String(value || '').replace(/\D/g, '')
   if (!BRAZIL_PHONE_RE.test(digits)) return null
@@ -100,6 +163,9 @@ const userSelect = {
   fotoPath: true,
   documentos: true,
   status: true,
+  role: true,
+  emailVerificadoEm: true,
+  emailPendente: true,
   criadoEm: true,
 }
 
@@ -163,6 +229,17 @@ const userSelect = {
  *             type: string
  *         status:
  *           type: string
+ *         role:
+ *           type: string
+ *           enum: [ADMIN, SECRETARIA, FINANCEIRO, PROFESSOR]
+ *         emailVerificadoEm:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         emailPendente:
+ *           type: string
+ *           nullable: true
+ *           description: Novo e-mail aguardando confirmacao
  *         criadoEm:
  *           type: string
  *           format: date-time
@@ -186,6 +263,9 @@ const userSelect = {
  *         status:
  *           type: string
  *           enum: [ATIVO, INATIVO]
+ *         role:
+ *           type: string
+ *           enum: [ADMIN, SECRETARIA, FINANCEIRO, PROFESSOR]
  *     PrivateUsersListResponse:
  *       type: object
  *       properties:
@@ -202,6 +282,38 @@ const userSelect = {
  *           type: string
  *         user:
  *           $ref: '#/components/schemas/PrivateUser'
+ *     PrivateSession:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         dispositivo:
+ *           type: string
+ *           nullable: true
+ *         ip:
+ *           type: string
+ *           nullable: true
+ *         criadoEm:
+ *           type: string
+ *           format: date-time
+ *         ultimoUsoEm:
+ *           type: string
+ *           format: date-time
+ *         expiraEm:
+ *           type: string
+ *           format: date-time
+ *         atual:
+ *           type: boolean
+ *           description: Indica a sessao do token usado na requisicao
+ *     PrivateSessionsListResponse:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *         sessoes:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PrivateSession'
  */
 router.use(auth)
 
@@ -223,10 +335,12 @@ router.use(auth)
  *               $ref: '#/components/schemas/PrivateUsersListResponse'
  *       401:
  *         description: Token ausente, invalido ou expirado
+ *       403:
+ *         description: Perfil sem permissao para esta operacao
  *       500:
  *         description: Erro no servidor
  */
-router.get('/listar-usuarios', async (_req, res) => {
+router.get('/listar-usuarios', authorize('usuarios', 'read'), async (_req, res) => {
   try {
     const usersRaw = await prisma.Cluster0.findMany({
       select: userSelect,
@@ -236,6 +350,7 @@ router.get('/listar-usuarios', async (_req, res) => {
       ...user,
       cpf: user.cpf || null,
       status: user.status || 'ATIVO',
+      role: user.role || DEFAULT_ROLE,
       telefones: Array.isArray(user.telefones) ? user.telefones : [],
       documentos: Array.isArray(user.documentos) ? user.documentos : [],
       endereco: user.endereco || null,
@@ -253,6 +368,7 @@ router.get('/listar-usuarios', async (_req, res) => {
  * /private/usuarios/{id}:
  *   patch:
  *     summary: Atualiza dados de um usuario
+ *     description: Um novo e-mail nao e aplicado imediatamente; ele fica em emailPendente ate ser confirmado pelo link enviado ao novo endereco.
  *     tags:
  *       - Usuários
  *     security:
@@ -281,12 +397,14 @@ router.get('/listar-usuarios', async (_req, res) => {
  *         description: Dados invalidos
  *       401:
  *         description: Token ausente, invalido ou expirado
+ *       403:
+ *         description: Perfil sem permissao para esta operacao
  *       404:
  *         description: Usuario nao encontrado
  *       500:
  *         description: Erro no servidor
  */
-router.patch('/usuarios/:id', async (req, res) => {
+router.patch('/usuarios/:id', authorize('usuarios', 'write'), blockImpersonation, async (req, res) => {
   const { id } = req.params
 
   if (!/^[a-fA-F0-9]{24}$/.test(id)) {
@@ -303,9 +421,10 @@ router.patch('/usuarios/:id', async (req, res) => {
     }
 
     if (req.body.email !== undefined) {
-      const email = String(req.body.email).trim().toLowerCase()
-      if (!email) return res.status(400).json({ message: 'E-mail e obrigatorio' })
-      data.email = email
+      const change = await resolveEmailChange(id, req.body.email)
+      if (change.notFound) return res.status(404).json({ message: 'Usuario nao encontrado' })
+      if (change.error) return res.status(400).json({ message: change.error })
+      if (change.emailPendente) data.emailPendente = change.emailPendente
     }
 
     if (req.body.cpf !== undefined) {
@@ -356,12 +475,53 @@ router.patch('/usuarios/:id', async (req, res) => {
       data.status = status
     }
 
+    if (req.body.role !== undefined) {
+      const role = normalizeRole(req.body.role)
+      if (!role) {
+        return res.status(400).json({ message: 'Perfil invalido' })
+      }
+      data.role = role
+    }
+
+    // inativar ou trocar o perfil invalida os tokens ja emitidos
+    const revokeTokens = data.status === 'INATIVO' || data.role !== undefined
+    if (revokeTokens) {
+      data.tokenVersion = { increment: 1 }
+    }
+
+    const userAntes = await prisma.Cluster0.findUnique({ where: { id }, select: userSelect })
+    if (!userAntes) {
+      return res.status(404).json({ message: 'Usuario nao encontrado' })
+    }
+
     const updatedUser = await prisma.Cluster0.update({
       where: { id },
       data,
       select: userSelect,
     })
 
+    await recordAudit(req, {
+      entidade: 'usuario',
+      entidadeId: id,
+      acao: 'ATUALIZAR',
+      antes: userAntes,
+      depois: updatedUser,
+    })
+
+    if (revokeTokens) {
+      await revokeAllSessions(id)
+    }
+
+    if (data.emailPendente) {
+      const confirmacaoEnviada = await notifyEmailChange(updatedUser, data.emailPendente)
+
+      return res.status(200).json({
+        message: 'Usuario atualizado. O novo e-mail passa a valer apos a confirmacao.',
+        user: updatedUser,
+        confirmacaoEnviada,
+      })
+    }
+
     return res.status(200).json({
       message: 'Usuario atualizado com sucesso',
       user: updatedUser,
@@ -386,6 +546,7 @@ router.patch('/usuarios/:id', async (req, res) => {
  * /private/usuarios/{id}/inativar:
  *   patch:
  *     summary: Inativa um cadastro de usuario
+ *     description: Alem de bloquear novos logins, invalida imediatamente todos os tokens e sessoes do usuario.
  *     tags:
  *       - Usuários
  *     security:
@@ -408,12 +569,14 @@ router.patch('/usuarios/:id', async (req, res) => {
  *         description: ID invalido
  *       401:
  *         description: Token ausente, invalido ou expirado
+ *       403:
+ *         description: Perfil sem permissao para esta operacao
  *       404:
  *         description: Usuario nao encontrado
  *       500:
  *         description: Erro no servidor
  */
-router.patch('/usuarios/:id/inativar', async (req, res) => {
+router.patch('/usuarios/:id/inativar', authorize('usuarios', 'write'), blockImpersonation, async (req, res) => {
   const { id } = req.params
 
   if (!/^[a-fA-F0-9]{24}$/.test(id)) {
@@ -421,11 +584,18 @@ router.patch('/usuarios/:id/inativar', async (req, res) => {
   }
 
   try {
+    const userAntes = await prisma.Cluster0.findUnique({ where: { id }, select: userSelect })
+    if (!userAntes) {
+      return res.status(404).json({ message: 'Usuario nao encontrado' })
+    }
+
     const user = await prisma.Cluster0.update({
       where: { id },
-      data: { status: 'INATIVO' },
+      data: { status: 'INATIVO', tokenVersion: { increment: 1 } },
       select: userSelect,
     })
+    await revokeAllSessions(id)
+    await recordAudit(req, { entidade: 'usuario', entidadeId: id, acao: 'ATUALIZAR', antes: userAntes, depois: user })
 
     return res.status(200).json({
       message: 'Usuario inativado com sucesso',
@@ -442,4 +612,1036 @@ router.patch('/usuarios/:id/inativar', async (req, res) => {
   }
 })
 
+/**
+ * @swagger
+ * /private/usuarios/{id}/desbloquear:
+ *   post:
+ *     summary: Desbloqueia o login de um usuario
+ *     description: Zera as falhas de login registradas para a conta, removendo o bloqueio por tentativas antes do prazo.
+ *     tags:
+ *       - Usuários
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID do usuario
+ *     responses:
+ *       200:
+ *         description: Conta desbloqueada
+ *       400:
+ *         description: ID invalido
+ *       401:
+ *         description: Token ausente, invalido ou expirado
+ *       403:
+ *         description: Perfil sem permissao para esta operacao
+ *       404:
+ *         description: Usuario nao encontrado
+ *       500:
+ *         description: Erro no servidor
+ */
+router.post('/usuarios/:id/desbloquear', authorize('usuarios', 'write'), async (req, res) => {
+  const { id } = req.params
+
+  if (!/^[a-fA-F0-9]{24}$/.test(id)) {
+    return res.status(400).json({ message: 'ID invalido' })
+  }
+
+  try {
+    const user = await prisma.Cluster0.findUnique({
+      where: { id },
+      select: { id: true, email: true },
+    })
+
+    if (!user) {
+      return res.status(404).json({ message: 'Usuario nao encontrado' })
+    }
+
+    await unlockAccount(user.email)
+    // o bloqueio nao fica no cadastro; registra o desbloqueio em si
+    await recordAudit(req, {
+      entidade: 'usuario',
+      entidadeId: id,
+      acao: 'ATUALIZAR',
+      antes: { loginDesbloqueadoEm: null },
+      depois: { loginDesbloqueadoEm: new Date() },
+    })
+
+    return res.status(200).json({ message: 'Conta desbloqueada' })
+  } catch (err) {
+    console.error('[POST /private/usuarios/:id/desbloquear] erro:', err)
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
+/**
+ * @swagger
+ * /private/usuarios/{id}/personificar:
+ *   post:
+ *     summary: Acessa o sistema como outro usuario (suporte)
+ *     description: Emite um token de curta duracao em que o admin age como o usuario escolhido, vendo exatamente o que ele ve. O token nao pode ser renovado, leva as duas identidades, todas as requisicoes sao registradas com os dois ids e acoes sensiveis (senha, MFA, dados do cadastro, inativacao) ficam bloqueadas.
+ *     tags:
+ *       - Usuários
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID do usuario a personificar
+ *     responses:
+ *       200:
+ *         description: Token de personificacao emitido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 token:
+ *                   type: string
+ *                 expiraEm:
+ *                   type: string
+ *                   format: date-time
+ *                 user:
+ *                   type: object
+ *       400:
+ *         description: ID invalido, o proprio usuario, outro administrador ou usuario inativo
+ *       401:
+ *         description: Token ausente, invalido ou expirado
+ *       403:
+ *         description: Apenas administradores, e nao durante outra personificacao
+ *       404:
+ *         description: Usuario nao encontrado
+ *       500:
+ *         description: Erro no servidor
+ */
+router.post(
+  '/usuarios/:id/personificar',
+  authorize('personificacao', 'write'),
+  blockImpersonation,
+  async (req, res) => {
+    const { id } = req.params
+
+    if (!/^[a-fA-F0-9]{24}$/.test(id)) {
+      return res.status(400).json({ message: 'ID invalido' })
+    }
+
+    if (id === req.user.id) {
+      return res.status(400).json({ message: 'Nao e possivel acessar como o proprio usuario' })
+    }
+
+    try {
+      const [admin, target] = await Promise.all([
+        prisma.Cluster0.findUnique({
+          where: { id: req.user.id },
+          select: { id: true, email: true, tokenVersion: true },
+        }),
+        prisma.Cluster0.findUnique({
+          where: { id },
+          select: { id: true, name: true, email: true, role: true, status: true, tokenVersion: true },
+        }),
+      ])
+
+      if (!target) {
+        return res.status(404).json({ message: 'Usuario nao encontrado' })
+      }
+
+      if (target.status && target.status !== 'ATIVO') {
+        return res.status(400).json({ message: 'Usuario inativo' })
+      }
+
+      if (target.role === 'ADMIN') {
+        return res.status(400).json({ message: 'Nao e possivel acessar como outro administrador' })
+      }
+
+      const { token, expiraEm } = issueImpersonationToken(admin, target)
+
+      logger.userAction('personificacao_iniciada', req.user.id, {
+        impersonatedUserId: target.id,
+        ttlMinutes: IMPERSONATION_TTL_MINUTES,
+      })
+
+      return res.status(200).json({
+        message: `Acessando como ${target.name}`,
+        token,
+        expiraEm,
+        user: { id: target.id, name: target.name, email: target.email, role: target.role || DEFAULT_ROLE },
+      })
+    } catch (err) {
+      console.error('[POST /private/usuarios/:id/personificar] erro:', err)
+      return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /private/auditoria:
+ *   get:
+ *     summary: Consulta a trilha de auditoria
+ *     description: Lista as criacoes, alteracoes e exclusoes registradas (alunos, contas e usuarios), da mais recente para a mais antiga, com o ator e os campos alterados.
+ *     tags:
+ *       - Usuários
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entidade
+ *         schema:
+ *           type: string
+ *           example: conta
+ *       - in: query
+ *         name: entidadeId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: atorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: acao
+ *         schema:
+ *           type: string
+ *           enum: [CRIAR, ATUALIZAR, EXCLUIR]
+ *       - in: query
+ *         name: de
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: ate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Registros de auditoria
+ *       400:
+ *         description: Filtro invalido
+ *       401:
+ *         description: Token ausente, invalido ou expirado
+ *       403:
+ *         description: Perfil sem permissao para esta operacao
+ *       500:
+ *         description: Erro no servidor
+ */
+router.get('/auditoria', authorize('auditoria', 'read'), async (req, res) => {
+  try {
+    const where = {}
+
+    if (req.query.entidade) where.entidade = String(req.query.entidade).trim().toLowerCase()
+    if (req.query.entidadeId) where.entidadeId = String(req.query.entidadeId).trim()
+
+    if (req.query.atorId) {
+      const atorId = String(req.query.atorId).trim()
+      if (!/^[a-fA-F0-9]{24}$/.test(atorId)) {
+        return res.status(400).json({ message: 'atorId invalido' })
+      }
+      where.atorId = atorId
+    }
+
+    if (req.query.acao) {
+      const acao = String(req.query.acao).trim().toUpperCase()
+      if (!AUDIT_ACTIONS.includes(acao)) {
+        return res.status(400).json({ message: 'Acao invalida' })
+      }
+      where.acao = acao
+    }
+
+    if (req.query.de || req.query.ate) {
+      const de = req.query.de ? new Date(String(req.query.de)) : null
+      const ate = req.query.ate ? new Date(String(req.query.ate)) : null
+
+      if ((de && Number.isNaN(de.getTime())) || (ate && Number.isNaN(ate.getTime()))) {
+        return res.status(400).json({ message: 'Periodo invalido' })
+      }
+
+      where.criadoEm = {}
+      if (de) where.criadoEm.gte = de
+      if (ate) {
+        // "ate" so com a data inclui o dia inteiro
+        if (/^\d{4}-\d{2}-\d{2}$/.test(String(req.query.ate))) ate.setUTCHours(23, 59, 59, 999)
+        where.criadoEm.lte = ate
+      }
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200)
+
+    const [total, registros] = await Promise.all([
+      prisma.auditLog.count({ where }),
+      prisma.auditLog.findMany({
+        where,
+        orderBy: { criadoEm: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+    ])
+
+    return res.status(200).json({
+      message: 'Auditoria listada com sucesso',
+      registros,
+      page,
+      limit,
+      total,
+    })
+  } catch (err) {
+    console.error('[GET /private/auditoria] erro:', err)
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PasswordPolicy:
+ *       type: object
+ *       properties:
+ *         tamanhoMinimo:
+ *           type: integer
+ *           minimum: 6
+ *           maximum: 128
+ *         exigeMinuscula:
+ *           type: boolean
+ *         exigeMaiuscula:
+ *           type: boolean
+ *         exigeNumero:
+ *           type: boolean
+ *         exigeEspecial:
+ *           type: boolean
+ *         bloquearComuns:
+ *           type: boolean
+ *           description: Recusa senhas da lista local de senhas comuns
+ *         historico:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 24
+ *           description: Quantidade de senhas recentes (contando a atual) que nao podem ser repetidas
+ *         validadeDias:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 3650
+ *           description: Dias ate a senha expirar e a troca ser exigida no login (0 = sem validade)
+ *
+ * /private/politica-senha:
+ *   get:
+ *     summary: Politica de senhas em vigor
+ *     tags:
+ *       - Usuários
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Politica atual
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PasswordPolicy'
+ *       401:
+ *         description: Token ausente, invalido ou expirado
+ *       403:
+ *         description: Apenas administradores
+ *       500:
+ *         description: Erro no servidor
+ *   put:
+ *     summary: Altera a politica de senhas
+ *     description: Campos omitidos mantem o valor atual. Vale para novas senhas (cadastro, redefinicao e troca); a validade tambem se aplica as senhas ja cadastradas.
+ *     tags:
+ *       - Usuários
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PasswordPolicy'
+ *     responses:
+ *       200:
+ *         description: Politica atualizada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PasswordPolicy'
+ *       400:
+ *         description: Valor invalido
+ *       401:
+ *         description: Token ausente, invalido ou expirado
+ *       403:
+ *         description: Apenas administradores
+ *       500:
+ *         description: Erro no servidor
+ */
+router.get('/politica-senha', authorize('configuracoes', 'read'), async (_req, res) => {
+  try {
+    const politica = await getPasswordPolicy()
+    return res.status(200).json(politica)
+  } catch (err) {
+    console.error('[GET /private/politica-senha] erro:', err)
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
+router.put('/politica-senha', authorize('configuracoes', 'write'), async (req, res) => {
+  try {
+    const atual = await getPasswordPolicy()
+    const { policy, error } = normalizePasswordPolicy(req.body, atual)
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    const saved = await setPasswordPolicy(policy, req.user.id)
+
+    logger.userAction('politica_senha_atualizada', req.user.id, { politica: saved })
+
+    return res.status(200).json(saved)
+  } catch (err) {
+    console.error('[PUT /private/politica-senha] erro:', err)
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
+/**
+ * @swagger
+ * /private/sessoes:
+ *   get:
+ *     summary: Lista as sessoes ativas do usuario logado
+ *     tags:
+ *       - Usuários
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessoes listadas com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PrivateSessionsListResponse'
+ *       401:
+ *         description: Token ausente, invalido ou expirado
+ *       500:
+ *         description: Erro no servidor
+ */
+router.get('/sessoes', async (req, res) => {
+  try {
+    const sessoes = await listActiveSessions(req.user.id)
+
+    return res.status(200).json({
+      message: 'Sessoes listadas com sucesso',
+      sessoes: sessoes.map((sessao) => ({
+        ...sessao,
+        atual: sessao.id === req.user.sid,
+      })),
+    })
+  } catch (err) {
+    console.error('[GET /private/sessoes] erro:', err)
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
+/**
+ * @swagger
+ * /private/sessoes/{id}:
+ *   delete:
+ *     summary: Encerra uma sessao do usuario logado
+ *     description: Revoga o refresh token da sessao. O JWT ja emitido para ela expira em ate 10 minutos.
+ *     tags:
+ *       - Usuários
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID da sessao
+ *     responses:
+ *       200:
+ *         description: Sessao encerrada
+ *       400:
+ *         description: ID invalido
+ *       401:
+ *         description: Token ausente, invalido ou expirado
+ *       404:
+ *         description: Sessao nao encontrada
+ *       500:
+ *         description: Erro no servidor
+ */
+router.delete('/sessoes/:id', async (req, res) => {
+  const { id } = req.params
+
+  if (!/^[a-fA-F0-9]{24}$/.test(id)) {
+    return res.status(400).json({ message: 'ID invalido' })
+  }
+
+  try {
+    const revoked = await revokeSession(id, req.user.id)
+
+    if (revoked === 0) {
+      return res.status(404).json({ message: 'Sessao nao encontrada' })
+    }
+
+    await recordAudit(req, {
+      entidade: 'sessao',
+      entidadeId: id,
+      acao: 'ATUALIZAR',
+      antes: { revogadoEm: null },
+      depois: { revogadoEm: new Date() },
+    })
+
+    return res.status(200).json({ message: 'Sessao encerrada' })
+  } catch (err) {
+    console.error('[DELETE /private/sessoes/:id] erro:', err)
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
+// page/limit/sucesso de GET /me/acessos e /usuarios/:id/acessos; null quando invalidos
+const parseAccessQuery = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1)
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100)
+
+  if (query.sucesso === undefined || query.sucesso === '') return { page, limit }
+  if (!['true', 'false'].includes(String(query.sucesso))) return null
+  return { page, limit, sucesso: String(query.sucesso) === 'true' }
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AcessoLogin:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         ip:
+ *           type: string
+ *           nullable: true
+ *         dispositivo:
+ *           type: string
+ *           nullable: true
+ *           description: User-agent do login
+ *         metodo:
+ *           type: string
+ *           enum: [SENHA, OIDC]
+ *         mfa:
+ *           type: string
+ *           enum: [TOTP, EMAIL, RECOVERY]
+ *           nullable: true
+ *         sucesso:
+ *           type: boolean
+ *         motivo:
+ *           type: string
+ *           nullable: true
+ *           enum: [SENHA_INVALIDA, CADASTRO_INATIVO, EMAIL_NAO_CONFIRMADO, MFA_INVALIDO, OIDC_OUTRA_IDENTIDADE]
+ *         novoDispositivo:
+ *           type: boolean
+ *           description: Primeiro login concluido deste dispositivo e IP (gerou aviso por e-mail)
+ *         criadoEm:
+ *           type: string
+ *           format: date-time
+ *
+ * /private/me/acessos:
+ *   get:
+ *     summary: Historico de logins do usuario logado
+ *     description: Logins concluidos e recusados (senha incorreta, codigo MFA invalido...), do mais recente para o mais antigo.
+ *     tags:
+ *       - Usuários
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sucesso
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Acessos listados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 acessos:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AcessoLogin'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: Filtro invalido
+ *       401:
+ *         description: Token ausente, invalido ou expirado
+ *       500:
+ *         description: Erro no servidor
+ */
+router.get('/me/acessos', async (req, res) => {
+  const filtros = parseAccessQuery(req.query)
+  if (!filtros) {
+    return res.status(400).json({ message: 'Filtro sucesso invalido' })
+  }
+
+  try {
+    const { total, acessos } = await listLoginHistory(req.user.id, filtros)
+
+    return res.status(200).json({
+      message: 'Acessos listados com sucesso',
+      acessos,
+      page: filtros.page,
+      limit: filtros.limit,
+      total,
+    })
+  } catch (err) {
+    console.error('[GET /private/me/acessos] erro:', err)
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
+/**
+ * @swagger
+ * /private/usuarios/{id}/acessos:
+ *   get:
+ *     summary: Historico de logins de um usuario
+ *     tags:
+ *       - Usuários
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sucesso
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Acessos listados (mesmo formato de GET /private/me/acessos)
+ *       400:
+ *         description: ID ou filtro invalido
+ *       401:
+ *         description: Token ausente, invalido ou expirado
+ *       403:
+ *         description: Perfil sem permissao para esta operacao
+ *       500:
+ *         description: Erro no servidor
+ */
+router.get('/usuarios/:id/acessos', authorize('usuarios', 'read'), async (req, res) => {
+  const { id } = req.params
+
+  if (!/^[a-fA-F0-9]{24}$/.test(id)) {
+    return res.status(400).json({ message: 'ID invalido' })
+  }
+
+  const filtros = parseAccessQuery(req.query)
+  if (!filtros) {
+    return res.status(400).json({ message: 'Filtro sucesso invalido' })
+  }
+
+  try {
+    const { total, acessos } = await listLoginHistory(id, filtros)
+
+    return res.status(200).json({
+      message: 'Acessos listados com sucesso',
+      acessos,
+      page: filtros.page,
+      limit: filtros.limit,
+      total,
+    })
+  } catch (err) {
+    console.error('[GET /private/usuarios/:id/acessos] erro:', err)
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
+/**
+ * @swagger
+ * /private/me:
+ *   get:
+ *     summary: Retorna o cadastro do usuario logado
+ *     tags:
+ *       - Usuários
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cadastro do usuario logado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PrivateUserResponse'
+ *       401:
+ *         description: Token ausente, invalido ou expirado
+ *       404:
+ *         description: Usuario nao encontrado
+ *       500:
+ *         description: Erro no servidor
+ */
+router.get('/me', async (req, res) => {
+  try {
+    const user = await prisma.Cluster0.findUnique({
+      where: { id: req.user.id },
+      select: userSelect,
+    })
+
+    if (!user) {
+      return res.status(404).json({ message: 'Usuario nao encontrado' })
+    }
+
+    return res.status(200).json({
+      message: 'Usuario encontrado',
+      user: { ...user, role: user.role || DEFAULT_ROLE },
+    })
+  } catch (err) {
+    console.error('[GET /private/me] erro:', err)
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
+/**
+ * @swagger
+ * /private/me:
+ *   patch:
+ *     summary: Atualiza o cadastro do usuario logado
+ *     description: Exige a senha atual. Permite alterar nome, telefones e endereco e substituir a foto e os documentos enviados no cadastro. Um novo e-mail fica pendente ate ser confirmado pelo link enviado a ele.
+ *     tags:
+ *       - Usuários
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               telefones:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               endereco:
+ *                 $ref: '#/components/schemas/PrivateUserAddress'
+ *               foto:
+ *                 type: string
+ *                 format: binary
+ *               documentos:
+ *                 type: array
+ *                 description: Substitui todos os documentos atuais
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       200:
+ *         description: Cadastro atualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PrivateUserResponse'
+ *       400:
+ *         description: Dados invalidos ou senha atual ausente
+ *       401:
+ *         description: Token ausente/invalido ou senha atual incorreta
+ *       404:
+ *         description: Usuario nao encontrado
+ *       500:
+ *         description: Erro no servidor
+ */
+router.patch(
+  '/me',
+  blockImpersonation,
+  uploadPerfil.fields([
+    { name: 'foto', maxCount: 1 },
+    { name: 'documentos', maxCount: 10 },
+  ]),
+  async (req, res) => {
+    const reject = (status, message) => {
+      discardRequestUploads(req)
+      return res.status(status).json({ message })
+    }
+
+    try {
+      const { currentPassword } = req.body
+
+      if (!currentPassword) {
+        return reject(400, 'Senha atual e obrigatoria')
+      }
+
+      const current = await prisma.Cluster0.findUnique({
+        where: { id: req.user.id },
+        select: { ...userSelect, password: true },
+      })
+
+      if (!current) {
+        return reject(404, 'Usuario nao encontrado')
+      }
+
+      const isPasswordValid = await bcrypt.compare(String(currentPassword), current.password)
+      if (!isPasswordValid) {
+        return reject(401, 'Senha atual incorreta')
+      }
+
+      const data = {}
+
+      if (req.body.name !== undefined) {
+        const name = String(req.body.name).trim()
+        if (!name) return reject(400, 'Nome e obrigatorio')
+        data.name = name
+      }
+
+      if (req.body.email !== undefined) {
+        const change = await resolveEmailChange(req.user.id, req.body.email)
+        if (change.notFound) return reject(404, 'Usuario nao encontrado')
+        if (change.error) return reject(400, change.error)
+        if (change.emailPendente) data.emailPendente = change.emailPendente
+      }
+
+      if (req.body.telefones !== undefined) {
+        const telefones = parseArrayField(req.body.telefones)
+          .map((telefone) => normalizarTelefoneBR(telefone))
+          .filter(Boolean)
+
+        if (telefones.length === 0) {
+          return reject(400, 'Informe ao menos um telefone brasileiro valido com DDD')
+        }
+
+        data.telefones = telefones
+      }
+
+      if (req.body.endereco !== undefined) {
+        const enderecoNormalizado = normalizarEndereco(req.body.endereco)
+        if (enderecoNormalizado.error) {
+          return reject(400, enderecoNormalizado.error)
+        }
+        data.endereco = enderecoNormalizado.value
+      }
+
+      const fotoFile = req.files?.foto?.[0]
+      const documentosFiles = req.files?.documentos || []
+      const replacedUploads = []
+
+      if (fotoFile) {
+        data.fotoPath = toUploadPath(fotoFile)
+        replacedUploads.push(current.fotoPath)
+      }
+
+      if (documentosFiles.length > 0) {
+        data.documentos = documentosFiles.map(toUploadPath)
+        replacedUploads.push(...(current.documentos || []))
+      }
+
+      if (Object.keys(data).length === 0) {
+        return reject(400, 'Nenhum campo para atualizar')
+      }
+
+      const user = await prisma.Cluster0.update({
+        where: { id: req.user.id },
+        data,
+        select: userSelect,
+      })
+
+      removeUserUploads(replacedUploads)
+
+      const { password: _senhaAtual, ...userAntes } = current
+      await recordAudit(req, {
+        entidade: 'usuario',
+        entidadeId: req.user.id,
+        acao: 'ATUALIZAR',
+        antes: userAntes,
+        depois: user,
+      })
+
+      if (data.emailPendente) {
+        const confirmacaoEnviada = await notifyEmailChange(user, data.emailPendente)
+
+        return res.status(200).json({
+          message: 'Cadastro atualizado. O novo e-mail passa a valer apos a confirmacao.',
+          user: { ...user, role: user.role || DEFAULT_ROLE },
+          confirmacaoEnviada,
+        })
+      }
+
+      return res.status(200).json({
+        message: 'Cadastro atualizado com sucesso',
+        user: { ...user, role: user.role || DEFAULT_ROLE },
+      })
+    } catch (err) {
+      console.error('[PATCH /private/me] erro:', err)
+      discardRequestUploads(req)
+      return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+    }
+  }
+)
+
+/**
+ * @swagger
+ * /private/me/senha:
+ *   post:
+ *     summary: Altera a senha do usuario logado
+ *     description: Exige a senha atual. Ao alterar, todas as sessoes e tokens do usuario sao encerrados e um novo login e necessario.
+ *     tags:
+ *       - Usuários
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *               - confirmPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 example: "NovaSenha@123"
+ *               confirmPassword:
+ *                 type: string
+ *                 example: "NovaSenha@123"
+ *     responses:
+ *       200:
+ *         description: Senha alterada
+ *       400:
+ *         description: Campos ausentes, senhas divergentes ou nova senha fora da politica (com violacoes)
+ *       401:
+ *         description: Token ausente/invalido ou senha atual incorreta
+ *       404:
+ *         description: Usuario nao encontrado
+ *       500:
+ *         description: Erro no servidor
+ */
+router.post('/me/senha', blockImpersonation, async (req, res) => {
+  try {
+    const { currentPassword, newPassword, confirmPassword } = req.body
+
+    if (!currentPassword || !newPassword || !confirmPassword) {
+      return res.status(400).json({
+        message: 'Senha atual, nova senha e confirmacao sao obrigatorias',
+      })
+    }
+
+    if (newPassword !== confirmPassword) {
+      return res.status(400).json({ message: 'As senhas informadas nao coincidem' })
+    }
+
+    const current = await prisma.Cluster0.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, password: true, senhasAnteriores: true },
+    })
+
+    if (!current) {
+      return res.status(404).json({ message: 'Usuario nao encontrado' })
+    }
+
+    const isPasswordValid = await bcrypt.compare(String(currentPassword), current.password)
+    if (!isPasswordValid) {
+      return res.status(401).json({ message: 'Senha atual incorreta' })
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ message: 'A nova senha deve ser diferente da atual' })
+    }
+
+    const passwordPolicy = await getPasswordPolicy()
+    const violacoes = await validatePassword(newPassword, {
+      policy: passwordPolicy,
+      historico: getPasswordHistory(current),
+    })
+    if (violacoes.length > 0) {
+      return res.status(400).json(passwordPolicyError(violacoes))
+    }
+
+    const salt = await bcrypt.genSalt(10)
+    const password = await bcrypt.hash(newPassword, salt)
+
+    await prisma.Cluster0.update({
+      where: { id: req.user.id },
+      data: {
+        password,
+        tokenVersion: { increment: 1 },
+        senhaAlteradaEm: new Date(),
+        senhasAnteriores: nextPasswordHistory(current, passwordPolicy),
+      },
+    })
+    await revokeAllSessions(req.user.id)
+    await recordAudit(req, {
+      entidade: 'usuario',
+      entidadeId: req.user.id,
+      acao: 'ATUALIZAR',
+      antes: { password: current.password },
+      depois: { password },
+    })
+
+    return res.status(200).json({
+      message: 'Senha alterada com sucesso. Faca login novamente.',
+    })
+  } catch (err) {
+    console.error('[POST /private/me/senha] erro:', err)
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
 export default router
@@ -10,6 +10,68 @@ import he from 'he'
 import logger from '../utils/logger.js'
 import prisma from '../utils/prisma.js'
 import mailer from '../utils/mailer.js'
+import { DEFAULT_ROLE } from '../utils/permissions.js'
+import {
+  getPasswordHistory,
+  getPasswordPolicy,
+  isPasswordExpired,
+  nextPasswordHistory,
+  passwordPolicyError,
+  validatePassword,
+} from '../utils/password.js'
+import {
+  acceptInvite,
+  findPendingInvite,
+  isOpenSignupEnabled,
+  linkInviteToUser,
+  releaseInvite,
+} from '../utils/invites.js'
+import {
+  consumeRecoveryCode,
+  getMfaRequiredRoles,
+  isTotpEnabled,
+  verifyUserTotp,
+} from '../utils/mfa.js'
+import {
+  createSession,
+  parseRefreshToken,
+  revokeAllSessions,
+  revokeRefreshToken,
+  revokeSession,
+  rotateSession,
+} from '../utils/sessions.js'
+import {
+  consumeMfaChallenge,
+  consumeOidcLogin,
+  consumePasswordReset,
+  createMfaChallenge,
+  createOidcLogin,
+  createPasswordReset,
+  findActiveMfaChallenge,
+  findPasswordReset,
+  OIDC_LOGIN_TTL_MINUTES,
+  RESET_TOKEN_TTL_MINUTES,
+  registerFailedMfaAttempt,
+} from '../utils/challenges.js'
+import {
+  consumeEmailVerification,
+  sendEmailVerification,
+} from '../utils/emailVerification.js'
+import {
+  buildAuthorizationUrl,
+  createPkcePair,
+  exchangeCode,
+  isOidcEnabled,
+  verifyIdToken,
+} from '../utils/oidc.js'
+import {
+  ACCOUNT_LOCK_MINUTES,
+  checkLoginThrottle,
+  clearLoginFailures,
+  registerLoginFailure,
+} from '../utils/loginThrottle.js'
+import { recordLoginFailure, recordLoginSuccess } from '../utils/loginHistory.js'
+import { validarCPF } from '../utils/cpf.js'
 
 const router = express.Router()
 
@@ -85,6 +147,9 @@ const router = express.Router()
  *           items:
  *             type: string
  *             format: binary
+ *         convite:
+ *           type: string
+ *           description: Token do link de convite recebido por e-mail
  *
  *     AuthRegisterResponse:
  *       type: object
@@ -163,9 +228,30 @@ const router = express.Router()
  *         token:
  *           type: string
  *           description: JWT para autenticação (expira em 10 minutos)
+ *         refreshToken:
+ *           type: string
+ *           description: Token rotativo para renovar o JWT em /refresh (um por sessão/dispositivo)
  *         user:
  *           $ref: '#/components/schemas/UserPublic'
  *
+ *     RefreshTokenRequest:
+ *       type: object
+ *       required:
+ *         - refreshToken
+ *       properties:
+ *         refreshToken:
+ *           type: string
+ *
+ *     RefreshTokenResponse:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Novo JWT (expira em 10 minutos)
+ *         refreshToken:
+ *           type: string
+ *           description: Novo refresh token; o anterior deixa de valer
+ *
  *     ForgotPasswordRequest:
  *       type: object
  *       required:
@@ -195,6 +281,23 @@ const router = express.Router()
  *         message:
  *           type: string
  *           example: "Mensagem de retorno da API"
+ *
+ *     PasswordPolicyErrorResponse:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *           example: "A senha nao atende a politica de senhas"
+ *         violacoes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               codigo:
+ *                 type: string
+ *                 enum: [TAMANHO_MINIMO, MINUSCULA, MAIUSCULA, NUMERO, ESPECIAL, SENHA_COMUM, REUTILIZADA]
+ *               mensagem:
+ *                 type: string
  */
 
 // Segredos
@@ -203,8 +306,6 @@ if (!JWT_SECRET) {
   console.warn('[WARN] JWT_SECRET não definido no .env')
 }
 
-const RESET_PASSWORD_SECRET =
-  process.env.RESET_PASSWORD_SECRET || `${JWT_SECRET || 'fallback'}_RESET`
 const MFA_CHALLENGE_SECRET =
   process.env.MFA_CHALLENGE_SECRET || `${JWT_SECRET || 'fallback'}_MFA`
 
@@ -215,11 +316,8 @@ const MFA_CHALLENGE_SECRET =
 // =============================
 // Configurações de segurança
 // =============================
-const MAX_LOGIN_ATTEMPTS = 5
-const LOGIN_BLOCK_TIME = 5 * 60 * 1000 // 5 minutos em ms
 const MFA_CODE_TTL_MINUTES = Number(process.env.MFA_CODE_TTL_MINUTES || 10)
 const MFA_CODE_LENGTH = Number(process.env.MFA_CODE_LENGTH || 6)
-const failedLoginAttempts = new Map()
 const CEP_RE = /^\d{8}$/
 const BRAZIL_PHONE_RE = /^(?:[1-9][0-9])(?:9\d{8}|\d{8})$/
 
@@ -245,32 +343,6 @@ const parseObjectField = (value) => {
   return null
 }
 
-const validarCPF = (rawCpf) => {
-  const cpf = String(rawCpf || '').replace(/\D/g, '')
-  if (!cpf || cpf.length !== 11) return false
-  if (/^(\d)\1{10}$/.test(cpf)) return false
-
-  let soma = 0
-  let resto = 0
-
-  for (let i = 1; i <= 9; i++) {
-    soma += parseInt(cpf.substring(i - 1, i), 10) * (11 - i)
-  }
-  resto = (soma * 10) % 11
-  if (resto === 10 || resto === 11) resto = 0
-  if (resto !== parseInt(cpf.substring(9, 10), 10)) return false
-
-  soma = 0
-  for (let i = 1; i <= 10; i++) {
-    soma += parseInt(cpf.substring(i - 1, i), 10) * (12 - i)
-  }
-  resto = (soma * 10) % 11
-  if (resto === 10 || resto === 11) resto = 0
-  if (resto !== parseInt(cpf.substring(10, 11), 10)) return false
-
-  return true
-}
-
 const normalizarTelefoneBR = (value) => {
   const digits = String(value || '').replace(/\D/g, '')
   if (!BRAZIL_PHONE_RE.test(digits)) return null
@@ -325,33 +397,37 @@ const uploadCadastro = multer({
   },
 })
 
-// Middleware para verificar tentativas de login por IP
-const checkLoginAttempts = (req, res, next) => {
+const respondLoginThrottled = (res, bloqueio) => {
+  res.set('Retry-After', String(bloqueio.retryAfterSeconds))
+
+  const message =
+    bloqueio.motivo === 'bloqueio'
+      ? `Muitas tentativas falhas. Tente novamente em ${Math.ceil(
+          bloqueio.retryAfterSeconds / 60
+        )} minutos.`
+      : `Aguarde ${bloqueio.retryAfterSeconds} segundos antes de tentar novamente.`
+
+  return res.status(429).json({ message, retryAfterSeconds: bloqueio.retryAfterSeconds })
+}
+
+// Middleware para verificar tentativas de login por IP e por conta
+const checkLoginAttempts = async (req, res, next) => {
   const ip = req.ip
-  const attempts = failedLoginAttempts.get(ip) || { count: 0, lastAttempt: 0 }
+  const email = req.body?.email
 
-  if (attempts.count >= MAX_LOGIN_ATTEMPTS) {
-    const timeRemainingMs = attempts.lastAttempt + LOGIN_BLOCK_TIME - Date.now()
-    const timeRemainingMinutes = Math.ceil(timeRemainingMs / 1000 / 60)
+  try {
+    const bloqueio = await checkLoginThrottle({ ip, email })
 
-    if (timeRemainingMs > 0) {
-      return res.status(429).json({
-        message: `Muitas tentativas falhas. Tente novamente em ${timeRemainingMinutes} minutos.`,
-      })
-    } else {
-      // Tempo de bloqueio expirou, reseta contador
-      failedLoginAttempts.delete(ip)
+    if (bloqueio) {
+      logger.warn('Login: Tentativa bloqueada', { email, ip, ...bloqueio })
+      return respondLoginThrottled(res, bloqueio)
     }
+  } catch (err) {
+    logger.error('Erro ao verificar tentativas de login', err, { email, ip })
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
   }
-  next()
-}
 
-// Validador de senha forte
-const isStrongPassword = (password) => {
-  const strongRegex = new RegExp(
-    '^(?=.*[a-z])(?=.*[A-Z])(?=.*[0-9])(?=.*[!@#$%^&*])(?=.{8,})'
-  )
-  return strongRegex.test(password)
+  next()
 }
 
 // Função auxiliar para envio de e-mail de redefinição
@@ -361,18 +437,73 @@ const generateMfaCode = () => {
   return String(crypto.randomInt(min, max)).padStart(MFA_CODE_LENGTH, '0')
 }
 
-const issueAuthToken = (user) =>
-  jwt.sign({ id: user.id, email: user.email }, JWT_SECRET, { expiresIn: '10m' })
-
-const issueMfaChallengeToken = (user, codeHash) =>
+const issueAuthToken = (user, sessaoId) =>
   jwt.sign(
-    { id: user.id, email: user.email, type: 'mfa', codeHash },
+    {
+      id: user.id,
+      email: user.email,
+      role: user.role || DEFAULT_ROLE,
+      sid: sessaoId,
+      tv: user.tokenVersion || 0,
+    },
+    JWT_SECRET,
+    { expiresIn: '10m' }
+  )
+
+// Abre uma sessão (refresh token) e emite o JWT vinculado a ela
+const issueLoginTokens = async (user, req) => {
+  const { sessao, refreshToken } = await createSession(user, req)
+  return { token: issueAuthToken(user, sessao.id), refreshToken }
+}
+
+// O desafio fica persistido (tentativas/consumo); o token só referencia o registro.
+// "login" guarda como a identidade foi comprovada (SENHA ou OIDC) para o histórico.
+const issueMfaChallengeToken = async (user, { method, codeHash = null, login = 'SENHA' }) => {
+  const challenge = await createMfaChallenge(user, {
+    metodo: method,
+    codeHash,
+    ttlMinutes: MFA_CODE_TTL_MINUTES,
+  })
+
+  return jwt.sign(
+    { id: user.id, email: user.email, type: 'mfa', method, cid: challenge.id, login },
     MFA_CHALLENGE_SECRET,
     { expiresIn: `${MFA_CODE_TTL_MINUTES}m` }
   )
+}
 
 const isMfaEnabled = () => process.env.MFA_ENABLED === 'true'
 
+// TOTP tem prioridade quando o usuário ativou um app autenticador; o código
+// por e-mail vale quando o MFA global está ligado ou o perfil exige MFA.
+const resolveMfaMethod = async (user) => {
+  if (isTotpEnabled(user)) return 'TOTP'
+  if (isMfaEnabled()) return 'EMAIL'
+
+  const requiredRoles = await getMfaRequiredRoles()
+  return requiredRoles.includes(user.role || DEFAULT_ROLE) ? 'EMAIL' : null
+}
+
+// Senha vencida pela política: no lugar dos tokens o login devolve um link de
+// troca de uso único, aplicado em POST /reset-password. Só vale para login por senha.
+const respondIfPasswordExpired = async (req, res, user, { metodo, mfa = null }) => {
+  if (metodo !== 'SENHA') return null
+
+  const passwordPolicy = await getPasswordPolicy()
+  if (!isPasswordExpired(user, passwordPolicy)) return null
+
+  const resetToken = await createPasswordReset(user, req)
+  await recordLoginFailure(req, user, { metodo, mfa, motivo: 'SENHA_EXPIRADA' })
+  logger.warn('Login: Senha expirada', { userId: user.id, ip: req.ip })
+
+  return res.status(403).json({
+    message: 'Sua senha expirou. Defina uma nova senha para continuar.',
+    senhaExpirada: true,
+    resetToken,
+    expiresInMinutes: RESET_TOKEN_TTL_MINUTES,
+  })
+}
+
 const sendResetPasswordEmail = async (user, token) => {
   const appUrl = process.env.APP_URL || 'http://localhost:3000'
   const resetLink = `${appUrl}/reset-password.html?token=${encodeURIComponent(
@@ -390,7 +521,7 @@ const sendResetPasswordEmail = async (user, token) => {
     html: `
       <p>Olá, ${safeName}!</p>
       <p>Recebemos uma solicitação para redefinir a sua senha.</p>
-      <p>Clique no link abaixo para criar uma nova senha (válido por 15 minutos):</p>
+      <p>Clique no link abaixo para criar uma nova senha (válido por ${RESET_TOKEN_TTL_MINUTES} minutos):</p>
       <p><a href="${safeResetLink}">${safeResetLink}</a></p>
       <p>Se você não fez essa solicitação, ignore este e-mail.</p>
     `,
@@ -415,6 +546,22 @@ const sendMfaCodeEmail = async (user, code) => {
   })
 }
 
+const sendAccountLockedEmail = async (user) => {
+  const safeName = he.encode(user.name || '')
+
+  await mailer.sendMail({
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    to: user.email,
+    subject: 'Conta bloqueada temporariamente - RAJJ',
+    html: `
+      <p>Olá, ${safeName}!</p>
+      <p>Detectamos várias tentativas de login com senha incorreta na sua conta.</p>
+      <p>Por segurança, o acesso foi bloqueado por ${ACCOUNT_LOCK_MINUTES} minutos.</p>
+      <p>Se não foi você, redefina sua senha assim que possível ou procure um administrador.</p>
+    `,
+  })
+}
+
 // =============================
 // CADASTRO
 // =============================
@@ -424,7 +571,7 @@ const sendMfaCodeEmail = async (user, code) => {
  * /cadastro:
  *   post:
  *     summary: Cadastra um novo usuário do sistema
- *     description: Cria um usuario com CPF, endereco, telefones, anexos opcionais e senha inicial com confirmacao.
+ *     description: Cria um usuario com CPF, endereco, telefones, anexos opcionais e senha inicial com confirmacao. Exige um convite valido (o perfil vem do convite), exceto quando ALLOW_OPEN_SIGNUP=true fora de producao.
  *     tags:
  *       - Autenticação
  *     requestBody:
@@ -441,7 +588,13 @@ const sendMfaCodeEmail = async (user, code) => {
  *             schema:
  *               $ref: '#/components/schemas/AuthRegisterResponse'
  *       400:
- *         description: Erro de validacao (campos obrigatorios, CPF, telefones, senha ou duplicidade)
+ *         description: Erro de validacao (campos obrigatorios, CPF, telefones, senha, duplicidade ou convite invalido). Senha fora da politica retorna violacoes.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PasswordPolicyErrorResponse'
+ *       403:
+ *         description: Cadastro aberto desativado e nenhum convite informado
  *         content:
  *           application/json:
  *             schema:
@@ -460,6 +613,8 @@ router.post(
     { name: 'documentos', maxCount: 10 },
   ]),
   async (req, res) => {
+    let conviteAceito = null
+
     try {
       const {
         name,
@@ -486,14 +641,6 @@ router.post(
         return res.status(400).json({ message: 'As senhas informadas nao coincidem' })
       }
 
-      if (!isStrongPassword(password)) {
-        logger.warn('Cadastro: Senha fraca', { email })
-        return res.status(400).json({
-          message:
-            'A senha deve conter pelo menos 8 caracteres, incluindo maiusculas, minusculas, numeros e caracteres especiais',
-        })
-      }
-
       if (!validarCPF(cpf)) {
         logger.warn('Cadastro: CPF invalido', { email })
         return res.status(400).json({ message: 'CPF invalido' })
@@ -519,6 +666,16 @@ router.post(
         return res.status(400).json({ message: enderecoNormalizado.error })
       }
 
+      const passwordPolicy = await getPasswordPolicy()
+      const violacoes = await validatePassword(password, { policy: passwordPolicy })
+      if (violacoes.length > 0) {
+        logger.warn('Cadastro: Senha fora da politica', {
+          email,
+          violacoes: violacoes.map((violacao) => violacao.codigo),
+        })
+        return res.status(400).json(passwordPolicyError(violacoes))
+      }
+
       const cpfNormalizado = String(cpf).replace(/\D/g, '')
       const usuarioComCpf = await prisma.Cluster0.findFirst({
         where: { cpf: cpfNormalizado },
@@ -530,6 +687,34 @@ router.post(
         return res.status(400).json({ message: 'CPF ja esta em uso' })
       }
 
+      const emailNormalizado = String(email).trim().toLowerCase()
+
+      // Sem cadastro aberto, so entra quem tem um convite valido para este e-mail
+      if (req.body.convite || !isOpenSignupEnabled()) {
+        if (!req.body.convite) {
+          logger.warn('Cadastro: Convite ausente', { email })
+          return res.status(403).json({ message: 'Cadastro disponivel apenas por convite' })
+        }
+
+        const { convite, error } = await findPendingInvite(req.body.convite)
+
+        if (error) {
+          logger.warn('Cadastro: Convite invalido', { email, reason: error })
+          return res.status(400).json({ message: 'Convite invalido ou expirado' })
+        }
+
+        if (convite.email !== emailNormalizado) {
+          logger.warn('Cadastro: E-mail diferente do convite', { email, conviteId: convite.id })
+          return res.status(400).json({ message: 'O e-mail informado nao corresponde ao convite' })
+        }
+
+        if (!(await acceptInvite(convite))) {
+          return res.status(400).json({ message: 'Convite invalido ou expirado' })
+        }
+
+        conviteAceito = convite
+      }
+
       const salt = await bcrypt.genSalt(10)
       const hashPassword = await bcrypt.hash(password, salt)
 
@@ -542,24 +727,46 @@ router.post(
 
       const userDB = await prisma.Cluster0.create({
         data: {
-          email: String(email).trim().toLowerCase(),
+          email: emailNormalizado,
           name: String(name).trim(),
           password: hashPassword,
+          senhaAlteradaEm: new Date(),
+          senhasAnteriores: [],
           cpf: cpfNormalizado,
           endereco: enderecoNormalizado.value,
           telefones: telefonesNormalizados,
           fotoPath,
           documentos: documentosPaths,
           status: 'ATIVO',
+          role: conviteAceito ? conviteAceito.role : DEFAULT_ROLE,
+          // o convite chegou neste endereco, entao ele ja esta confirmado
+          emailVerificadoEm: conviteAceito ? new Date() : null,
+          emailPendente: null,
         },
       })
 
+      if (conviteAceito) {
+        await linkInviteToUser(conviteAceito, userDB.id)
+      } else {
+        try {
+          await sendEmailVerification(userDB)
+        } catch (mailError) {
+          logger.error('Falha ao enviar confirmacao de e-mail', mailError, {
+            userId: userDB.id,
+            email: userDB.email,
+          })
+        }
+      }
+
       logger.success('Usuario registrado com sucesso', {
         userId: userDB.id,
         email: userDB.email,
         name: userDB.name,
       })
-      logger.userAction('registro_concluido', userDB.id, { email: userDB.email })
+      logger.userAction('registro_concluido', userDB.id, {
+        email: userDB.email,
+        conviteId: conviteAceito?.id,
+      })
 
       res.status(201).json({
         id: userDB.id,
@@ -571,11 +778,17 @@ router.post(
         fotoPath: userDB.fotoPath,
         documentos: userDB.documentos,
         status: userDB.status,
-        message: 'Usuario criado com sucesso',
+        message: conviteAceito
+          ? 'Usuario criado com sucesso'
+          : 'Usuario criado com sucesso. Confirme seu e-mail para entrar.',
       })
     } catch (err) {
       logger.error('Erro no cadastro', err, { email: req.body.email })
 
+      if (conviteAceito) {
+        await releaseInvite(conviteAceito).catch(() => {})
+      }
+
       if (err.code === 'P2002') {
         logger.warn('Cadastro: E-mail duplicado', { email: req.body.email })
         return res.status(400).json({ message: 'E-mail ja esta em uso' })
@@ -590,12 +803,107 @@ router.post(
 // LOGIN
 // =============================
 
+// Etapa comum a todos os logins depois que a identidade foi comprovada
+// (senha ou provedor OIDC): pede o segundo fator quando exigido ou emite os tokens.
+const completeLogin = async (req, res, user, metodo = 'SENHA') => {
+  const ip = req.ip
+
+  const mfaMethod = await resolveMfaMethod(user)
+
+  // conta bloqueada por erros no codigo MFA nao recebe novos desafios
+  if (mfaMethod) {
+    const bloqueio = await checkLoginThrottle({ ip, email: user.email, escopo: 'mfa' })
+    if (bloqueio) {
+      logger.warn('Login: Desafio MFA bloqueado', { email: user.email, ip, ...bloqueio })
+      return respondLoginThrottled(res, bloqueio)
+    }
+  }
+
+  if (mfaMethod === 'TOTP') {
+    const challengeToken = await issueMfaChallengeToken(user, { method: 'TOTP', login: metodo })
+
+    logger.userAction('mfa_challenge_emitido', user.id, {
+      email: user.email,
+      ip,
+      method: 'TOTP',
+    })
+
+    return res.status(202).json({
+      message: 'Informe o código do aplicativo autenticador.',
+      requiresMfa: true,
+      method: 'TOTP',
+      challengeToken,
+      expiresInMinutes: MFA_CODE_TTL_MINUTES,
+    })
+  }
+
+  if (mfaMethod === 'EMAIL') {
+    const code = generateMfaCode()
+    const salt = await bcrypt.genSalt(10)
+    const codeHash = await bcrypt.hash(code, salt)
+
+    try {
+      await sendMfaCodeEmail(user, code)
+    } catch (mailError) {
+      logger.error('Falha ao enviar cÃ³digo MFA', mailError, {
+        userId: user.id,
+        email: user.email,
+        ip,
+      })
+
+      return res.status(503).json({
+        message: 'NÃ£o foi possÃ­vel enviar o cÃ³digo MFA. Tente novamente.',
+      })
+    }
+
+    const challengeToken = await issueMfaChallengeToken(user, {
+      method: 'EMAIL',
+      codeHash,
+      login: metodo,
+    })
+
+    logger.userAction('mfa_challenge_emitido', user.id, {
+      email: user.email,
+      ip,
+      method: 'EMAIL',
+    })
+
+    return res.status(202).json({
+      message: 'CÃ³digo de verificaÃ§Ã£o enviado para o e-mail.',
+      requiresMfa: true,
+      method: 'EMAIL',
+      challengeToken,
+      expiresInMinutes: MFA_CODE_TTL_MINUTES,
+    })
+  }
+
+  const expired = await respondIfPasswordExpired(req, res, user, { metodo })
+  if (expired) return expired
+
+  const { token, refreshToken } = await issueLoginTokens(user, req)
+  await recordLoginSuccess(req, user, { metodo })
+
+  logger.success('Login realizado com sucesso', {
+    userId: user.id,
+    email: user.email,
+    ip,
+  })
+  logger.userAction('login_concluido', user.id, { email: user.email, ip, metodo })
+
+  return res.status(200).json({
+    message: 'Login realizado com sucesso',
+    token,
+    refreshToken,
+    user: { id: user.id, name: user.name, email: user.email, status: user.status },
+  })
+}
+
 /**
  * @swagger
  * /login:
  *   post:
  *     summary: Realiza login e retorna um token JWT
- *     description: Valida e-mail e senha, aplica limite de tentativas por IP e retorna um JWT com expiração de 10 minutos.
+ *     description: Valida e-mail e senha, aplica limite de tentativas por IP e por conta (com espera progressiva e bloqueio temporário) e retorna um JWT com expiração de 10 minutos.
  *     tags:
  *       - Autenticação
  *     requestBody:
@@ -623,8 +931,14 @@ router.post(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/MessageResponse'
+ *       403:
+ *         description: Cadastro inativo, e-mail ainda nao confirmado (emailNaoVerificado=true) ou senha expirada (senhaExpirada=true, com resetToken para POST /reset-password)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MessageResponse'
  *       429:
- *         description: Muitas tentativas de login para o mesmo IP
+ *         description: Muitas tentativas de login para o mesmo IP ou conta (ver header Retry-After)
  *         content:
  *           application/json:
  *             schema:
@@ -655,99 +969,294 @@ router.post('/login', checkLoginAttempts, async (req, res) => {
     })
 
     if (!user) {
+      await registerLoginFailure({ ip, email })
       logger.warn('Login: Usuário não encontrado', { email, ip })
       return res.status(401).json({ message: 'Credenciais inválidas' })
     }
 
-    if (user.status && user.status !== 'ATIVO') {
-      logger.warn('Login: Usuario inativo', { email, ip, userId: user.id })
-      return res.status(403).json({ message: 'Cadastro inativo. Procure um administrador.' })
-    }
-
     const isPasswordValid = await bcrypt.compare(password, user.password)
 
     if (!isPasswordValid) {
-      const attempts = failedLoginAttempts.get(ip) || {
-        count: 0,
-        lastAttempt: 0,
-      }
-
-      failedLoginAttempts.set(ip, {
-        count: attempts.count + 1,
-        lastAttempt: Date.now(),
-      })
+      const falha = await registerLoginFailure({ ip, email })
+      await recordLoginFailure(req, user, { motivo: 'SENHA_INVALIDA' })
 
       logger.warn('Login: Senha inválida', {
         email,
         ip,
-        tentativasRestantes: MAX_LOGIN_ATTEMPTS - (attempts.count + 1),
+        tentativasRestantes: falha.attemptsRemaining,
       })
 
+      if (falha.accountLocked) {
+        logger.auth('login', user.id, 'failure', { email, ip, reason: 'Account locked' })
+
+        try {
+          await sendAccountLockedEmail(user)
+        } catch (mailError) {
+          logger.error('Falha ao enviar aviso de bloqueio', mailError, {
+            userId: user.id,
+            email: user.email,
+          })
+        }
+      }
+
       return res.status(401).json({
         message: 'Credenciais inválidas',
-        attemptsRemaining: MAX_LOGIN_ATTEMPTS - (attempts.count + 1),
+        attemptsRemaining: falha.attemptsRemaining,
       })
     }
 
-    // Resetar contador após login bem-sucedido
-    failedLoginAttempts.delete(ip)
+    // so quem acertou a senha descobre que o cadastro esta inativo
+    if (user.status && user.status !== 'ATIVO') {
+      await recordLoginFailure(req, user, { motivo: 'CADASTRO_INATIVO' })
+      logger.warn('Login: Usuario inativo', { email, ip, userId: user.id })
+      return res.status(403).json({ message: 'Cadastro inativo. Procure um administrador.' })
+    }
 
-    if (isMfaEnabled()) {
-      const code = generateMfaCode()
-      const salt = await bcrypt.genSalt(10)
-      const codeHash = await bcrypt.hash(code, salt)
+    // Resetar contadores após login bem-sucedido
+    await clearLoginFailures({ ip, email })
 
-      try {
-        await sendMfaCodeEmail(user, code)
-      } catch (mailError) {
-        logger.error('Falha ao enviar cÃ³digo MFA', mailError, {
-          userId: user.id,
-          email: user.email,
-          ip,
-        })
+    if (!user.emailVerificadoEm) {
+      await recordLoginFailure(req, user, { motivo: 'EMAIL_NAO_CONFIRMADO' })
+      logger.warn('Login: E-mail nao confirmado', { email, ip, userId: user.id })
+      return res.status(403).json({
+        message: 'Confirme seu e-mail antes de entrar. Verifique sua caixa de entrada.',
+        emailNaoVerificado: true,
+      })
+    }
 
-        return res.status(503).json({
-          message: 'NÃ£o foi possÃ­vel enviar o cÃ³digo MFA. Tente novamente.',
-        })
+    return completeLogin(req, res, user)
+  } catch (err) {
+    logger.error('Erro no login', err, { email: req.body.email, ip: req.ip })
+    res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
+/**
+ * @swagger
+ * /login/oidc/iniciar:
+ *   post:
+ *     summary: Inicia o login pelo provedor de identidade (OIDC)
+ *     description: Gera state, nonce e o desafio PKCE e devolve a URL de autorizacao do provedor. O provedor redireciona de volta para OIDC_REDIRECT_URI com code e state, que devem ser enviados para POST /login/oidc.
+ *     tags:
+ *       - Autenticação
+ *     responses:
+ *       200:
+ *         description: URL de autorizacao gerada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 url:
+ *                   type: string
+ *                 expiresInMinutes:
+ *                   type: integer
+ *       404:
+ *         description: Login OIDC nao configurado
+ *       502:
+ *         description: Provedor de identidade indisponível
+ */
+router.post('/login/oidc/iniciar', async (req, res) => {
+  if (!isOidcEnabled()) {
+    return res.status(404).json({ message: 'Login pelo provedor de identidade não configurado' })
+  }
+
+  try {
+    const state = crypto.randomBytes(32).toString('base64url')
+    const nonce = crypto.randomBytes(32).toString('base64url')
+    const { codeVerifier, codeChallenge } = createPkcePair()
+
+    const url = await buildAuthorizationUrl({ state, nonce, codeChallenge })
+    await createOidcLogin({ state, nonce, codeVerifier }, req)
+
+    return res.status(200).json({ url, expiresInMinutes: OIDC_LOGIN_TTL_MINUTES })
+  } catch (err) {
+    logger.error('Erro ao iniciar login OIDC', err, { ip: req.ip })
+    return res.status(502).json({ message: 'Provedor de identidade indisponível. Tente novamente.' })
+  }
+})
+
+/**
+ * @swagger
+ * /login/oidc:
+ *   post:
+ *     summary: Conclui o login pelo provedor de identidade (OIDC)
+ *     description: Troca o código pelo id_token (PKCE), valida assinatura, emissor, audiência e nonce e vincula o login ao usuário com o mesmo e-mail. Responde como POST /login (tokens ou desafio MFA).
+ *     tags:
+ *       - Autenticação
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - state
+ *             properties:
+ *               code:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login realizado com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthLoginResponse'
+ *       202:
+ *         description: Segundo fator necessário
+ *       400:
+ *         description: Código ou state ausente, inválido, expirado ou já utilizado
+ *       401:
+ *         description: Código recusado pelo provedor ou id_token inválido
+ *       403:
+ *         description: E-mail não confirmado pelo provedor, sem cadastro, vinculado a outra identidade ou cadastro inativo
+ *       404:
+ *         description: Login OIDC nao configurado
+ *       429:
+ *         description: Muitas tentativas a partir deste IP
+ *       502:
+ *         description: Provedor de identidade indisponível
+ */
+router.post('/login/oidc', checkLoginAttempts, async (req, res) => {
+  if (!isOidcEnabled()) {
+    return res.status(404).json({ message: 'Login pelo provedor de identidade não configurado' })
+  }
+
+  const ip = req.ip
+  const { code, state } = req.body
+
+  if (!code || !state) {
+    return res.status(400).json({ message: 'Código e state são obrigatórios' })
+  }
+
+  try {
+    const login = await consumeOidcLogin(String(state))
+    if (login.error) {
+      logger.warn('Login OIDC: state recusado', { ip, reason: login.error })
+      return res.status(400).json({ message: 'Login expirado ou inválido. Tente novamente.' })
+    }
+
+    let claims
+    try {
+      const exchange = await exchangeCode({ code: String(code), codeVerifier: login.codeVerifier })
+      if (exchange.error) {
+        await registerLoginFailure({ ip })
+        logger.warn('Login OIDC: código recusado pelo provedor', { ip, detail: exchange.detail })
+        return res.status(401).json({ message: 'Não foi possível validar o login no provedor' })
+      }
+
+      const verified = await verifyIdToken(exchange.idToken, { nonce: login.nonce })
+      if (verified.error) {
+        await registerLoginFailure({ ip })
+        logger.auth('login_oidc', 'unknown', 'failure', { ip, reason: `id_token ${verified.error}` })
+        return res.status(401).json({ message: 'Não foi possível validar o login no provedor' })
       }
 
-      const challengeToken = issueMfaChallengeToken(user, codeHash)
+      claims = verified.claims
+    } catch (providerError) {
+      logger.error('Provedor OIDC indisponível', providerError, { ip })
+      return res.status(502).json({ message: 'Provedor de identidade indisponível. Tente novamente.' })
+    }
+
+    const email = String(claims.email || '').trim().toLowerCase()
+
+    // vincular por e-mail so e seguro quando o provedor garante a posse do endereco
+    if (!email || claims.email_verified !== true) {
+      logger.warn('Login OIDC: e-mail nao confirmado pelo provedor', { ip, sub: claims.sub })
+      return res.status(403).json({ message: 'O provedor não confirmou o seu e-mail.' })
+    }
 
-      logger.userAction('mfa_challenge_emitido', user.id, { email: user.email, ip })
+    const user = await prisma.Cluster0.findUnique({ where: { email } })
 
-      return res.status(202).json({
-        message: 'CÃ³digo de verificaÃ§Ã£o enviado para o e-mail.',
-        requiresMfa: true,
-        challengeToken,
-        expiresInMinutes: MFA_CODE_TTL_MINUTES,
+    if (!user) {
+      logger.warn('Login OIDC: nenhum cadastro para o e-mail', { email, ip })
+      return res.status(403).json({
+        message: 'Nenhum cadastro com este e-mail. Solicite um convite ao administrador.',
       })
     }
 
-    const token = issueAuthToken(user)
+    if (user.oidcSub && user.oidcSub !== claims.sub) {
+      await recordLoginFailure(req, user, { metodo: 'OIDC', motivo: 'OIDC_OUTRA_IDENTIDADE' })
+      logger.auth('login_oidc', user.id, 'failure', { email, ip, reason: 'Different OIDC subject' })
+      return res.status(403).json({ message: 'Este cadastro está vinculado a outra conta do provedor.' })
+    }
 
-    logger.success('Login realizado com sucesso', {
-      userId: user.id,
-      email: user.email,
-      ip,
-    })
-    logger.userAction('login_concluido', user.id, { email: user.email, ip })
+    if (user.status && user.status !== 'ATIVO') {
+      await recordLoginFailure(req, user, { metodo: 'OIDC', motivo: 'CADASTRO_INATIVO' })
+      logger.warn('Login OIDC: Usuario inativo', { email, ip, userId: user.id })
+      return res.status(403).json({ message: 'Cadastro inativo. Procure um administrador.' })
+    }
 
-    res.status(200).json({
-      message: 'Login realizado com sucesso',
-      token,
-      user: { id: user.id, name: user.name, email: user.email, status: user.status },
-    })
+    // primeiro login pelo provedor: guarda o sub e, como o provedor
+    // confirmou o e-mail, libera um cadastro ainda nao confirmado
+    if (!user.oidcSub || !user.emailVerificadoEm) {
+      const data = { oidcSub: claims.sub }
+      if (!user.emailVerificadoEm) data.emailVerificadoEm = new Date()
+
+      await prisma.Cluster0.update({ where: { id: user.id }, data })
+      Object.assign(user, data)
+    }
+
+    await clearLoginFailures({ ip, email })
+
+    return completeLogin(req, res, user, 'OIDC')
   } catch (err) {
-    logger.error('Erro no login', err, { email: req.body.email, ip: req.ip })
-    res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+    logger.error('Erro no login OIDC', err, { ip })
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
   }
 })
 
+/**
+ * @swagger
+ * /login/mfa/verify:
+ *   post:
+ *     summary: Conclui o login validando o segundo fator
+ *     description: Aceita o código do aplicativo autenticador (TOTP), o código enviado por e-mail ou um código de recuperação de uso único.
+ *     tags:
+ *       - Autenticação
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Código TOTP ou código recebido por e-mail
+ *               recoveryCode:
+ *                 type: string
+ *                 description: Código de recuperação (alternativa ao code)
+ *     responses:
+ *       200:
+ *         description: Login realizado com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthLoginResponse'
+ *       400:
+ *         description: Desafio ausente, inválido ou expirado
+ *       401:
+ *         description: Código inválido (retorna attemptsRemaining)
+ *       403:
+ *         description: Cadastro inativo
+ *       429:
+ *         description: Desafio, IP ou conta bloqueados após exceder o limite de tentativas de código
+ *       500:
+ *         description: Erro no servidor
+ */
 router.post('/login/mfa/verify', async (req, res) => {
   try {
-    const { challengeToken, code } = req.body
+    const { challengeToken, code, recoveryCode } = req.body
 
-    if (!challengeToken || !code) {
+    if (!challengeToken || (!code && !recoveryCode)) {
       return res
         .status(400)
         .json({ message: 'Token do desafio MFA e cÃ³digo sÃ£o obrigatÃ³rios' })
@@ -763,10 +1272,28 @@ router.post('/login/mfa/verify', async (req, res) => {
       return res.status(400).json({ message: 'Desafio MFA invÃ¡lido ou expirado' })
     }
 
-    if (!payload || payload.type !== 'mfa' || !payload.codeHash) {
+    if (!payload || payload.type !== 'mfa' || !payload.cid) {
       return res.status(400).json({ message: 'Desafio MFA invÃ¡lido' })
     }
 
+    const active = await findActiveMfaChallenge(payload.cid, payload.id)
+
+    if (active.error === 'locked') {
+      return res.status(429).json({
+        message: 'Limite de tentativas atingido. Faça login novamente.',
+      })
+    }
+
+    if (active.error) {
+      logger.warn('MFA verify: desafio não pode ser usado', {
+        userId: payload.id,
+        reason: active.error,
+      })
+      return res.status(400).json({ message: 'Desafio MFA inválido ou expirado' })
+    }
+
+    const { challenge } = active
+
     const user = await prisma.Cluster0.findUnique({
       where: { id: payload.id },
     })
@@ -775,28 +1302,95 @@ router.post('/login/mfa/verify', async (req, res) => {
       return res.status(400).json({ message: 'UsuÃ¡rio do desafio MFA nÃ£o encontrado' })
     }
 
+    const metodoLogin = payload.login || 'SENHA'
+
     if (user.status && user.status !== 'ATIVO') {
+      await recordLoginFailure(req, user, { metodo: metodoLogin, motivo: 'CADASTRO_INATIVO' })
       return res.status(403).json({ message: 'Cadastro inativo. Procure um administrador.' })
     }
 
-    const isCodeValid = await bcrypt.compare(String(code), payload.codeHash)
+    // limite por IP e por conta, alem do limite de cada desafio: novos
+    // desafios nao renovam as tentativas
+    const tentativaMfa = { ip: req.ip, email: user.email, escopo: 'mfa' }
+    const bloqueio = await checkLoginThrottle(tentativaMfa)
+    if (bloqueio) {
+      logger.warn('MFA verify: tentativa bloqueada', { userId: user.id, ip: req.ip, ...bloqueio })
+      return respondLoginThrottled(res, bloqueio)
+    }
+
+    let isCodeValid = false
+    let metodoUsado = null
+
+    if (recoveryCode) {
+      isCodeValid = await consumeRecoveryCode(user, recoveryCode)
+      metodoUsado = 'RECOVERY'
+    } else {
+      if (isTotpEnabled(user)) {
+        isCodeValid = await verifyUserTotp(user, code)
+        metodoUsado = 'TOTP'
+      }
+      if (!isCodeValid && challenge.codeHash) {
+        isCodeValid = await bcrypt.compare(String(code), challenge.codeHash)
+        metodoUsado = 'EMAIL'
+      }
+    }
 
     if (!isCodeValid) {
+      const attempt = await registerFailedMfaAttempt(challenge)
+      const falha = await registerLoginFailure(tentativaMfa)
+      await recordLoginFailure(req, user, {
+        metodo: metodoLogin,
+        mfa: metodoUsado,
+        motivo: 'MFA_INVALIDO',
+      })
+
+      logger.warn('MFA verify: código inválido', {
+        userId: user.id,
+        attemptsRemaining: attempt.attemptsRemaining,
+      })
+
+      if (falha.accountLocked) {
+        logger.auth('mfa_verify', user.id, 'failure', { ip: req.ip, reason: 'Account locked' })
+      }
+
+      if (attempt.locked || falha.accountLocked || falha.ipLocked) {
+        return res.status(429).json({
+          message: 'Limite de tentativas atingido. Faça login novamente.',
+        })
+      }
+
       return res.status(401).json({
         message: 'CÃ³digo MFA invÃ¡lido',
+        attemptsRemaining: Math.min(attempt.attemptsRemaining, falha.attemptsRemaining),
       })
     }
 
-    const token = issueAuthToken(user)
+    // uso único: um segundo envio do mesmo desafio não gera outro login
+    if (!(await consumeMfaChallenge(challenge))) {
+      return res.status(400).json({ message: 'Desafio MFA inválido ou expirado' })
+    }
+
+    await clearLoginFailures(tentativaMfa)
+
+    const expired = await respondIfPasswordExpired(req, res, user, {
+      metodo: metodoLogin,
+      mfa: metodoUsado,
+    })
+    if (expired) return expired
+
+    const { token, refreshToken } = await issueLoginTokens(user, req)
+    await recordLoginSuccess(req, user, { metodo: metodoLogin, mfa: metodoUsado })
 
     logger.success('MFA validado com sucesso', {
       userId: user.id,
       email: user.email,
+      method: metodoUsado,
     })
 
     return res.status(200).json({
       message: 'Login realizado com sucesso',
       token,
+      refreshToken,
       user: { id: user.id, name: user.name, email: user.email, status: user.status },
     })
   } catch (err) {
@@ -805,6 +1399,127 @@ router.post('/login/mfa/verify', async (req, res) => {
   }
 })
 
+// =============================
+// RENOVAÇÃO DE TOKEN / LOGOUT
+// =============================
+
+/**
+ * @swagger
+ * /refresh:
+ *   post:
+ *     summary: Renova o JWT a partir do refresh token
+ *     description: O refresh token é rotativo. Cada uso devolve um novo par de tokens e invalida o anterior; reutilizar um token já trocado encerra a sessão.
+ *     tags:
+ *       - Autenticação
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshTokenRequest'
+ *     responses:
+ *       200:
+ *         description: Tokens renovados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RefreshTokenResponse'
+ *       400:
+ *         description: Refresh token não enviado
+ *       401:
+ *         description: Refresh token inválido, expirado ou revogado
+ *       403:
+ *         description: Cadastro inativo
+ *       500:
+ *         description: Erro no servidor
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token é obrigatório' })
+    }
+
+    const rotated = await rotateSession(refreshToken, req)
+
+    if (rotated.error) {
+      logger.auth('refresh_token', rotated.sessao?.userId || 'unknown', 'failure', {
+        reason: rotated.error,
+        ip: req.ip,
+      })
+      return res.status(401).json({ message: 'Sessão inválida ou expirada' })
+    }
+
+    const user = await prisma.Cluster0.findUnique({
+      where: { id: rotated.sessao.userId },
+    })
+
+    if (!user || (user.status && user.status !== 'ATIVO')) {
+      await revokeSession(rotated.sessao.id)
+      return res.status(403).json({ message: 'Cadastro inativo. Procure um administrador.' })
+    }
+
+    logger.auth('refresh_token', user.email, 'success', { ip: req.ip })
+
+    return res.status(200).json({
+      token: issueAuthToken(user, rotated.sessao.id),
+      refreshToken: rotated.refreshToken,
+    })
+  } catch (err) {
+    logger.error('Erro em /refresh', err, { ip: req.ip })
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
+/**
+ * @swagger
+ * /logout:
+ *   post:
+ *     summary: Encerra a sessão do refresh token informado
+ *     tags:
+ *       - Autenticação
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshTokenRequest'
+ *     responses:
+ *       200:
+ *         description: Sessão encerrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MessageResponse'
+ *       400:
+ *         description: Refresh token não enviado ou malformado
+ *       500:
+ *         description: Erro no servidor
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    const parsed = parseRefreshToken(req.body.refreshToken)
+
+    if (!parsed) {
+      return res.status(400).json({ message: 'Refresh token inválido' })
+    }
+
+    // resposta sempre igual para não revelar se a sessão existia
+    const revoked = await revokeRefreshToken(req.body.refreshToken)
+    logger.userAction('logout', 'anonymous', {
+      sessaoId: parsed.sessaoId,
+      revoked: revoked > 0,
+      ip: req.ip,
+    })
+
+    return res.status(200).json({ message: 'Sessão encerrada' })
+  } catch (err) {
+    logger.error('Erro em /logout', err, { ip: req.ip })
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
 // =============================
 // ESQUECI MINHA SENHA
 // =============================
@@ -867,11 +1582,8 @@ router.post('/esqueci-senha', async (req, res) => {
       })
     }
 
-    const token = jwt.sign(
-      { id: user.id, email: user.email, type: 'reset' },
-      RESET_PASSWORD_SECRET,
-      { expiresIn: '15m' }
-    )
+    // token opaco de uso único; pedir de novo invalida os links anteriores
+    const token = await createPasswordReset(user, req)
 
     try {
       await sendResetPasswordEmail(user, token)
@@ -911,7 +1623,7 @@ router.post('/esqueci-senha', async (req, res) => {
  * /reset-password:
  *   post:
  *     summary: Redefine a senha de um usuário
- *     description: Recebe o token de redefinição (enviado por e-mail) e a nova senha. Valida o token, aplica validação de senha forte e atualiza a senha do usuário.
+ *     description: Recebe o token de redefinição (enviado por e-mail) e a nova senha. O token é de uso único e deixa de valer quando um link mais novo é solicitado.
  *     tags:
  *       - Autenticação
  *     requestBody:
@@ -928,11 +1640,11 @@ router.post('/esqueci-senha', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/MessageResponse'
  *       400:
- *         description: Token inválido/expirado ou senha fraca/ausente
+ *         description: Token inválido/expirado, senha ausente ou fora da política (com violacoes)
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/MessageResponse'
+ *               $ref: '#/components/schemas/PasswordPolicyErrorResponse'
  *       500:
  *         description: Erro ao redefinir senha
  *         content:
@@ -953,39 +1665,61 @@ router.post('/reset-password', async (req, res) => {
         .json({ message: 'Token e nova senha são obrigatórios' })
     }
 
-    if (!isStrongPassword(password)) {
-      logger.warn('Reset-password: Senha fraca fornecida')
-      return res.status(400).json({
-        message:
-          'A senha deve conter pelo menos 8 caracteres, incluindo maiúsculas, minúsculas, números e caracteres especiais',
+    const pending = await findPasswordReset(token)
+    const user = pending.reset
+      ? await prisma.Cluster0.findUnique({
+          where: { id: pending.reset.userId },
+          select: { id: true, password: true, senhasAnteriores: true },
+        })
+      : null
+
+    if (!user) {
+      logger.warn('Reset-password: Token inválido, expirado ou já utilizado', {
+        reason: pending.error || 'user',
       })
+      return res.status(400).json({ message: 'Token inválido ou expirado' })
     }
 
-    let payload
-    try {
-      payload = jwt.verify(token, RESET_PASSWORD_SECRET)
-    } catch (err) {
-      logger.warn('Reset-password: Token inválido ou expirado', { error: err.message })
-      return res.status(400).json({ message: 'Token inválido ou expirado' })
+    // a política é checada antes de consumir o link: uma senha recusada não o invalida
+    const passwordPolicy = await getPasswordPolicy()
+    const violacoes = await validatePassword(password, {
+      policy: passwordPolicy,
+      historico: getPasswordHistory(user),
+    })
+    if (violacoes.length > 0) {
+      logger.warn('Reset-password: Senha fora da política', {
+        userId: user.id,
+        violacoes: violacoes.map((violacao) => violacao.codigo),
+      })
+      return res.status(400).json(passwordPolicyError(violacoes))
     }
 
-    if (!payload || payload.type !== 'reset') {
-      logger.warn('Reset-password: Payload inválido')
-      return res.status(400).json({ message: 'Token inválido' })
+    const reset = await consumePasswordReset(token)
+
+    if (reset.error) {
+      logger.warn('Reset-password: Token inválido, expirado ou já utilizado', {
+        reason: reset.error,
+      })
+      return res.status(400).json({ message: 'Token inválido ou expirado' })
     }
 
     const salt = await bcrypt.genSalt(10)
     const hashPassword = await bcrypt.hash(password, salt)
 
+    // tokenVersion + revogação das sessões derrubam logins abertos com a senha antiga
     await prisma.Cluster0.update({
-      where: { id: payload.id },
-      data: { password: hashPassword },
+      where: { id: reset.userId },
+      data: {
+        password: hashPassword,
+        tokenVersion: { increment: 1 },
+        senhaAlteradaEm: new Date(),
+        senhasAnteriores: nextPasswordHistory(user, passwordPolicy),
+      },
     })
+    await revokeAllSessions(reset.userId)
 
-    logger.success('Senha redefinida com sucesso', { userId: payload.id })
-    logger.userAction('reset_password_concluido', payload.id, {
-      email: payload.email,
-    })
+    logger.success('Senha redefinida com sucesso', { userId: reset.userId })
+    logger.userAction('reset_password_concluido', reset.userId)
 
     return res
       .status(200)
@@ -996,4 +1730,171 @@ router.post('/reset-password', async (req, res) => {
   }
 })
 
+// =============================
+// CONFIRMAÇÃO DE E-MAIL
+// =============================
+
+/**
+ * @swagger
+ * /verificar-email:
+ *   post:
+ *     summary: Confirma o e-mail a partir do link enviado
+ *     description: Confirma o e-mail do cadastro ou aplica uma troca de e-mail pendente. Na troca, as sessoes abertas sao encerradas e o login passa a usar o novo endereco.
+ *     tags:
+ *       - Autenticação
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: E-mail confirmado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MessageResponse'
+ *       400:
+ *         description: Link invalido, expirado, ja utilizado ou e-mail ja em uso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MessageResponse'
+ *       500:
+ *         description: Erro no servidor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MessageResponse'
+ */
+router.post('/verificar-email', async (req, res) => {
+  try {
+    const { token } = req.body
+
+    if (!token) {
+      return res.status(400).json({ message: 'Token é obrigatório' })
+    }
+
+    const verificacao = await consumeEmailVerification(token)
+
+    if (verificacao.error) {
+      logger.warn('Verificar-email: Link inválido', { reason: verificacao.error })
+      return res.status(400).json({ message: 'Link de confirmação inválido ou expirado' })
+    }
+
+    const user = await prisma.Cluster0.findUnique({ where: { id: verificacao.userId } })
+
+    if (user && user.email === verificacao.email) {
+      if (!user.emailVerificadoEm) {
+        await prisma.Cluster0.update({
+          where: { id: user.id },
+          data: { emailVerificadoEm: new Date() },
+        })
+      }
+
+      logger.userAction('email_confirmado', user.id, { email: user.email })
+      return res.status(200).json({ message: 'E-mail confirmado. Você já pode entrar.' })
+    }
+
+    if (!user || user.emailPendente !== verificacao.email) {
+      // link de uma troca que foi substituída por outra
+      return res.status(400).json({ message: 'Link de confirmação inválido ou expirado' })
+    }
+
+    await prisma.Cluster0.update({
+      where: { id: user.id },
+      data: {
+        email: verificacao.email,
+        emailPendente: null,
+        emailVerificadoEm: new Date(),
+        tokenVersion: { increment: 1 },
+      },
+    })
+    await revokeAllSessions(user.id)
+
+    logger.userAction('email_alterado', user.id, {
+      emailAnterior: user.email,
+      email: verificacao.email,
+    })
+
+    return res.status(200).json({
+      message: 'E-mail alterado com sucesso. Faça login com o novo endereço.',
+    })
+  } catch (err) {
+    logger.error('Erro em /verificar-email', err)
+
+    if (err.code === 'P2002') {
+      return res.status(400).json({ message: 'E-mail ja esta em uso' })
+    }
+
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
+/**
+ * @swagger
+ * /verificar-email/reenviar:
+ *   post:
+ *     summary: Reenvia o link de confirmação do e-mail do cadastro
+ *     description: A resposta é sempre genérica para não vazar se o usuário existe ou se já confirmou o e-mail.
+ *     tags:
+ *       - Autenticação
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForgotPasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Pedido processado (sempre mensagem genérica)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MessageResponse'
+ *       400:
+ *         description: E-mail não enviado no corpo da requisição
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MessageResponse'
+ */
+router.post('/verificar-email/reenviar', async (req, res) => {
+  const genericMessage =
+    'Se o e-mail estiver cadastrado e ainda não confirmado, você receberá um novo link.'
+
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase()
+
+    if (!email) {
+      return res.status(400).json({ message: 'E-mail é obrigatório' })
+    }
+
+    const user = await prisma.Cluster0.findUnique({ where: { email } })
+
+    if (user && !user.emailVerificadoEm && user.status !== 'INATIVO') {
+      try {
+        await sendEmailVerification(user)
+        logger.userAction('confirmacao_email_reenviada', user.id, { email })
+      } catch (mailError) {
+        logger.error('Falha ao reenviar confirmacao de e-mail', mailError, {
+          userId: user.id,
+          email,
+        })
+      }
+    }
+
+    return res.status(200).json({ message: genericMessage })
+  } catch (err) {
+    logger.error('Erro em /verificar-email/reenviar', err)
+    return res.status(500).json({ message: 'Erro no servidor, tente novamente' })
+  }
+})
+
 export default router
@@ -0,0 +1,520 @@
+// routes/responsaveis.js
+import express from 'express'
+import authorize from '../middlewares/authorize.js'
+import logger from '../utils/logger.js'
+import prisma from '../utils/prisma.js'
+import { recordAudit } from '../utils/audit.js'
+import { findResponsavelByCpf, normalizeResponsavelInput } from '../utils/responsaveis.js'
+
+const router = express.Router()
+
+const OBJECT_ID_RE = /^[a-fA-F0-9]{24}$/
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 100
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Responsaveis
+ *     description: Responsáveis pelos alunos, cadastrados uma vez e vinculados a vários alunos (irmãos).
+ *
+ * components:
+ *   schemas:
+ *     ResponsavelInput:
+ *       type: object
+ *       required:
+ *         - nome
+ *       properties:
+ *         nome:
+ *           type: string
+ *           example: "Maria Silva"
+ *         cpf:
+ *           type: string
+ *           nullable: true
+ *           example: "52998224725"
+ *         email:
+ *           type: string
+ *           nullable: true
+ *           example: "maria@example.com"
+ *         telefones:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["11999999999"]
+ *         observacoes:
+ *           type: string
+ *           nullable: true
+ *
+ *     Responsavel:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ResponsavelInput'
+ *         - type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             criadoEm:
+ *               type: string
+ *               format: date-time
+ *
+ *     VinculoResponsavelInput:
+ *       type: object
+ *       description: Informe responsavelId para um responsável já cadastrado ou os dados em responsavel para cadastrar um novo (um CPF já cadastrado reaproveita o registro existente).
+ *       required:
+ *         - parentesco
+ *       properties:
+ *         responsavelId:
+ *           type: string
+ *           example: "64f1a3b9c2d4e5f678901288"
+ *         responsavel:
+ *           $ref: '#/components/schemas/ResponsavelInput'
+ *         parentesco:
+ *           type: string
+ *           enum: [MAE, PAI, MADRASTA, PADRASTO, AVO, TIO, IRMAO, TUTOR, OUTRO]
+ *         responsavelFinanceiro:
+ *           type: boolean
+ *           default: false
+ *         guardaLegal:
+ *           type: boolean
+ *           default: false
+ *
+ *     VinculoResponsavel:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         responsavelId:
+ *           type: string
+ *         parentesco:
+ *           type: string
+ *           enum: [MAE, PAI, MADRASTA, PADRASTO, AVO, TIO, IRMAO, TUTOR, OUTRO]
+ *         responsavelFinanceiro:
+ *           type: boolean
+ *         guardaLegal:
+ *           type: boolean
+ *         responsavel:
+ *           $ref: '#/components/schemas/Responsavel'
+ */
+
+const handlePrismaError = (error, res, fallback) => {
+  if (error.code === 'P2025') {
+    return res.status(404).json({ error: 'Responsável não encontrado' })
+  }
+  return res.status(500).json({ error: fallback })
+}
+
+// =======================================
+// Cadastrar responsável (POST /api/responsavel)
+// =======================================
+
+/**
+ * @swagger
+ * /api/responsavel:
+ *   post:
+ *     summary: Cadastra um responsável
+ *     tags:
+ *       - Responsaveis
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResponsavelInput'
+ *     responses:
+ *       201:
+ *         description: Responsável criado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Responsavel'
+ *       400:
+ *         description: Erro de validação (nome, CPF, e-mail ou telefone)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SimpleErrorResponse'
+ *       409:
+ *         description: CPF já cadastrado para outro responsável
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão para o módulo de alunos
+ *       500:
+ *         description: Erro ao cadastrar responsável
+ */
+router.post('/responsavel', authorize('alunos', 'write'), async (req, res) => {
+  try {
+    const { data, error } = normalizeResponsavelInput(req.body || {})
+    if (error) return res.status(400).json({ error })
+
+    if (data.cpf) {
+      const existente = await findResponsavelByCpf(data.cpf)
+      if (existente) {
+        return res.status(409).json({ error: 'CPF já cadastrado para outro responsável', responsavel: existente })
+      }
+    }
+
+    const responsavel = await prisma.responsavel.create({
+      data: {
+        ...data,
+        criadoPorId: req.user?.id || null,
+        atualizadoPorId: req.user?.id || null,
+      },
+    })
+
+    logger.userAction('responsavel_criado', req.user?.id, { responsavelId: responsavel.id })
+    await recordAudit(req, { entidade: 'responsavel', entidadeId: responsavel.id, acao: 'CRIAR', depois: responsavel })
+
+    res.status(201).json(responsavel)
+  } catch (error) {
+    console.error('[POST /responsavel] erro:', error)
+    handlePrismaError(error, res, 'Erro ao cadastrar responsável')
+  }
+})
+
+// =======================================
+// Listar responsáveis (GET /api/responsaveis)
+// =======================================
+
+/**
+ * @swagger
+ * /api/responsaveis:
+ *   get:
+ *     summary: Lista os responsáveis com paginação
+ *     tags:
+ *       - Responsaveis
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Busca parcial no nome ou no CPF
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Página de responsáveis
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 responsaveis:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Responsavel'
+ *                       - type: object
+ *                         properties:
+ *                           totalAlunos:
+ *                             type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão para o módulo de alunos
+ *       500:
+ *         description: Erro ao buscar responsáveis
+ */
+router.get('/responsaveis', authorize('alunos', 'read'), async (req, res) => {
+  try {
+    const where = {}
+    const termo = String(req.query.q || '').trim()
+    if (termo) {
+      where.OR = [{ nome: { contains: termo, mode: 'insensitive' } }]
+      const digitos = termo.replace(/\D/g, '')
+      if (digitos) where.OR.push({ cpf: { contains: digitos } })
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+
+    const [total, responsaveis] = await Promise.all([
+      prisma.responsavel.count({ where }),
+      prisma.responsavel.findMany({
+        where,
+        orderBy: [{ nome: 'asc' }, { id: 'asc' }],
+        skip: (page - 1) * limit,
+        take: limit,
+        include: { _count: { select: { alunos: true } } },
+      }),
+    ])
+
+    res.json({
+      responsaveis: responsaveis.map(({ _count, ...responsavel }) => ({
+        ...responsavel,
+        totalAlunos: _count?.alunos || 0,
+      })),
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    })
+  } catch (error) {
+    console.error('[GET /responsaveis] erro:', error)
+    res.status(500).json({ error: 'Erro ao buscar responsáveis' })
+  }
+})
+
+// =======================================
+// Buscar responsável (GET /api/responsavel/:id)
+// =======================================
+
+/**
+ * @swagger
+ * /api/responsavel/{id}:
+ *   get:
+ *     summary: Busca um responsável com os alunos vinculados
+ *     tags:
+ *       - Responsaveis
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Responsável encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Responsavel'
+ *                 - type: object
+ *                   properties:
+ *                     alunos:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           parentesco:
+ *                             type: string
+ *                           responsavelFinanceiro:
+ *                             type: boolean
+ *                           guardaLegal:
+ *                             type: boolean
+ *                           aluno:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: string
+ *                               nome:
+ *                                 type: string
+ *                               numeroMatricula:
+ *                                 type: string
+ *                               status:
+ *                                 type: string
+ *       400:
+ *         description: ID inválido
+ *       404:
+ *         description: Responsável não encontrado
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão para o módulo de alunos
+ *       500:
+ *         description: Erro ao buscar responsável
+ */
+router.get('/responsavel/:id', authorize('alunos', 'read'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const responsavel = await prisma.responsavel.findUnique({
+      where: { id },
+      include: {
+        alunos: {
+          include: { aluno: { select: { id: true, nome: true, numeroMatricula: true, status: true } } },
+          orderBy: { criadoEm: 'asc' },
+        },
+      },
+    })
+
+    if (!responsavel) return res.status(404).json({ error: 'Responsável não encontrado' })
+
+    res.json(responsavel)
+  } catch (error) {
+    console.error('[GET /responsavel/:id] erro:', error)
+    res.status(500).json({ error: 'Erro ao buscar responsável' })
+  }
+})
+
+// =======================================
+// Atualizar responsável (PATCH /api/responsavel/:id)
+// =======================================
+
+/**
+ * @swagger
+ * /api/responsavel/{id}:
+ *   patch:
+ *     summary: Atualiza parcialmente um responsável
+ *     description: A alteração vale para todos os alunos vinculados. Parentesco e flags ficam no vínculo e são alterados pelo PATCH do aluno.
+ *     tags:
+ *       - Responsaveis
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResponsavelInput'
+ *     responses:
+ *       200:
+ *         description: Responsável atualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Responsavel'
+ *       400:
+ *         description: Erro de validação
+ *       404:
+ *         description: Responsável não encontrado
+ *       409:
+ *         description: CPF já cadastrado para outro responsável
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão para o módulo de alunos
+ *       500:
+ *         description: Erro ao atualizar responsável
+ */
+router.patch('/responsavel/:id', authorize('alunos', 'write'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const { data, error } = normalizeResponsavelInput(req.body || {}, { parcial: true })
+    if (error) return res.status(400).json({ error })
+
+    const responsavelAntes = await prisma.responsavel.findUnique({ where: { id } })
+    if (!responsavelAntes) return res.status(404).json({ error: 'Responsável não encontrado' })
+
+    if (data.cpf) {
+      const existente = await findResponsavelByCpf(data.cpf, { excluirId: id })
+      if (existente) {
+        return res.status(409).json({ error: 'CPF já cadastrado para outro responsável', responsavel: existente })
+      }
+    }
+
+    const responsavel = await prisma.responsavel.update({
+      where: { id },
+      data: { ...data, atualizadoPorId: req.user?.id || null },
+    })
+
+    logger.userAction('responsavel_atualizado', req.user?.id, { responsavelId: id })
+    await recordAudit(req, {
+      entidade: 'responsavel',
+      entidadeId: id,
+      acao: 'ATUALIZAR',
+      antes: responsavelAntes,
+      depois: responsavel,
+    })
+
+    res.json(responsavel)
+  } catch (error) {
+    console.error('[PATCH /responsavel/:id] erro:', error)
+    handlePrismaError(error, res, 'Erro ao atualizar responsável')
+  }
+})
+
+// =======================================
+// Excluir responsável (DELETE /api/responsavel/:id)
+// =======================================
+
+/**
+ * @swagger
+ * /api/responsavel/{id}:
+ *   delete:
+ *     summary: Exclui um responsável sem alunos vinculados
+ *     tags:
+ *       - Responsaveis
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Responsável excluído
+ *       400:
+ *         description: ID inválido
+ *       404:
+ *         description: Responsável não encontrado
+ *       409:
+ *         description: O responsável ainda está vinculado a alunos
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão para o módulo de alunos
+ *       500:
+ *         description: Erro ao excluir responsável
+ */
+router.delete('/responsavel/:id', authorize('alunos', 'write'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const responsavelAntes = await prisma.responsavel.findUnique({ where: { id } })
+    if (!responsavelAntes) return res.status(404).json({ error: 'Responsável não encontrado' })
+
+    const vinculos = await prisma.alunoResponsavel.count({ where: { responsavelId: id } })
+    if (vinculos > 0) {
+      return res.status(409).json({ error: 'Remova o responsável dos alunos vinculados antes de excluí-lo' })
+    }
+
+    await prisma.responsavel.delete({ where: { id } })
+
+    logger.userAction('responsavel_excluido', req.user?.id, { responsavelId: id })
+    await recordAudit(req, { entidade: 'responsavel', entidadeId: id, acao: 'EXCLUIR', antes: responsavelAntes })
+
+    res.status(204).send()
+  } catch (error) {
+    console.error('[DELETE /responsavel/:id] erro:', error)
+    handlePrismaError(error, res, 'Erro ao excluir responsável')
+  }
+})
+
+export default router
@@ -0,0 +1,927 @@
+// routes/retiradas.js
+import express from 'express'
+import path from 'path'
+import fs from 'fs'
+import authorize from '../middlewares/authorize.js'
+import logger from '../utils/logger.js'
+import prisma from '../utils/prisma.js'
+import { UPLOAD_DIR_ALUNOS, signUploadPath, toAlunoUploadPath, uploadAlunos } from '../utils/uploads.js'
+import { recordAudit } from '../utils/audit.js'
+import {
+  TIPOS_MOVIMENTACAO,
+  checkRetirada,
+  getAutorizacaoStatus,
+  isPresente,
+  normalizeAutorizacaoInput,
+  normalizeDocumento,
+  startOfDay,
+} from '../utils/retiradas.js'
+
+const router = express.Router()
+
+const isNonEmptyString = (s) => typeof s === 'string' && s.trim().length > 0
+const OBJECT_ID_RE = /^[a-fA-F0-9]{24}$/
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/
+const MAX_OBS_LEN = 500
+
+// Remove a foto enviada numa requisicao recusada (ou a foto substituida);
+// fica junto com as dos alunos, protegida pelo mesmo link assinado. So apaga
+// arquivos com o nome gerado pelo upload do campo foto (foto-<data>-<n>.<ext>)
+const FOTO_UPLOAD_RE = /^\/uploads\/alunos\/foto-\d+-\d+(\.[\w-]+)?$/
+
+const removeUpload = (uploadPath) => {
+  if (!uploadPath || !FOTO_UPLOAD_RE.test(uploadPath)) return
+  fs.promises.unlink(path.join(UPLOAD_DIR_ALUNOS, path.basename(uploadPath))).catch(() => {})
+}
+
+const discardRequestUpload = (req) => {
+  if (req.file) removeUpload(toAlunoUploadPath(req.file))
+}
+
+const withStatus = (autorizacao) => ({
+  ...autorizacao,
+  status: getAutorizacaoStatus(autorizacao),
+  fotoUrl: signUploadPath(autorizacao.fotoPath),
+})
+
+const findAluno = (id) =>
+  prisma.aluno.findUnique({
+    where: { id },
+    select: { id: true, nome: true, status: true },
+  })
+
+// Ultima entrada ou saida do aluno no dia (recusas nao mudam a presenca)
+const findUltimaMovimentacao = (alunoId, now = new Date()) =>
+  prisma.entradaSaida.findFirst({
+    where: { alunoId, tipo: { in: ['ENTRADA', 'SAIDA'] }, registradoEm: { gte: startOfDay(now) } },
+    orderBy: { registradoEm: 'desc' },
+  })
+
+const parseObservacoes = (value) => {
+  if (!isNonEmptyString(value)) return { observacoes: null }
+  if (value.trim().length > MAX_OBS_LEN) {
+    return { error: `Observações deve ter no máximo ${MAX_OBS_LEN} caracteres` }
+  }
+  return { observacoes: value.trim() }
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Retiradas
+ *     description: Pessoas autorizadas a buscar cada aluno e registro de entradas e saídas na portaria.
+ *
+ * components:
+ *   schemas:
+ *     AutorizacaoRetiradaInput:
+ *       type: object
+ *       required:
+ *         - parentesco
+ *       properties:
+ *         responsavelId:
+ *           type: string
+ *           description: Responsável cadastrado; sem nome/documento, usa o nome e o CPF dele
+ *         nome:
+ *           type: string
+ *           example: "Ana Souza"
+ *         documento:
+ *           type: string
+ *           description: CPF ou RG (pontuação é ignorada)
+ *           example: "12.345.678-9"
+ *         parentesco:
+ *           type: string
+ *           enum: [MAE, PAI, MADRASTA, PADRASTO, AVO, TIO, IRMAO, TUTOR, OUTRO]
+ *         foto:
+ *           type: string
+ *           format: binary
+ *         validoDe:
+ *           type: string
+ *           format: date
+ *         validoAte:
+ *           type: string
+ *           format: date
+ *           description: Data só com o dia vale até o fim do dia
+ *         impedido:
+ *           type: boolean
+ *           description: Pessoa que nunca pode retirar o aluno (ex.: ordem judicial)
+ *         restricoes:
+ *           type: string
+ *           example: "Somente às sextas-feiras"
+ *
+ *     AutorizacaoRetirada:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         alunoId:
+ *           type: string
+ *         responsavelId:
+ *           type: string
+ *           nullable: true
+ *         nome:
+ *           type: string
+ *         documento:
+ *           type: string
+ *         parentesco:
+ *           type: string
+ *         fotoUrl:
+ *           type: string
+ *           nullable: true
+ *           description: Link assinado e temporário da foto
+ *         validoDe:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         validoAte:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         impedido:
+ *           type: boolean
+ *         restricoes:
+ *           type: string
+ *           nullable: true
+ *         revogadaEm:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [ATIVA, FUTURA, EXPIRADA, IMPEDIDA, REVOGADA]
+ *
+ *     EntradaSaida:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         alunoId:
+ *           type: string
+ *         tipo:
+ *           type: string
+ *           enum: [ENTRADA, SAIDA, RECUSADA]
+ *         autorizacaoId:
+ *           type: string
+ *           nullable: true
+ *         pessoaNome:
+ *           type: string
+ *           nullable: true
+ *         pessoaDocumento:
+ *           type: string
+ *           nullable: true
+ *         motivo:
+ *           type: string
+ *           nullable: true
+ *           description: Motivo da recusa (tipo RECUSADA)
+ *         observacoes:
+ *           type: string
+ *           nullable: true
+ *         registradoPorId:
+ *           type: string
+ *         registradoEm:
+ *           type: string
+ *           format: date-time
+ */
+
+// =======================================
+// Pessoas autorizadas (GET/POST /api/aluno/:id/autorizados)
+// =======================================
+
+/**
+ * @swagger
+ * /api/aluno/{id}/autorizados:
+ *   get:
+ *     summary: Lista quem pode (ou está impedido de) buscar o aluno
+ *     tags:
+ *       - Retiradas
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: incluirRevogadas
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Autorizações do aluno
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AutorizacaoRetirada'
+ *       400:
+ *         description: ID inválido
+ *       404:
+ *         description: Aluno não encontrado
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão para o módulo de entradas e saídas
+ *       500:
+ *         description: Erro ao buscar autorizações
+ *   post:
+ *     summary: Autoriza (ou impede) uma pessoa a buscar o aluno
+ *     tags:
+ *       - Retiradas
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/AutorizacaoRetiradaInput'
+ *     responses:
+ *       201:
+ *         description: Autorização criada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AutorizacaoRetirada'
+ *       400:
+ *         description: Erro de validação
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SimpleErrorResponse'
+ *       404:
+ *         description: Aluno não encontrado
+ *       409:
+ *         description: O documento já está na lista do aluno
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão para o módulo de alunos
+ *       500:
+ *         description: Erro ao cadastrar autorização
+ */
+router.get('/aluno/:id/autorizados', authorize('entradasSaidas', 'read'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const aluno = await findAluno(id)
+    if (!aluno) return res.status(404).json({ error: 'Aluno não encontrado' })
+
+    const autorizacoes = await prisma.autorizacaoRetirada.findMany({
+      where: { alunoId: id, ...(req.query.incluirRevogadas === 'true' ? {} : { revogadaEm: null }) },
+      orderBy: [{ impedido: 'desc' }, { nome: 'asc' }],
+    })
+
+    res.json(autorizacoes.map(withStatus))
+  } catch (error) {
+    console.error('[GET /aluno/:id/autorizados] erro:', error)
+    res.status(500).json({ error: 'Erro ao buscar autorizações' })
+  }
+})
+
+router.post(
+  '/aluno/:id/autorizados',
+  authorize('alunos', 'write'),
+  uploadAlunos.single('foto'),
+  async (req, res) => {
+    const { id } = req.params
+    if (!OBJECT_ID_RE.test(id)) {
+      discardRequestUpload(req)
+      return res.status(400).json({ error: 'ID inválido' })
+    }
+
+    try {
+      const { data, error } = normalizeAutorizacaoInput(req.body || {})
+      if (error) {
+        discardRequestUpload(req)
+        return res.status(400).json({ error })
+      }
+
+      const aluno = await findAluno(id)
+      if (!aluno) {
+        discardRequestUpload(req)
+        return res.status(404).json({ error: 'Aluno não encontrado' })
+      }
+
+      // responsavel cadastrado: nome e CPF vem do cadastro quando nao informados
+      if (data.responsavelId) {
+        const responsavel = await prisma.responsavel.findUnique({ where: { id: data.responsavelId } })
+        if (!responsavel) {
+          discardRequestUpload(req)
+          return res.status(400).json({ error: 'Responsável não encontrado' })
+        }
+        data.nome = data.nome || responsavel.nome
+        data.documento = data.documento || normalizeDocumento(responsavel.cpf)
+        if (!data.documento) {
+          discardRequestUpload(req)
+          return res.status(400).json({ error: 'Informe o documento: o responsável não tem CPF cadastrado' })
+        }
+      }
+
+      const existente = await prisma.autorizacaoRetirada.findFirst({
+        where: { alunoId: id, documento: data.documento, revogadaEm: null },
+      })
+      if (existente) {
+        discardRequestUpload(req)
+        return res.status(409).json({ error: 'Este documento já está na lista do aluno', autorizacao: withStatus(existente) })
+      }
+
+      const autorizacao = await prisma.autorizacaoRetirada.create({
+        data: {
+          ...data,
+          responsavelId: data.responsavelId || null,
+          alunoId: id,
+          fotoPath: req.file ? toAlunoUploadPath(req.file) : null,
+          revogadaEm: null,
+          criadoPorId: req.user?.id || null,
+          atualizadoPorId: req.user?.id || null,
+        },
+      })
+
+      logger.userAction('autorizacao_retirada_criada', req.user?.id, { alunoId: id, autorizacaoId: autorizacao.id })
+      await recordAudit(req, {
+        entidade: 'autorizacaoRetirada',
+        entidadeId: autorizacao.id,
+        acao: 'CRIAR',
+        depois: autorizacao,
+      })
+
+      res.status(201).json(withStatus(autorizacao))
+    } catch (error) {
+      console.error('[POST /aluno/:id/autorizados] erro:', error)
+      discardRequestUpload(req)
+      res.status(500).json({ error: 'Erro ao cadastrar autorização' })
+    }
+  }
+)
+
+// =======================================
+// Alterar / revogar autorização (PATCH/DELETE /api/aluno/:id/autorizados/:autorizacaoId)
+// =======================================
+
+/**
+ * @swagger
+ * /api/aluno/{id}/autorizados/{autorizacaoId}:
+ *   patch:
+ *     summary: Altera uma autorização (validade, restrições, foto...)
+ *     tags:
+ *       - Retiradas
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: autorizacaoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/AutorizacaoRetiradaInput'
+ *     responses:
+ *       200:
+ *         description: Autorização atualizada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AutorizacaoRetirada'
+ *       400:
+ *         description: Erro de validação
+ *       404:
+ *         description: Autorização não encontrada
+ *       409:
+ *         description: Autorização revogada não pode ser alterada ou o documento já está na lista do aluno
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão para o módulo de alunos
+ *       500:
+ *         description: Erro ao atualizar autorização
+ *   delete:
+ *     summary: Revoga uma autorização
+ *     description: A autorização é mantida (revogadaEm) para o histórico das saídas já registradas.
+ *     tags:
+ *       - Retiradas
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: autorizacaoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Autorização revogada
+ *       400:
+ *         description: ID inválido
+ *       404:
+ *         description: Autorização não encontrada ou já revogada
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão para o módulo de alunos
+ *       500:
+ *         description: Erro ao revogar autorização
+ */
+router.patch(
+  '/aluno/:id/autorizados/:autorizacaoId',
+  authorize('alunos', 'write'),
+  uploadAlunos.single('foto'),
+  async (req, res) => {
+    const { id, autorizacaoId } = req.params
+    if (!OBJECT_ID_RE.test(id) || !OBJECT_ID_RE.test(autorizacaoId)) {
+      discardRequestUpload(req)
+      return res.status(400).json({ error: 'ID inválido' })
+    }
+
+    try {
+      const { data, error } = normalizeAutorizacaoInput(req.body || {}, { parcial: true })
+      if (error) {
+        discardRequestUpload(req)
+        return res.status(400).json({ error })
+      }
+
+      const antes = await prisma.autorizacaoRetirada.findFirst({ where: { id: autorizacaoId, alunoId: id } })
+      if (!antes) {
+        discardRequestUpload(req)
+        return res.status(404).json({ error: 'Autorização não encontrada' })
+      }
+      if (antes.revogadaEm) {
+        discardRequestUpload(req)
+        return res.status(409).json({ error: 'Autorização revogada não pode ser alterada' })
+      }
+
+      // o documento novo nao pode repetir outra autorizacao ativa do aluno
+      if (data.documento && data.documento !== antes.documento) {
+        const existente = await prisma.autorizacaoRetirada.findFirst({
+          where: { alunoId: id, documento: data.documento, revogadaEm: null, id: { not: autorizacaoId } },
+        })
+        if (existente) {
+          discardRequestUpload(req)
+          return res.status(409).json({ error: 'Este documento já está na lista do aluno', autorizacao: withStatus(existente) })
+        }
+      }
+
+      const validoDe = data.validoDe !== undefined ? data.validoDe : antes.validoDe
+      const validoAte = data.validoAte !== undefined ? data.validoAte : antes.validoAte
+      if (validoDe && validoAte && new Date(validoDe) > new Date(validoAte)) {
+        discardRequestUpload(req)
+        return res.status(400).json({ error: 'validoDe não pode ser posterior a validoAte' })
+      }
+
+      if (req.file) data.fotoPath = toAlunoUploadPath(req.file)
+
+      const autorizacao = await prisma.autorizacaoRetirada.update({
+        where: { id: autorizacaoId },
+        data: { ...data, atualizadoPorId: req.user?.id || null },
+      })
+
+      if (req.file) removeUpload(antes.fotoPath)
+
+      logger.userAction('autorizacao_retirada_atualizada', req.user?.id, { alunoId: id, autorizacaoId })
+      await recordAudit(req, {
+        entidade: 'autorizacaoRetirada',
+        entidadeId: autorizacaoId,
+        acao: 'ATUALIZAR',
+        antes,
+        depois: autorizacao,
+      })
+
+      res.json(withStatus(autorizacao))
+    } catch (error) {
+      console.error('[PATCH /aluno/:id/autorizados/:autorizacaoId] erro:', error)
+      discardRequestUpload(req)
+      res.status(500).json({ error: 'Erro ao atualizar autorização' })
+    }
+  }
+)
+
+router.delete('/aluno/:id/autorizados/:autorizacaoId', authorize('alunos', 'write'), async (req, res) => {
+  const { id, autorizacaoId } = req.params
+  if (!OBJECT_ID_RE.test(id) || !OBJECT_ID_RE.test(autorizacaoId)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const antes = await prisma.autorizacaoRetirada.findFirst({
+      where: { id: autorizacaoId, alunoId: id, revogadaEm: null },
+    })
+    if (!antes) return res.status(404).json({ error: 'Autorização não encontrada' })
+
+    const autorizacao = await prisma.autorizacaoRetirada.update({
+      where: { id: autorizacaoId },
+      data: { revogadaEm: new Date(), atualizadoPorId: req.user?.id || null },
+    })
+
+    logger.userAction('autorizacao_retirada_revogada', req.user?.id, { alunoId: id, autorizacaoId })
+    await recordAudit(req, {
+      entidade: 'autorizacaoRetirada',
+      entidadeId: autorizacaoId,
+      acao: 'ATUALIZAR',
+      antes,
+      depois: autorizacao,
+    })
+
+    res.status(204).send()
+  } catch (error) {
+    console.error('[DELETE /aluno/:id/autorizados/:autorizacaoId] erro:', error)
+    res.status(500).json({ error: 'Erro ao revogar autorização' })
+  }
+})
+
+// =======================================
+// Entrada (POST /api/aluno/:id/entrada)
+// =======================================
+
+/**
+ * @swagger
+ * /api/aluno/{id}/entrada:
+ *   post:
+ *     summary: Registra a chegada do aluno e quem o deixou
+ *     description: |
+ *       Quem deixa o aluno não precisa estar na lista de autorizados: informe `autorizacaoId` ou `nome` e `documento`.
+ *       Pessoas marcadas como impedidas na lista do aluno são recusadas.
+ *     tags:
+ *       - Retiradas
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               autorizacaoId:
+ *                 type: string
+ *               nome:
+ *                 type: string
+ *               documento:
+ *                 type: string
+ *               observacoes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Entrada registrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EntradaSaida'
+ *       400:
+ *         description: Erro de validação
+ *       403:
+ *         description: Pessoa impedida de buscar o aluno, ou perfil sem permissão
+ *       404:
+ *         description: Aluno não encontrado
+ *       409:
+ *         description: Aluno inativo ou já presente
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       500:
+ *         description: Erro ao registrar entrada
+ */
+router.post('/aluno/:id/entrada', authorize('entradasSaidas', 'write'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const { autorizacaoId, nome, documento } = req.body || {}
+    const { observacoes, error: obsError } = parseObservacoes(req.body?.observacoes)
+    if (obsError) return res.status(400).json({ error: obsError })
+
+    if (autorizacaoId !== undefined && !OBJECT_ID_RE.test(String(autorizacaoId))) {
+      return res.status(400).json({ error: 'Autorização inválida' })
+    }
+    if (!autorizacaoId && (!isNonEmptyString(nome) || !normalizeDocumento(documento))) {
+      return res.status(400).json({ error: 'Informe a autorização ou o nome e o documento de quem trouxe o aluno' })
+    }
+
+    const aluno = await findAluno(id)
+    if (!aluno) return res.status(404).json({ error: 'Aluno não encontrado' })
+    if (aluno.status !== 'ATIVO') {
+      return res.status(409).json({ error: 'Aluno inativo' })
+    }
+
+    const ultima = await findUltimaMovimentacao(id)
+    if (isPresente(ultima)) {
+      return res.status(409).json({ error: 'A entrada do aluno já foi registrada hoje', entrada: ultima })
+    }
+
+    const autorizacoes = await prisma.autorizacaoRetirada.findMany({ where: { alunoId: id, revogadaEm: null } })
+    const doc = autorizacaoId ? null : normalizeDocumento(documento)
+    const autorizacao = autorizacaoId
+      ? autorizacoes.find((a) => a.id === autorizacaoId)
+      : autorizacoes.find((a) => a.documento === doc)
+
+    if (autorizacaoId && !autorizacao) {
+      return res.status(400).json({ error: 'Autorização não encontrada' })
+    }
+    if (autorizacao?.impedido) {
+      logger.warn('Entrada recusada: pessoa impedida', { alunoId: id, autorizacaoId: autorizacao.id })
+      return res.status(403).json({ error: 'Pessoa impedida de buscar ou deixar o aluno' })
+    }
+
+    const entrada = await prisma.entradaSaida.create({
+      data: {
+        alunoId: id,
+        tipo: 'ENTRADA',
+        autorizacaoId: autorizacao?.id || null,
+        pessoaNome: autorizacao?.nome || nome.trim(),
+        pessoaDocumento: autorizacao?.documento || doc,
+        motivo: null,
+        observacoes,
+        registradoPorId: req.user?.id || null,
+      },
+    })
+
+    logger.userAction('aluno_entrada', req.user?.id, { alunoId: id })
+
+    res.status(201).json(entrada)
+  } catch (error) {
+    console.error('[POST /aluno/:id/entrada] erro:', error)
+    res.status(500).json({ error: 'Erro ao registrar entrada' })
+  }
+})
+
+// =======================================
+// Saída (POST /api/aluno/:id/saida)
+// =======================================
+
+/**
+ * @swagger
+ * /api/aluno/{id}/saida:
+ *   post:
+ *     summary: Registra a saída do aluno, conferindo quem o busca
+ *     description: |
+ *       A pessoa precisa estar na lista de autorizados do aluno, com autorização em vigor e sem impedimento.
+ *       Tentativas recusadas são registradas como RECUSADA, com o motivo.
+ *     tags:
+ *       - Retiradas
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               autorizacaoId:
+ *                 type: string
+ *               documento:
+ *                 type: string
+ *                 description: CPF ou RG apresentado, quando não se informa autorizacaoId
+ *               nome:
+ *                 type: string
+ *                 description: Nome de quem tentou retirar (guardado se a saída for recusada)
+ *               observacoes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Saída registrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/EntradaSaida'
+ *                 - type: object
+ *                   properties:
+ *                     autorizacao:
+ *                       $ref: '#/components/schemas/AutorizacaoRetirada'
+ *       400:
+ *         description: Erro de validação
+ *       403:
+ *         description: Pessoa não autorizada, impedida ou fora da validade (ou perfil sem permissão)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SimpleErrorResponse'
+ *       404:
+ *         description: Aluno não encontrado
+ *       409:
+ *         description: Aluno sem entrada registrada hoje
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       500:
+ *         description: Erro ao registrar saída
+ */
+router.post('/aluno/:id/saida', authorize('entradasSaidas', 'write'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const { autorizacaoId, documento, nome } = req.body || {}
+    const { observacoes, error: obsError } = parseObservacoes(req.body?.observacoes)
+    if (obsError) return res.status(400).json({ error: obsError })
+
+    if (autorizacaoId !== undefined && !OBJECT_ID_RE.test(String(autorizacaoId))) {
+      return res.status(400).json({ error: 'Autorização inválida' })
+    }
+    if (!autorizacaoId && !normalizeDocumento(documento)) {
+      return res.status(400).json({ error: 'Informe a autorização ou o documento de quem veio buscar o aluno' })
+    }
+
+    const aluno = await findAluno(id)
+    if (!aluno) return res.status(404).json({ error: 'Aluno não encontrado' })
+
+    const ultima = await findUltimaMovimentacao(id)
+    if (!isPresente(ultima)) {
+      return res.status(409).json({ error: 'O aluno não tem entrada registrada hoje' })
+    }
+
+    const autorizacoes = await prisma.autorizacaoRetirada.findMany({ where: { alunoId: id } })
+    const resultado = checkRetirada(autorizacoes, {
+      autorizacaoId: autorizacaoId ? String(autorizacaoId) : null,
+      documento,
+    })
+
+    if (resultado.error) {
+      await prisma.entradaSaida.create({
+        data: {
+          alunoId: id,
+          tipo: 'RECUSADA',
+          autorizacaoId: resultado.autorizacao?.id || null,
+          pessoaNome: resultado.autorizacao?.nome || (isNonEmptyString(nome) ? nome.trim() : null),
+          pessoaDocumento: resultado.autorizacao?.documento || normalizeDocumento(documento) || null,
+          motivo: resultado.error,
+          observacoes,
+          registradoPorId: req.user?.id || null,
+        },
+      })
+      logger.warn('Retirada de aluno recusada', {
+        alunoId: id,
+        autorizacaoId: resultado.autorizacao?.id,
+        motivo: resultado.error,
+        userId: req.user?.id,
+      })
+      return res.status(403).json({ error: resultado.error })
+    }
+
+    const saida = await prisma.entradaSaida.create({
+      data: {
+        alunoId: id,
+        tipo: 'SAIDA',
+        autorizacaoId: resultado.autorizacao.id,
+        pessoaNome: resultado.autorizacao.nome,
+        pessoaDocumento: resultado.autorizacao.documento,
+        motivo: null,
+        observacoes,
+        registradoPorId: req.user?.id || null,
+      },
+    })
+
+    logger.userAction('aluno_saida', req.user?.id, { alunoId: id, autorizacaoId: resultado.autorizacao.id })
+
+    res.status(201).json({ ...saida, autorizacao: withStatus(resultado.autorizacao) })
+  } catch (error) {
+    console.error('[POST /aluno/:id/saida] erro:', error)
+    res.status(500).json({ error: 'Erro ao registrar saída' })
+  }
+})
+
+// =======================================
+// Histórico (GET /api/aluno/:id/entradas-saidas)
+// =======================================
+
+/**
+ * @swagger
+ * /api/aluno/{id}/entradas-saidas:
+ *   get:
+ *     summary: Histórico de entradas, saídas e retiradas recusadas do aluno
+ *     tags:
+ *       - Retiradas
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: de
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: ate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: tipo
+ *         schema:
+ *           type: string
+ *           enum: [ENTRADA, SAIDA, RECUSADA]
+ *     responses:
+ *       200:
+ *         description: Registros do mais recente para o mais antigo (até 500), com a situação atual
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 presente:
+ *                   type: boolean
+ *                   description: Aluno com entrada sem saída hoje
+ *                 registros:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EntradaSaida'
+ *       400:
+ *         description: Filtro inválido
+ *       404:
+ *         description: Aluno não encontrado
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão para o módulo de entradas e saídas
+ *       500:
+ *         description: Erro ao buscar entradas e saídas
+ */
+router.get('/aluno/:id/entradas-saidas', authorize('entradasSaidas', 'read'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const { de, ate, tipo } = req.query
+    const where = { alunoId: id }
+
+    if (de || ate) {
+      const inicio = de ? new Date(String(de)) : null
+      const fim = ate ? new Date(String(ate)) : null
+      if ((de && Number.isNaN(inicio.getTime())) || (ate && Number.isNaN(fim.getTime()))) {
+        return res.status(400).json({ error: 'Período inválido' })
+      }
+      // "ate" so com a data inclui o dia inteiro
+      if (fim && DATE_ONLY_RE.test(String(ate))) fim.setUTCHours(23, 59, 59, 999)
+      where.registradoEm = {}
+      if (inicio) where.registradoEm.gte = inicio
+      if (fim) where.registradoEm.lte = fim
+    }
+
+    if (tipo) {
+      const tipoNorm = String(tipo).trim().toUpperCase()
+      if (!TIPOS_MOVIMENTACAO.includes(tipoNorm)) {
+        return res.status(400).json({ error: 'Tipo inválido (ENTRADA/SAIDA/RECUSADA)' })
+      }
+      where.tipo = tipoNorm
+    }
+
+    const aluno = await findAluno(id)
+    if (!aluno) return res.status(404).json({ error: 'Aluno não encontrado' })
+
+    const [registros, ultima] = await Promise.all([
+      prisma.entradaSaida.findMany({ where, orderBy: { registradoEm: 'desc' }, take: 500 }),
+      findUltimaMovimentacao(id),
+    ])
+
+    res.json({ presente: isPresente(ultima), registros })
+  } catch (error) {
+    console.error('[GET /aluno/:id/entradas-saidas] erro:', error)
+    res.status(500).json({ error: 'Erro ao buscar entradas e saídas' })
+  }
+})
+
+export default router
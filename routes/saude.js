@@ -0,0 +1,969 @@
+// routes/saude.js
+import express from 'express'
+import authorize from '../middlewares/authorize.js'
+import logger from '../utils/logger.js'
+import prisma from '../utils/prisma.js'
+import { recordAudit } from '../utils/audit.js'
+import { canAccessTurma } from '../utils/turmas.js'
+import {
+  DIAS_ALERTA_VACINA,
+  fichaPadrao,
+  normalizeAdministracaoInput,
+  normalizeFichaSaude,
+  normalizeVacinaInput,
+  resumoCritico,
+  vacinasPendentes,
+} from '../utils/saude.js'
+
+const router = express.Router()
+
+const OBJECT_ID_RE = /^[a-fA-F0-9]{24}$/
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/
+const DIA_MS = 24 * 60 * 60 * 1000
+const MAX_DIAS_ALERTA = 365
+const MAX_ADMINISTRACOES = 100
+
+const alunoResumoSelect = { id: true, nome: true, numeroMatricula: true }
+
+// dados do aluno usados pelo resumo critico (inclui os telefones dos responsaveis)
+const alunoSaudeSelect = {
+  ...alunoResumoSelect,
+  status: true,
+  alergias: true,
+  turma: { select: { id: true, nome: true, professoresIds: true } },
+  responsaveis: {
+    select: { parentesco: true, responsavel: { select: { nome: true, telefones: true } } },
+    orderBy: { criadoEm: 'asc' },
+  },
+}
+
+// Retorna { aluno } ou { status, error }; professores so veem alunos das proprias turmas
+const loadAluno = async (req, id) => {
+  const aluno = await prisma.aluno.findUnique({ where: { id }, select: alunoSaudeSelect })
+  if (!aluno) return { status: 404, error: 'Aluno não encontrado' }
+  if (!canAccessTurma(req, aluno.turma)) return { status: 403, error: 'Professor sem acesso a este aluno' }
+  return { aluno }
+}
+
+const withSituacao = (vacinas, now = new Date()) => {
+  const pendentes = new Map(vacinasPendentes(vacinas, { now, dias: 0 }).map((v) => [v.id, v.situacao]))
+  return vacinas.map((vacina) => ({ ...vacina, situacao: pendentes.get(vacina.id) || null }))
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Saude
+ *     description: Ficha de saúde, medicamentos administrados na escola e carteira de vacinação dos alunos.
+ *
+ * components:
+ *   schemas:
+ *     Alergia:
+ *       type: object
+ *       required: [descricao, gravidade]
+ *       properties:
+ *         descricao:
+ *           type: string
+ *           example: Amendoim
+ *         gravidade:
+ *           type: string
+ *           enum: [LEVE, MODERADA, GRAVE]
+ *           description: null nas alergias antigas, cadastradas só pelo nome
+ *         reacao:
+ *           type: string
+ *           nullable: true
+ *         conduta:
+ *           type: string
+ *           nullable: true
+ *           description: O que fazer em caso de contato
+ *
+ *     FichaSaude:
+ *       type: object
+ *       properties:
+ *         tipoSanguineo:
+ *           type: string
+ *           nullable: true
+ *           enum: [A+, A-, B+, B-, AB+, AB-, O+, O-]
+ *         alergias:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Alergia'
+ *         medicamentos:
+ *           type: array
+ *           description: Medicamentos de uso contínuo
+ *           items:
+ *             type: object
+ *             required: [nome, dose]
+ *             properties:
+ *               nome:
+ *                 type: string
+ *               dose:
+ *                 type: string
+ *               horarios:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   example: "10:00"
+ *               via:
+ *                 type: string
+ *               observacoes:
+ *                 type: string
+ *         restricoesAlimentares:
+ *           type: array
+ *           items:
+ *             type: string
+ *         condicoes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [Asma]
+ *         planoSaude:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             operadora:
+ *               type: string
+ *             numeroCarteirinha:
+ *               type: string
+ *             validade:
+ *               type: string
+ *               format: date
+ *         observacoes:
+ *           type: string
+ *           nullable: true
+ *
+ *     ResumoSaudeCritico:
+ *       type: object
+ *       properties:
+ *         aluno:
+ *           type: object
+ *         tipoSanguineo:
+ *           type: string
+ *           nullable: true
+ *         alergias:
+ *           type: array
+ *           description: Mais graves primeiro
+ *           items:
+ *             $ref: '#/components/schemas/Alergia'
+ *         restricoesAlimentares:
+ *           type: array
+ *           items:
+ *             type: string
+ *         condicoes:
+ *           type: array
+ *           items:
+ *             type: string
+ *         medicamentos:
+ *           type: array
+ *           items:
+ *             type: object
+ *         planoSaude:
+ *           type: object
+ *           nullable: true
+ *         contatos:
+ *           type: array
+ *           description: Responsáveis vinculados, com telefones
+ *           items:
+ *             type: object
+ *         alergiaGrave:
+ *           type: boolean
+ *         possuiAlertas:
+ *           type: boolean
+ *
+ *     AdministracaoMedicamentoInput:
+ *       type: object
+ *       required: [medicamento, dose]
+ *       properties:
+ *         medicamento:
+ *           type: string
+ *         dose:
+ *           type: string
+ *           example: 5 ml
+ *         via:
+ *           type: string
+ *           example: oral
+ *         administradoEm:
+ *           type: string
+ *           format: date-time
+ *           description: Padrão é o momento do registro
+ *         observacoes:
+ *           type: string
+ *
+ *     VacinaInput:
+ *       type: object
+ *       required: [nome, aplicadaEm]
+ *       properties:
+ *         nome:
+ *           type: string
+ *           example: Tríplice viral
+ *         dose:
+ *           type: string
+ *           example: 1a dose
+ *         lote:
+ *           type: string
+ *         aplicadaEm:
+ *           type: string
+ *           format: date
+ *         proximaDoseEm:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         observacoes:
+ *           type: string
+ *
+ *     Vacina:
+ *       allOf:
+ *         - $ref: '#/components/schemas/VacinaInput'
+ *         - type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             alunoId:
+ *               type: string
+ *             situacao:
+ *               type: string
+ *               nullable: true
+ *               enum: [ATRASADA, A_VENCER]
+ *               description: Preenchida na última dose da vacina quando a próxima dose já venceu
+ */
+
+// =======================================
+// Ficha de saúde (GET/PUT /api/aluno/:id/saude)
+// =======================================
+
+/**
+ * @swagger
+ * /api/aluno/{id}/saude:
+ *   get:
+ *     summary: Ficha de saúde do aluno
+ *     description: Sem ficha cadastrada, retorna as alergias do cadastro do aluno (sem gravidade) e `cadastrada` false.
+ *     tags:
+ *       - Saude
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Ficha de saúde
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FichaSaude'
+ *       400:
+ *         description: ID inválido
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       404:
+ *         description: Aluno não encontrado
+ *       500:
+ *         description: Erro ao buscar ficha de saúde
+ *   put:
+ *     summary: Cadastra ou substitui a ficha de saúde do aluno
+ *     description: Os nomes das alergias também são gravados em `alergias` do aluno (busca e filtro da listagem).
+ *     tags:
+ *       - Saude
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FichaSaude'
+ *     responses:
+ *       200:
+ *         description: Ficha gravada
+ *       400:
+ *         description: Dados inválidos
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão
+ *       404:
+ *         description: Aluno não encontrado
+ *       500:
+ *         description: Erro ao salvar ficha de saúde
+ */
+router.get('/aluno/:id/saude', authorize('saude', 'read'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const { aluno, status, error } = await loadAluno(req, id)
+    if (error) return res.status(status).json({ error })
+
+    const ficha = await prisma.fichaSaude.findUnique({ where: { alunoId: id } })
+
+    res.json(ficha ? { ...ficha, cadastrada: true } : { ...fichaPadrao(aluno), cadastrada: false })
+  } catch (error) {
+    console.error('[GET /aluno/:id/saude] erro:', error)
+    res.status(500).json({ error: 'Erro ao buscar ficha de saúde' })
+  }
+})
+
+router.put('/aluno/:id/saude', authorize('saude', 'write'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const { data, error } = normalizeFichaSaude(req.body)
+    if (error) return res.status(400).json({ error })
+
+    const aluno = await prisma.aluno.findUnique({ where: { id }, select: { id: true } })
+    if (!aluno) return res.status(404).json({ error: 'Aluno não encontrado' })
+
+    const userId = req.user?.id || null
+    const antes = await prisma.fichaSaude.findUnique({ where: { alunoId: id } })
+
+    const ficha = await prisma.$transaction(async (tx) => {
+      const salva = await tx.fichaSaude.upsert({
+        where: { alunoId: id },
+        create: { alunoId: id, ...data, atualizadoPorId: userId },
+        update: { ...data, atualizadoPorId: userId },
+      })
+      await tx.aluno.update({
+        where: { id },
+        data: { alergias: data.alergias.map((alergia) => alergia.descricao), atualizadoPorId: userId },
+      })
+      return salva
+    })
+
+    logger.userAction('ficha_saude_atualizada', userId, { alunoId: id })
+
+    await recordAudit(req, {
+      entidade: 'fichaSaude',
+      entidadeId: id,
+      acao: antes ? 'ATUALIZAR' : 'CRIAR',
+      antes,
+      depois: ficha,
+    })
+
+    res.json({ ...ficha, cadastrada: true })
+  } catch (error) {
+    console.error('[PUT /aluno/:id/saude] erro:', error)
+    res.status(500).json({ error: 'Erro ao salvar ficha de saúde' })
+  }
+})
+
+// =======================================
+// Resumo crítico (professores)
+// =======================================
+
+/**
+ * @swagger
+ * /api/aluno/{id}/saude/resumo:
+ *   get:
+ *     summary: Informações críticas de saúde do aluno
+ *     description: Alergias (mais graves primeiro), restrições alimentares, condições, medicamentos de uso contínuo e contatos dos responsáveis.
+ *     tags:
+ *       - Saude
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Resumo crítico
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ResumoSaudeCritico'
+ *       400:
+ *         description: ID inválido
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       404:
+ *         description: Aluno não encontrado
+ *       500:
+ *         description: Erro ao buscar resumo de saúde
+ */
+router.get('/aluno/:id/saude/resumo', authorize('saude', 'read'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const { aluno, status, error } = await loadAluno(req, id)
+    if (error) return res.status(status).json({ error })
+
+    const ficha = await prisma.fichaSaude.findUnique({ where: { alunoId: id } })
+
+    res.json(resumoCritico(aluno, ficha))
+  } catch (error) {
+    console.error('[GET /aluno/:id/saude/resumo] erro:', error)
+    res.status(500).json({ error: 'Erro ao buscar resumo de saúde' })
+  }
+})
+
+/**
+ * @swagger
+ * /api/turma/{id}/saude/resumo:
+ *   get:
+ *     summary: Informações críticas de saúde dos alunos da turma
+ *     description: Apenas alunos ATIVOS com alguma alergia, restrição, condição ou medicamento; alergias graves primeiro.
+ *     tags:
+ *       - Saude
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Resumo da turma
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 turma:
+ *                   type: object
+ *                 total:
+ *                   type: integer
+ *                 alunos:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ResumoSaudeCritico'
+ *       400:
+ *         description: ID inválido
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       404:
+ *         description: Turma não encontrada
+ *       500:
+ *         description: Erro ao buscar resumo de saúde
+ */
+router.get('/turma/:id/saude/resumo', authorize('saude', 'read'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const turma = await prisma.turma.findUnique({ where: { id } })
+    if (!turma) return res.status(404).json({ error: 'Turma não encontrada' })
+    if (!canAccessTurma(req, turma)) {
+      return res.status(403).json({ error: 'Professor sem acesso a esta turma' })
+    }
+
+    const alunos = await prisma.aluno.findMany({
+      where: { turmaId: id, status: 'ATIVO' },
+      select: alunoSaudeSelect,
+      orderBy: { nome: 'asc' },
+    })
+    const fichas = await prisma.fichaSaude.findMany({
+      where: { alunoId: { in: alunos.map((aluno) => aluno.id) } },
+    })
+    const fichaPorAluno = new Map(fichas.map((ficha) => [ficha.alunoId, ficha]))
+
+    const resumos = alunos
+      .map((aluno) => resumoCritico(aluno, fichaPorAluno.get(aluno.id)))
+      .filter((resumo) => resumo.possuiAlertas)
+      .sort((a, b) => Number(b.alergiaGrave) - Number(a.alergiaGrave))
+
+    res.json({ turma: { id: turma.id, nome: turma.nome }, total: resumos.length, alunos: resumos })
+  } catch (error) {
+    console.error('[GET /turma/:id/saude/resumo] erro:', error)
+    res.status(500).json({ error: 'Erro ao buscar resumo de saúde' })
+  }
+})
+
+// =======================================
+// Medicamentos administrados (GET/POST /api/aluno/:id/medicamentos)
+// =======================================
+
+/**
+ * @swagger
+ * /api/aluno/{id}/medicamentos:
+ *   get:
+ *     summary: Doses de medicamento dadas ao aluno na escola
+ *     tags:
+ *       - Saude
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: data
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Apenas as doses do dia; sem ela, as 100 mais recentes
+ *     responses:
+ *       200:
+ *         description: Doses registradas, mais recentes primeiro
+ *       400:
+ *         description: ID ou data inválidos
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       404:
+ *         description: Aluno não encontrado
+ *       500:
+ *         description: Erro ao buscar medicamentos
+ *   post:
+ *     summary: Registra uma dose de medicamento dada ao aluno
+ *     description: Quem registra fica gravado como responsável pela dose.
+ *     tags:
+ *       - Saude
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AdministracaoMedicamentoInput'
+ *     responses:
+ *       201:
+ *         description: Dose registrada
+ *       400:
+ *         description: Dados inválidos
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       404:
+ *         description: Aluno não encontrado
+ *       500:
+ *         description: Erro ao registrar medicamento
+ */
+router.get('/aluno/:id/medicamentos', authorize('medicamentos', 'read'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  const where = { alunoId: id }
+  if (req.query.data !== undefined) {
+    const inicio = new Date(`${req.query.data}T00:00:00`)
+    if (!DATE_ONLY_RE.test(String(req.query.data)) || Number.isNaN(inicio.getTime())) {
+      return res.status(400).json({ error: 'Data inválida (AAAA-MM-DD)' })
+    }
+    where.administradoEm = { gte: inicio, lt: new Date(inicio.getTime() + DIA_MS) }
+  }
+
+  try {
+    const { error, status } = await loadAluno(req, id)
+    if (error) return res.status(status).json({ error })
+
+    const administracoes = await prisma.administracaoMedicamento.findMany({
+      where,
+      orderBy: { administradoEm: 'desc' },
+      take: MAX_ADMINISTRACOES,
+    })
+
+    res.json(administracoes)
+  } catch (error) {
+    console.error('[GET /aluno/:id/medicamentos] erro:', error)
+    res.status(500).json({ error: 'Erro ao buscar medicamentos' })
+  }
+})
+
+router.post('/aluno/:id/medicamentos', authorize('medicamentos', 'write'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const { data, error: validationError } = normalizeAdministracaoInput(req.body)
+    if (validationError) return res.status(400).json({ error: validationError })
+
+    const { error, status } = await loadAluno(req, id)
+    if (error) return res.status(status).json({ error })
+
+    const administracao = await prisma.administracaoMedicamento.create({
+      data: {
+        alunoId: id,
+        ...data,
+        administradoPorId: req.user?.id || null,
+        administradoPorEmail: req.user?.email || null,
+      },
+    })
+
+    logger.userAction('medicamento_administrado', req.user?.id, {
+      alunoId: id,
+      administracaoId: administracao.id,
+      medicamento: administracao.medicamento,
+    })
+
+    res.status(201).json(administracao)
+  } catch (error) {
+    console.error('[POST /aluno/:id/medicamentos] erro:', error)
+    res.status(500).json({ error: 'Erro ao registrar medicamento' })
+  }
+})
+
+// =======================================
+// Carteira de vacinação (/api/aluno/:id/vacinas)
+// =======================================
+
+/**
+ * @swagger
+ * /api/aluno/{id}/vacinas:
+ *   get:
+ *     summary: Carteira de vacinação do aluno
+ *     tags:
+ *       - Saude
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Doses aplicadas, mais recentes primeiro
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Vacina'
+ *       400:
+ *         description: ID inválido
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       404:
+ *         description: Aluno não encontrado
+ *       500:
+ *         description: Erro ao buscar vacinas
+ *   post:
+ *     summary: Registra uma dose de vacina
+ *     tags:
+ *       - Saude
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VacinaInput'
+ *     responses:
+ *       201:
+ *         description: Dose registrada
+ *       400:
+ *         description: Dados inválidos
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão
+ *       404:
+ *         description: Aluno não encontrado
+ *       500:
+ *         description: Erro ao registrar vacina
+ */
+router.get('/aluno/:id/vacinas', authorize('saude', 'read'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const { error, status } = await loadAluno(req, id)
+    if (error) return res.status(status).json({ error })
+
+    const vacinas = await prisma.vacina.findMany({
+      where: { alunoId: id },
+      orderBy: { aplicadaEm: 'desc' },
+    })
+
+    res.json(withSituacao(vacinas))
+  } catch (error) {
+    console.error('[GET /aluno/:id/vacinas] erro:', error)
+    res.status(500).json({ error: 'Erro ao buscar vacinas' })
+  }
+})
+
+router.post('/aluno/:id/vacinas', authorize('saude', 'write'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const { data, error } = normalizeVacinaInput(req.body)
+    if (error) return res.status(400).json({ error })
+
+    const aluno = await prisma.aluno.findUnique({ where: { id }, select: { id: true } })
+    if (!aluno) return res.status(404).json({ error: 'Aluno não encontrado' })
+
+    const userId = req.user?.id || null
+    const vacina = await prisma.vacina.create({
+      data: { alunoId: id, ...data, criadoPorId: userId, atualizadoPorId: userId },
+    })
+
+    logger.userAction('vacina_registrada', userId, { alunoId: id, vacinaId: vacina.id, nome: vacina.nome })
+
+    await recordAudit(req, { entidade: 'vacina', entidadeId: vacina.id, acao: 'CRIAR', depois: vacina })
+
+    res.status(201).json(vacina)
+  } catch (error) {
+    console.error('[POST /aluno/:id/vacinas] erro:', error)
+    res.status(500).json({ error: 'Erro ao registrar vacina' })
+  }
+})
+
+/**
+ * @swagger
+ * /api/aluno/{id}/vacinas/{vacinaId}:
+ *   patch:
+ *     summary: Corrige uma dose de vacina
+ *     tags:
+ *       - Saude
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: vacinaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VacinaInput'
+ *     responses:
+ *       200:
+ *         description: Dose atualizada
+ *       400:
+ *         description: Dados inválidos
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão
+ *       404:
+ *         description: Vacina não encontrada
+ *       500:
+ *         description: Erro ao atualizar vacina
+ *   delete:
+ *     summary: Exclui uma dose registrada por engano
+ *     tags:
+ *       - Saude
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: vacinaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Dose excluída
+ *       400:
+ *         description: ID inválido
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão
+ *       404:
+ *         description: Vacina não encontrada
+ *       500:
+ *         description: Erro ao excluir vacina
+ */
+router.patch('/aluno/:id/vacinas/:vacinaId', authorize('saude', 'write'), async (req, res) => {
+  const { id, vacinaId } = req.params
+  if (!OBJECT_ID_RE.test(id) || !OBJECT_ID_RE.test(vacinaId)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const atual = await prisma.vacina.findUnique({ where: { id: vacinaId } })
+    if (!atual || atual.alunoId !== id) return res.status(404).json({ error: 'Vacina não encontrada' })
+
+    const { data, error } = normalizeVacinaInput(req.body, { parcial: true, atual })
+    if (error) return res.status(400).json({ error })
+    if (Object.keys(data).length === 0) {
+      return res.status(400).json({ error: 'Nenhum campo para atualizar' })
+    }
+
+    const vacina = await prisma.vacina.update({
+      where: { id: vacinaId },
+      data: { ...data, atualizadoPorId: req.user?.id || null },
+    })
+
+    logger.userAction('vacina_atualizada', req.user?.id, { alunoId: id, vacinaId, campos: Object.keys(data) })
+
+    await recordAudit(req, { entidade: 'vacina', entidadeId: vacinaId, acao: 'ATUALIZAR', antes: atual, depois: vacina })
+
+    res.json(vacina)
+  } catch (error) {
+    console.error('[PATCH /aluno/:id/vacinas/:vacinaId] erro:', error)
+    res.status(500).json({ error: 'Erro ao atualizar vacina' })
+  }
+})
+
+router.delete('/aluno/:id/vacinas/:vacinaId', authorize('saude', 'write'), async (req, res) => {
+  const { id, vacinaId } = req.params
+  if (!OBJECT_ID_RE.test(id) || !OBJECT_ID_RE.test(vacinaId)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const atual = await prisma.vacina.findUnique({ where: { id: vacinaId } })
+    if (!atual || atual.alunoId !== id) return res.status(404).json({ error: 'Vacina não encontrada' })
+
+    await prisma.vacina.delete({ where: { id: vacinaId } })
+
+    logger.userAction('vacina_excluida', req.user?.id, { alunoId: id, vacinaId })
+
+    await recordAudit(req, { entidade: 'vacina', entidadeId: vacinaId, acao: 'EXCLUIR', antes: atual })
+
+    res.status(204).send()
+  } catch (error) {
+    console.error('[DELETE /aluno/:id/vacinas/:vacinaId] erro:', error)
+    res.status(500).json({ error: 'Erro ao excluir vacina' })
+  }
+})
+
+// =======================================
+// Alertas de vacinação (GET /api/vacinas/pendentes)
+// =======================================
+
+/**
+ * @swagger
+ * /api/vacinas/pendentes:
+ *   get:
+ *     summary: Próximas doses atrasadas ou a vencer
+ *     description: |
+ *       Considera só a última dose aplicada de cada vacina dos alunos ATIVOS: registrar a dose seguinte tira o alerta.
+ *       Professores veem apenas os alunos das próprias turmas.
+ *     tags:
+ *       - Saude
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dias
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: Inclui as doses que vencem nos próximos N dias
+ *       - in: query
+ *         name: turmaId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Doses pendentes, mais urgentes primeiro
+ *       400:
+ *         description: Parâmetros inválidos
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão (ou professor de outra turma)
+ *       404:
+ *         description: Turma não encontrada
+ *       500:
+ *         description: Erro ao buscar vacinas pendentes
+ */
+router.get('/vacinas/pendentes', authorize('saude', 'read'), async (req, res) => {
+  const dias = req.query.dias === undefined ? DIAS_ALERTA_VACINA : Number(req.query.dias)
+  if (!Number.isInteger(dias) || dias < 0 || dias > MAX_DIAS_ALERTA) {
+    return res.status(400).json({ error: `dias deve ser um inteiro entre 0 e ${MAX_DIAS_ALERTA}` })
+  }
+
+  try {
+    const alunoWhere = { status: 'ATIVO' }
+
+    if (req.query.turmaId) {
+      const turmaId = String(req.query.turmaId)
+      if (!OBJECT_ID_RE.test(turmaId)) return res.status(400).json({ error: 'Turma inválida' })
+      const turma = await prisma.turma.findUnique({ where: { id: turmaId } })
+      if (!turma) return res.status(404).json({ error: 'Turma não encontrada' })
+      if (!canAccessTurma(req, turma)) {
+        return res.status(403).json({ error: 'Professor sem acesso a esta turma' })
+      }
+      alunoWhere.turmaId = turmaId
+    } else if (req.user?.role === 'PROFESSOR') {
+      alunoWhere.turma = { is: { professoresIds: { has: req.user.id } } }
+    }
+
+    const now = new Date()
+    const alunos = await prisma.aluno.findMany({ where: alunoWhere, select: { ...alunoResumoSelect, turmaId: true } })
+    const alunoPorId = new Map(alunos.map((aluno) => [aluno.id, aluno]))
+
+    // as doses seguintes ja aplicadas tambem precisam vir para cancelar o alerta
+    const vacinas = await prisma.vacina.findMany({
+      where: { alunoId: { in: [...alunoPorId.keys()] } },
+      orderBy: { aplicadaEm: 'asc' },
+    })
+
+    const pendentes = vacinasPendentes(vacinas, { now, dias }).map((vacina) => ({
+      ...vacina,
+      aluno: alunoPorId.get(vacina.alunoId),
+    }))
+
+    res.json({ dias, total: pendentes.length, vacinas: pendentes })
+  } catch (error) {
+    console.error('[GET /vacinas/pendentes] erro:', error)
+    res.status(500).json({ error: 'Erro ao buscar vacinas pendentes' })
+  }
+})
+
+export default router
@@ -0,0 +1,898 @@
+// routes/turmas.js
+import express from 'express'
+import authorize from '../middlewares/authorize.js'
+import logger from '../utils/logger.js'
+import prisma from '../utils/prisma.js'
+import { recordAudit } from '../utils/audit.js'
+import { SEGMENTOS, TURNOS, countAlunosAtivos } from '../utils/turmas.js'
+import { checkAgeEligibility, getAgeRules, normalizeAgeRules, setAgeRules } from '../utils/ageRules.js'
+
+const router = express.Router()
+
+const isNonEmptyString = (s) => typeof s === 'string' && s.trim().length > 0
+const OBJECT_ID_RE = /^[a-fA-F0-9]{24}$/
+const MAX_NOME_LEN = 80
+const MAX_CAPACIDADE = 200
+
+// Historico que prende a turma: os registros continuam apontando para ela.
+// RegistroDiario.turma e opcional e seria anulada, tirando o registro da
+// agenda que os professores da turma consultam
+const VINCULOS_TURMA = {
+  frequencias: 'frequência',
+  registrosDiario: 'agenda diária',
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Turmas
+ *     description: Turmas por ano letivo, com turno, sala, capacidade e professores responsáveis.
+ *
+ * components:
+ *   schemas:
+ *     TurmaResumo:
+ *       type: object
+ *       nullable: true
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "64f1a3b9c2d4e5f678901299"
+ *         nome:
+ *           type: string
+ *           example: "Maternal A"
+ *         segmento:
+ *           type: string
+ *           enum: [BERCARIO, MATERNAL, PRE_ESCOLAR, EXTRA_CLASSE]
+ *         anoLetivo:
+ *           type: integer
+ *           example: 2025
+ *         turno:
+ *           type: string
+ *           enum: [MANHA, TARDE, INTEGRAL]
+ *
+ *     TurmaInput:
+ *       type: object
+ *       required:
+ *         - nome
+ *         - segmento
+ *         - anoLetivo
+ *         - turno
+ *         - capacidade
+ *       properties:
+ *         nome:
+ *           type: string
+ *           example: "Maternal A"
+ *         segmento:
+ *           type: string
+ *           enum: [BERCARIO, MATERNAL, PRE_ESCOLAR, EXTRA_CLASSE]
+ *         anoLetivo:
+ *           type: integer
+ *           example: 2025
+ *         turno:
+ *           type: string
+ *           enum: [MANHA, TARDE, INTEGRAL]
+ *         capacidade:
+ *           type: integer
+ *           example: 20
+ *         sala:
+ *           type: string
+ *           nullable: true
+ *           example: "Sala 3"
+ *         professoresIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Usuários com perfil PROFESSOR responsáveis pela turma
+ *
+ *     Turma:
+ *       allOf:
+ *         - $ref: '#/components/schemas/TurmaInput'
+ *         - type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             ocupadas:
+ *               type: integer
+ *               description: Alunos ATIVOS na turma
+ *             vagas:
+ *               type: integer
+ *             criadoEm:
+ *               type: string
+ *               format: date-time
+ *
+ *     FaixaIdade:
+ *       type: object
+ *       nullable: true
+ *       description: null = segmento sem restrição de idade
+ *       properties:
+ *         idadeMinMeses:
+ *           type: integer
+ *           example: 24
+ *         idadeMaxMeses:
+ *           type: integer
+ *           example: 47
+ *         toleranciaMeses:
+ *           type: integer
+ *           example: 3
+ *           description: Meses fora da faixa aceitos com aviso; além disso o cadastro é recusado
+ *
+ *     RegrasIdade:
+ *       type: object
+ *       properties:
+ *         dataCorte:
+ *           type: string
+ *           example: "03-31"
+ *           description: Dia (MM-DD) do ano letivo da turma em que a idade é medida
+ *         segmentos:
+ *           type: object
+ *           properties:
+ *             BERCARIO:
+ *               $ref: '#/components/schemas/FaixaIdade'
+ *             MATERNAL:
+ *               $ref: '#/components/schemas/FaixaIdade'
+ *             PRE_ESCOLAR:
+ *               $ref: '#/components/schemas/FaixaIdade'
+ *             EXTRA_CLASSE:
+ *               $ref: '#/components/schemas/FaixaIdade'
+ *
+ *     Elegibilidade:
+ *       type: object
+ *       properties:
+ *         nivel:
+ *           type: string
+ *           enum: [OK, AVISO, ERRO]
+ *         idadeMeses:
+ *           type: integer
+ *         dataReferencia:
+ *           type: string
+ *           format: date-time
+ *         faixa:
+ *           $ref: '#/components/schemas/FaixaIdade'
+ *         mensagem:
+ *           type: string
+ *           nullable: true
+ */
+
+// Retorna { data } com os campos validados e normalizados, ou { error }.
+// Em atualizacoes (parcial) so os campos enviados sao validados.
+const parseTurmaInput = async (body, { parcial = false } = {}) => {
+  const data = {}
+  const has = (campo) => body[campo] !== undefined
+
+  if (!parcial || has('nome')) {
+    if (!isNonEmptyString(body.nome)) return { error: 'Nome é obrigatório' }
+    if (body.nome.trim().length > MAX_NOME_LEN) {
+      return { error: `Nome deve ter no máximo ${MAX_NOME_LEN} caracteres` }
+    }
+    data.nome = body.nome.trim()
+  }
+
+  if (!parcial || has('segmento')) {
+    const segmento = String(body.segmento || '').trim().toUpperCase()
+    if (!SEGMENTOS.includes(segmento)) return { error: 'Segmento inválido' }
+    data.segmento = segmento
+  }
+
+  if (!parcial || has('anoLetivo')) {
+    const anoLetivo = Number(body.anoLetivo)
+    if (!Number.isInteger(anoLetivo) || anoLetivo < 2000 || anoLetivo > 2100) {
+      return { error: 'Ano letivo inválido' }
+    }
+    data.anoLetivo = anoLetivo
+  }
+
+  if (!parcial || has('turno')) {
+    const turno = String(body.turno || '').trim().toUpperCase()
+    if (!TURNOS.includes(turno)) return { error: 'Turno inválido (MANHA/TARDE/INTEGRAL)' }
+    data.turno = turno
+  }
+
+  if (!parcial || has('capacidade')) {
+    const capacidade = Number(body.capacidade)
+    if (!Number.isInteger(capacidade) || capacidade < 1 || capacidade > MAX_CAPACIDADE) {
+      return { error: `Capacidade deve ser um inteiro entre 1 e ${MAX_CAPACIDADE}` }
+    }
+    data.capacidade = capacidade
+  }
+
+  if (has('sala')) {
+    data.sala = isNonEmptyString(body.sala) ? body.sala.trim() : null
+  } else if (!parcial) {
+    data.sala = null
+  }
+
+  if (has('professoresIds') || !parcial) {
+    const informados = body.professoresIds ?? []
+    if (!Array.isArray(informados)) return { error: 'Professores inválidos' }
+
+    const professoresIds = [...new Set(informados.map((pid) => String(pid).trim()))]
+    if (professoresIds.some((pid) => !OBJECT_ID_RE.test(pid))) {
+      return { error: 'Professores inválidos' }
+    }
+
+    if (professoresIds.length > 0) {
+      const professores = await prisma.Cluster0.findMany({
+        where: { id: { in: professoresIds }, role: 'PROFESSOR' },
+        select: { id: true },
+      })
+      if (professores.length !== professoresIds.length) {
+        return { error: 'Professores devem ser usuários cadastrados com perfil PROFESSOR' }
+      }
+    }
+    data.professoresIds = professoresIds
+  }
+
+  return { data }
+}
+
+// Acrescenta ocupacao e vagas a partir da contagem de alunos ATIVOS
+const withVagas = (turma, ocupadas) => {
+  const { _count, ...resto } = turma
+  return { ...resto, ocupadas, vagas: Math.max(turma.capacidade - ocupadas, 0) }
+}
+
+const handlePrismaError = (error, res, fallback) => {
+  if (error.code === 'P2002') {
+    return res.status(409).json({ error: 'Já existe uma turma com este nome no ano letivo' })
+  }
+  if (error.code === 'P2025') {
+    return res.status(404).json({ error: 'Turma não encontrada' })
+  }
+  return res.status(500).json({ error: fallback })
+}
+
+// =======================================
+// Cadastrar turma (POST /api/turma)
+// =======================================
+
+/**
+ * @swagger
+ * /api/turma:
+ *   post:
+ *     summary: Cadastra uma turma
+ *     tags:
+ *       - Turmas
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TurmaInput'
+ *     responses:
+ *       201:
+ *         description: Turma criada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Turma'
+ *       400:
+ *         description: Erro de validação (segmento, turno, capacidade, professores, etc.)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SimpleErrorResponse'
+ *       409:
+ *         description: Já existe uma turma com o mesmo nome no ano letivo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SimpleErrorResponse'
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão para o módulo de turmas
+ *       500:
+ *         description: Erro ao cadastrar turma
+ */
+router.post('/turma', authorize('turmas', 'write'), async (req, res) => {
+  try {
+    const { data, error } = await parseTurmaInput(req.body || {})
+    if (error) return res.status(400).json({ error })
+
+    const turma = await prisma.turma.create({
+      data: {
+        ...data,
+        criadoPorId: req.user?.id || null,
+        atualizadoPorId: req.user?.id || null,
+      },
+    })
+
+    logger.userAction('turma_criada', req.user?.id, { turmaId: turma.id })
+    await recordAudit(req, { entidade: 'turma', entidadeId: turma.id, acao: 'CRIAR', depois: turma })
+
+    res.status(201).json(withVagas(turma, 0))
+  } catch (error) {
+    console.error('[POST /turma] erro:', error)
+    handlePrismaError(error, res, 'Erro ao cadastrar turma')
+  }
+})
+
+// =======================================
+// Listar turmas (GET /api/turmas)
+// =======================================
+
+/**
+ * @swagger
+ * /api/turmas:
+ *   get:
+ *     summary: Lista as turmas com ocupação e vagas
+ *     tags:
+ *       - Turmas
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: anoLetivo
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: segmento
+ *         schema:
+ *           type: string
+ *           enum: [BERCARIO, MATERNAL, PRE_ESCOLAR, EXTRA_CLASSE]
+ *       - in: query
+ *         name: turno
+ *         schema:
+ *           type: string
+ *           enum: [MANHA, TARDE, INTEGRAL]
+ *       - in: query
+ *         name: professorId
+ *         schema:
+ *           type: string
+ *         description: Apenas turmas em que o professor é responsável
+ *     responses:
+ *       200:
+ *         description: Lista de turmas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Turma'
+ *       400:
+ *         description: Filtro inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SimpleErrorResponse'
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão para o módulo de turmas
+ *       500:
+ *         description: Erro ao buscar turmas
+ */
+router.get('/turmas', authorize('turmas', 'read'), async (req, res) => {
+  try {
+    const { anoLetivo, segmento, turno, professorId } = req.query
+    const where = {}
+
+    if (anoLetivo !== undefined) {
+      const ano = Number(anoLetivo)
+      if (!Number.isInteger(ano)) return res.status(400).json({ error: 'Ano letivo inválido' })
+      where.anoLetivo = ano
+    }
+
+    if (segmento) {
+      const segmentoNorm = String(segmento).trim().toUpperCase()
+      if (!SEGMENTOS.includes(segmentoNorm)) return res.status(400).json({ error: 'Segmento inválido' })
+      where.segmento = segmentoNorm
+    }
+
+    if (turno) {
+      const turnoNorm = String(turno).trim().toUpperCase()
+      if (!TURNOS.includes(turnoNorm)) return res.status(400).json({ error: 'Turno inválido (MANHA/TARDE/INTEGRAL)' })
+      where.turno = turnoNorm
+    }
+
+    if (professorId) {
+      if (!OBJECT_ID_RE.test(String(professorId))) return res.status(400).json({ error: 'Professor inválido' })
+      where.professoresIds = { has: String(professorId) }
+    }
+
+    const turmas = await prisma.turma.findMany({
+      where,
+      orderBy: [{ anoLetivo: 'desc' }, { nome: 'asc' }],
+      include: { _count: { select: { alunos: { where: { status: 'ATIVO' } } } } },
+    })
+
+    res.json(turmas.map((turma) => withVagas(turma, turma._count?.alunos || 0)))
+  } catch (error) {
+    console.error('[GET /turmas] erro:', error)
+    res.status(500).json({ error: 'Erro ao buscar turmas' })
+  }
+})
+
+// =======================================
+// Regras de idade por segmento (GET/PUT /api/turmas/regras-idade)
+// =======================================
+
+/**
+ * @swagger
+ * /api/turmas/regras-idade:
+ *   get:
+ *     summary: Faixas de idade por segmento em vigor
+ *     tags:
+ *       - Turmas
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Regras atuais
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RegrasIdade'
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão para o módulo de turmas
+ *       500:
+ *         description: Erro ao buscar regras de idade
+ *   put:
+ *     summary: Altera as faixas de idade por segmento
+ *     description: Campos omitidos mantêm o valor atual; um segmento com null deixa de ter restrição. Vale para os próximos cadastros e alterações e para o relatório.
+ *     tags:
+ *       - Turmas
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RegrasIdade'
+ *     responses:
+ *       200:
+ *         description: Regras atualizadas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RegrasIdade'
+ *       400:
+ *         description: Valor inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SimpleErrorResponse'
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Apenas administradores
+ *       500:
+ *         description: Erro ao salvar regras de idade
+ */
+router.get('/turmas/regras-idade', authorize('turmas', 'read'), async (_req, res) => {
+  try {
+    res.json(await getAgeRules())
+  } catch (error) {
+    console.error('[GET /turmas/regras-idade] erro:', error)
+    res.status(500).json({ error: 'Erro ao buscar regras de idade' })
+  }
+})
+
+router.put('/turmas/regras-idade', authorize('configuracoes', 'write'), async (req, res) => {
+  try {
+    const atuais = await getAgeRules()
+    const { regras, error } = normalizeAgeRules(req.body, atuais)
+    if (error) return res.status(400).json({ error })
+
+    const salvas = await setAgeRules(regras, req.user?.id || null)
+
+    logger.userAction('regras_idade_atualizadas', req.user?.id, { regras: salvas })
+
+    res.json(salvas)
+  } catch (error) {
+    console.error('[PUT /turmas/regras-idade] erro:', error)
+    res.status(500).json({ error: 'Erro ao salvar regras de idade' })
+  }
+})
+
+// =======================================
+// Relatório de idade x turma (GET /api/turmas/relatorio-idade)
+// =======================================
+
+/**
+ * @swagger
+ * /api/turmas/relatorio-idade:
+ *   get:
+ *     summary: Alunos ativos cuja idade não se encaixa mais na turma atual
+ *     description: |
+ *       Aplica as regras de idade em vigor aos alunos ATIVOS de cada turma, na data de corte do ano letivo da turma
+ *       (ou na data informada em `referencia`, para planejar o próximo ano). Lista apenas quem ficou fora da faixa.
+ *     tags:
+ *       - Turmas
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: anoLetivo
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: segmento
+ *         schema:
+ *           type: string
+ *           enum: [BERCARIO, MATERNAL, PRE_ESCOLAR, EXTRA_CLASSE]
+ *       - in: query
+ *         name: turmaId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: referencia
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Data em que a idade é medida no lugar da data de corte
+ *       - in: query
+ *         name: nivel
+ *         schema:
+ *           type: string
+ *           enum: [AVISO, ERRO]
+ *         description: Apenas avisos (dentro da tolerância) ou apenas erros
+ *     responses:
+ *       200:
+ *         description: Relatório gerado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 regras:
+ *                   $ref: '#/components/schemas/RegrasIdade'
+ *                 total:
+ *                   type: integer
+ *                 alunos:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Elegibilidade'
+ *                       - type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           nome:
+ *                             type: string
+ *                           numeroMatricula:
+ *                             type: string
+ *                           dataNascimento:
+ *                             type: string
+ *                             format: date-time
+ *                           turma:
+ *                             $ref: '#/components/schemas/TurmaResumo'
+ *       400:
+ *         description: Filtro inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SimpleErrorResponse'
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão para o módulo de turmas
+ *       500:
+ *         description: Erro ao gerar relatório
+ */
+router.get('/turmas/relatorio-idade', authorize('turmas', 'read'), async (req, res) => {
+  try {
+    const { anoLetivo, segmento, turmaId, referencia, nivel } = req.query
+    const where = {}
+
+    if (anoLetivo !== undefined) {
+      const ano = Number(anoLetivo)
+      if (!Number.isInteger(ano)) return res.status(400).json({ error: 'Ano letivo inválido' })
+      where.anoLetivo = ano
+    }
+
+    if (segmento) {
+      const segmentoNorm = String(segmento).trim().toUpperCase()
+      if (!SEGMENTOS.includes(segmentoNorm)) return res.status(400).json({ error: 'Segmento inválido' })
+      where.segmento = segmentoNorm
+    }
+
+    if (turmaId) {
+      if (!OBJECT_ID_RE.test(String(turmaId))) return res.status(400).json({ error: 'Turma inválida' })
+      where.id = String(turmaId)
+    }
+
+    let dataReferencia
+    if (referencia) {
+      dataReferencia = new Date(String(referencia))
+      if (Number.isNaN(dataReferencia.getTime())) {
+        return res.status(400).json({ error: 'Data de referência inválida' })
+      }
+    }
+
+    const nivelNorm = nivel ? String(nivel).trim().toUpperCase() : null
+    if (nivelNorm && !['AVISO', 'ERRO'].includes(nivelNorm)) {
+      return res.status(400).json({ error: 'Nível inválido (AVISO/ERRO)' })
+    }
+
+    const regras = await getAgeRules()
+    const turmas = await prisma.turma.findMany({
+      where,
+      orderBy: [{ anoLetivo: 'desc' }, { nome: 'asc' }],
+      include: {
+        alunos: {
+          where: { status: 'ATIVO' },
+          select: { id: true, nome: true, numeroMatricula: true, dataNascimento: true },
+          orderBy: { nome: 'asc' },
+        },
+      },
+    })
+
+    const alunos = []
+    for (const { alunos: alunosTurma, ...turma } of turmas) {
+      for (const aluno of alunosTurma) {
+        const elegibilidade = checkAgeEligibility(aluno.dataNascimento, turma, regras, { referencia: dataReferencia })
+        if (elegibilidade.nivel === 'OK' || (nivelNorm && elegibilidade.nivel !== nivelNorm)) continue
+
+        alunos.push({
+          ...aluno,
+          turma: {
+            id: turma.id,
+            nome: turma.nome,
+            segmento: turma.segmento,
+            anoLetivo: turma.anoLetivo,
+            turno: turma.turno,
+          },
+          ...elegibilidade,
+        })
+      }
+    }
+
+    res.json({ regras, total: alunos.length, alunos })
+  } catch (error) {
+    console.error('[GET /turmas/relatorio-idade] erro:', error)
+    res.status(500).json({ error: 'Erro ao gerar relatório' })
+  }
+})
+
+// =======================================
+// Buscar turma (GET /api/turma/:id)
+// =======================================
+
+/**
+ * @swagger
+ * /api/turma/{id}:
+ *   get:
+ *     summary: Busca uma turma com a lista de alunos
+ *     tags:
+ *       - Turmas
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Turma encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Turma'
+ *                 - type: object
+ *                   properties:
+ *                     alunos:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           nome:
+ *                             type: string
+ *                           numeroMatricula:
+ *                             type: string
+ *                           status:
+ *                             type: string
+ *       400:
+ *         description: ID inválido
+ *       404:
+ *         description: Turma não encontrada
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão para o módulo de turmas
+ *       500:
+ *         description: Erro ao buscar turma
+ */
+router.get('/turma/:id', authorize('turmas', 'read'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const turma = await prisma.turma.findUnique({
+      where: { id },
+      include: {
+        alunos: {
+          select: { id: true, nome: true, numeroMatricula: true, status: true },
+          orderBy: { nome: 'asc' },
+        },
+      },
+    })
+
+    if (!turma) return res.status(404).json({ error: 'Turma não encontrada' })
+
+    const ocupadas = turma.alunos.filter((aluno) => aluno.status === 'ATIVO').length
+    res.json(withVagas(turma, ocupadas))
+  } catch (error) {
+    console.error('[GET /turma/:id] erro:', error)
+    res.status(500).json({ error: 'Erro ao buscar turma' })
+  }
+})
+
+// =======================================
+// Atualizar turma (PATCH /api/turma/:id)
+// =======================================
+
+/**
+ * @swagger
+ * /api/turma/{id}:
+ *   patch:
+ *     summary: Atualiza parcialmente uma turma
+ *     description: A capacidade não pode ficar abaixo do número de alunos ATIVOS na turma.
+ *     tags:
+ *       - Turmas
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TurmaInput'
+ *     responses:
+ *       200:
+ *         description: Turma atualizada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Turma'
+ *       400:
+ *         description: Erro de validação
+ *       404:
+ *         description: Turma não encontrada
+ *       409:
+ *         description: Capacidade menor que os alunos ativos ou nome repetido no ano letivo
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão para o módulo de turmas
+ *       500:
+ *         description: Erro ao atualizar turma
+ */
+router.patch('/turma/:id', authorize('turmas', 'write'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const { data, error } = await parseTurmaInput(req.body || {}, { parcial: true })
+    if (error) return res.status(400).json({ error })
+
+    const turmaAntes = await prisma.turma.findUnique({ where: { id } })
+    if (!turmaAntes) return res.status(404).json({ error: 'Turma não encontrada' })
+
+    const ocupadas = await countAlunosAtivos(id)
+    if (data.capacidade !== undefined && data.capacidade < ocupadas) {
+      return res.status(409).json({
+        error: `A turma tem ${ocupadas} alunos ativos; a capacidade não pode ser menor que isso`,
+      })
+    }
+
+    const turma = await prisma.turma.update({
+      where: { id },
+      data: { ...data, atualizadoPorId: req.user?.id || null },
+    })
+
+    logger.userAction('turma_atualizada', req.user?.id, { turmaId: id })
+    await recordAudit(req, { entidade: 'turma', entidadeId: id, acao: 'ATUALIZAR', antes: turmaAntes, depois: turma })
+
+    res.json(withVagas(turma, ocupadas))
+  } catch (error) {
+    console.error('[PATCH /turma/:id] erro:', error)
+    handlePrismaError(error, res, 'Erro ao atualizar turma')
+  }
+})
+
+// =======================================
+// Excluir turma (DELETE /api/turma/:id)
+// =======================================
+
+/**
+ * @swagger
+ * /api/turma/{id}:
+ *   delete:
+ *     summary: Exclui uma turma sem alunos nem histórico
+ *     tags:
+ *       - Turmas
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Turma excluída
+ *       400:
+ *         description: ID inválido
+ *       404:
+ *         description: Turma não encontrada
+ *       409:
+ *         description: A turma ainda tem alunos (ativos ou inativos) ou registros vinculados (vinculos), como a frequência e a agenda diária
+ *       401:
+ *         description: Token ausente, inválido ou expirado
+ *       403:
+ *         description: Perfil sem permissão para o módulo de turmas
+ *       500:
+ *         description: Erro ao excluir turma
+ */
+router.delete('/turma/:id', authorize('turmas', 'write'), async (req, res) => {
+  const { id } = req.params
+  if (!OBJECT_ID_RE.test(id)) {
+    return res.status(400).json({ error: 'ID inválido' })
+  }
+
+  try {
+    const turma = await prisma.turma.findUnique({
+      where: { id },
+      include: { _count: { select: Object.fromEntries(Object.keys(VINCULOS_TURMA).map((campo) => [campo, true])) } },
+    })
+    if (!turma) return res.status(404).json({ error: 'Turma não encontrada' })
+
+    // alunos inativos tambem mantem o historico da turma
+    const alunos = await prisma.aluno.count({ where: { turmaId: id } })
+    if (alunos > 0) {
+      return res.status(409).json({ error: 'Transfira os alunos da turma antes de excluí-la' })
+    }
+
+    const { _count: contagem, ...turmaAntes } = turma
+    const vinculos = Object.entries(VINCULOS_TURMA)
+      .filter(([campo]) => contagem?.[campo] > 0)
+      .map(([, rotulo]) => rotulo)
+    if (vinculos.length > 0) {
+      return res.status(409).json({
+        error: `Turma possui registros vinculados (${vinculos.join(', ')}) e não pode ser excluída`,
+        vinculos,
+      })
+    }
+
+    await prisma.turma.delete({ where: { id } })
+
+    logger.userAction('turma_excluida', req.user?.id, { turmaId: id })
+    await recordAudit(req, { entidade: 'turma', entidadeId: id, acao: 'EXCLUIR', antes: turmaAntes })
+
+    res.status(204).send()
+  } catch (error) {
+    console.error('[DELETE /turma/:id] erro:', error)
+    handlePrismaError(error, res, 'Erro ao excluir turma')
+  }
+})
+
+export default router
@@ -0,0 +1,22 @@
+// scripts/marcar-emails-verificados.js
+// Execucao unica ao publicar a confirmacao de e-mail: contas criadas antes
+// dela nao tem emailVerificadoEm e ficariam impedidas de entrar.
+// Uso: node scripts/marcar-emails-verificados.js
+import 'dotenv/config'
+import prisma from '../utils/prisma.js'
+
+async function main() {
+  const result = await prisma.Cluster0.updateMany({
+    where: { emailVerificadoEm: { isSet: false } },
+    data: { emailVerificadoEm: new Date() },
+  })
+
+  console.log(`Contas marcadas como verificadas: ${result.count}`)
+}
+
+main()
+  .catch((error) => {
+    console.error('Erro:', error)
+    process.exitCode = 1
+  })
+  .finally(() => prisma.$disconnect())
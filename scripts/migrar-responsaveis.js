@@ -0,0 +1,72 @@
+// scripts/migrar-responsaveis.js
+// Execucao unica ao publicar o cadastro de responsaveis: Aluno.responsaveis
+// deixou de ser uma lista de nomes e passou a ser uma lista de vinculos com
+// Responsavel. Cada nome vira um responsavel (parentesco OUTRO, sem flags);
+// irmaos com o mesmo nome de responsavel e o mesmo CEP reaproveitam o registro.
+// Pode ser executado de novo: so alunos ainda com a lista de nomes sao migrados.
+// Uso: node scripts/migrar-responsaveis.js
+import 'dotenv/config'
+import prisma from '../utils/prisma.js'
+
+const normalizarNome = (nome) =>
+  String(nome)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase()
+
+async function main() {
+  // o campo antigo nao existe mais no schema: a leitura e feita direto no MongoDB
+  const alunos = await prisma.aluno.findRaw({
+    filter: { 'responsaveis.0': { $type: 'string' } },
+    options: { projection: { responsaveis: 1 } },
+  })
+
+  // mesmo nome + mesmo CEP = mesma familia
+  const criados = new Map()
+  let vinculos = 0
+
+  for (const doc of alunos) {
+    const alunoId = doc._id?.$oid || String(doc._id)
+    const endereco = await prisma.endereco.findFirst({ where: { alunoId }, select: { cep: true } })
+
+    const nomes = [...new Set(doc.responsaveis.map((nome) => String(nome).trim().replace(/\s+/g, ' ')).filter(Boolean))]
+    const responsavelIds = []
+    for (const nome of nomes) {
+      const chave = `${normalizarNome(nome)}|${endereco?.cep || alunoId}`
+      let responsavelId = criados.get(chave)
+      if (!responsavelId) {
+        const responsavel = await prisma.responsavel.create({
+          data: { nome, cpf: null, email: null, telefones: [], observacoes: null },
+        })
+        responsavelId = responsavel.id
+        criados.set(chave, responsavelId)
+      }
+      if (!responsavelIds.includes(responsavelId)) responsavelIds.push(responsavelId)
+    }
+
+    for (const responsavelId of responsavelIds) {
+      await prisma.alunoResponsavel.create({
+        data: { alunoId, responsavelId, parentesco: 'OUTRO', responsavelFinanceiro: false, guardaLegal: false },
+      })
+      vinculos += 1
+    }
+
+    await prisma.$runCommandRaw({
+      update: 'Aluno',
+      updates: [{ q: { _id: { $oid: alunoId } }, u: { $unset: { responsaveis: '' } } }],
+    })
+  }
+
+  console.log(`Alunos migrados: ${alunos.length}`)
+  console.log(`Responsaveis criados: ${criados.size}`)
+  console.log(`Vinculos criados: ${vinculos}`)
+}
+
+main()
+  .catch((error) => {
+    console.error('Erro:', error)
+    process.exitCode = 1
+  })
+  .finally(() => prisma.$disconnect())
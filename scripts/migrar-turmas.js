@@ -0,0 +1,94 @@
+// scripts/migrar-turmas.js
+// Execucao unica ao publicar o cadastro de turmas: Aluno.turma deixou de ser
+// um dos valores fixos (BERCARIO, MATERNAL...) e passou a apontar para uma
+// Turma. Cria uma turma por segmento no ano letivo informado (turno INTEGRAL,
+// capacidade suficiente para os alunos ativos) e liga os alunos a ela.
+// Pode ser executado de novo: so alunos ainda com o texto antigo sao migrados.
+// Uso: node scripts/migrar-turmas.js [anoLetivo]   (padrao: ano atual)
+//      TURMA_CAPACIDADE_PADRAO=20 define a capacidade minima das turmas criadas
+import 'dotenv/config'
+import prisma from '../utils/prisma.js'
+import { SEGMENTOS } from '../utils/turmas.js'
+
+const NOMES = {
+  BERCARIO: 'Berçário',
+  MATERNAL: 'Maternal',
+  PRE_ESCOLAR: 'Pré-escolar',
+  EXTRA_CLASSE: 'Extra classe',
+}
+
+async function main() {
+  const anoLetivo = Number(process.argv[2] || new Date().getFullYear())
+  if (!Number.isInteger(anoLetivo)) {
+    throw new Error(`Ano letivo invalido: ${process.argv[2]}`)
+  }
+  const capacidadePadrao = Number(process.env.TURMA_CAPACIDADE_PADRAO || 20)
+
+  // o campo antigo nao existe mais no schema: a leitura e feita direto no MongoDB
+  const alunos = await prisma.aluno.findRaw({
+    filter: { turma: { $type: 'string' } },
+    options: { projection: { turma: 1, status: 1 } },
+  })
+
+  const porSegmento = new Map()
+  for (const aluno of alunos) {
+    const grupo = porSegmento.get(aluno.turma) || { total: 0, ativos: 0 }
+    grupo.total += 1
+    if (aluno.status === 'ATIVO') grupo.ativos += 1
+    porSegmento.set(aluno.turma, grupo)
+  }
+
+  for (const [valor, grupo] of porSegmento) {
+    const segmento = String(valor).trim().toUpperCase()
+    if (!SEGMENTOS.includes(segmento)) {
+      console.warn(`Turma desconhecida "${valor}" em ${grupo.total} aluno(s): ajuste manualmente`)
+      continue
+    }
+
+    const nome = NOMES[segmento]
+    const turma = await prisma.turma.upsert({
+      where: { nome_anoLetivo: { nome, anoLetivo } },
+      create: {
+        nome,
+        segmento,
+        anoLetivo,
+        turno: 'INTEGRAL',
+        capacidade: Math.max(grupo.ativos, capacidadePadrao),
+        sala: null,
+        professoresIds: [],
+      },
+      update: {},
+    })
+
+    // a turma ja existente pode ter capacidade menor que os alunos que chegam
+    const ativos = await prisma.aluno.count({ where: { turmaId: turma.id, status: 'ATIVO' } })
+    if (ativos + grupo.ativos > turma.capacidade) {
+      await prisma.turma.update({
+        where: { id: turma.id },
+        data: { capacidade: ativos + grupo.ativos },
+      })
+    }
+
+    const result = await prisma.$runCommandRaw({
+      update: 'Aluno',
+      updates: [
+        {
+          q: { turma: valor },
+          u: { $set: { turmaId: { $oid: turma.id } }, $unset: { turma: '' } },
+          multi: true,
+        },
+      ],
+    })
+
+    console.log(`${nome} ${anoLetivo}: ${result.nModified ?? result.n} aluno(s) migrado(s)`)
+  }
+
+  console.log(`Alunos com turma em texto encontrados: ${alunos.length}`)
+}
+
+main()
+  .catch((error) => {
+    console.error('Erro:', error)
+    process.exitCode = 1
+  })
+  .finally(() => prisma.$disconnect())
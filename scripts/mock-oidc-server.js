@@ -0,0 +1,135 @@
+// scripts/mock-oidc-server.js
+// Provedor OpenID Connect minimo para desenvolvimento e testes do login OIDC.
+// Aprova qualquer pedido de autorizacao em nome do e-mail informado (query
+// login_hint ou MOCK_OIDC_EMAIL) e emite id_tokens RS256 com chave gerada na
+// hora. Nao use fora do ambiente local.
+// Uso: MOCK_OIDC_EMAIL=admin@example.com node scripts/mock-oidc-server.js
+//      (depois OIDC_ISSUER=http://127.0.0.1:4010 e OIDC_CLIENT_ID=rajj na API)
+import crypto from 'crypto'
+import http from 'http'
+import jwt from 'jsonwebtoken'
+import { fileURLToPath } from 'url'
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let data = ''
+    req.on('data', (chunk) => {
+      data += chunk
+    })
+    req.on('end', () => resolve(data))
+    req.on('error', reject)
+  })
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+export const startMockOidcServer = async ({ port = 0, clientId = 'rajj', email = 'usuario@example.com' } = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+  const kid = crypto.randomBytes(8).toString('hex')
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }
+  const codes = new Map()
+  // claims extras do proximo id_token (ex.: { email_verified: false })
+  let claimOverrides = {}
+  let issuer
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, issuer)
+
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+        response_types_supported: ['code'],
+        code_challenge_methods_supported: ['S256'],
+        id_token_signing_alg_values_supported: ['RS256'],
+      })
+    }
+
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      return sendJson(res, 200, { keys: [jwk] })
+    }
+
+    if (req.method === 'GET' && url.pathname === '/authorize') {
+      const params = Object.fromEntries(url.searchParams)
+      if (params.client_id !== clientId || params.code_challenge_method !== 'S256' || !params.code_challenge) {
+        return sendJson(res, 400, { error: 'invalid_request' })
+      }
+
+      const code = crypto.randomBytes(16).toString('hex')
+      codes.set(code, {
+        redirectUri: params.redirect_uri,
+        codeChallenge: params.code_challenge,
+        nonce: params.nonce,
+        email: params.login_hint || email,
+      })
+
+      const redirect = new URL(params.redirect_uri)
+      redirect.searchParams.set('code', code)
+      redirect.searchParams.set('state', params.state)
+      res.writeHead(302, { Location: redirect.toString() })
+      return res.end()
+    }
+
+    if (req.method === 'POST' && url.pathname === '/token') {
+      const params = Object.fromEntries(new URLSearchParams(await readBody(req)))
+      const grant = codes.get(params.code)
+      codes.delete(params.code)
+
+      const challenge = crypto.createHash('sha256').update(String(params.code_verifier || '')).digest('base64url')
+      if (
+        !grant ||
+        params.grant_type !== 'authorization_code' ||
+        params.client_id !== clientId ||
+        params.redirect_uri !== grant.redirectUri ||
+        challenge !== grant.codeChallenge
+      ) {
+        return sendJson(res, 400, { error: 'invalid_grant' })
+      }
+
+      const idToken = jwt.sign(
+        {
+          sub: crypto.createHash('sha256').update(grant.email).digest('hex').slice(0, 24),
+          email: grant.email,
+          email_verified: true,
+          nonce: grant.nonce,
+          ...claimOverrides,
+        },
+        privateKey,
+        { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: '5m' }
+      )
+      claimOverrides = {}
+
+      return sendJson(res, 200, {
+        access_token: crypto.randomBytes(16).toString('hex'),
+        token_type: 'Bearer',
+        id_token: idToken,
+      })
+    }
+
+    return sendJson(res, 404, { error: 'not_found' })
+  })
+
+  await new Promise((resolve) => server.listen(port, '127.0.0.1', resolve))
+  issuer = `http://127.0.0.1:${server.address().port}`
+
+  return {
+    issuer,
+    setNextClaims: (claims) => {
+      claimOverrides = claims
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const mock = await startMockOidcServer({
+    port: Number(process.env.MOCK_OIDC_PORT || 4010),
+    clientId: process.env.MOCK_OIDC_CLIENT_ID || 'rajj',
+    email: process.env.MOCK_OIDC_EMAIL || 'usuario@example.com',
+  })
+  console.log(`Mock OIDC em ${mock.issuer} (client_id ${process.env.MOCK_OIDC_CLIENT_ID || 'rajj'})`)
+}
@@ -12,10 +12,25 @@ import swaggerUi from 'swagger-ui-express'
 
 import publicRoutes from './routes/public.js'
 import privateRoutes from './routes/private.js'
+import mfaRoutes from './routes/mfa.js'
+import convitesRoutes from './routes/convites.js'
+import chavesApiRoutes from './routes/chavesApi.js'
 import alunoRoutes from './routes/alunos.js'
+import turmasRoutes from './routes/turmas.js'
+import responsaveisRoutes from './routes/responsaveis.js'
+import retiradasRoutes from './routes/retiradas.js'
+import frequenciaRoutes from './routes/frequencia.js'
+import saudeRoutes from './routes/saude.js'
+import diarioRoutes from './routes/diario.js'
+import ocorrenciasRoutes from './routes/ocorrencias.js'
 import contasRoutes from './routes/contas.js'
-import auth from './middlewares/auth.js'
-import { httpLoggingMiddleware, errorLoggingMiddleware } from './middlewares/logging.js'
+import { authOrApiKey } from './middlewares/auth.js'
+import { createUploadsRouter } from './middlewares/uploads.js'
+import {
+  httpLoggingMiddleware,
+  errorLoggingMiddleware,
+  requestIdMiddleware,
+} from './middlewares/logging.js'
 import logger from './utils/logger.js'
 
 const app = express()
@@ -74,6 +89,7 @@ const limiter = rateLimit({
 app.use(limiter)
 
 // ====== Logging de requisições HTTP ======
+app.use(requestIdMiddleware)
 app.use(httpLoggingMiddleware)
 
 // ====== arquivos estáticos (FRONT-END) ======
@@ -82,8 +98,8 @@ if (SERVE_STATIC_FRONTEND) {
   app.use(express.static(FRONTEND_ROOT))
 }
 
-// uploads de alunos (fotos/documentos)
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')))
+// uploads de alunos (fotos/documentos): exigem token ou link assinado
+app.use('/uploads', createUploadsRouter(path.join(__dirname, 'uploads')))
 
 // ====== Swagger (OpenAPI) ======
 const swaggerOptions = {
@@ -107,6 +123,12 @@ const swaggerOptions = {
           scheme: 'bearer',
           bearerFormat: 'JWT',
         },
+        // rotas /api (integracoes); gerenciadas em /private/chaves-api
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+        },
       },
     },
   },
@@ -134,11 +156,26 @@ app.use('/api', (req, _res, next) => {
   next()
 })
 
-// ====== Rotas de alunos (pode colocar auth aqui se quiser) ======
+// ====== Rotas /api protegidas por token ou chave de API (alunos, turmas e contas) ======
+app.use('/api', authOrApiKey)
 app.use('/api', alunoRoutes)
-
-// ====== Rotas de contas protegidas por token ======
-app.use('/api', auth, contasRoutes)
+app.use('/api', turmasRoutes)
+app.use('/api', responsaveisRoutes)
+app.use('/api', retiradasRoutes)
+app.use('/api', frequenciaRoutes)
+app.use('/api', saudeRoutes)
+app.use('/api', diarioRoutes)
+app.use('/api', ocorrenciasRoutes)
+app.use('/api', contasRoutes)
+
+// ====== MFA do usuario logado (router com auth proprio) ======
+app.use('/private/mfa', mfaRoutes)
+
+// ====== Convites de cadastro (router com auth proprio) ======
+app.use('/private/convites', convitesRoutes)
+
+// ====== Chaves de API das integracoes (router com auth proprio) ======
+app.use('/private/chaves-api', chavesApiRoutes)
 
 // ====== Rotas privadas (exemplo) ======
 // private.js já tem router.use(auth), então aqui não precisa passar de novo.
@@ -7,6 +7,8 @@ const mfaGroup = document.getElementById('mfa-group')
 const mfaDigitInputs = Array.from(document.querySelectorAll('.mfa-digit'))
 const mfaBackWrapper = document.getElementById('mfa-back-wrapper')
 const mfaBackButton = document.getElementById('mfa-back-button')
+const oidcWrapper = document.getElementById('oidc-wrapper')
+const oidcButton = document.getElementById('oidc-button')
 const loginSubtitle = document.getElementById('login-subtitle')
 const emailInput = document.getElementById('email')
 const passwordInput = document.getElementById('senha')
@@ -35,6 +37,7 @@ const setStep = (step) => {
   passwordGroup?.classList.toggle('is-hidden', isMfaStep)
   mfaGroup?.classList.toggle('is-hidden', !isMfaStep)
   mfaBackWrapper?.classList.toggle('is-hidden', !isMfaStep)
+  oidcWrapper?.classList.toggle('is-hidden', isMfaStep)
 
   if (emailInput) emailInput.required = !isMfaStep
   if (passwordInput) passwordInput.required = !isMfaStep
@@ -76,6 +79,20 @@ const showFlashMessage = () => {
   } catch (_) {}
 }
 
+// Resposta comum do login por senha, do OIDC e da validacao do MFA
+const handleLoginResponse = (data) => {
+  if (data?.requiresMfa) {
+    mfaChallenge = data
+    setStep('mfa')
+    setLoginFeedback(data.message || 'Codigo enviado para o e-mail.', 'success')
+    return
+  }
+
+  window.localStorage.setItem(window.RAJJ.storageKeys.token, data.token)
+  window.localStorage.setItem(window.RAJJ.storageKeys.user, JSON.stringify(data.user))
+  window.location.href = 'cadastro-aluno.html'
+}
+
 mfaBackButton?.addEventListener('click', () => {
   resetToPasswordStep()
 })
@@ -113,17 +130,13 @@ loginForm?.addEventListener('submit', async (event) => {
           body: { email, password },
         })
 
-    if (data?.requiresMfa) {
-      mfaChallenge = data
-      setStep('mfa')
-      setLoginFeedback(data.message || 'Codigo enviado para o e-mail.', 'success')
+    handleLoginResponse(data)
+  } catch (error) {
+    // senha vencida: a API devolve um link de troca de uso unico
+    if (error.payload?.senhaExpirada && error.payload.resetToken) {
+      window.location.href = `reset-password.html?token=${encodeURIComponent(error.payload.resetToken)}`
       return
     }
-
-    window.localStorage.setItem(window.RAJJ.storageKeys.token, data.token)
-    window.localStorage.setItem(window.RAJJ.storageKeys.user, JSON.stringify(data.user))
-    window.location.href = 'cadastro-aluno.html'
-  } catch (error) {
     setLoginFeedback(error.message || 'Nao foi possivel entrar.', 'error')
   } finally {
     loginButton.disabled = false
@@ -195,5 +208,59 @@ mfaDigitInputs.forEach((input, index) => {
   })
 })
 
+// Link de confirmacao de e-mail: login.html?verificarEmail=<token>
+const confirmEmailFromLink = async () => {
+  const token = new URLSearchParams(window.location.search).get('verificarEmail')
+  if (!token) return
+
+  window.history.replaceState(null, '', window.location.pathname)
+
+  try {
+    const data = await window.RAJJ.apiFetch('/verificar-email', {
+      method: 'POST',
+      body: { token },
+    })
+    setLoginFeedback(data?.message || 'E-mail confirmado.', 'success')
+  } catch (error) {
+    setLoginFeedback(error.message || 'Nao foi possivel confirmar o e-mail.', 'error')
+  }
+}
+
+oidcButton?.addEventListener('click', async () => {
+  oidcButton.disabled = true
+  setLoginFeedback('')
+
+  try {
+    const data = await window.RAJJ.apiFetch('/login/oidc/iniciar', { method: 'POST' })
+    window.location.href = data.url
+  } catch (error) {
+    oidcButton.disabled = false
+    setLoginFeedback(error.message || 'Nao foi possivel iniciar o login pela escola.', 'error')
+  }
+})
+
+// Retorno do provedor de identidade: login.html?code=<code>&state=<state>
+const completeOidcFromRedirect = async () => {
+  const params = new URLSearchParams(window.location.search)
+  const code = params.get('code')
+  const state = params.get('state')
+  if (!code || !state) return
+
+  window.history.replaceState(null, '', window.location.pathname)
+  setLoginFeedback('Concluindo o login pela escola...')
+
+  try {
+    const data = await window.RAJJ.apiFetch('/login/oidc', {
+      method: 'POST',
+      body: { code, state },
+    })
+    handleLoginResponse(data)
+  } catch (error) {
+    setLoginFeedback(error.message || 'Nao foi possivel entrar pela escola.', 'error')
+  }
+}
+
 setStep('password')
 showFlashMessage()
+confirmEmailFromLink()
+completeOidcFromRedirect()
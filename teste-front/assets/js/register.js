@@ -276,6 +276,11 @@ registerForm?.addEventListener('submit', async (event) => {
   formData.append('endereco', JSON.stringify(endereco))
   formData.append('telefones', JSON.stringify(telefones.map(onlyDigits)))
 
+  const convite = new URLSearchParams(window.location.search).get('convite')
+  if (convite) {
+    formData.append('convite', convite)
+  }
+
   const fotoInput = document.getElementById('foto')
   const documentosInput = document.getElementById('documentos')
 
@@ -316,7 +321,12 @@ registerForm?.addEventListener('submit', async (event) => {
     )
     window.location.href = 'login.html'
   } catch (error) {
-    setRegisterFeedback(error.message || 'Nao foi possivel concluir o cadastro.', 'error')
+    // senha fora da politica: mostra cada regra nao atendida
+    const violacoes = error.payload?.violacoes?.map((violacao) => violacao.mensagem) || []
+    setRegisterFeedback(
+      [error.message || 'Nao foi possivel concluir o cadastro.', ...violacoes].join('. '),
+      'error'
+    )
   } finally {
     registerButton.disabled = false
     registerButton.textContent = 'Criar conta'
@@ -26,7 +26,8 @@ form.addEventListener('submit', async (e) => {
     })
 
     const data = await resp.json()
-    msg.textContent = data.message || 'Resposta recebida.'
+    const violacoes = (data.violacoes || []).map((violacao) => violacao.mensagem)
+    msg.textContent = [data.message || 'Resposta recebida.', ...violacoes].join('. ')
   } catch (err) {
     console.error(err)
     msg.textContent = 'Erro ao enviar requisição.'
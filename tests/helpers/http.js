@@ -15,6 +15,11 @@ export function createMockRes() {
   return {
     statusCode: 200,
     body: undefined,
+    headers: {},
+    set(name, value) {
+      this.headers[name.toLowerCase()] = value
+      return this
+    },
     status(code) {
       this.statusCode = code
       return this
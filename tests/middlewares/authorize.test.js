@@ -0,0 +1,94 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import authorize from '../../middlewares/authorize.js'
+import logger from '../../utils/logger.js'
+import { hasApiKeyScope, hasPermission } from '../../utils/permissions.js'
+import { createMockReq, createMockRes, createNextSpy } from '../helpers/http.js'
+
+test('authorize chama next quando o perfil tem permissao', () => {
+  const req = createMockReq({
+    path: '/contas',
+    user: { id: 'user-1', email: 'fin@test.com', role: 'FINANCEIRO' },
+  })
+  const res = createMockRes()
+  const next = createNextSpy()
+
+  authorize('contas', 'write')(req, res, next)
+
+  assert.equal(next.called(), true)
+  assert.equal(res.body, undefined)
+})
+
+test('authorize retorna 403 quando professor tenta acessar contas', () => {
+  const req = createMockReq({
+    path: '/contas',
+    user: { id: 'user-2', email: 'prof@test.com', role: 'PROFESSOR' },
+  })
+  const res = createMockRes()
+  const next = createNextSpy()
+  const originalAuthLog = logger.auth
+  const authCalls = []
+  logger.auth = (...args) => authCalls.push(args)
+
+  try {
+    authorize('contas', 'read')(req, res, next)
+
+    assert.equal(res.statusCode, 403)
+    assert.deepEqual(res.body, { message: 'Acesso negado para o seu perfil' })
+    assert.equal(next.called(), false)
+    assert.equal(authCalls[0][2], 'failure')
+  } finally {
+    logger.auth = originalAuthLog
+  }
+})
+
+test('authorize retorna 403 quando o token nao possui perfil', () => {
+  const req = createMockReq({ user: { id: 'user-3', email: 'old@test.com' } })
+  const res = createMockRes()
+  const next = createNextSpy()
+  const originalAuthLog = logger.auth
+  logger.auth = () => {}
+
+  try {
+    authorize('alunos', 'read')(req, res, next)
+
+    assert.equal(res.statusCode, 403)
+    assert.equal(next.called(), false)
+  } finally {
+    logger.auth = originalAuthLog
+  }
+})
+
+test('hasPermission impede financeiro de alterar usuarios', () => {
+  assert.equal(hasPermission('FINANCEIRO', 'usuarios', 'write'), false)
+  assert.equal(hasPermission('ADMIN', 'usuarios', 'write'), true)
+  assert.equal(hasPermission('SECRETARIA', 'alunos', 'write'), true)
+  assert.equal(hasPermission('PROFESSOR', 'alunos', 'write'), false)
+})
+
+test('authorize avalia requisicoes com chave de API pelos escopos da chave', () => {
+  const apiKeyUser = { id: null, role: null, apiKey: { id: 'chave-1', nome: 'Contabil', escopos: ['contas:read'] } }
+  const originalAuthLog = logger.auth
+  logger.auth = () => {}
+
+  try {
+    const allowedNext = createNextSpy()
+    authorize('contas', 'read')(createMockReq({ user: apiKeyUser }), createMockRes(), allowedNext)
+    assert.equal(allowedNext.called(), true)
+
+    const res = createMockRes()
+    const deniedNext = createNextSpy()
+    authorize('contas', 'write')(createMockReq({ user: apiKeyUser }), res, deniedNext)
+    assert.equal(res.statusCode, 403)
+    assert.equal(deniedNext.called(), false)
+  } finally {
+    logger.auth = originalAuthLog
+  }
+})
+
+test('hasApiKeyScope trata escrita como leitura no mesmo modulo', () => {
+  assert.equal(hasApiKeyScope(['alunos:write'], 'alunos', 'read'), true)
+  assert.equal(hasApiKeyScope(['alunos:write'], 'contas', 'read'), false)
+  assert.equal(hasApiKeyScope(undefined, 'alunos', 'read'), false)
+})
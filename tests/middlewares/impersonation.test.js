@@ -0,0 +1,50 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import blockImpersonation from '../../middlewares/impersonation.js'
+import logger from '../../utils/logger.js'
+import { createMockReq, createMockRes, createNextSpy } from '../helpers/http.js'
+
+test('blockImpersonation deixa o proprio usuario seguir', () => {
+  const req = createMockReq({
+    path: '/me/senha',
+    user: { id: 'user-1', email: 'sec@test.com', role: 'SECRETARIA' },
+  })
+  const res = createMockRes()
+  const next = createNextSpy()
+
+  blockImpersonation(req, res, next)
+
+  assert.equal(next.called(), true)
+  assert.equal(res.body, undefined)
+})
+
+test('blockImpersonation retorna 403 e registra os dois ids durante a personificacao', () => {
+  const req = createMockReq({
+    path: '/me/senha',
+    method: 'POST',
+    user: {
+      id: 'user-1',
+      email: 'sec@test.com',
+      role: 'SECRETARIA',
+      impersonatedBy: { id: 'admin-1', email: 'admin@test.com' },
+    },
+  })
+  const res = createMockRes()
+  const next = createNextSpy()
+  const originalAuthLog = logger.auth
+  const authCalls = []
+  logger.auth = (...args) => authCalls.push(args)
+
+  try {
+    blockImpersonation(req, res, next)
+
+    assert.equal(res.statusCode, 403)
+    assert.equal(next.called(), false)
+    assert.equal(authCalls[0][1], 'admin@test.com')
+    assert.equal(authCalls[0][3].userId, 'user-1')
+    assert.equal(authCalls[0][3].impersonatedBy, 'admin-1')
+  } finally {
+    logger.auth = originalAuthLog
+  }
+})
@@ -10,6 +10,7 @@ import {
 import {
   errorLoggingMiddleware,
   httpLoggingMiddleware,
+  requestIdMiddleware,
 } from '../../middlewares/logging.js'
 
 test('httpLoggingMiddleware registra detalhes da resposta JSON', () => {
@@ -79,3 +80,49 @@ test('errorLoggingMiddleware delega o erro ao logger e chama next(err)', () => {
     logger.error = originalErrorLog
   }
 })
+
+test('requestIdMiddleware gera um id por requisicao e devolve no header', () => {
+  const req = createMockReq()
+  const res = createMockRes()
+  const next = createNextSpy()
+
+  requestIdMiddleware(req, res, next)
+
+  assert.equal(next.called(), true)
+  assert.match(req.id, /^[0-9a-f-]{36}$/)
+  assert.equal(res.headers['x-request-id'], req.id)
+})
+
+test('requestIdMiddleware reaproveita X-Request-Id valido e ignora valores invalidos', () => {
+  const validReq = createMockReq({ headers: { 'x-request-id': 'proxy-abc-123' } })
+  requestIdMiddleware(validReq, createMockRes(), createNextSpy())
+  assert.equal(validReq.id, 'proxy-abc-123')
+
+  const invalidReq = createMockReq({ headers: { 'x-request-id': 'x\r\nSet-Cookie: a=b' } })
+  requestIdMiddleware(invalidReq, createMockRes(), createNextSpy())
+  assert.notEqual(invalidReq.id, 'x\r\nSet-Cookie: a=b')
+})
+
+test('httpLoggingMiddleware registra o admin real durante a personificacao', () => {
+  const req = createMockReq({
+    method: 'GET',
+    path: '/api/alunos',
+    user: { id: 'user-1', impersonatedBy: { id: 'admin-1', email: 'admin@test.com' } },
+  })
+  const res = createMockRes()
+  const next = createNextSpy()
+
+  const originalHttpLog = logger.http
+  const httpCalls = []
+  logger.http = (...args) => httpCalls.push(args)
+
+  try {
+    httpLoggingMiddleware(req, res, next)
+    res.json({ ok: true })
+
+    assert.equal(httpCalls[0][4], 'user-1')
+    assert.equal(httpCalls[0][5].impersonatedBy, 'admin-1')
+  } finally {
+    logger.http = originalHttpLog
+  }
+})
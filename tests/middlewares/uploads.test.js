@@ -0,0 +1,116 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { once } from 'node:events'
+import fs from 'node:fs'
+import http from 'node:http'
+import os from 'node:os'
+import path from 'node:path'
+import express from 'express'
+
+import requireUploadAccess, { createUploadsRouter } from '../../middlewares/uploads.js'
+import logger from '../../utils/logger.js'
+import { signUploadPath } from '../../utils/uploads.js'
+import { createMockReq, createMockRes, createNextSpy } from '../helpers/http.js'
+
+test('requireUploadAccess libera arquivo com link assinado valido', () => {
+  const url = new URL(signUploadPath('/uploads/alunos/foto-1.png'), 'http://localhost')
+  const req = createMockReq({
+    baseUrl: '/uploads/alunos',
+    path: '/foto-1.png',
+    query: Object.fromEntries(url.searchParams),
+  })
+  const res = createMockRes()
+  const next = createNextSpy()
+
+  requireUploadAccess(req, res, next)
+
+  assert.equal(next.called(), true)
+})
+
+test('requireUploadAccess retorna 403 para assinatura invalida', () => {
+  const req = createMockReq({
+    baseUrl: '/uploads/alunos',
+    path: '/foto-1.png',
+    query: { expires: String(Math.floor(Date.now() / 1000) + 60), signature: 'a'.repeat(64) },
+  })
+  const res = createMockRes()
+  const next = createNextSpy()
+
+  const originalAuthLog = logger.auth
+  logger.auth = () => {}
+
+  try {
+    requireUploadAccess(req, res, next)
+
+    assert.equal(res.statusCode, 403)
+    assert.equal(next.called(), false)
+  } finally {
+    logger.auth = originalAuthLog
+  }
+})
+
+test('requireUploadAccess exige token quando nao ha assinatura', async () => {
+  const req = createMockReq({ baseUrl: '/uploads/alunos', path: '/foto-1.png' })
+  const res = createMockRes()
+  const next = createNextSpy()
+
+  const originalAuthLog = logger.auth
+  logger.auth = () => {}
+
+  try {
+    await requireUploadAccess(req, res, next)
+
+    assert.equal(res.statusCode, 401)
+    assert.equal(next.called(), false)
+  } finally {
+    logger.auth = originalAuthLog
+  }
+})
+
+test('createUploadsRouter nao entrega arquivos de alunos por caminhos equivalentes', async () => {
+  const uploadsRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'))
+  fs.mkdirSync(path.join(uploadsRoot, 'alunos'))
+  fs.mkdirSync(path.join(uploadsRoot, 'usuarios'))
+  fs.writeFileSync(path.join(uploadsRoot, 'alunos', 'foto-1.png'), 'privado')
+  fs.writeFileSync(path.join(uploadsRoot, 'usuarios', 'avatar.png'), 'publico')
+
+  const app = express()
+  app.use('/uploads', createUploadsRouter(uploadsRoot))
+  const server = app.listen(0)
+  await once(server, 'listening')
+
+  const get = (rawPath) =>
+    new Promise((resolve, reject) => {
+      http
+        .get({ port: server.address().port, path: rawPath }, (res) => {
+          let body = ''
+          res.on('data', (chunk) => (body += chunk))
+          res.on('end', () => resolve({ status: res.statusCode, body }))
+        })
+        .on('error', reject)
+    })
+
+  const originalAuthLog = logger.auth
+  logger.auth = () => {}
+
+  try {
+    assert.equal((await get('/uploads/alunos/foto-1.png')).status, 401)
+    for (const rawPath of ['/uploads/%61lunos/foto-1.png', '/uploads//alunos/foto-1.png', '/uploads/usuarios/../alunos/foto-1.png']) {
+      const res = await get(rawPath)
+      assert.notEqual(res.status, 200, rawPath)
+      assert.notEqual(res.body, 'privado', rawPath)
+    }
+
+    const assinado = await get(signUploadPath('/uploads/alunos/foto-1.png'))
+    assert.equal(assinado.status, 200)
+    assert.equal(assinado.body, 'privado')
+
+    const publico = await get('/uploads/usuarios/avatar.png')
+    assert.equal(publico.status, 200)
+    assert.equal(publico.body, 'publico')
+  } finally {
+    logger.auth = originalAuthLog
+    server.close()
+    fs.rmSync(uploadsRoot, { recursive: true, force: true })
+  }
+})
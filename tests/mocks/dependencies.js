@@ -26,7 +26,30 @@ export function mockPrisma(overrides = {}) {
     Cluster0: prisma.Cluster0,
     conta: prisma.conta,
     aluno: prisma.aluno,
+    turma: prisma.turma,
+    responsavel: prisma.responsavel,
+    alunoResponsavel: prisma.alunoResponsavel,
+    autorizacaoRetirada: prisma.autorizacaoRetirada,
+    entradaSaida: prisma.entradaSaida,
+    frequencia: prisma.frequencia,
+    fichaSaude: prisma.fichaSaude,
+    administracaoMedicamento: prisma.administracaoMedicamento,
+    vacina: prisma.vacina,
+    registroDiario: prisma.registroDiario,
+    ocorrencia: prisma.ocorrencia,
+    ocorrenciaAluno: prisma.ocorrenciaAluno,
     endereco: prisma.endereco,
+    sessao: prisma.sessao,
+    configuracao: prisma.configuracao,
+    resetSenha: prisma.resetSenha,
+    desafioMfa: prisma.desafioMfa,
+    tentativaLogin: prisma.tentativaLogin,
+    convite: prisma.convite,
+    verificacaoEmail: prisma.verificacaoEmail,
+    auditLog: prisma.auditLog,
+    chaveApi: prisma.chaveApi,
+    loginOidc: prisma.loginOidc,
+    acessoLogin: prisma.acessoLogin,
   }
 
   for (const [modelName, methods] of Object.entries(overrides)) {
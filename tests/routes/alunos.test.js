@@ -8,9 +8,18 @@ import {
   getRouteHandler,
 } from '../helpers/http.js'
 import { mockPrisma } from '../mocks/dependencies.js'
+import prisma from '../../utils/prisma.js'
 
-const updateAlunoHandler = getRouteHandler(alunosRouter, 'patch', '/aluno/:id')
-const getAlunoHandler = getRouteHandler(alunosRouter, 'get', '/aluno/:id')
+const updateAlunoHandler = getRouteHandler(alunosRouter, 'patch', '/aluno/:id', 1)
+const getAlunoHandler = getRouteHandler(alunosRouter, 'get', '/aluno/:id', 1)
+const listAlunosHandler = getRouteHandler(alunosRouter, 'get', '/alunos', 1)
+const createAlunoHandler = getRouteHandler(alunosRouter, 'post', '/aluno', 2)
+const deleteAlunoHandler = getRouteHandler(alunosRouter, 'delete', '/aluno/:idAluno', 1)
+
+const TURMA_ID = '507f1f77bcf86cd799439099'
+
+// POST /aluno confere a vaga e cria o aluno dentro da transacao
+const transactionOnMocks = async (callback) => callback(prisma)
 
 test('PATCH /aluno/:id retorna 400 quando o CPF e invalido', async () => {
   const req = createMockReq({
@@ -32,7 +41,7 @@ test('PATCH /aluno/:id retorna 400 para turma invalida', async () => {
     method: 'PATCH',
     path: '/aluno/507f1f77bcf86cd799439011',
     params: { id: '507f1f77bcf86cd799439011' },
-    body: { turma: 'FUNDAMENTAL' },
+    body: { turmaId: 'FUNDAMENTAL' },
   })
   const res = createMockRes()
 
@@ -74,11 +83,22 @@ test('PATCH /aluno/:id atualiza arrays e normaliza campos com prisma mockado', a
             ...updatedData,
             enderecos: [],
           }),
+          count: async () => 3,
+        },
+        turma: {
+          findUnique: async ({ where }) => ({ id: where.id, nome: 'Maternal A', capacidade: 20 }),
+          update: async () => ({}),
         },
       }
 
       return callback(tx)
     },
+    configuracao: {
+      findUnique: async () => null,
+    },
+    auditLog: {
+      create: async ({ data }) => data,
+    },
   })
 
   try {
@@ -88,9 +108,8 @@ test('PATCH /aluno/:id atualiza arrays e normaliza campos com prisma mockado', a
       params: { id: '507f1f77bcf86cd799439011' },
       body: {
         status: 'ativo',
-        turma: 'maternal',
-        responsaveis: '[" Maria ","Jose "]',
-        alergias: [' Leite ', ' '],
+        turmaId: ` ${TURMA_ID} `,
+        responsaveis: '[{"responsavel":{"nome":" Maria "},"parentesco":"mae","responsavelFinanceiro":true}]',
         contatos: '[" (11)99999-9999 "]',
         observacoes: '  observacao importante  ',
       },
@@ -100,13 +119,701 @@ test('PATCH /aluno/:id atualiza arrays e normaliza campos com prisma mockado', a
     await updateAlunoHandler(req, res)
 
     assert.equal(res.statusCode, 200)
-    assert.deepEqual(updatedData.responsaveis, ['Maria', 'Jose'])
-    assert.deepEqual(updatedData.alergias, ['Leite'])
+    assert.deepEqual(updatedData.responsaveis.deleteMany, {})
+    assert.deepEqual(updatedData.responsaveis.create, [
+      {
+        parentesco: 'MAE',
+        responsavelFinanceiro: true,
+        guardaLegal: false,
+        responsavel: {
+          create: {
+            nome: 'Maria',
+            cpf: null,
+            email: null,
+            telefones: [],
+            observacoes: null,
+            criadoPorId: null,
+            atualizadoPorId: null,
+          },
+        },
+      },
+    ])
     assert.deepEqual(updatedData.contatos, ['(11)99999-9999'])
     assert.equal(updatedData.status, 'ATIVO')
-    assert.equal(updatedData.turma, 'MATERNAL')
+    assert.equal(updatedData.turmaId, TURMA_ID)
     assert.equal(updatedData.observacoes, 'observacao importante')
   } finally {
     prismaMock.restore()
   }
 })
+
+test('PATCH /aluno/:id registra o usuario que fez a alteracao', async () => {
+  let updatedData
+  const prismaMock = mockPrisma({
+    $transaction: async (callback) =>
+      callback({
+        endereco: {
+          deleteMany: async () => {},
+          createMany: async () => {},
+        },
+        aluno: {
+          update: async ({ data }) => {
+            updatedData = data
+          },
+          findUnique: async ({ where }) => ({
+            id: where.id,
+            ...updatedData,
+            fotoPath: '/uploads/alunos/foto-1.png',
+            documentos: [],
+            enderecos: [],
+          }),
+        },
+      }),
+    auditLog: {
+      create: async ({ data }) => data,
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'PATCH',
+      path: '/aluno/507f1f77bcf86cd799439011',
+      params: { id: '507f1f77bcf86cd799439011' },
+      user: { id: '507f191e810c19729de860ea', role: 'SECRETARIA' },
+      body: { nome: 'Ana', criadoPorId: '507f191e810c19729de860eb' },
+    })
+    const res = createMockRes()
+
+    await updateAlunoHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(updatedData.atualizadoPorId, '507f191e810c19729de860ea')
+    assert.equal('criadoPorId' in updatedData, false)
+    assert.match(res.body.fotoUrl, /^\/uploads\/alunos\/foto-1\.png\?expires=\d+&signature=[a-f0-9]{64}$/)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('GET /alunos pagina, filtra e ordena com prisma mockado', async () => {
+  let countArgs
+  let findManyArgs
+  const prismaMock = mockPrisma({
+    aluno: {
+      count: async (args) => {
+        countArgs = args
+        return 12
+      },
+      findMany: async (args) => {
+        findManyArgs = args
+        return [{ id: '507f1f77bcf86cd799439011', nome: 'Ana', documentos: [], enderecos: [] }]
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'GET',
+      path: '/alunos',
+      query: {
+        q: 'maria (mae)',
+        status: 'ativo',
+        segmento: 'bercario,maternal',
+        turmaId: TURMA_ID,
+        matriculaDe: '2024-01-01',
+        matriculaAte: '2024-12-31',
+        alergias: 'true',
+        ordenarPor: 'nome',
+        page: '2',
+        limit: '5',
+      },
+    })
+    const res = createMockRes()
+
+    await listAlunosHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(countArgs.where, findManyArgs.where)
+    assert.equal(findManyArgs.where.status, 'ATIVO')
+    assert.deepEqual(findManyArgs.where.turma, { is: { segmento: { in: ['BERCARIO', 'MATERNAL'] } } })
+    assert.equal(findManyArgs.where.turmaId, TURMA_ID)
+    assert.deepEqual(findManyArgs.where.alergias, { isEmpty: false })
+    assert.equal(findManyArgs.where.dataMatricula.lte.toISOString(), '2024-12-31T23:59:59.999Z')
+    assert.deepEqual(findManyArgs.where.OR[2], {
+      responsaveis: { some: { responsavel: { is: { nome: { contains: 'maria (mae)', mode: 'insensitive' } } } } },
+    })
+    assert.deepEqual(findManyArgs.orderBy, [{ nome: 'asc' }, { id: 'asc' }])
+    assert.equal(findManyArgs.skip, 5)
+    assert.equal(findManyArgs.take, 5)
+    assert.equal(res.body.total, 12)
+    assert.equal(res.body.totalPages, 3)
+    assert.equal(res.body.page, 2)
+    assert.equal(res.body.alunos[0].nome, 'Ana')
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('GET /alunos converte a faixa de idade em datas de nascimento', async () => {
+  let findManyArgs
+  const prismaMock = mockPrisma({
+    aluno: {
+      count: async () => 0,
+      findMany: async (args) => {
+        findManyArgs = args
+        return []
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({ method: 'GET', path: '/alunos', query: { idadeMin: '2', idadeMax: '3' } })
+    const res = createMockRes()
+
+    await listAlunosHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    const { lte, gt } = findManyArgs.where.dataNascimento
+    const now = new Date()
+    assert.equal(lte.getUTCFullYear(), now.getUTCFullYear() - 2)
+    assert.equal(gt.getUTCFullYear(), now.getUTCFullYear() - 4)
+    assert.deepEqual(findManyArgs.orderBy, [{ criadoEm: 'desc' }, { id: 'desc' }])
+    assert.equal(res.body.limit, 20)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('GET /alunos retorna 400 para filtros invalidos', async () => {
+  for (const query of [
+    { ordenarPor: 'senha' },
+    { segmento: 'maternal,jardim' },
+    { turmaId: 'MATERNAL' },
+    { idadeMin: '5', idadeMax: '2' },
+    { matriculaDe: 'ontem' },
+    { alergias: 'talvez' },
+  ]) {
+    const req = createMockReq({ method: 'GET', path: '/alunos', query })
+    const res = createMockRes()
+
+    await listAlunosHandler(req, res)
+
+    assert.equal(res.statusCode, 400, JSON.stringify(query))
+    assert.ok(res.body.error)
+  }
+})
+
+test('GET /alunos ordena por turma pelo nome da turma', async () => {
+  let findManyArgs
+  const prismaMock = mockPrisma({
+    aluno: {
+      count: async () => 0,
+      findMany: async (args) => {
+        findManyArgs = args
+        return []
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({ method: 'GET', path: '/alunos', query: { ordenarPor: 'turma', ordem: 'desc' } })
+    const res = createMockRes()
+
+    await listAlunosHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.deepEqual(findManyArgs.orderBy, [{ turma: { nome: 'desc' } }, { id: 'desc' }])
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+const novoAlunoBody = (overrides = {}) => ({
+  nome: 'Ana',
+  cpf: '529.982.247-25',
+  dataNascimento: '2021-03-10',
+  sexo: 'F',
+  turmaId: TURMA_ID,
+  dataMatricula: '2025-02-01',
+  ...overrides,
+})
+
+test('POST /aluno retorna 409 quando a turma esta sem vagas', async () => {
+  let created = false
+  const prismaMock = mockPrisma({
+    $transaction: transactionOnMocks,
+    turma: {
+      findUnique: async ({ where }) => ({ id: where.id, nome: 'Maternal A', capacidade: 2 }),
+    },
+    aluno: {
+      count: async ({ where }) => {
+        assert.deepEqual(where, { turmaId: TURMA_ID, status: 'ATIVO' })
+        return 2
+      },
+      create: async () => {
+        created = true
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({ method: 'POST', path: '/aluno', body: novoAlunoBody() })
+    const res = createMockRes()
+
+    await createAlunoHandler(req, res)
+
+    assert.equal(res.statusCode, 409)
+    assert.match(res.body.error, /sem vagas/)
+    assert.equal(created, false)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('POST /aluno aceita aluno inativo em turma lotada e liga a turma', async () => {
+  let createArgs
+  const prismaMock = mockPrisma({
+    $transaction: transactionOnMocks,
+    turma: {
+      findUnique: async ({ where }) => ({ id: where.id, nome: 'Maternal A', capacidade: 2 }),
+    },
+    configuracao: {
+      findUnique: async () => null,
+    },
+    aluno: {
+      count: async () => {
+        throw new Error('aluno inativo nao ocupa vaga')
+      },
+      findUnique: async () => null,
+      create: async (args) => {
+        createArgs = args
+        return { id: '507f1f77bcf86cd799439011', ...args.data, documentos: [], enderecos: [] }
+      },
+    },
+    auditLog: {
+      create: async ({ data }) => data,
+    },
+  })
+
+  try {
+    const req = createMockReq({ method: 'POST', path: '/aluno', body: novoAlunoBody({ status: 'inativo' }) })
+    const res = createMockRes()
+
+    await createAlunoHandler(req, res)
+
+    assert.equal(res.statusCode, 201)
+    assert.deepEqual(createArgs.data.turma, { connect: { id: TURMA_ID } })
+    assert.equal(createArgs.data.status, 'INATIVO')
+    assert.deepEqual(res.body.avisos, [])
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('POST /aluno retorna 400 quando a turma nao existe', async () => {
+  const prismaMock = mockPrisma({
+    $transaction: transactionOnMocks,
+    turma: {
+      findUnique: async () => null,
+    },
+  })
+
+  try {
+    const req = createMockReq({ method: 'POST', path: '/aluno', body: novoAlunoBody() })
+    const res = createMockRes()
+
+    await createAlunoHandler(req, res)
+
+    assert.equal(res.statusCode, 400)
+    assert.deepEqual(res.body, { error: 'Turma não encontrada' })
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('PATCH /aluno/:id retorna 409 ao mover o aluno para uma turma lotada', async () => {
+  let updated = false
+  const prismaMock = mockPrisma({
+    $transaction: async (callback) =>
+      callback({
+        aluno: {
+          findUnique: async ({ where }) => ({
+            id: where.id,
+            status: 'ATIVO',
+            turmaId: '507f1f77bcf86cd799439098',
+            enderecos: [],
+          }),
+          count: async ({ where }) => {
+            assert.deepEqual(where.id, { not: '507f1f77bcf86cd799439011' })
+            return 15
+          },
+          update: async () => {
+            updated = true
+          },
+        },
+        turma: {
+          findUnique: async ({ where }) => ({ id: where.id, nome: 'Maternal B', capacidade: 15 }),
+        },
+      }),
+    configuracao: {
+      findUnique: async () => null,
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'PATCH',
+      path: '/aluno/507f1f77bcf86cd799439011',
+      params: { id: '507f1f77bcf86cd799439011' },
+      body: { turmaId: TURMA_ID },
+    })
+    const res = createMockRes()
+
+    await updateAlunoHandler(req, res)
+
+    assert.equal(res.statusCode, 409)
+    assert.equal(res.body.error, 'Turma Maternal B sem vagas (capacidade de 15 alunos)')
+    assert.equal(updated, false)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('PATCH /aluno/:id recusa o campo turma antigo', async () => {
+  const req = createMockReq({
+    method: 'PATCH',
+    path: '/aluno/507f1f77bcf86cd799439011',
+    params: { id: '507f1f77bcf86cd799439011' },
+    body: { turma: 'MATERNAL' },
+  })
+  const res = createMockRes()
+
+  await updateAlunoHandler(req, res)
+
+  assert.equal(res.statusCode, 400)
+  assert.deepEqual(res.body, { error: 'Informe a turma pelo campo turmaId' })
+})
+
+test('PATCH /aluno/:id recusa campos de vinculos e anexos', async () => {
+  const prismaMock = mockPrisma({
+    $transaction: async () => {
+      throw new Error('nao deveria atualizar')
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'PATCH',
+      path: '/aluno/507f1f77bcf86cd799439011',
+      params: { id: '507f1f77bcf86cd799439011' },
+      body: { nome: 'Ana', autorizacoesRetirada: { deleteMany: {} }, fotoPath: '/uploads/outro.png' },
+    })
+    const res = createMockRes()
+
+    await updateAlunoHandler(req, res)
+
+    assert.equal(res.statusCode, 400)
+    assert.deepEqual(res.body, { error: 'Campos não editáveis: autorizacoesRetirada, fotoPath' })
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('PATCH /aluno/:id manda as alergias para a ficha de saude', async () => {
+  const req = createMockReq({
+    method: 'PATCH',
+    path: '/aluno/507f1f77bcf86cd799439011',
+    params: { id: '507f1f77bcf86cd799439011' },
+    body: { alergias: ['Leite'] },
+  })
+  const res = createMockRes()
+
+  await updateAlunoHandler(req, res)
+
+  assert.equal(res.statusCode, 400)
+  assert.deepEqual(res.body, { error: 'Alergias são atualizadas na ficha de saúde (PUT /api/aluno/:id/saude)' })
+})
+
+const maternal2025 = (where) => ({
+  id: where.id,
+  nome: 'Maternal A',
+  segmento: 'MATERNAL',
+  anoLetivo: 2025,
+  capacidade: 20,
+})
+
+test('POST /aluno recusa idade muito fora da faixa do segmento', async () => {
+  let created = false
+  const prismaMock = mockPrisma({
+    $transaction: transactionOnMocks,
+    turma: {
+      findUnique: async ({ where }) => maternal2025(where),
+      update: async () => ({}),
+    },
+    configuracao: {
+      findUnique: async () => null,
+    },
+    aluno: {
+      count: async () => 0,
+      create: async () => {
+        created = true
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      path: '/aluno',
+      body: novoAlunoBody({ dataNascimento: '2019-08-01' }),
+    })
+    const res = createMockRes()
+
+    await createAlunoHandler(req, res)
+
+    assert.equal(res.statusCode, 400)
+    assert.match(res.body.error, /^Em 31\/03\/2025 a criança terá 5 anos e 7 meses/)
+    assert.equal(res.body.elegibilidade.nivel, 'ERRO')
+    assert.equal(created, false)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('PATCH /aluno/:id aceita a troca de turma com aviso dentro da tolerancia', async () => {
+  const prismaMock = mockPrisma({
+    $transaction: async (callback) =>
+      callback({
+        aluno: {
+          findUnique: async ({ where }) => ({
+            id: where.id,
+            status: 'ATIVO',
+            turmaId: '507f1f77bcf86cd799439098',
+            dataNascimento: new Date('2021-02-15'),
+            documentos: [],
+            enderecos: [],
+          }),
+          count: async () => 5,
+          update: async () => {},
+        },
+        turma: {
+          findUnique: async ({ where }) => maternal2025(where),
+          update: async () => ({}),
+        },
+      }),
+    configuracao: {
+      findUnique: async () => null,
+    },
+    auditLog: {
+      create: async ({ data }) => data,
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'PATCH',
+      path: '/aluno/507f1f77bcf86cd799439011',
+      params: { id: '507f1f77bcf86cd799439011' },
+      body: { turmaId: TURMA_ID },
+    })
+    const res = createMockRes()
+
+    await updateAlunoHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(res.body.avisos.length, 1)
+    assert.match(res.body.avisos[0], /4 anos e 1 mês/)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('DELETE /aluno/:idAluno recusa aluno com vinculos e indica o status INATIVO', async () => {
+  let deleted = false
+  const prismaMock = mockPrisma({
+    aluno: {
+      findUnique: async () => ({
+        id: '507f1f77bcf86cd799439011',
+        nome: 'Ana',
+        fichaSaude: { id: 'f1' },
+        _count: { responsaveis: 2, entradasSaidas: 3, frequencias: 0, ocorrencias: 1 },
+      }),
+      delete: async () => {
+        deleted = true
+      },
+    },
+    endereco: {
+      deleteMany: async () => {
+        deleted = true
+      },
+    },
+  })
+
+  try {
+    const res = createMockRes()
+    await deleteAlunoHandler(createMockReq({ method: 'DELETE', params: { idAluno: '507f1f77bcf86cd799439011' } }), res)
+
+    assert.equal(res.statusCode, 409)
+    assert.deepEqual(res.body.vinculos, ['responsáveis', 'entradas e saídas', 'ocorrências', 'ficha de saúde'])
+    assert.match(res.body.error, /INATIVO/)
+    assert.equal(deleted, false)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('DELETE /aluno/:idAluno exclui aluno sem vinculos com os enderecos', async () => {
+  const calls = []
+  const prismaMock = mockPrisma({
+    aluno: {
+      findUnique: async () => ({ id: '507f1f77bcf86cd799439011', nome: 'Ana', fichaSaude: null, _count: { responsaveis: 0 } }),
+      delete: async (args) => calls.push(['aluno', args.where.id]),
+    },
+    endereco: {
+      deleteMany: async (args) => calls.push(['endereco', args.where.alunoId]),
+    },
+    auditLog: {
+      create: async () => ({}),
+    },
+  })
+
+  try {
+    const res = createMockRes()
+    await deleteAlunoHandler(createMockReq({ method: 'DELETE', params: { idAluno: '507f1f77bcf86cd799439011' } }), res)
+
+    assert.equal(res.statusCode, 204)
+    assert.deepEqual(calls, [
+      ['endereco', '507f1f77bcf86cd799439011'],
+      ['aluno', '507f1f77bcf86cd799439011'],
+    ])
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('POST /aluno confere a vaga e cria o aluno na mesma transacao', async () => {
+  const chamadas = []
+  const tx = {
+    turma: {
+      findUnique: async ({ where }) => ({ ...maternal2025(where), capacidade: 2 }),
+      update: async ({ data }) => {
+        chamadas.push('reserva')
+        assert.deepEqual(data, { versaoVagas: { increment: 1 } })
+        return {}
+      },
+    },
+    aluno: {
+      count: async () => {
+        chamadas.push('count')
+        return 1
+      },
+      create: async (args) => {
+        chamadas.push('create')
+        return { id: '507f1f77bcf86cd799439011', ...args.data, documentos: [], enderecos: [] }
+      },
+    },
+  }
+  const prismaMock = mockPrisma({
+    $transaction: async (callback) => callback(tx),
+    configuracao: {
+      findUnique: async () => null,
+    },
+    aluno: {
+      findUnique: async () => null,
+      create: async () => {
+        throw new Error('cadastro fora da transacao')
+      },
+    },
+    auditLog: {
+      create: async ({ data }) => data,
+    },
+  })
+
+  try {
+    const res = createMockRes()
+    await createAlunoHandler(createMockReq({ method: 'POST', path: '/aluno', body: novoAlunoBody() }), res)
+
+    assert.equal(res.statusCode, 201)
+    assert.deepEqual(chamadas, ['count', 'reserva', 'create'])
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('POST /aluno com duas matriculas simultaneas na ultima vaga aceita so uma', async () => {
+  // banco com isolamento por snapshot: cada transacao le o estado do inicio e,
+  // como no MongoDB, escrever um documento que outra transacao em curso ja
+  // escreveu (ou confirmou depois do snapshot) falha com P2034
+  const banco = { ativos: 1, versaoVagas: 0, turmaEscritaPor: null }
+  let leituras = 0
+  let liberarLeituras
+  const ambasLeram = new Promise((resolve) => {
+    liberarLeituras = resolve
+  })
+
+  const prismaMock = mockPrisma({
+    $transaction: async (callback) => {
+      const snapshot = { ...banco }
+      const transacao = Symbol('transacao')
+      let novosAlunos = 0
+      let versaoVagas = null
+      const tx = {
+        turma: {
+          findUnique: async ({ where }) => ({ ...maternal2025(where), capacidade: 2 }),
+          update: async ({ data }) => {
+            if (banco.turmaEscritaPor || banco.versaoVagas !== snapshot.versaoVagas) {
+              throw Object.assign(new Error('Write conflict'), { code: 'P2034' })
+            }
+            banco.turmaEscritaPor = transacao
+            versaoVagas = snapshot.versaoVagas + data.versaoVagas.increment
+            return {}
+          },
+        },
+        aluno: {
+          count: async () => {
+            leituras += 1
+            if (leituras === 2) liberarLeituras()
+            // as duas matriculas contam as vagas antes de qualquer gravacao
+            await ambasLeram
+            return snapshot.ativos
+          },
+          create: async (args) => {
+            novosAlunos += 1
+            return { id: '507f1f77bcf86cd799439011', ...args.data, documentos: [], enderecos: [] }
+          },
+        },
+      }
+
+      try {
+        const result = await callback(tx)
+        if (versaoVagas !== null) banco.versaoVagas = versaoVagas
+        banco.ativos += novosAlunos
+        return result
+      } finally {
+        if (banco.turmaEscritaPor === transacao) banco.turmaEscritaPor = null
+      }
+    },
+    configuracao: {
+      findUnique: async () => null,
+    },
+    aluno: {
+      findUnique: async () => null,
+    },
+    auditLog: {
+      create: async ({ data }) => data,
+    },
+  })
+
+  try {
+    const respostas = [createMockRes(), createMockRes()]
+    await Promise.all(respostas.map((res) =>
+      createAlunoHandler(createMockReq({ method: 'POST', path: '/aluno', body: novoAlunoBody() }), res)
+    ))
+
+    assert.deepEqual(respostas.map((res) => res.statusCode).sort(), [201, 409])
+    assert.equal(banco.ativos, 2)
+    assert.ok(leituras > 2) // a matricula em conflito refez a transacao e encontrou a turma lotada
+  } finally {
+    prismaMock.restore()
+  }
+})
@@ -0,0 +1,93 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import crypto from 'crypto'
+
+import chavesApiRouter from '../../routes/chavesApi.js'
+import { createMockReq, createMockRes, getRouteHandler } from '../helpers/http.js'
+import { mockLogger, mockPrisma } from '../mocks/dependencies.js'
+
+const createKeyHandler = getRouteHandler(chavesApiRouter, 'post', '/', 2)
+const revokeKeyHandler = getRouteHandler(chavesApiRouter, 'delete', '/:id', 2)
+
+test('POST /private/chaves-api devolve a chave uma vez e guarda so o hash', async () => {
+  let createdData
+  const prismaMock = mockPrisma({
+    chaveApi: {
+      create: async ({ data }) => {
+        createdData = data
+        const { keyHash: _keyHash, ...rest } = data
+        return { id: '65f0000000000000000000e1', criadoEm: new Date(), ...rest }
+      },
+    },
+    auditLog: {
+      create: async ({ data }) => data,
+    },
+  })
+  const loggerMock = mockLogger()
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      user: { id: '507f1f77bcf86cd799439011', role: 'ADMIN' },
+      body: {
+        nome: ' Sistema contabil ',
+        escopos: ['contas:read'],
+        ipsPermitidos: ['203.0.113.0/24'],
+        expiraEm: '2099-01-01T00:00:00.000Z',
+      },
+    })
+    const res = createMockRes()
+
+    await createKeyHandler(req, res)
+
+    assert.equal(res.statusCode, 201)
+    assert.match(res.body.key, /^rajj_[a-f0-9]{8}_[\w-]{43}$/)
+    assert.equal(res.body.chave.status, 'ATIVA')
+    assert.equal(createdData.nome, 'Sistema contabil')
+    assert.deepEqual(createdData.escopos, ['contas:read'])
+    assert.deepEqual(createdData.ipsPermitidos, ['203.0.113.0/24'])
+    assert.equal(createdData.keyHash, crypto.createHash('sha256').update(res.body.key).digest('hex'))
+    assert.equal(res.body.key.startsWith(`rajj_${createdData.prefixo}_`), true)
+    assert.equal(JSON.stringify(res.body.chave).includes(createdData.keyHash), false)
+  } finally {
+    loggerMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('POST /private/chaves-api recusa escopo de modulo administrativo', async () => {
+  const req = createMockReq({
+    method: 'POST',
+    user: { id: '507f1f77bcf86cd799439011', role: 'ADMIN' },
+    body: { nome: 'Script', escopos: ['usuarios:write'] },
+  })
+  const res = createMockRes()
+
+  await createKeyHandler(req, res)
+
+  assert.equal(res.statusCode, 400)
+  assert.equal(res.body.message, 'Escopo invalido: usuarios:write')
+})
+
+test('DELETE /private/chaves-api/:id retorna 404 para chave ja revogada', async () => {
+  const prismaMock = mockPrisma({
+    chaveApi: {
+      updateMany: async () => ({ count: 0 }),
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'DELETE',
+      user: { id: '507f1f77bcf86cd799439011', role: 'ADMIN' },
+      params: { id: '65f0000000000000000000e1' },
+    })
+    const res = createMockRes()
+
+    await revokeKeyHandler(req, res)
+
+    assert.equal(res.statusCode, 404)
+  } finally {
+    prismaMock.restore()
+  }
+})
@@ -9,10 +9,10 @@ import {
 } from '../helpers/http.js'
 import { mockPrisma } from '../mocks/dependencies.js'
 
-const createContaHandler = getRouteHandler(contasRouter, 'post', '/conta')
-const getContaHandler = getRouteHandler(contasRouter, 'get', '/conta/:id')
-const patchContaHandler = getRouteHandler(contasRouter, 'patch', '/conta/:id')
-const deleteContaHandler = getRouteHandler(contasRouter, 'delete', '/conta/:id')
+const createContaHandler = getRouteHandler(contasRouter, 'post', '/conta', 1)
+const getContaHandler = getRouteHandler(contasRouter, 'get', '/conta/:id', 1)
+const patchContaHandler = getRouteHandler(contasRouter, 'patch', '/conta/:id', 1)
+const deleteContaHandler = getRouteHandler(contasRouter, 'delete', '/conta/:id', 1)
 
 test('POST /conta valida o tipo informado', async () => {
   const req = createMockReq({
@@ -104,6 +104,9 @@ test('POST /conta cria registro com prisma mockado', async () => {
         return { id: '507f1f77bcf86cd799439011', ...data }
       },
     },
+    auditLog: {
+      create: async ({ data }) => data,
+    },
   })
 
   try {
@@ -136,3 +139,80 @@ test('POST /conta cria registro com prisma mockado', async () => {
     prismaMock.restore()
   }
 })
+
+test('PATCH /conta/:id grava na auditoria o ator e o status anterior', async () => {
+  let auditData
+  const contaAntes = {
+    id: '507f1f77bcf86cd799439011',
+    tipo: 'PAGAR',
+    descricao: 'Mensalidade',
+    valor: 250.5,
+    status: 'ABERTA',
+  }
+  const prismaMock = mockPrisma({
+    conta: {
+      findUnique: async () => contaAntes,
+      update: async ({ data }) => ({ ...contaAntes, ...data }),
+    },
+    auditLog: {
+      create: async ({ data }) => {
+        auditData = data
+        return data
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'PATCH',
+      path: '/conta/507f1f77bcf86cd799439011',
+      params: { id: '507f1f77bcf86cd799439011' },
+      user: { id: '507f191e810c19729de860ea', email: 'fin@test.com' },
+      body: { status: 'PAGA' },
+      id: 'req-123',
+    })
+    const res = createMockRes()
+
+    await patchContaHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(auditData.entidade, 'conta')
+    assert.equal(auditData.entidadeId, '507f1f77bcf86cd799439011')
+    assert.equal(auditData.acao, 'ATUALIZAR')
+    assert.equal(auditData.atorId, '507f191e810c19729de860ea')
+    assert.equal(auditData.requestId, 'req-123')
+    assert.deepEqual(auditData.alteracoes, { status: { antes: 'ABERTA', depois: 'PAGA' } })
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('DELETE /conta/:id retorna 404 sem gravar auditoria quando a conta nao existe', async () => {
+  let audited = false
+  const prismaMock = mockPrisma({
+    conta: {
+      findUnique: async () => null,
+    },
+    auditLog: {
+      create: async () => {
+        audited = true
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'DELETE',
+      path: '/conta/507f1f77bcf86cd799439011',
+      params: { id: '507f1f77bcf86cd799439011' },
+    })
+    const res = createMockRes()
+
+    await deleteContaHandler(req, res)
+
+    assert.equal(res.statusCode, 404)
+    assert.equal(audited, false)
+  } finally {
+    prismaMock.restore()
+  }
+})
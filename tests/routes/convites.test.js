@@ -0,0 +1,148 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import crypto from 'crypto'
+
+import convitesRouter from '../../routes/convites.js'
+import { createMockReq, createMockRes, getRouteHandler } from '../helpers/http.js'
+import { mockLogger, mockMailer, mockPrisma } from '../mocks/dependencies.js'
+
+const listInvitesHandler = getRouteHandler(convitesRouter, 'get', '/', 1)
+const createInviteHandler = getRouteHandler(convitesRouter, 'post', '/', 1)
+const revokeInviteHandler = getRouteHandler(convitesRouter, 'delete', '/:id', 1)
+
+test('POST /private/convites envia link de uso unico com o perfil definido', async () => {
+  let revokedPending
+  let createdData
+  const prismaMock = mockPrisma({
+    Cluster0: {
+      findUnique: async () => null,
+    },
+    convite: {
+      updateMany: async ({ where }) => {
+        revokedPending = where
+        return { count: 1 }
+      },
+      create: async ({ data }) => {
+        createdData = data
+        return { id: '65f0000000000000000000d1', ...data }
+      },
+    },
+  })
+  const mailerMock = mockMailer()
+  const loggerMock = mockLogger()
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      user: { id: '507f1f77bcf86cd799439011' },
+      body: { email: ' Nova@Test.com ', role: 'secretaria' },
+    })
+    const res = createMockRes()
+
+    await createInviteHandler(req, res)
+
+    assert.equal(res.statusCode, 201)
+    assert.equal(res.body.convite.status, 'PENDENTE')
+    assert.equal(createdData.email, 'nova@test.com')
+    assert.equal(createdData.role, 'SECRETARIA')
+    assert.equal(createdData.criadoPorId, '507f1f77bcf86cd799439011')
+    assert.equal(revokedPending.email, 'nova@test.com')
+
+    const { html, to } = mailerMock.sendMailCalls[0][0]
+    const token = decodeURIComponent(html.match(/convite=([^"&]+)/)[1])
+    assert.equal(to, 'nova@test.com')
+    assert.equal(crypto.createHash('sha256').update(token).digest('hex'), createdData.tokenHash)
+    assert.equal(JSON.stringify(res.body).includes(token), false)
+  } finally {
+    loggerMock.restore()
+    mailerMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('POST /private/convites retorna 409 quando o e-mail ja tem usuario', async () => {
+  const prismaMock = mockPrisma({
+    Cluster0: {
+      findUnique: async () => ({ id: '507f1f77bcf86cd799439012' }),
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      user: { id: '507f1f77bcf86cd799439011' },
+      body: { email: 'existente@test.com', role: 'PROFESSOR' },
+    })
+    const res = createMockRes()
+
+    await createInviteHandler(req, res)
+
+    assert.equal(res.statusCode, 409)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('POST /private/convites retorna 400 para perfil invalido', async () => {
+  const req = createMockReq({
+    method: 'POST',
+    user: { id: '507f1f77bcf86cd799439011' },
+    body: { email: 'nova@test.com', role: 'DIRETOR' },
+  })
+  const res = createMockRes()
+
+  await createInviteHandler(req, res)
+
+  assert.equal(res.statusCode, 400)
+  assert.deepEqual(res.body, { message: 'Perfil invalido' })
+})
+
+test('GET /private/convites calcula o status e filtra por ele', async () => {
+  const prismaMock = mockPrisma({
+    convite: {
+      findMany: async () => [
+        { id: '1', email: 'a@test.com', expiraEm: new Date(Date.now() + 60000), aceitoEm: null, revogadoEm: null },
+        { id: '2', email: 'b@test.com', expiraEm: new Date(Date.now() - 60000), aceitoEm: null, revogadoEm: null },
+        { id: '3', email: 'c@test.com', expiraEm: new Date(Date.now() + 60000), aceitoEm: new Date(), revogadoEm: null },
+      ],
+    },
+  })
+
+  try {
+    const req = createMockReq({ query: { status: 'expirado' } })
+    const res = createMockRes()
+
+    await listInvitesHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.deepEqual(
+      res.body.convites.map((convite) => [convite.id, convite.status]),
+      [['2', 'EXPIRADO']]
+    )
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('DELETE /private/convites/:id retorna 404 para convite ja utilizado', async () => {
+  const prismaMock = mockPrisma({
+    convite: {
+      updateMany: async () => ({ count: 0 }),
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'DELETE',
+      user: { id: '507f1f77bcf86cd799439011' },
+      params: { id: '65f0000000000000000000d1' },
+    })
+    const res = createMockRes()
+
+    await revokeInviteHandler(req, res)
+
+    assert.equal(res.statusCode, 404)
+  } finally {
+    prismaMock.restore()
+  }
+})
@@ -0,0 +1,170 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import diarioRouter from '../../routes/diario.js'
+import {
+  createMockReq,
+  createMockRes,
+  getRouteHandler,
+} from '../helpers/http.js'
+import { mockMailer, mockPrisma } from '../mocks/dependencies.js'
+
+const turmaHandler = getRouteHandler(diarioRouter, 'post', '/turma/:id/diario', 1)
+const alunoHandler = getRouteHandler(diarioRouter, 'post', '/aluno/:id/diario', 1)
+const enviarHandler = getRouteHandler(diarioRouter, 'post', '/aluno/:id/diario/enviar', 1)
+
+const TURMA_ID = '507f1f77bcf86cd799439099'
+const PROFESSOR_ID = '507f191e810c19729de860ea'
+const ALUNO_A = '507f1f77bcf86cd799439011'
+const ALUNO_B = '507f1f77bcf86cd799439012'
+
+const turma = { id: TURMA_ID, nome: 'Bercario A', professoresIds: [PROFESSOR_ID] }
+
+test('POST /turma/:id/diario registra o item para a turma com excecoes por aluno', async () => {
+  let createManyArgs
+  const prismaMock = mockPrisma({
+    turma: {
+      findUnique: async () => turma,
+    },
+    aluno: {
+      findMany: async () => [{ id: ALUNO_A }, { id: ALUNO_B }],
+    },
+    registroDiario: {
+      createMany: async (args) => {
+        createManyArgs = args
+        return { count: args.data.length }
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      params: { id: TURMA_ID },
+      user: { id: PROFESSOR_ID, email: 'prof@example.com', role: 'PROFESSOR' },
+      body: {
+        data: '2025-03-10',
+        tipo: 'ALIMENTACAO',
+        hora: '11:00',
+        refeicao: 'ALMOCO',
+        aceitacao: 'TUDO',
+        registros: [{ alunoId: ALUNO_B, aceitacao: 'RECUSOU', descricao: 'Estava enjoado' }],
+      },
+    })
+    const res = createMockRes()
+
+    await turmaHandler(req, res)
+
+    assert.equal(res.statusCode, 201)
+    assert.equal(res.body.total, 2)
+    const [a, b] = createManyArgs.data
+    assert.equal(a.alunoId, ALUNO_A)
+    assert.equal(a.detalhes.aceitacao, 'TUDO')
+    assert.equal(a.data.toISOString(), '2025-03-10T00:00:00.000Z')
+    assert.equal(a.registradoPorEmail, 'prof@example.com')
+    assert.equal(b.detalhes.aceitacao, 'RECUSOU')
+    assert.equal(b.detalhes.refeicao, 'ALMOCO')
+    assert.equal(b.descricao, 'Estava enjoado')
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('POST /turma/:id/diario recusa aluno de fora e dia futuro', async () => {
+  const prismaMock = mockPrisma({
+    turma: {
+      findUnique: async () => turma,
+    },
+    aluno: {
+      findMany: async () => [{ id: ALUNO_A }],
+    },
+  })
+
+  try {
+    const foraDaTurma = createMockRes()
+    await turmaHandler(
+      createMockReq({
+        method: 'POST',
+        params: { id: TURMA_ID },
+        body: { data: '2025-03-10', tipo: 'ATIVIDADE', descricao: 'Pintura', alunosIds: [ALUNO_B] },
+      }),
+      foraDaTurma
+    )
+    assert.equal(foraDaTurma.statusCode, 400)
+    assert.equal(foraDaTurma.body.error, `Aluno ${ALUNO_B} não está ativo na turma`)
+
+    const futuro = createMockRes()
+    await turmaHandler(
+      createMockReq({ method: 'POST', params: { id: TURMA_ID }, body: { data: '2999-01-01', tipo: 'ATIVIDADE', descricao: 'x' } }),
+      futuro
+    )
+    assert.equal(futuro.statusCode, 400)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('POST /aluno/:id/diario barra professor de outra turma', async () => {
+  const prismaMock = mockPrisma({
+    aluno: {
+      findUnique: async () => ({ id: ALUNO_A, status: 'ATIVO', turmaId: TURMA_ID, turma }),
+    },
+  })
+
+  try {
+    const res = createMockRes()
+    await alunoHandler(
+      createMockReq({
+        method: 'POST',
+        params: { id: ALUNO_A },
+        user: { id: '507f191e810c19729de860eb', role: 'PROFESSOR' },
+        body: { tipo: 'OBSERVACAO', humor: 'ALEGRE' },
+      }),
+      res
+    )
+
+    assert.equal(res.statusCode, 403)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('POST /aluno/:id/diario/enviar manda o resumo aos responsaveis nao impedidos', async () => {
+  const prismaMock = mockPrisma({
+    aluno: {
+      findUnique: async () => ({ id: ALUNO_A, nome: 'Ana', status: 'ATIVO', turmaId: TURMA_ID, turma }),
+    },
+    registroDiario: {
+      findMany: async () => [{ tipo: 'ATIVIDADE', hora: '09:00', detalhes: {}, descricao: 'Pintura com guache' }],
+    },
+    alunoResponsavel: {
+      findMany: async () => [
+        { responsavel: { id: 'r1', email: 'mae@example.com' } },
+        { responsavel: { id: 'r2', email: 'pai@example.com' } },
+      ],
+    },
+    autorizacaoRetirada: {
+      findMany: async () => [{ responsavelId: 'r2' }],
+    },
+  })
+  const mailerMock = mockMailer()
+
+  try {
+    const res = createMockRes()
+    await enviarHandler(
+      createMockReq({ method: 'POST', params: { id: ALUNO_A }, body: { data: '2025-03-10' }, user: { id: PROFESSOR_ID, role: 'PROFESSOR' } }),
+      res
+    )
+
+    assert.equal(res.statusCode, 200)
+    assert.deepEqual(res.body.enviados, ['mae@example.com'])
+    assert.equal(mailerMock.sendMailCalls.length, 1)
+    const [options] = mailerMock.sendMailCalls[0]
+    assert.equal(options.to, 'mae@example.com')
+    assert.equal(options.subject, 'Agenda de Ana - 10/03/2025 - RAJJ')
+    assert.match(options.html, /Pintura com guache/)
+  } finally {
+    mailerMock.restore()
+    prismaMock.restore()
+  }
+})
@@ -0,0 +1,227 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import frequenciaRouter from '../../routes/frequencia.js'
+import {
+  createMockReq,
+  createMockRes,
+  getRouteHandler,
+} from '../helpers/http.js'
+import { mockPrisma } from '../mocks/dependencies.js'
+
+const chamadaHandler = getRouteHandler(frequenciaRouter, 'put', '/turma/:id/frequencia', 1)
+const justificativaHandler = getRouteHandler(frequenciaRouter, 'post', '/frequencia/:id/justificativa', 2)
+const mensalHandler = getRouteHandler(frequenciaRouter, 'get', '/frequencia/mensal', 1)
+const alunoFrequenciaHandler = getRouteHandler(frequenciaRouter, 'get', '/aluno/:id/frequencia', 1)
+
+const TURMA_ID = '507f1f77bcf86cd799439099'
+const PROFESSOR_ID = '507f191e810c19729de860ea'
+const ALUNO_A = '507f1f77bcf86cd799439011'
+const ALUNO_B = '507f1f77bcf86cd799439012'
+const FREQUENCIA_ID = '507f1f77bcf86cd799439055'
+
+const turma = { id: TURMA_ID, nome: 'Maternal A', professoresIds: [PROFESSOR_ID] }
+
+test('PUT /turma/:id/frequencia aplica o status padrao e as excecoes, com horario da portaria', async () => {
+  const upserts = []
+  const prismaMock = mockPrisma({
+    turma: {
+      findUnique: async () => turma,
+    },
+    aluno: {
+      findMany: async ({ where }) => {
+        assert.deepEqual(where, { turmaId: TURMA_ID, status: 'ATIVO' })
+        return [{ id: ALUNO_A }, { id: ALUNO_B }]
+      },
+    },
+    entradaSaida: {
+      findMany: async ({ where }) => {
+        assert.deepEqual(where.alunoId, { in: [ALUNO_A] })
+        return [{ alunoId: ALUNO_A, tipo: 'ENTRADA', registradoEm: new Date(2025, 2, 10, 7, 40) }]
+      },
+    },
+    $transaction: async (callback) =>
+      callback({
+        frequencia: {
+          upsert: async (args) => {
+            upserts.push(args)
+            return { id: String(upserts.length), ...args.create }
+          },
+        },
+      }),
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'PUT',
+      params: { id: TURMA_ID },
+      user: { id: PROFESSOR_ID, role: 'PROFESSOR' },
+      body: { data: '2025-03-10', status: 'presente', registros: [{ alunoId: ALUNO_B, status: 'falta' }] },
+    })
+    const res = createMockRes()
+
+    await chamadaHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(res.body.total, 2)
+    const [faltou, presente] = upserts
+    assert.equal(faltou.where.alunoId_data.alunoId, ALUNO_B)
+    assert.equal(faltou.create.status, 'FALTA')
+    assert.equal(presente.create.status, 'PRESENTE')
+    assert.equal(presente.create.horaChegada, '07:40')
+    assert.equal(presente.create.horaSaida, null)
+    assert.equal(presente.create.data.toISOString(), '2025-03-10T00:00:00.000Z')
+    assert.equal(presente.update.atualizadoPorId, PROFESSOR_ID)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('PUT /turma/:id/frequencia recusa professor de outra turma, aluno de fora e dia futuro', async () => {
+  const prismaMock = mockPrisma({
+    turma: {
+      findUnique: async () => turma,
+    },
+    aluno: {
+      findMany: async () => [{ id: ALUNO_A }],
+    },
+  })
+
+  try {
+    const outroProfessor = createMockRes()
+    await chamadaHandler(
+      createMockReq({
+        method: 'PUT',
+        params: { id: TURMA_ID },
+        user: { id: '507f191e810c19729de860eb', role: 'PROFESSOR' },
+        body: { data: '2025-03-10', status: 'PRESENTE' },
+      }),
+      outroProfessor
+    )
+    assert.equal(outroProfessor.statusCode, 403)
+
+    const foraDaTurma = createMockRes()
+    await chamadaHandler(
+      createMockReq({
+        method: 'PUT',
+        params: { id: TURMA_ID },
+        body: { data: '2025-03-10', registros: [{ alunoId: ALUNO_B, status: 'FALTA' }] },
+      }),
+      foraDaTurma
+    )
+    assert.equal(foraDaTurma.statusCode, 400)
+    assert.equal(foraDaTurma.body.error, `Aluno ${ALUNO_B} não está ativo na turma`)
+
+    const futuro = createMockRes()
+    await chamadaHandler(
+      createMockReq({ method: 'PUT', params: { id: TURMA_ID }, body: { data: '2999-01-01', status: 'PRESENTE' } }),
+      futuro
+    )
+    assert.equal(futuro.statusCode, 400)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('POST /frequencia/:id/justificativa anexa os arquivos e justifica a falta', async () => {
+  let updateArgs
+  const prismaMock = mockPrisma({
+    frequencia: {
+      findUnique: async () => ({ id: FREQUENCIA_ID, status: 'FALTA', anexos: [], justificativa: null, turma }),
+      update: async (args) => {
+        updateArgs = args
+        return { id: FREQUENCIA_ID, ...args.data }
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      params: { id: FREQUENCIA_ID },
+      body: { justificativa: ' Atestado médico ' },
+    })
+    req.files = [{ filename: 'anexos-1.pdf', path: '/tmp/anexos-1.pdf' }]
+    const res = createMockRes()
+
+    await justificativaHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(updateArgs.data.status, 'FALTA_JUSTIFICADA')
+    assert.equal(updateArgs.data.justificativa, 'Atestado médico')
+    assert.deepEqual(updateArgs.data.anexos, ['/uploads/alunos/anexos-1.pdf'])
+    assert.match(res.body.anexosUrls[0], /^\/uploads\/alunos\/anexos-1\.pdf\?expires=\d+&signature=[a-f0-9]{64}$/)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('GET /frequencia/mensal agrupa por aluno e filtra os alertas', async () => {
+  let findManyArgs
+  const prismaMock = mockPrisma({
+    configuracao: {
+      findUnique: async () => ({ valor: { percentualMaximoFaltas: 30 } }),
+    },
+    frequencia: {
+      findMany: async (args) => {
+        findManyArgs = args
+        const aluno = (id, nome) => ({ id, nome, numeroMatricula: '1' })
+        return [
+          { alunoId: ALUNO_A, turmaId: TURMA_ID, status: 'PRESENTE', aluno: aluno(ALUNO_A, 'Ana') },
+          { alunoId: ALUNO_A, turmaId: TURMA_ID, status: 'PRESENTE', aluno: aluno(ALUNO_A, 'Ana') },
+          { alunoId: ALUNO_B, turmaId: TURMA_ID, status: 'FALTA', aluno: aluno(ALUNO_B, 'Bia') },
+          { alunoId: ALUNO_B, turmaId: TURMA_ID, status: 'PRESENTE', aluno: aluno(ALUNO_B, 'Bia') },
+        ]
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({ query: { mes: '2025-03', somenteAlertas: 'true' }, user: { id: 'u1', role: 'SECRETARIA' } })
+    const res = createMockRes()
+
+    await mensalHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(findManyArgs.where.data.gte.toISOString(), '2025-03-01T00:00:00.000Z')
+    assert.equal(res.body.regras.percentualMaximoFaltas, 30)
+    assert.equal(res.body.total, 1)
+    assert.equal(res.body.alunos[0].aluno.nome, 'Bia')
+    assert.equal(res.body.alunos[0].percentualFaltas, 50)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('GET /aluno/:id/frequencia barra professor de outra turma', async () => {
+  let buscouRegistros = false
+  const prismaMock = mockPrisma({
+    aluno: {
+      findUnique: async () => ({ id: ALUNO_A, nome: 'Ana', numeroMatricula: '2025001', turma }),
+    },
+    frequencia: {
+      findMany: async () => {
+        buscouRegistros = true
+        return []
+      },
+    },
+  })
+
+  try {
+    const res = createMockRes()
+    await alunoFrequenciaHandler(
+      createMockReq({
+        method: 'GET',
+        params: { id: ALUNO_A },
+        query: { mes: '2025-03' },
+        user: { id: '507f191e810c19729de860eb', role: 'PROFESSOR' },
+      }),
+      res
+    )
+
+    assert.equal(res.statusCode, 403)
+    assert.equal(buscouRegistros, false)
+  } finally {
+    prismaMock.restore()
+  }
+})
@@ -0,0 +1,136 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import mfaRouter from '../../routes/mfa.js'
+import { encryptSecret } from '../../utils/mfa.js'
+import { generateTotp } from '../../utils/totp.js'
+import { createMockReq, createMockRes, getRouteHandler } from '../helpers/http.js'
+import { mockBcrypt, mockLogger, mockPrisma } from '../mocks/dependencies.js'
+
+const setupHandler = getRouteHandler(mfaRouter, 'post', '/totp/setup', 1)
+const confirmHandler = getRouteHandler(mfaRouter, 'post', '/totp/confirm', 1)
+const disableHandler = getRouteHandler(mfaRouter, 'post', '/totp/disable', 1)
+const updatePolicyHandler = getRouteHandler(mfaRouter, 'put', '/politica', 1)
+
+const SECRET = 'JBSWY3DPEHPK3PXP'
+
+test('POST /private/mfa/totp/setup retorna URI otpauth e guarda segredo pendente', async () => {
+  let updateData
+  const prismaMock = mockPrisma({
+    Cluster0: {
+      findUnique: async () => ({ id: 'user-1', email: 'ana@test.com' }),
+      update: async ({ data }) => {
+        updateData = data
+        return {}
+      },
+    },
+  })
+  const loggerMock = mockLogger()
+
+  try {
+    const req = createMockReq({ method: 'POST', user: { id: 'user-1' } })
+    const res = createMockRes()
+
+    await setupHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.match(res.body.otpauthUrl, /^otpauth:\/\/totp\/RAJJ:ana%40test\.com\?secret=/)
+    assert.ok(updateData.mfaTotpPendente)
+    assert.equal(updateData.mfaTotpPendente.includes(res.body.secret), false)
+  } finally {
+    loggerMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('POST /private/mfa/totp/confirm ativa TOTP e devolve codigos de recuperacao', async () => {
+  let updateData
+  const prismaMock = mockPrisma({
+    Cluster0: {
+      findUnique: async () => ({ id: 'user-1', mfaTotpPendente: encryptSecret(SECRET) }),
+      update: async ({ data }) => {
+        updateData = data
+        return {}
+      },
+    },
+  })
+  const loggerMock = mockLogger()
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      user: { id: 'user-1' },
+      body: { code: generateTotp(SECRET) },
+    })
+    const res = createMockRes()
+
+    await confirmHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(res.body.recoveryCodes.length, 10)
+    assert.ok(updateData.mfaTotpAtivadoEm instanceof Date)
+    assert.equal(updateData.mfaTotpPendente, null)
+    assert.equal(updateData.mfaRecoveryCodes.includes(res.body.recoveryCodes[0]), false)
+  } finally {
+    loggerMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('POST /private/mfa/totp/confirm rejeita codigo errado', async () => {
+  const prismaMock = mockPrisma({
+    Cluster0: {
+      findUnique: async () => ({ id: 'user-1', mfaTotpPendente: encryptSecret(SECRET) }),
+    },
+  })
+
+  try {
+    const req = createMockReq({ method: 'POST', user: { id: 'user-1' }, body: { code: '000000' } })
+    const res = createMockRes()
+
+    await confirmHandler(req, res)
+
+    assert.equal(res.statusCode, 400)
+    assert.deepEqual(res.body, { message: 'Codigo invalido' })
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('POST /private/mfa/totp/disable exige a senha correta', async () => {
+  const prismaMock = mockPrisma({
+    Cluster0: {
+      findUnique: async () => ({ id: 'user-1', password: 'hash' }),
+    },
+  })
+  const bcryptMock = mockBcrypt({ compare: async () => false })
+  const loggerMock = mockLogger()
+
+  try {
+    const req = createMockReq({ method: 'POST', user: { id: 'user-1' }, body: { password: 'errada' } })
+    const res = createMockRes()
+
+    await disableHandler(req, res)
+
+    assert.equal(res.statusCode, 401)
+    assert.deepEqual(res.body, { message: 'Senha incorreta' })
+  } finally {
+    loggerMock.restore()
+    bcryptMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('PUT /private/mfa/politica rejeita perfil desconhecido', async () => {
+  const req = createMockReq({
+    method: 'PUT',
+    user: { id: 'admin-1', role: 'ADMIN' },
+    body: { perfis: ['ADMIN', 'DIRETOR'] },
+  })
+  const res = createMockRes()
+
+  await updatePolicyHandler(req, res)
+
+  assert.equal(res.statusCode, 400)
+  assert.deepEqual(res.body, { message: 'Perfil invalido' })
+})
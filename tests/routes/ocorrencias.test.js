@@ -0,0 +1,267 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import ocorrenciasRouter from '../../routes/ocorrencias.js'
+import {
+  createMockReq,
+  createMockRes,
+  getRouteHandler,
+} from '../helpers/http.js'
+import { mockMailer, mockPrisma } from '../mocks/dependencies.js'
+
+const createHandler = getRouteHandler(ocorrenciasRouter, 'post', '/ocorrencia', 2)
+const listHandler = getRouteHandler(ocorrenciasRouter, 'get', '/ocorrencias', 1)
+const cienciaHandler = getRouteHandler(ocorrenciasRouter, 'post', '/ocorrencia/:id/ciencia', 1)
+
+const OCORRENCIA_ID = '507f1f77bcf86cd799439088'
+const TURMA_ID = '507f1f77bcf86cd799439099'
+const PROFESSOR_ID = '507f191e810c19729de860ea'
+const ALUNO_A = '507f1f77bcf86cd799439011'
+const ALUNO_B = '507f1f77bcf86cd799439012'
+const RESPONSAVEL_ID = '507f1f77bcf86cd799439077'
+
+const turma = { professoresIds: [PROFESSOR_ID] }
+
+const ocorrenciaBody = {
+  tipo: 'MORDIDA',
+  gravidade: 'LEVE',
+  ocorridaEm: '2025-03-10T14:30:00.000Z',
+  descricao: 'Mordida no braço durante a brincadeira',
+  providencias: 'Compressa fria',
+}
+
+const ocorrenciaSalva = (alunos) => ({
+  id: OCORRENCIA_ID,
+  ...ocorrenciaBody,
+  ocorridaEm: new Date(ocorrenciaBody.ocorridaEm),
+  fotos: [],
+  testemunhas: [],
+  alunos,
+})
+
+test('POST /ocorrencia registra com os alunos e avisa as familias', async () => {
+  let createArgs
+  const notificados = []
+  const prismaMock = mockPrisma({
+    aluno: {
+      findMany: async () => [
+        { id: ALUNO_A, nome: 'Ana', turmaId: TURMA_ID, turma },
+        { id: ALUNO_B, nome: 'Bruno', turmaId: TURMA_ID, turma },
+      ],
+    },
+    ocorrencia: {
+      create: async (args) => {
+        createArgs = args
+        return ocorrenciaSalva(
+          args.data.alunos.create.map((vinculo, index) => ({
+            id: `v${index}`,
+            ...vinculo,
+            aluno: { id: vinculo.alunoId, nome: index === 0 ? 'Ana' : 'Bruno' },
+          }))
+        )
+      },
+    },
+    ocorrenciaAluno: {
+      update: async (args) => {
+        notificados.push(args.where.id)
+        return args
+      },
+    },
+    alunoResponsavel: {
+      findMany: async ({ where }) =>
+        where.alunoId === ALUNO_A ? [{ responsavel: { id: 'r1', email: 'mae.ana@example.com' } }] : [],
+    },
+    autorizacaoRetirada: {
+      findMany: async () => [],
+    },
+  })
+  const mailerMock = mockMailer()
+
+  try {
+    const res = createMockRes()
+    await createHandler(
+      createMockReq({
+        method: 'POST',
+        user: { id: PROFESSOR_ID, email: 'prof@example.com', role: 'PROFESSOR' },
+        body: {
+          ...ocorrenciaBody,
+          alunos: JSON.stringify([
+            { alunoId: ALUNO_A, papel: 'LESIONADO' },
+            { alunoId: ALUNO_B, papel: 'CAUSADOR' },
+          ]),
+        },
+      }),
+      res
+    )
+
+    assert.equal(res.statusCode, 201)
+    assert.equal(res.body.status, 'PENDENTE_CIENCIA')
+    assert.deepEqual(
+      createArgs.data.alunos.create.map(({ alunoId, turmaId, papel }) => ({ alunoId, turmaId, papel })),
+      [
+        { alunoId: ALUNO_A, turmaId: TURMA_ID, papel: 'LESIONADO' },
+        { alunoId: ALUNO_B, turmaId: TURMA_ID, papel: 'CAUSADOR' },
+      ]
+    )
+    assert.equal(createArgs.data.registradoPorEmail, 'prof@example.com')
+    assert.equal(mailerMock.sendMailCalls.length, 1)
+    assert.equal(mailerMock.sendMailCalls[0][0].subject, 'Mordida com Ana - RAJJ')
+    assert.deepEqual(notificados, ['v0'])
+    assert.equal(res.body.notificacoes[1].motivo, 'Responsáveis sem e-mail')
+  } finally {
+    mailerMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('POST /ocorrencia barra professor de outra turma', async () => {
+  let created = false
+  const prismaMock = mockPrisma({
+    aluno: {
+      findMany: async () => [{ id: ALUNO_A, nome: 'Ana', turmaId: TURMA_ID, turma }],
+    },
+    ocorrencia: {
+      create: async () => {
+        created = true
+      },
+    },
+  })
+
+  try {
+    const res = createMockRes()
+    await createHandler(
+      createMockReq({
+        method: 'POST',
+        user: { id: '507f191e810c19729de860eb', role: 'PROFESSOR' },
+        body: { ...ocorrenciaBody, alunos: [ALUNO_A] },
+      }),
+      res
+    )
+
+    assert.equal(res.statusCode, 403)
+    assert.equal(created, false)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('POST /ocorrencia/:id/ciencia registra a ciencia do responsavel e recusa repeticao', async () => {
+  let updateArgs
+  const comCiencia = new Set()
+  const prismaMock = mockPrisma({
+    turma: {
+      findMany: async () => [{ id: TURMA_ID }],
+    },
+    ocorrencia: {
+      findUnique: async () =>
+        ocorrenciaSalva([
+          { id: 'v0', alunoId: ALUNO_A, turmaId: TURMA_ID, cienciaEm: null },
+          { id: 'v1', alunoId: ALUNO_B, turmaId: TURMA_ID, cienciaEm: new Date('2025-03-10T18:00:00.000Z') },
+        ]),
+    },
+    alunoResponsavel: {
+      findUnique: async () => ({ responsavel: { id: RESPONSAVEL_ID, nome: 'Maria' } }),
+    },
+    autorizacaoRetirada: {
+      findFirst: async () => null,
+    },
+    ocorrenciaAluno: {
+      updateMany: async (args) => {
+        updateArgs = args
+        assert.equal(args.where.cienciaEm, null)
+        if (comCiencia.has(args.where.id)) return { count: 0 }
+        comCiencia.add(args.where.id)
+        return { count: 1 }
+      },
+    },
+  })
+
+  try {
+    const res = createMockRes()
+    await cienciaHandler(
+      createMockReq({
+        method: 'POST',
+        params: { id: OCORRENCIA_ID },
+        user: { id: PROFESSOR_ID, role: 'PROFESSOR' },
+        body: { alunoId: ALUNO_A, responsavelId: RESPONSAVEL_ID, observacao: 'Assinou na agenda' },
+      }),
+      res
+    )
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(res.body.status, 'CONCLUIDA')
+    assert.equal(updateArgs.where.id, 'v0')
+    assert.equal(updateArgs.data.cienciaNome, 'Maria')
+    assert.equal(updateArgs.data.cienciaObservacao, 'Assinou na agenda')
+
+    const repetida = createMockRes()
+    await cienciaHandler(
+      createMockReq({
+        method: 'POST',
+        params: { id: OCORRENCIA_ID },
+        user: { id: PROFESSOR_ID, role: 'PROFESSOR' },
+        body: { alunoId: ALUNO_B, responsavelId: RESPONSAVEL_ID },
+      }),
+      repetida
+    )
+    assert.equal(repetida.statusCode, 409)
+
+    // segunda ciencia do mesmo aluno que leu a ocorrencia antes da primeira gravar
+    const simultanea = createMockRes()
+    await cienciaHandler(
+      createMockReq({
+        method: 'POST',
+        params: { id: OCORRENCIA_ID },
+        user: { id: PROFESSOR_ID, role: 'PROFESSOR' },
+        body: { alunoId: ALUNO_A, responsavelId: RESPONSAVEL_ID },
+      }),
+      simultanea
+    )
+    assert.equal(simultanea.statusCode, 409)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('GET /ocorrencias combina os filtros e restringe o professor as proprias turmas', async () => {
+  let findManyArgs
+  const prismaMock = mockPrisma({
+    turma: {
+      findMany: async () => [{ id: TURMA_ID }],
+    },
+    ocorrencia: {
+      count: async () => 0,
+      findMany: async (args) => {
+        findManyArgs = args
+        return []
+      },
+    },
+  })
+
+  try {
+    const res = createMockRes()
+    await listHandler(
+      createMockReq({
+        method: 'GET',
+        user: { id: PROFESSOR_ID, role: 'PROFESSOR' },
+        query: { alunoId: ALUNO_A, de: '2025-03-01', ate: '2025-03-31', gravidade: 'grave', status: 'PENDENTE_CIENCIA' },
+      }),
+      res
+    )
+
+    assert.equal(res.statusCode, 200)
+    assert.deepEqual(findManyArgs.where.AND, [
+      { alunos: { some: { alunoId: ALUNO_A } } },
+      { alunos: { some: { turmaId: { in: [TURMA_ID] } } } },
+      { ocorridaEm: { gte: new Date('2025-03-01'), lte: new Date('2025-03-31T23:59:59.999Z') } },
+      { gravidade: 'GRAVE' },
+      { alunos: { some: { cienciaEm: null } } },
+    ])
+
+    const invalido = createMockRes()
+    await listHandler(createMockReq({ method: 'GET', query: { tipo: 'TOMBO' } }), invalido)
+    assert.equal(invalido.statusCode, 400)
+  } finally {
+    prismaMock.restore()
+  }
+})
@@ -3,11 +3,28 @@ import assert from 'node:assert/strict'
 
 import privateRouter from '../../routes/private.js'
 import { createMockReq, createMockRes, getRouteHandler } from '../helpers/http.js'
-import { mockPrisma } from '../mocks/dependencies.js'
+import { mockBcrypt, mockJwt, mockLogger, mockMailer, mockPrisma } from '../mocks/dependencies.js'
+import {
+  checkLoginThrottle,
+  createMemoryStore,
+  registerLoginFailure,
+  setLoginThrottleStore,
+} from '../../utils/loginThrottle.js'
 
-const listUsersHandler = getRouteHandler(privateRouter, 'get', '/listar-usuarios')
-const updateUserHandler = getRouteHandler(privateRouter, 'patch', '/usuarios/:id')
-const inactivateUserHandler = getRouteHandler(privateRouter, 'patch', '/usuarios/:id/inativar')
+const listUsersHandler = getRouteHandler(privateRouter, 'get', '/listar-usuarios', 1)
+const updateUserHandler = getRouteHandler(privateRouter, 'patch', '/usuarios/:id', 2)
+const inactivateUserHandler = getRouteHandler(privateRouter, 'patch', '/usuarios/:id/inativar', 2)
+const unlockUserHandler = getRouteHandler(privateRouter, 'post', '/usuarios/:id/desbloquear', 1)
+const getMeHandler = getRouteHandler(privateRouter, 'get', '/me')
+const updateMeHandler = getRouteHandler(privateRouter, 'patch', '/me', 2)
+const changePasswordHandler = getRouteHandler(privateRouter, 'post', '/me/senha', 1)
+const listSessionsHandler = getRouteHandler(privateRouter, 'get', '/sessoes')
+const deleteSessionHandler = getRouteHandler(privateRouter, 'delete', '/sessoes/:id')
+const impersonateHandler = getRouteHandler(privateRouter, 'post', '/usuarios/:id/personificar', 2)
+const listAuditHandler = getRouteHandler(privateRouter, 'get', '/auditoria', 1)
+const listMyAccessesHandler = getRouteHandler(privateRouter, 'get', '/me/acessos')
+const listUserAccessesHandler = getRouteHandler(privateRouter, 'get', '/usuarios/:id/acessos', 1)
+const updatePasswordPolicyHandler = getRouteHandler(privateRouter, 'put', '/politica-senha', 1)
 
 test('GET /private/listar-usuarios retorna usuarios sem senha', async () => {
   const prismaMock = mockPrisma({
@@ -65,14 +82,31 @@ test('PATCH /private/usuarios/:id retorna 400 para CPF invalido', async () => {
   assert.deepEqual(res.body, { message: 'CPF invalido' })
 })
 
+test('PATCH /private/usuarios/:id retorna 400 para perfil invalido', async () => {
+  const req = createMockReq({
+    method: 'PATCH',
+    path: '/usuarios/:id',
+    params: { id: '507f1f77bcf86cd799439011' },
+    body: { role: 'DIRETOR' },
+  })
+  const res = createMockRes()
+
+  await updateUserHandler(req, res)
+
+  assert.equal(res.statusCode, 400)
+  assert.deepEqual(res.body, { message: 'Perfil invalido' })
+})
+
 test('PATCH /private/usuarios/:id atualiza usuario com prisma mockado', async () => {
   const prismaMock = mockPrisma({
     Cluster0: {
       findFirst: async () => null,
+      findUnique: async () => ({ email: 'maria@test.com' }),
       update: async ({ where, data }) => ({
         id: where.id,
         name: data.name,
-        email: data.email,
+        email: 'maria@test.com',
+        emailPendente: data.emailPendente,
         cpf: data.cpf,
         status: data.status,
         telefones: data.telefones,
@@ -82,7 +116,18 @@ test('PATCH /private/usuarios/:id atualiza usuario com prisma mockado', async ()
         criadoEm: new Date('2026-04-25T00:00:00.000Z'),
       }),
     },
+    sessao: {
+      updateMany: async () => ({ count: 1 }),
+    },
+    verificacaoEmail: {
+      updateMany: async () => ({ count: 0 }),
+      create: async ({ data }) => ({ id: 'verif-1', ...data }),
+    },
+    auditLog: {
+      create: async ({ data }) => data,
+    },
   })
+  const mailerMock = mockMailer()
 
   try {
     const req = createMockReq({
@@ -113,7 +158,8 @@ test('PATCH /private/usuarios/:id atualiza usuario com prisma mockado', async ()
     assert.deepEqual(res.body.user, {
       id: '507f1f77bcf86cd799439011',
       name: 'Maria Atualizada',
-      email: 'maria.atualizada@test.com',
+      email: 'maria@test.com',
+      emailPendente: 'maria.atualizada@test.com',
       cpf: '52998224725',
       status: 'INATIVO',
       telefones: ['11999998888', '1133334444'],
@@ -129,33 +175,85 @@ test('PATCH /private/usuarios/:id atualiza usuario com prisma mockado', async ()
       documentos: [],
       criadoEm: new Date('2026-04-25T00:00:00.000Z'),
     })
+    assert.equal(res.body.confirmacaoEnviada, true)
+    assert.equal(mailerMock.sendMailCalls[0][0].to, 'maria.atualizada@test.com')
+  } finally {
+    mailerMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('PATCH /private/usuarios/:id recusa e-mail de outra conta', async () => {
+  let updateCalled = false
+  const prismaMock = mockPrisma({
+    Cluster0: {
+      findUnique: async () => ({ email: 'maria@test.com' }),
+      findFirst: async () => ({ id: '507f1f77bcf86cd799439012' }),
+      update: async () => {
+        updateCalled = true
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'PATCH',
+      params: { id: '507f1f77bcf86cd799439011' },
+      body: { email: 'joao@test.com' },
+    })
+    const res = createMockRes()
+
+    await updateUserHandler(req, res)
+
+    assert.equal(res.statusCode, 400)
+    assert.deepEqual(res.body, { message: 'E-mail ja esta em uso' })
+    assert.equal(updateCalled, false)
   } finally {
     prismaMock.restore()
   }
 })
 
 test('PATCH /private/usuarios/:id/inativar marca usuario como INATIVO', async () => {
+  let receivedData
+  let revokedWhere
+  let auditData
   const prismaMock = mockPrisma({
     Cluster0: {
-      update: async ({ where, data }) => ({
-        id: where.id,
-        name: 'Maria',
-        email: 'maria@test.com',
-        cpf: '52998224725',
-        status: data.status,
-        telefones: ['11999998888'],
-        endereco: {
-          cep: '01001000',
-          rua: 'Praca da Se',
-          bairro: 'Se',
-          numero: '100',
-          cidade: 'Sao Paulo',
-          estado: 'SP',
-        },
-        fotoPath: null,
-        documentos: [],
-        criadoEm: new Date('2026-04-25T00:00:00.000Z'),
-      }),
+      findUnique: async ({ where }) => ({ id: where.id, email: 'maria@test.com', status: 'ATIVO' }),
+      update: async ({ where, data }) => {
+        receivedData = data
+        return {
+          id: where.id,
+          name: 'Maria',
+          email: 'maria@test.com',
+          cpf: '52998224725',
+          status: data.status,
+          telefones: ['11999998888'],
+          endereco: {
+            cep: '01001000',
+            rua: 'Praca da Se',
+            bairro: 'Se',
+            numero: '100',
+            cidade: 'Sao Paulo',
+            estado: 'SP',
+          },
+          fotoPath: null,
+          documentos: [],
+          criadoEm: new Date('2026-04-25T00:00:00.000Z'),
+        }
+      },
+    },
+    sessao: {
+      updateMany: async ({ where }) => {
+        revokedWhere = where
+        return { count: 2 }
+      },
+    },
+    auditLog: {
+      create: async ({ data }) => {
+        auditData = data
+        return data
+      },
     },
   })
 
@@ -164,6 +262,7 @@ test('PATCH /private/usuarios/:id/inativar marca usuario como INATIVO', async ()
       method: 'PATCH',
       path: '/usuarios/:id/inativar',
       params: { id: '507f1f77bcf86cd799439011' },
+      user: { id: '507f191e810c19729de860ea', email: 'admin@test.com' },
     })
     const res = createMockRes()
 
@@ -171,6 +270,572 @@ test('PATCH /private/usuarios/:id/inativar marca usuario como INATIVO', async ()
 
     assert.equal(res.statusCode, 200)
     assert.equal(res.body.user.status, 'INATIVO')
+    assert.deepEqual(receivedData.tokenVersion, { increment: 1 })
+    assert.equal(revokedWhere.userId, '507f1f77bcf86cd799439011')
+    assert.equal(auditData.entidade, 'usuario')
+    assert.equal(auditData.atorEmail, 'admin@test.com')
+    assert.deepEqual(auditData.alteracoes.status, { antes: 'ATIVO', depois: 'INATIVO' })
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('GET /private/sessoes lista sessoes do usuario e marca a atual', async () => {
+  let receivedWhere
+  const prismaMock = mockPrisma({
+    sessao: {
+      findMany: async ({ where }) => {
+        receivedWhere = where
+        return [
+          { id: '65f000000000000000000001', dispositivo: 'Firefox', ip: '10.0.0.1' },
+          { id: '65f000000000000000000002', dispositivo: 'Chrome', ip: '10.0.0.2' },
+        ]
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'GET',
+      path: '/sessoes',
+      user: { id: 'user-1', sid: '65f000000000000000000002' },
+    })
+    const res = createMockRes()
+
+    await listSessionsHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(receivedWhere.userId, 'user-1')
+    assert.deepEqual(
+      res.body.sessoes.map((sessao) => sessao.atual),
+      [false, true]
+    )
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('DELETE /private/sessoes/:id retorna 404 para sessao de outro usuario', async () => {
+  let receivedWhere
+  const prismaMock = mockPrisma({
+    sessao: {
+      updateMany: async ({ where }) => {
+        receivedWhere = where
+        return { count: 0 }
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'DELETE',
+      path: '/sessoes/:id',
+      params: { id: '65f000000000000000000009' },
+      user: { id: 'user-1' },
+    })
+    const res = createMockRes()
+
+    await deleteSessionHandler(req, res)
+
+    assert.equal(res.statusCode, 404)
+    assert.equal(receivedWhere.userId, 'user-1')
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('POST /private/usuarios/:id/desbloquear remove o bloqueio de login da conta', async () => {
+  setLoginThrottleStore(createMemoryStore())
+  for (let i = 0; i < 5; i++) {
+    await registerLoginFailure({ ip: `10.0.1.${i}`, email: 'bloqueada@test.com' })
+  }
+  assert.equal((await checkLoginThrottle({ ip: '10.0.2.1', email: 'bloqueada@test.com' })).tipo, 'CONTA')
+
+  const prismaMock = mockPrisma({
+    Cluster0: {
+      findUnique: async () => ({ id: '507f1f77bcf86cd799439099', email: 'bloqueada@test.com' }),
+    },
+    auditLog: {
+      create: async ({ data }) => data,
+    },
+  })
+
+  try {
+    const req = createMockReq({ params: { id: '507f1f77bcf86cd799439099' } })
+    const res = createMockRes()
+
+    await unlockUserHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.deepEqual(res.body, { message: 'Conta desbloqueada' })
+    assert.equal(await checkLoginThrottle({ ip: '10.0.2.1', email: 'bloqueada@test.com' }), null)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('POST /private/usuarios/:id/desbloquear retorna 404 para usuario inexistente', async () => {
+  const prismaMock = mockPrisma({
+    Cluster0: {
+      findUnique: async () => null,
+    },
+  })
+
+  try {
+    const req = createMockReq({ params: { id: '507f1f77bcf86cd799439098' } })
+    const res = createMockRes()
+
+    await unlockUserHandler(req, res)
+
+    assert.equal(res.statusCode, 404)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('GET /private/me retorna o cadastro do usuario logado', async () => {
+  let receivedWhere
+  const prismaMock = mockPrisma({
+    Cluster0: {
+      findUnique: async ({ where, select }) => {
+        receivedWhere = where
+        assert.equal(select.password, undefined)
+        return { id: where.id, name: 'Maria', email: 'maria@test.com', role: null }
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({ user: { id: '507f1f77bcf86cd799439011' } })
+    const res = createMockRes()
+
+    await getMeHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(receivedWhere.id, '507f1f77bcf86cd799439011')
+    assert.equal(res.body.user.role, 'PROFESSOR')
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('PATCH /private/me exige a senha atual correta', async () => {
+  let updateCalled = false
+  const prismaMock = mockPrisma({
+    Cluster0: {
+      findUnique: async () => ({ id: '507f1f77bcf86cd799439011', password: 'hash' }),
+      update: async () => {
+        updateCalled = true
+      },
+    },
+  })
+  const bcryptMock = mockBcrypt({
+    compare: async () => false,
+  })
+
+  try {
+    const req = createMockReq({
+      user: { id: '507f1f77bcf86cd799439011' },
+      body: { currentPassword: 'errada', name: 'Maria Souza' },
+    })
+    const res = createMockRes()
+
+    await updateMeHandler(req, res)
+
+    assert.equal(res.statusCode, 401)
+    assert.deepEqual(res.body, { message: 'Senha atual incorreta' })
+    assert.equal(updateCalled, false)
+  } finally {
+    bcryptMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('PATCH /private/me substitui foto e documentos do proprio usuario', async () => {
+  let receivedData
+  const prismaMock = mockPrisma({
+    Cluster0: {
+      findUnique: async () => ({
+        id: '507f1f77bcf86cd799439011',
+        password: 'hash',
+        fotoPath: '/uploads/usuarios/foto-antiga.png',
+        documentos: ['/uploads/usuarios/documentos-antigo.pdf'],
+      }),
+      update: async ({ where, data }) => {
+        receivedData = data
+        return { id: where.id, name: 'Maria', ...data }
+      },
+    },
+    auditLog: {
+      create: async ({ data }) => data,
+    },
+  })
+  const bcryptMock = mockBcrypt({
+    compare: async () => true,
+  })
+
+  try {
+    const req = createMockReq({
+      user: { id: '507f1f77bcf86cd799439011' },
+      body: { currentPassword: 'Senha@123', role: 'ADMIN', status: 'INATIVO' },
+    })
+    req.files = {
+      foto: [{ filename: 'foto-nova.png' }],
+      documentos: [{ filename: 'documentos-1.pdf' }, { filename: 'documentos-2.pdf' }],
+    }
+    const res = createMockRes()
+
+    await updateMeHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.deepEqual(receivedData, {
+      fotoPath: '/uploads/usuarios/foto-nova.png',
+      documentos: ['/uploads/usuarios/documentos-1.pdf', '/uploads/usuarios/documentos-2.pdf'],
+    })
+  } finally {
+    bcryptMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('POST /private/me/senha recusa senha fora da politica com as violacoes', async () => {
+  let updated = false
+  const prismaMock = mockPrisma({
+    configuracao: {
+      findUnique: async () => ({ valor: { tamanhoMinimo: 12 } }),
+    },
+    Cluster0: {
+      findUnique: async () => ({ id: '507f1f77bcf86cd799439011', password: 'hash-atual' }),
+      update: async () => {
+        updated = true
+      },
+    },
+  })
+  const bcryptMock = mockBcrypt({
+    compare: async (value) => value === 'Atual@123',
+  })
+
+  try {
+    const req = createMockReq({
+      user: { id: '507f1f77bcf86cd799439011' },
+      body: { currentPassword: 'Atual@123', newPassword: 'Curta@12', confirmPassword: 'Curta@12' },
+    })
+    const res = createMockRes()
+
+    await changePasswordHandler(req, res)
+
+    assert.equal(res.statusCode, 400)
+    assert.deepEqual(res.body.violacoes.map((violacao) => violacao.codigo), ['TAMANHO_MINIMO'])
+    assert.equal(updated, false)
+  } finally {
+    bcryptMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('POST /private/me/senha troca a senha e encerra as sessoes', async () => {
+  let updateData
+  let revokedWhere
+  let auditData
+  const prismaMock = mockPrisma({
+    configuracao: {
+      findUnique: async () => null,
+    },
+    Cluster0: {
+      findUnique: async () => ({ id: '507f1f77bcf86cd799439011', password: 'hash-atual' }),
+      update: async ({ data }) => {
+        updateData = data
+        return { id: '507f1f77bcf86cd799439011' }
+      },
+    },
+    sessao: {
+      updateMany: async ({ where }) => {
+        revokedWhere = where
+        return { count: 2 }
+      },
+    },
+    auditLog: {
+      create: async ({ data }) => {
+        auditData = data
+        return data
+      },
+    },
+  })
+  const bcryptMock = mockBcrypt({
+    compare: async (value, hash) => value === 'Atual@123' && hash === 'hash-atual',
+    genSalt: async () => 'salt-10',
+    hash: async () => 'hash-nova',
+  })
+
+  try {
+    const req = createMockReq({
+      user: { id: '507f1f77bcf86cd799439011' },
+      body: {
+        currentPassword: 'Atual@123',
+        newPassword: 'NovaSenha@123',
+        confirmPassword: 'NovaSenha@123',
+      },
+    })
+    const res = createMockRes()
+
+    await changePasswordHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(updateData.password, 'hash-nova')
+    assert.deepEqual(updateData.tokenVersion, { increment: 1 })
+    assert.deepEqual(updateData.senhasAnteriores, ['hash-atual'])
+    assert.equal(revokedWhere.userId, '507f1f77bcf86cd799439011')
+    // o hash nunca vai para a auditoria
+    assert.deepEqual(auditData.alteracoes, { password: { antes: '[oculto]', depois: '[alterado]' } })
+  } finally {
+    bcryptMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('GET /private/auditoria filtra por entidade, acao e periodo', async () => {
+  let receivedWhere
+  let receivedPaging
+  const prismaMock = mockPrisma({
+    auditLog: {
+      count: async () => 1,
+      findMany: async ({ where, skip, take }) => {
+        receivedWhere = where
+        receivedPaging = { skip, take }
+        return [{ id: 'audit-1', entidade: 'conta', acao: 'ATUALIZAR' }]
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      query: { entidade: 'Conta', acao: 'atualizar', de: '2026-03-01', ate: '2026-03-31', page: '2', limit: '10' },
+    })
+    const res = createMockRes()
+
+    await listAuditHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(res.body.total, 1)
+    assert.equal(receivedWhere.entidade, 'conta')
+    assert.equal(receivedWhere.acao, 'ATUALIZAR')
+    assert.equal(receivedWhere.criadoEm.gte.toISOString(), '2026-03-01T00:00:00.000Z')
+    assert.equal(receivedWhere.criadoEm.lte.toISOString(), '2026-03-31T23:59:59.999Z')
+    assert.deepEqual(receivedPaging, { skip: 10, take: 10 })
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('GET /private/auditoria retorna 400 para acao invalida', async () => {
+  const req = createMockReq({ query: { acao: 'APAGAR' } })
+  const res = createMockRes()
+
+  await listAuditHandler(req, res)
+
+  assert.equal(res.statusCode, 400)
+  assert.deepEqual(res.body, { message: 'Acao invalida' })
+})
+
+test('POST /private/usuarios/:id/personificar emite token curto com as duas identidades', async () => {
+  let signedPayload
+  let signOptions
+  const prismaMock = mockPrisma({
+    Cluster0: {
+      findUnique: async ({ where }) =>
+        where.id === '507f191e810c19729de860ea'
+          ? { id: where.id, email: 'admin@test.com', tokenVersion: 4 }
+          : {
+              id: where.id,
+              name: 'Sara',
+              email: 'sec@test.com',
+              role: 'SECRETARIA',
+              status: 'ATIVO',
+              tokenVersion: 1,
+            },
+    },
+  })
+  const jwtMock = mockJwt({
+    sign: (payload, _secret, options) => {
+      signedPayload = payload
+      signOptions = options
+      return 'token-personificacao'
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      params: { id: '507f1f77bcf86cd799439011' },
+      user: { id: '507f191e810c19729de860ea', email: 'admin@test.com', role: 'ADMIN' },
+    })
+    const res = createMockRes()
+
+    await impersonateHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(res.body.token, 'token-personificacao')
+    assert.equal(res.body.user.role, 'SECRETARIA')
+    assert.deepEqual(signedPayload, {
+      id: '507f1f77bcf86cd799439011',
+      email: 'sec@test.com',
+      role: 'SECRETARIA',
+      tv: 1,
+      imp: { id: '507f191e810c19729de860ea', email: 'admin@test.com', tv: 4 },
+    })
+    assert.equal(signOptions.expiresIn, '15m')
+    assert.equal('sid' in signedPayload, false)
+  } finally {
+    jwtMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('POST /private/usuarios/:id/personificar recusa outro administrador', async () => {
+  const prismaMock = mockPrisma({
+    Cluster0: {
+      findUnique: async ({ where }) => ({ id: where.id, email: 'outro@test.com', role: 'ADMIN', status: 'ATIVO' }),
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      params: { id: '507f1f77bcf86cd799439011' },
+      user: { id: '507f191e810c19729de860ea', email: 'admin@test.com', role: 'ADMIN' },
+    })
+    const res = createMockRes()
+
+    await impersonateHandler(req, res)
+
+    assert.equal(res.statusCode, 400)
+    assert.deepEqual(res.body, { message: 'Nao e possivel acessar como outro administrador' })
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('GET /private/me/acessos lista so os acessos do usuario logado, paginados', async () => {
+  let receivedWhere
+  let receivedPaging
+  const prismaMock = mockPrisma({
+    acessoLogin: {
+      count: async () => 3,
+      findMany: async ({ where, skip, take }) => {
+        receivedWhere = where
+        receivedPaging = { skip, take }
+        return [{ id: 'acesso-1', ip: '200.1.2.3', sucesso: false, motivo: 'SENHA_INVALIDA' }]
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      user: { id: '507f1f77bcf86cd799439011' },
+      query: { sucesso: 'false', page: '2', limit: '1' },
+    })
+    const res = createMockRes()
+
+    await listMyAccessesHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(res.body.total, 3)
+    assert.equal(res.body.acessos[0].motivo, 'SENHA_INVALIDA')
+    assert.deepEqual(receivedWhere, { userId: '507f1f77bcf86cd799439011', sucesso: false })
+    assert.deepEqual(receivedPaging, { skip: 1, take: 1 })
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('GET /private/me/acessos retorna 400 para filtro sucesso invalido', async () => {
+  const req = createMockReq({ user: { id: '507f1f77bcf86cd799439011' }, query: { sucesso: 'talvez' } })
+  const res = createMockRes()
+
+  await listMyAccessesHandler(req, res)
+
+  assert.equal(res.statusCode, 400)
+})
+
+test('GET /private/usuarios/:id/acessos consulta o historico do usuario informado', async () => {
+  let receivedWhere
+  const prismaMock = mockPrisma({
+    acessoLogin: {
+      count: async () => 0,
+      findMany: async ({ where }) => {
+        receivedWhere = where
+        return []
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      user: { id: '507f1f77bcf86cd799439011' },
+      params: { id: '507f1f77bcf86cd799439012' },
+    })
+    const res = createMockRes()
+
+    await listUserAccessesHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.deepEqual(receivedWhere, { userId: '507f1f77bcf86cd799439012' })
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('PUT /private/politica-senha aplica os campos enviados sobre a politica atual', async () => {
+  let savedValor
+  const prismaMock = mockPrisma({
+    configuracao: {
+      findUnique: async () => ({ valor: { tamanhoMinimo: 10 } }),
+      upsert: async ({ update }) => {
+        savedValor = update.valor
+        return { valor: update.valor }
+      },
+    },
+  })
+  const loggerMock = mockLogger()
+
+  try {
+    const req = createMockReq({
+      method: 'PUT',
+      user: { id: '507f1f77bcf86cd799439011' },
+      body: { validadeDias: 90, exigeEspecial: false },
+    })
+    const res = createMockRes()
+
+    await updatePasswordPolicyHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(savedValor.tamanhoMinimo, 10)
+    assert.equal(savedValor.validadeDias, 90)
+    assert.equal(savedValor.exigeEspecial, false)
+  } finally {
+    loggerMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('PUT /private/politica-senha retorna 400 para valor fora dos limites', async () => {
+  const prismaMock = mockPrisma({
+    configuracao: {
+      findUnique: async () => null,
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'PUT',
+      user: { id: '507f1f77bcf86cd799439011' },
+      body: { tamanhoMinimo: 3 },
+    })
+    const res = createMockRes()
+
+    await updatePasswordPolicyHandler(req, res)
+
+    assert.equal(res.statusCode, 400)
   } finally {
     prismaMock.restore()
   }
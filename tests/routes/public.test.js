@@ -1,5 +1,7 @@
 import test from 'node:test'
 import assert from 'node:assert/strict'
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
 
 import publicRouter from '../../routes/public.js'
 import {
@@ -7,6 +9,10 @@ import {
   createMockRes,
   getRouteHandler,
 } from '../helpers/http.js'
+import { encryptSecret, hashRecoveryCode } from '../../utils/mfa.js'
+import { createMemoryStore, setLoginThrottleStore } from '../../utils/loginThrottle.js'
+import { resetOidcCache } from '../../utils/oidc.js'
+import { startMockOidcServer } from '../../scripts/mock-oidc-server.js'
 import {
   mockBcrypt,
   mockJwt,
@@ -15,12 +21,59 @@ import {
   mockPrisma,
 } from '../mocks/dependencies.js'
 
+setLoginThrottleStore(createMemoryStore())
+
 const cadastroHandler = getRouteHandler(publicRouter, 'post', '/cadastro', 1)
 const loginLimiterHandler = getRouteHandler(publicRouter, 'post', '/login', 0)
 const loginHandler = getRouteHandler(publicRouter, 'post', '/login', 1)
 const verifyMfaHandler = getRouteHandler(publicRouter, 'post', '/login/mfa/verify')
 const forgotPasswordHandler = getRouteHandler(publicRouter, 'post', '/esqueci-senha')
 const resetPasswordHandler = getRouteHandler(publicRouter, 'post', '/reset-password')
+const refreshHandler = getRouteHandler(publicRouter, 'post', '/refresh')
+const logoutHandler = getRouteHandler(publicRouter, 'post', '/logout')
+const verifyEmailHandler = getRouteHandler(publicRouter, 'post', '/verificar-email')
+const resendVerificationHandler = getRouteHandler(publicRouter, 'post', '/verificar-email/reenviar')
+const startOidcHandler = getRouteHandler(publicRouter, 'post', '/login/oidc/iniciar')
+const oidcLoginHandler = getRouteHandler(publicRouter, 'post', '/login/oidc', 1)
+
+const sessaoCreateMock = async ({ data }) => ({
+  id: '65f000000000000000000001',
+  ...data,
+})
+
+// Historico de acessos: sem registros anteriores (nenhum aviso de novo dispositivo)
+const acessoLoginMock = {
+  findFirst: async () => null,
+  create: async ({ data }) => ({ id: 'acesso-1', criadoEm: new Date(), ...data }),
+}
+
+const desafioMfaCreateMock = async ({ data }) => ({
+  id: '65f0000000000000000000c1',
+  ...data,
+})
+
+const buildDesafioMfa = (overrides = {}) => ({
+  id: '65f0000000000000000000c1',
+  metodo: 'EMAIL',
+  codeHash: null,
+  tentativas: 0,
+  expiraEm: new Date(Date.now() + 10 * 60 * 1000),
+  consumidoEm: null,
+  bloqueadoEm: null,
+  ...overrides,
+})
+
+const buildConvite = (overrides = {}) => ({
+  id: '65f0000000000000000000d1',
+  email: 'maria@test.com',
+  role: 'SECRETARIA',
+  tokenHash: crypto.createHash('sha256').update('token-convite').digest('hex'),
+  expiraEm: new Date(Date.now() + 60 * 60 * 1000),
+  aceitoEm: null,
+  aceitoPorId: null,
+  revogadoEm: null,
+  ...overrides,
+})
 
 const cadastroBaseBody = {
   name: 'Maria',
@@ -52,22 +105,35 @@ test('POST /cadastro retorna 400 quando campos obrigatorios nao sao enviados', a
   })
 })
 
-test('POST /cadastro retorna 400 para senha fraca', async () => {
-  const req = createMockReq({
-    method: 'POST',
-    path: '/cadastro',
-    body: {
-      ...cadastroBaseBody,
-      password: '123456',
-      confirmPassword: '123456',
+test('POST /cadastro retorna 400 com as regras da politica que a senha nao atende', async () => {
+  const prismaMock = mockPrisma({
+    configuracao: {
+      findUnique: async () => null,
     },
   })
-  const res = createMockRes()
 
-  await cadastroHandler(req, res)
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      path: '/cadastro',
+      body: {
+        ...cadastroBaseBody,
+        password: '123456',
+        confirmPassword: '123456',
+      },
+    })
+    const res = createMockRes()
 
-  assert.equal(res.statusCode, 400)
-  assert.match(res.body.message, /A senha deve conter pelo menos 8 caracteres/)
+    await cadastroHandler(req, res)
+
+    assert.equal(res.statusCode, 400)
+    assert.deepEqual(
+      res.body.violacoes.map((violacao) => violacao.codigo),
+      ['TAMANHO_MINIMO', 'MINUSCULA', 'MAIUSCULA', 'ESPECIAL', 'SENHA_COMUM']
+    )
+  } finally {
+    prismaMock.restore()
+  }
 })
 
 test('POST /cadastro retorna 400 quando confirmacao de senha diverge', async () => {
@@ -123,12 +189,12 @@ test('POST /cadastro retorna 400 sem telefone valido', async () => {
   })
 })
 
-test('checkLoginAttempts permite seguir quando o IP nao esta bloqueado', () => {
+test('checkLoginAttempts permite seguir quando o IP nao esta bloqueado', async () => {
   const req = createMockReq({ ip: '127.0.0.2' })
   const res = createMockRes()
   let nextCalled = false
 
-  loginLimiterHandler(req, res, () => {
+  await loginLimiterHandler(req, res, () => {
     nextCalled = true
   })
 
@@ -171,36 +237,90 @@ test('POST /reset-password retorna 400 sem token e senha', async () => {
   assert.deepEqual(res.body, { message: 'Token e nova senha são obrigatórios' })
 })
 
-test('POST /reset-password retorna 400 para senha fraca', async () => {
-  const req = createMockReq({
-    method: 'POST',
-    path: '/reset-password',
-    body: { token: 'qualquer', password: '123456' },
+test('POST /reset-password recusa senha repetida sem consumir o link', async () => {
+  let consumed = false
+  const prismaMock = mockPrisma({
+    configuracao: {
+      findUnique: async () => null,
+    },
+    resetSenha: {
+      findUnique: async () => ({
+        id: 'reset-31',
+        userId: 'user-31',
+        expiraEm: new Date(Date.now() + 60 * 1000),
+        consumidoEm: null,
+        invalidadoEm: null,
+      }),
+      updateMany: async () => {
+        consumed = true
+        return { count: 1 }
+      },
+    },
+    Cluster0: {
+      findUnique: async () => ({
+        id: 'user-31',
+        password: 'hash-atual',
+        senhasAnteriores: ['hash-da-senha-repetida'],
+      }),
+    },
   })
-  const res = createMockRes()
+  const bcryptMock = mockBcrypt({
+    compare: async (_password, hash) => hash === 'hash-da-senha-repetida',
+  })
+  const loggerMock = mockLogger()
 
-  await resetPasswordHandler(req, res)
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      path: '/reset-password',
+      body: { token: 'qualquer', password: 'Repetida@2024' },
+    })
+    const res = createMockRes()
 
-  assert.equal(res.statusCode, 400)
-  assert.match(res.body.message, /A senha deve conter pelo menos 8 caracteres/)
+    await resetPasswordHandler(req, res)
+
+    assert.equal(res.statusCode, 400)
+    assert.deepEqual(res.body.violacoes.map((violacao) => violacao.codigo), ['REUTILIZADA'])
+    assert.equal(consumed, false)
+  } finally {
+    loggerMock.restore()
+    bcryptMock.restore()
+    prismaMock.restore()
+  }
 })
 
 test('POST /cadastro cria usuario com bcrypt e prisma mockados', async () => {
+  let createdRole
+  let linkedUserId
   const prismaMock = mockPrisma({
+    configuracao: {
+      findUnique: async () => null,
+    },
+    convite: {
+      findUnique: async () => buildConvite(),
+      updateMany: async () => ({ count: 1 }),
+      update: async ({ data }) => {
+        linkedUserId = data.aceitoPorId
+        return buildConvite(data)
+      },
+    },
     Cluster0: {
       findFirst: async () => null,
-      create: async ({ data }) => ({
-        id: 'user-1',
-        name: data.name,
-        email: data.email,
-        password: data.password,
-        cpf: data.cpf,
-        endereco: data.endereco,
-      telefones: data.telefones,
-      fotoPath: data.fotoPath,
-      documentos: data.documentos,
-      status: data.status,
-    }),
+      create: async ({ data }) => {
+        createdRole = data.role
+        return {
+          id: 'user-1',
+          name: data.name,
+          email: data.email,
+          password: data.password,
+          cpf: data.cpf,
+          endereco: data.endereco,
+          telefones: data.telefones,
+          fotoPath: data.fotoPath,
+          documentos: data.documentos,
+          status: data.status,
+        }
+      },
     },
   })
   const bcryptMock = mockBcrypt({
@@ -216,6 +336,7 @@ test('POST /cadastro cria usuario com bcrypt e prisma mockados', async () => {
       body: {
         ...cadastroBaseBody,
         telefones: JSON.stringify(['11999998888', '1133334444']),
+        convite: 'token-convite',
       },
     })
     const res = createMockRes()
@@ -243,6 +364,8 @@ test('POST /cadastro cria usuario com bcrypt e prisma mockados', async () => {
       message: 'Usuario criado com sucesso',
     })
     assert.equal(loggerMock.calls.success.length, 1)
+    assert.equal(createdRole, 'SECRETARIA')
+    assert.equal(linkedUserId, 'user-1')
   } finally {
     loggerMock.restore()
     bcryptMock.restore()
@@ -250,8 +373,108 @@ test('POST /cadastro cria usuario com bcrypt e prisma mockados', async () => {
   }
 })
 
+test('POST /cadastro exige convite quando o cadastro aberto esta desativado', async () => {
+  let createCalled = false
+  const prismaMock = mockPrisma({
+    configuracao: {
+      findUnique: async () => null,
+    },
+    Cluster0: {
+      findFirst: async () => null,
+      create: async () => {
+        createCalled = true
+      },
+    },
+  })
+  const loggerMock = mockLogger()
+
+  try {
+    const req = createMockReq({ method: 'POST', path: '/cadastro', body: cadastroBaseBody })
+    const res = createMockRes()
+
+    await cadastroHandler(req, res)
+
+    assert.equal(res.statusCode, 403)
+    assert.deepEqual(res.body, { message: 'Cadastro disponivel apenas por convite' })
+    assert.equal(createCalled, false)
+  } finally {
+    loggerMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('POST /cadastro recusa convite ja utilizado', async () => {
+  const prismaMock = mockPrisma({
+    configuracao: {
+      findUnique: async () => null,
+    },
+    Cluster0: {
+      findFirst: async () => null,
+    },
+    convite: {
+      findUnique: async () => buildConvite({ aceitoEm: new Date(), aceitoPorId: 'user-0' }),
+    },
+  })
+  const loggerMock = mockLogger()
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      path: '/cadastro',
+      body: { ...cadastroBaseBody, convite: 'token-convite' },
+    })
+    const res = createMockRes()
+
+    await cadastroHandler(req, res)
+
+    assert.equal(res.statusCode, 400)
+    assert.deepEqual(res.body, { message: 'Convite invalido ou expirado' })
+  } finally {
+    loggerMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('POST /cadastro recusa convite emitido para outro e-mail', async () => {
+  let updateManyCalled = false
+  const prismaMock = mockPrisma({
+    configuracao: {
+      findUnique: async () => null,
+    },
+    Cluster0: {
+      findFirst: async () => null,
+    },
+    convite: {
+      findUnique: async () => buildConvite({ email: 'outra@test.com' }),
+      updateMany: async () => {
+        updateManyCalled = true
+        return { count: 1 }
+      },
+    },
+  })
+  const loggerMock = mockLogger()
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      path: '/cadastro',
+      body: { ...cadastroBaseBody, convite: 'token-convite' },
+    })
+    const res = createMockRes()
+
+    await cadastroHandler(req, res)
+
+    assert.equal(res.statusCode, 400)
+    assert.equal(updateManyCalled, false)
+  } finally {
+    loggerMock.restore()
+    prismaMock.restore()
+  }
+})
+
 test('POST /login autentica usuario com prisma, bcrypt e jwt mockados', async () => {
   const prismaMock = mockPrisma({
+    acessoLogin: acessoLoginMock,
     Cluster0: {
       findUnique: async ({ where }) => ({
         id: 'user-9',
@@ -259,8 +482,15 @@ test('POST /login autentica usuario com prisma, bcrypt e jwt mockados', async ()
         email: where.email,
         password: 'hashed-password',
         status: 'ATIVO',
+        emailVerificadoEm: new Date('2026-01-01T00:00:00.000Z'),
       }),
     },
+    sessao: {
+      create: sessaoCreateMock,
+    },
+    configuracao: {
+      findUnique: async () => null,
+    },
   })
   const bcryptMock = mockBcrypt({
     compare: async () => true,
@@ -285,6 +515,7 @@ test('POST /login autentica usuario com prisma, bcrypt e jwt mockados', async ()
 
     assert.equal(res.statusCode, 200)
     assert.equal(res.body.token, 'jwt-token-mockado')
+    assert.match(res.body.refreshToken, /^65f000000000000000000001\./)
     assert.deepEqual(res.body.user, {
       id: 'user-9',
       name: 'Thomas',
@@ -301,8 +532,74 @@ test('POST /login autentica usuario com prisma, bcrypt e jwt mockados', async ()
   }
 })
 
+test('POST /login exige troca da senha vencida em vez de emitir os tokens', async () => {
+  let resetCreated
+  let sessionCreated = false
+  const prismaMock = mockPrisma({
+    acessoLogin: acessoLoginMock,
+    Cluster0: {
+      findUnique: async ({ where }) => ({
+        id: 'user-10',
+        name: 'Vera',
+        email: where.email,
+        password: 'hashed-password',
+        status: 'ATIVO',
+        emailVerificadoEm: new Date('2026-01-01T00:00:00.000Z'),
+        senhaAlteradaEm: new Date(Date.now() - 91 * 24 * 60 * 60 * 1000),
+      }),
+    },
+    configuracao: {
+      findUnique: async ({ where }) =>
+        where.chave === 'senha.politica' ? { valor: { validadeDias: 90 } } : null,
+    },
+    resetSenha: {
+      updateMany: async () => ({ count: 0 }),
+      create: async ({ data }) => {
+        resetCreated = data
+        return { id: 'reset-10', ...data }
+      },
+    },
+    sessao: {
+      create: async (args) => {
+        sessionCreated = true
+        return sessaoCreateMock(args)
+      },
+    },
+  })
+  const bcryptMock = mockBcrypt({ compare: async () => true })
+  const loggerMock = mockLogger()
+  const previousMfaEnabled = process.env.MFA_ENABLED
+  process.env.MFA_ENABLED = 'false'
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      path: '/login',
+      body: { email: 'vera@test.com', password: 'Senha@123' },
+    })
+    const res = createMockRes()
+
+    await loginHandler(req, res)
+
+    assert.equal(res.statusCode, 403)
+    assert.equal(res.body.senhaExpirada, true)
+    assert.equal(res.body.token, undefined)
+    assert.equal(sessionCreated, false)
+    assert.equal(
+      crypto.createHash('sha256').update(res.body.resetToken).digest('hex'),
+      resetCreated.tokenHash
+    )
+  } finally {
+    process.env.MFA_ENABLED = previousMfaEnabled
+    loggerMock.restore()
+    bcryptMock.restore()
+    prismaMock.restore()
+  }
+})
+
 test('POST /login bloqueia usuario inativo', async () => {
   const prismaMock = mockPrisma({
+    acessoLogin: acessoLoginMock,
     Cluster0: {
       findUnique: async ({ where }) => ({
         id: 'user-10',
@@ -313,6 +610,9 @@ test('POST /login bloqueia usuario inativo', async () => {
       }),
     },
   })
+  const bcryptMock = mockBcrypt({
+    compare: async (password) => password === 'Senha@123',
+  })
   const loggerMock = mockLogger()
 
   try {
@@ -330,8 +630,24 @@ test('POST /login bloqueia usuario inativo', async () => {
     assert.deepEqual(res.body, {
       message: 'Cadastro inativo. Procure um administrador.',
     })
+
+    // sem a senha a resposta nao revela que a conta existe e esta inativa
+    const semSenha = createMockRes()
+    await loginHandler(
+      createMockReq({
+        method: 'POST',
+        path: '/login',
+        ip: '127.0.0.45',
+        body: { email: 'inativo@test.com', password: 'errada' },
+      }),
+      semSenha
+    )
+
+    assert.equal(semSenha.statusCode, 401)
+    assert.equal(semSenha.body.message, 'Credenciais inválidas')
   } finally {
     loggerMock.restore()
+    bcryptMock.restore()
     prismaMock.restore()
   }
 })
@@ -345,8 +661,12 @@ test('POST /login retorna desafio MFA quando usuario tem MFA ativo', async () =>
         email: where.email,
         password: 'hashed-password',
         status: 'ATIVO',
+        emailVerificadoEm: new Date('2026-01-01T00:00:00.000Z'),
       }),
     },
+    desafioMfa: {
+      create: desafioMfaCreateMock,
+    },
   })
   const bcryptMock = mockBcrypt({
     compare: async () => true,
@@ -388,6 +708,10 @@ test('POST /login retorna desafio MFA quando usuario tem MFA ativo', async () =>
 
 test('POST /login/mfa/verify conclui login quando codigo esta correto', async () => {
   const prismaMock = mockPrisma({
+    configuracao: {
+      findUnique: async () => null,
+    },
+    acessoLogin: acessoLoginMock,
     Cluster0: {
       findUnique: async () => ({
         id: 'user-13',
@@ -397,12 +721,25 @@ test('POST /login/mfa/verify conclui login quando codigo esta correto', async ()
         status: 'ATIVO',
       }),
     },
+    sessao: {
+      create: sessaoCreateMock,
+    },
+    desafioMfa: {
+      findUnique: async () => buildDesafioMfa({ userId: 'user-13', codeHash: 'hashed-code' }),
+      updateMany: async () => ({ count: 1 }),
+    },
   })
   const bcryptMock = mockBcrypt({
     compare: async (value) => value === '123456',
   })
   const jwtMock = mockJwt({
-    verify: () => ({ id: 'user-13', email: 'paula@test.com', type: 'mfa', codeHash: 'hashed-code' }),
+    verify: () => ({
+      id: 'user-13',
+      email: 'paula@test.com',
+      type: 'mfa',
+      method: 'EMAIL',
+      cid: '65f0000000000000000000c1',
+    }),
     sign: () => 'jwt-token-final',
   })
   const loggerMock = mockLogger()
@@ -442,9 +779,10 @@ test('POST /esqueci-senha envia email com mailer e jwt mockados', async () => {
         email: 'ana@test.com',
       }),
     },
-  })
-  const jwtMock = mockJwt({
-    sign: () => 'reset-token',
+    resetSenha: {
+      updateMany: async () => ({ count: 0 }),
+      create: async ({ data }) => ({ id: 'reset-1', ...data }),
+    },
   })
   const mailerMock = mockMailer()
   const loggerMock = mockLogger()
@@ -466,7 +804,6 @@ test('POST /esqueci-senha envia email com mailer e jwt mockados', async () => {
   } finally {
     loggerMock.restore()
     mailerMock.restore()
-    jwtMock.restore()
     prismaMock.restore()
   }
 })
@@ -480,9 +817,10 @@ test('POST /esqueci-senha retorna 200 mesmo quando o envio do email falha', asyn
         email: 'bruna@test.com',
       }),
     },
-  })
-  const jwtMock = mockJwt({
-    sign: () => 'reset-token',
+    resetSenha: {
+      updateMany: async () => ({ count: 0 }),
+      create: async ({ data }) => ({ id: 'reset-2', ...data }),
+    },
   })
   const mailerMock = mockMailer(async () => {
     throw new Error('SMTP unavailable')
@@ -505,7 +843,1148 @@ test('POST /esqueci-senha retorna 200 mesmo quando o envio do email falha', asyn
   } finally {
     loggerMock.restore()
     mailerMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('POST /refresh retorna 400 sem refresh token', async () => {
+  const req = createMockReq({ method: 'POST', path: '/refresh', body: {} })
+  const res = createMockRes()
+
+  await refreshHandler(req, res)
+
+  assert.equal(res.statusCode, 400)
+  assert.deepEqual(res.body, { message: 'Refresh token é obrigatório' })
+})
+
+test('POST /refresh rotaciona o refresh token da sessao', async () => {
+  const currentHash = crypto.createHash('sha256').update('segredo-atual').digest('hex')
+  let updateManyArgs
+  const prismaMock = mockPrisma({
+    sessao: {
+      findUnique: async ({ where }) => ({
+        id: where.id,
+        userId: 'user-20',
+        refreshTokenHash: currentHash,
+        dispositivo: null,
+        expiraEm: new Date(Date.now() + 60 * 60 * 1000),
+        revogadoEm: null,
+      }),
+      updateMany: async (args) => {
+        updateManyArgs = args
+        return { count: 1 }
+      },
+    },
+    Cluster0: {
+      findUnique: async () => ({
+        id: 'user-20',
+        name: 'Rita',
+        email: 'rita@test.com',
+        status: 'ATIVO',
+      }),
+    },
+  })
+  const jwtMock = mockJwt({
+    sign: () => 'jwt-renovado',
+  })
+  const loggerMock = mockLogger()
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      path: '/refresh',
+      body: { refreshToken: '65f000000000000000000002.segredo-atual' },
+    })
+    const res = createMockRes()
+
+    await refreshHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(res.body.token, 'jwt-renovado')
+    assert.match(res.body.refreshToken, /^65f000000000000000000002\./)
+    assert.notEqual(res.body.refreshToken, '65f000000000000000000002.segredo-atual')
+    assert.equal(updateManyArgs.where.refreshTokenHash, currentHash)
+  } finally {
+    loggerMock.restore()
     jwtMock.restore()
     prismaMock.restore()
   }
 })
+
+test('POST /refresh revoga a sessao quando um token antigo e reutilizado', async () => {
+  const revokes = []
+  const prismaMock = mockPrisma({
+    sessao: {
+      findUnique: async ({ where }) => ({
+        id: where.id,
+        userId: 'user-21',
+        refreshTokenHash: 'hash-de-outro-token',
+        dispositivo: null,
+        expiraEm: new Date(Date.now() + 60 * 60 * 1000),
+        revogadoEm: null,
+      }),
+      updateMany: async (args) => {
+        revokes.push(args)
+        return { count: 1 }
+      },
+    },
+  })
+  const loggerMock = mockLogger()
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      path: '/refresh',
+      body: { refreshToken: '65f000000000000000000003.segredo-antigo' },
+    })
+    const res = createMockRes()
+
+    await refreshHandler(req, res)
+
+    assert.equal(res.statusCode, 401)
+    assert.equal(revokes.length, 1)
+    assert.ok(revokes[0].data.revogadoEm instanceof Date)
+  } finally {
+    loggerMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('POST /logout retorna 400 para refresh token malformado', async () => {
+  const req = createMockReq({
+    method: 'POST',
+    path: '/logout',
+    body: { refreshToken: 'nao-e-um-token' },
+  })
+  const res = createMockRes()
+
+  await logoutHandler(req, res)
+
+  assert.equal(res.statusCode, 400)
+  assert.deepEqual(res.body, { message: 'Refresh token inválido' })
+})
+
+test('POST /reset-password invalida tokens e sessoes abertos do usuario', async () => {
+  let updateData
+  let revokedWhere
+  const prismaMock = mockPrisma({
+    configuracao: {
+      findUnique: async () => null,
+    },
+    resetSenha: {
+      findUnique: async () => ({
+        id: 'reset-30',
+        userId: 'user-30',
+        expiraEm: new Date(Date.now() + 60 * 1000),
+        consumidoEm: null,
+        invalidadoEm: null,
+      }),
+      updateMany: async () => ({ count: 1 }),
+    },
+    Cluster0: {
+      findUnique: async () => ({
+        id: 'user-30',
+        password: 'senha-atual-hash',
+        senhasAnteriores: ['senha-anterior-hash'],
+      }),
+      update: async ({ data }) => {
+        updateData = data
+        return { id: 'user-30' }
+      },
+    },
+    sessao: {
+      updateMany: async ({ where }) => {
+        revokedWhere = where
+        return { count: 1 }
+      },
+    },
+  })
+  const bcryptMock = mockBcrypt({
+    compare: async () => false,
+    genSalt: async () => 'salt-10',
+    hash: async () => 'nova-senha-hash',
+  })
+  const loggerMock = mockLogger()
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      path: '/reset-password',
+      body: { token: 'reset-token', password: 'NovaSenha@123' },
+    })
+    const res = createMockRes()
+
+    await resetPasswordHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(updateData.password, 'nova-senha-hash')
+    assert.deepEqual(updateData.tokenVersion, { increment: 1 })
+    assert.deepEqual(updateData.senhasAnteriores, ['senha-atual-hash', 'senha-anterior-hash'])
+    assert.ok(updateData.senhaAlteradaEm instanceof Date)
+    assert.equal(revokedWhere.userId, 'user-30')
+  } finally {
+    loggerMock.restore()
+    bcryptMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('POST /login pede codigo do app autenticador quando o usuario tem TOTP ativo', async () => {
+  const prismaMock = mockPrisma({
+    Cluster0: {
+      findUnique: async ({ where }) => ({
+        id: 'user-40',
+        name: 'Lia',
+        email: where.email,
+        password: 'hashed-password',
+        status: 'ATIVO',
+        emailVerificadoEm: new Date('2026-01-01T00:00:00.000Z'),
+        mfaTotpSecret: encryptSecret('JBSWY3DPEHPK3PXP'),
+        mfaTotpAtivadoEm: new Date('2026-01-01T00:00:00.000Z'),
+      }),
+    },
+    desafioMfa: {
+      create: desafioMfaCreateMock,
+    },
+  })
+  const bcryptMock = mockBcrypt({
+    compare: async () => true,
+  })
+  const jwtMock = mockJwt({
+    sign: (payload) => `challenge-${payload.method}`,
+  })
+  const mailerMock = mockMailer()
+  const loggerMock = mockLogger()
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      path: '/login',
+      ip: '127.0.0.40',
+      body: { email: 'lia@test.com', password: 'Senha@123' },
+    })
+    const res = createMockRes()
+
+    await loginHandler(req, res)
+
+    assert.equal(res.statusCode, 202)
+    assert.equal(res.body.method, 'TOTP')
+    assert.equal(res.body.challengeToken, 'challenge-TOTP')
+    assert.equal(mailerMock.sendMailCalls.length, 0)
+  } finally {
+    loggerMock.restore()
+    mailerMock.restore()
+    jwtMock.restore()
+    bcryptMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('POST /login envia codigo por e-mail quando o perfil exige MFA', async () => {
+  const prismaMock = mockPrisma({
+    Cluster0: {
+      findUnique: async ({ where }) => ({
+        id: 'user-41',
+        name: 'Beto',
+        email: where.email,
+        password: 'hashed-password',
+        status: 'ATIVO',
+        emailVerificadoEm: new Date('2026-01-01T00:00:00.000Z'),
+        role: 'FINANCEIRO',
+      }),
+    },
+    configuracao: {
+      findUnique: async () => ({ chave: 'mfa.perfisObrigatorios', valor: ['FINANCEIRO'] }),
+    },
+    desafioMfa: {
+      create: desafioMfaCreateMock,
+    },
+  })
+  const bcryptMock = mockBcrypt({
+    compare: async () => true,
+    genSalt: async () => 'salt-10',
+    hash: async () => 'hashed-code',
+  })
+  const jwtMock = mockJwt({
+    sign: (payload) => `challenge-${payload.method}`,
+  })
+  const mailerMock = mockMailer()
+  const loggerMock = mockLogger()
+  const previousMfaEnabled = process.env.MFA_ENABLED
+  process.env.MFA_ENABLED = 'false'
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      path: '/login',
+      ip: '127.0.0.41',
+      body: { email: 'beto@test.com', password: 'Senha@123' },
+    })
+    const res = createMockRes()
+
+    await loginHandler(req, res)
+
+    assert.equal(res.statusCode, 202)
+    assert.equal(res.body.method, 'EMAIL')
+    assert.equal(mailerMock.sendMailCalls.length, 1)
+  } finally {
+    process.env.MFA_ENABLED = previousMfaEnabled
+    loggerMock.restore()
+    mailerMock.restore()
+    jwtMock.restore()
+    bcryptMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('POST /login/mfa/verify aceita codigo de recuperacao uma unica vez', async () => {
+  let updatedCodes
+  let restantes = [hashRecoveryCode('ABCDE-FGHIJ'), hashRecoveryCode('KLMNO-PQRST')]
+  const prismaMock = mockPrisma({
+    configuracao: {
+      findUnique: async () => null,
+    },
+    acessoLogin: acessoLoginMock,
+    Cluster0: {
+      findUnique: async () => ({
+        id: 'user-42',
+        name: 'Caio',
+        email: 'caio@test.com',
+        status: 'ATIVO',
+        mfaTotpSecret: encryptSecret('JBSWY3DPEHPK3PXP'),
+        mfaTotpAtivadoEm: new Date('2026-01-01T00:00:00.000Z'),
+        // as duas verificacoes leram a lista antes de qualquer escrita
+        mfaRecoveryCodes: [hashRecoveryCode('ABCDE-FGHIJ'), hashRecoveryCode('KLMNO-PQRST')],
+      }),
+      updateMany: async ({ where, data }) => {
+        if (JSON.stringify(where.mfaRecoveryCodes.equals) !== JSON.stringify(restantes)) return { count: 0 }
+        restantes = data.mfaRecoveryCodes
+        updatedCodes = data.mfaRecoveryCodes
+        return { count: 1 }
+      },
+    },
+    sessao: {
+      create: sessaoCreateMock,
+    },
+    desafioMfa: {
+      findUnique: async () => buildDesafioMfa({ userId: 'user-42', metodo: 'TOTP' }),
+      updateMany: async () => ({ count: 1 }),
+      update: async ({ data }) => buildDesafioMfa({ userId: 'user-42', metodo: 'TOTP', tentativas: 1, ...data }),
+    },
+  })
+  const jwtMock = mockJwt({
+    verify: () => ({
+      id: 'user-42',
+      email: 'caio@test.com',
+      type: 'mfa',
+      method: 'TOTP',
+      cid: '65f0000000000000000000c1',
+    }),
+    sign: () => 'jwt-token-final',
+  })
+  const loggerMock = mockLogger()
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      path: '/login/mfa/verify',
+      body: { challengeToken: 'challenge', recoveryCode: 'abcde-fghij' },
+    })
+    const res = createMockRes()
+
+    await verifyMfaHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(res.body.token, 'jwt-token-final')
+    assert.deepEqual(updatedCodes, [hashRecoveryCode('KLMNO-PQRST')])
+
+    const repetido = createMockRes()
+    await verifyMfaHandler(
+      createMockReq({
+        method: 'POST',
+        path: '/login/mfa/verify',
+        ip: '127.0.0.77',
+        body: { challengeToken: 'challenge', recoveryCode: 'abcde-fghij' },
+      }),
+      repetido
+    )
+    assert.equal(repetido.statusCode, 401)
+  } finally {
+    loggerMock.restore()
+    jwtMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('POST /reset-password rejeita link ja utilizado', async () => {
+  let updateManyCalled = false
+  const prismaMock = mockPrisma({
+    resetSenha: {
+      findUnique: async () => ({
+        id: 'reset-31',
+        userId: 'user-31',
+        expiraEm: new Date(Date.now() + 60 * 1000),
+        consumidoEm: new Date(),
+        invalidadoEm: null,
+      }),
+      updateMany: async () => {
+        updateManyCalled = true
+        return { count: 0 }
+      },
+    },
+  })
+  const loggerMock = mockLogger()
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      path: '/reset-password',
+      body: { token: 'token-usado', password: 'NovaSenha@123' },
+    })
+    const res = createMockRes()
+
+    await resetPasswordHandler(req, res)
+
+    assert.equal(res.statusCode, 400)
+    assert.deepEqual(res.body, { message: 'Token inválido ou expirado' })
+    assert.equal(updateManyCalled, false)
+  } finally {
+    loggerMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('POST /esqueci-senha invalida links anteriores do usuario', async () => {
+  let invalidatedWhere
+  let createdData
+  const prismaMock = mockPrisma({
+    Cluster0: {
+      findUnique: async () => ({ id: 'user-32', name: 'Duda', email: 'duda@test.com' }),
+    },
+    resetSenha: {
+      updateMany: async ({ where }) => {
+        invalidatedWhere = where
+        return { count: 2 }
+      },
+      create: async ({ data }) => {
+        createdData = data
+        return { id: 'reset-32', ...data }
+      },
+    },
+  })
+  const mailerMock = mockMailer()
+  const loggerMock = mockLogger()
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      path: '/esqueci-senha',
+      body: { email: 'duda@test.com' },
+    })
+    const res = createMockRes()
+
+    await forgotPasswordHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(invalidatedWhere.userId, 'user-32')
+    const sentToken = decodeURIComponent(
+      mailerMock.sendMailCalls[0][0].html.match(/token=([^"&]+)/)[1]
+    )
+    assert.notEqual(sentToken, createdData.tokenHash)
+    assert.equal(crypto.createHash('sha256').update(sentToken).digest('hex'), createdData.tokenHash)
+  } finally {
+    loggerMock.restore()
+    mailerMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('POST /login/mfa/verify bloqueia o desafio ao atingir o limite de tentativas', async () => {
+  const updates = []
+  const prismaMock = mockPrisma({
+    acessoLogin: acessoLoginMock,
+    Cluster0: {
+      findUnique: async () => ({
+        id: 'user-43',
+        name: 'Gil',
+        email: 'gil@test.com',
+        status: 'ATIVO',
+      }),
+    },
+    desafioMfa: {
+      findUnique: async () =>
+        buildDesafioMfa({ userId: 'user-43', codeHash: 'hashed-code', tentativas: 4 }),
+      update: async ({ data }) => {
+        updates.push(data)
+        return buildDesafioMfa({ userId: 'user-43', tentativas: 5 })
+      },
+    },
+  })
+  const bcryptMock = mockBcrypt({
+    compare: async () => false,
+  })
+  const jwtMock = mockJwt({
+    verify: () => ({
+      id: 'user-43',
+      email: 'gil@test.com',
+      type: 'mfa',
+      method: 'EMAIL',
+      cid: '65f0000000000000000000c1',
+    }),
+  })
+  const loggerMock = mockLogger()
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      path: '/login/mfa/verify',
+      body: { challengeToken: 'challenge', code: '000000' },
+    })
+    const res = createMockRes()
+
+    await verifyMfaHandler(req, res)
+
+    assert.equal(res.statusCode, 429)
+    assert.ok(updates.some((data) => data.bloqueadoEm instanceof Date))
+  } finally {
+    loggerMock.restore()
+    jwtMock.restore()
+    bcryptMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('POST /login/mfa/verify limita as falhas por conta mesmo com novos desafios', async () => {
+  setLoginThrottleStore(createMemoryStore())
+  const user = {
+    id: 'user-44',
+    name: 'Ivo',
+    email: 'ivo@test.com',
+    password: 'hashed-password',
+    status: 'ATIVO',
+    emailVerificadoEm: new Date('2026-01-01T00:00:00.000Z'),
+  }
+  const prismaMock = mockPrisma({
+    acessoLogin: acessoLoginMock,
+    Cluster0: {
+      findUnique: async () => user,
+    },
+    desafioMfa: {
+      // cada tentativa usa um desafio novo, com o limite proprio zerado
+      findUnique: async () => buildDesafioMfa({ userId: 'user-44', codeHash: 'hashed-code' }),
+      update: async ({ data }) => buildDesafioMfa({ userId: 'user-44', tentativas: 1, ...data }),
+      create: desafioMfaCreateMock,
+    },
+  })
+  const bcryptMock = mockBcrypt({
+    compare: async (value) => value === 'Senha@123',
+    genSalt: async () => 'salt-10',
+    hash: async () => 'hashed-code',
+  })
+  const jwtMock = mockJwt({
+    sign: () => 'mfa-challenge',
+    verify: () => ({ id: 'user-44', email: 'ivo@test.com', type: 'mfa', method: 'EMAIL', cid: '65f0000000000000000000c1' }),
+  })
+  const mailerMock = mockMailer()
+  const loggerMock = mockLogger()
+  const previousMfaEnabled = process.env.MFA_ENABLED
+  process.env.MFA_ENABLED = 'true'
+
+  try {
+    const verify = async (ip) => {
+      const res = createMockRes()
+      await verifyMfaHandler(
+        createMockReq({ method: 'POST', path: '/login/mfa/verify', ip, body: { challengeToken: 'challenge', code: '000000' } }),
+        res
+      )
+      return res
+    }
+
+    for (let i = 1; i <= 3; i++) {
+      assert.equal((await verify(`10.5.0.${i}`)).statusCode, 401)
+    }
+
+    const bloqueado = await verify('10.5.0.9')
+    assert.equal(bloqueado.statusCode, 429)
+    assert.ok(Number(bloqueado.headers['retry-after']) > 0)
+
+    // a senha correta nao zera as falhas do MFA nem emite outro desafio
+    const loginRes = createMockRes()
+    await loginHandler(
+      createMockReq({ method: 'POST', path: '/login', ip: '10.5.0.10', body: { email: 'ivo@test.com', password: 'Senha@123' } }),
+      loginRes
+    )
+    assert.equal(loginRes.statusCode, 429)
+    assert.equal(mailerMock.sendMailCalls.length, 0)
+  } finally {
+    process.env.MFA_ENABLED = previousMfaEnabled
+    loggerMock.restore()
+    mailerMock.restore()
+    jwtMock.restore()
+    bcryptMock.restore()
+    prismaMock.restore()
+    setLoginThrottleStore(createMemoryStore())
+  }
+})
+
+test('POST /login bloqueia a conta atacada de varios IPs e avisa o dono por e-mail', async () => {
+  setLoginThrottleStore(createMemoryStore())
+  const prismaMock = mockPrisma({
+    acessoLogin: acessoLoginMock,
+    Cluster0: {
+      findUnique: async () => ({
+        id: 'user-50',
+        name: 'Lia',
+        email: 'lia@test.com',
+        password: 'hashed-password',
+        status: 'ATIVO',
+      }),
+    },
+  })
+  const bcryptMock = mockBcrypt({
+    compare: async () => false,
+  })
+  const mailerMock = mockMailer()
+  const loggerMock = mockLogger()
+  try {
+    let res
+    for (let i = 1; i <= 5; i++) {
+      const req = createMockReq({
+        method: 'POST',
+        path: '/login',
+        body: { email: 'lia@test.com', password: 'errada' },
+        ip: `10.0.0.${i}`,
+      })
+      res = createMockRes()
+
+      await loginHandler(req, res)
+      assert.equal(res.statusCode, 401)
+    }
+
+    assert.equal(res.body.attemptsRemaining, 0)
+    assert.equal(mailerMock.sendMailCalls.length, 1)
+    assert.equal(mailerMock.sendMailCalls[0][0].to, 'lia@test.com')
+
+    const blockedReq = createMockReq({
+      method: 'POST',
+      path: '/login',
+      body: { email: 'lia@test.com', password: 'certa' },
+      ip: '10.0.0.99',
+    })
+    const blockedRes = createMockRes()
+    let nextCalled = false
+
+    await loginLimiterHandler(blockedReq, blockedRes, () => {
+      nextCalled = true
+    })
+
+    assert.equal(nextCalled, false)
+    assert.equal(blockedRes.statusCode, 429)
+    assert.match(blockedRes.body.message, /Muitas tentativas falhas/)
+    assert.ok(Number(blockedRes.headers['retry-after']) > 0)
+  } finally {
+    loggerMock.restore()
+    mailerMock.restore()
+    bcryptMock.restore()
+    prismaMock.restore()
+    setLoginThrottleStore(createMemoryStore())
+  }
+})
+
+test('POST /login bloqueia usuario com e-mail nao confirmado', async () => {
+  setLoginThrottleStore(createMemoryStore())
+  let sessaoCriada = false
+  const prismaMock = mockPrisma({
+    acessoLogin: acessoLoginMock,
+    Cluster0: {
+      findUnique: async ({ where }) => ({
+        id: 'user-60',
+        name: 'Nina',
+        email: where.email,
+        password: 'hashed-password',
+        status: 'ATIVO',
+        emailVerificadoEm: null,
+      }),
+    },
+    sessao: {
+      create: async (args) => {
+        sessaoCriada = true
+        return sessaoCreateMock(args)
+      },
+    },
+  })
+  const bcryptMock = mockBcrypt({
+    compare: async () => true,
+  })
+  const loggerMock = mockLogger()
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      path: '/login',
+      body: { email: 'nina@test.com', password: 'Senha@123' },
+      ip: '127.0.0.60',
+    })
+    const res = createMockRes()
+
+    await loginHandler(req, res)
+
+    assert.equal(res.statusCode, 403)
+    assert.equal(res.body.emailNaoVerificado, true)
+    assert.equal(sessaoCriada, false)
+  } finally {
+    loggerMock.restore()
+    bcryptMock.restore()
+    prismaMock.restore()
+  }
+})
+
+const buildVerificacaoEmail = (overrides = {}) => ({
+  id: 'verif-1',
+  userId: 'user-61',
+  email: 'olivia@test.com',
+  expiraEm: new Date(Date.now() + 60 * 60 * 1000),
+  consumidoEm: null,
+  invalidadoEm: null,
+  ...overrides,
+})
+
+test('POST /verificar-email confirma o e-mail do cadastro', async () => {
+  let updateData
+  const prismaMock = mockPrisma({
+    verificacaoEmail: {
+      findUnique: async () => buildVerificacaoEmail(),
+      updateMany: async () => ({ count: 1 }),
+    },
+    Cluster0: {
+      findUnique: async () => ({ id: 'user-61', email: 'olivia@test.com', emailVerificadoEm: null }),
+      update: async ({ data }) => {
+        updateData = data
+        return {}
+      },
+    },
+  })
+  const loggerMock = mockLogger()
+
+  try {
+    const req = createMockReq({ method: 'POST', body: { token: 'token-verificacao' } })
+    const res = createMockRes()
+
+    await verifyEmailHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.ok(updateData.emailVerificadoEm instanceof Date)
+    assert.equal(updateData.email, undefined)
+  } finally {
+    loggerMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('POST /verificar-email aplica a troca de e-mail pendente e encerra as sessoes', async () => {
+  let updateData
+  let revokedWhere
+  const prismaMock = mockPrisma({
+    verificacaoEmail: {
+      findUnique: async () => buildVerificacaoEmail({ email: 'olivia.nova@test.com' }),
+      updateMany: async () => ({ count: 1 }),
+    },
+    Cluster0: {
+      findUnique: async () => ({
+        id: 'user-61',
+        email: 'olivia@test.com',
+        emailPendente: 'olivia.nova@test.com',
+        emailVerificadoEm: new Date('2026-01-01T00:00:00.000Z'),
+      }),
+      update: async ({ data }) => {
+        updateData = data
+        return {}
+      },
+    },
+    sessao: {
+      updateMany: async ({ where }) => {
+        revokedWhere = where
+        return { count: 1 }
+      },
+    },
+  })
+  const loggerMock = mockLogger()
+
+  try {
+    const req = createMockReq({ method: 'POST', body: { token: 'token-verificacao' } })
+    const res = createMockRes()
+
+    await verifyEmailHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(updateData.email, 'olivia.nova@test.com')
+    assert.equal(updateData.emailPendente, null)
+    assert.deepEqual(updateData.tokenVersion, { increment: 1 })
+    assert.equal(revokedWhere.userId, 'user-61')
+  } finally {
+    loggerMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('POST /verificar-email recusa link de troca substituida', async () => {
+  let updateCalled = false
+  const prismaMock = mockPrisma({
+    verificacaoEmail: {
+      findUnique: async () => buildVerificacaoEmail({ email: 'antigo.pedido@test.com' }),
+      updateMany: async () => ({ count: 1 }),
+    },
+    Cluster0: {
+      findUnique: async () => ({
+        id: 'user-61',
+        email: 'olivia@test.com',
+        emailPendente: 'olivia.nova@test.com',
+      }),
+      update: async () => {
+        updateCalled = true
+      },
+    },
+  })
+  const loggerMock = mockLogger()
+
+  try {
+    const req = createMockReq({ method: 'POST', body: { token: 'token-antigo' } })
+    const res = createMockRes()
+
+    await verifyEmailHandler(req, res)
+
+    assert.equal(res.statusCode, 400)
+    assert.equal(updateCalled, false)
+  } finally {
+    loggerMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('POST /verificar-email/reenviar responde de forma generica e envia so para contas nao confirmadas', async () => {
+  const prismaMock = mockPrisma({
+    Cluster0: {
+      findUnique: async ({ where }) =>
+        where.email === 'pendente@test.com'
+          ? { id: 'user-62', name: 'Pedro', email: where.email, emailVerificadoEm: null }
+          : { id: 'user-63', name: 'Rui', email: where.email, emailVerificadoEm: new Date() },
+    },
+    verificacaoEmail: {
+      updateMany: async () => ({ count: 0 }),
+      create: async ({ data }) => ({ id: 'verif-2', ...data }),
+    },
+  })
+  const mailerMock = mockMailer()
+  const loggerMock = mockLogger()
+
+  try {
+    const pendingRes = createMockRes()
+    await resendVerificationHandler(
+      createMockReq({ method: 'POST', body: { email: 'pendente@test.com' } }),
+      pendingRes
+    )
+
+    const verifiedRes = createMockRes()
+    await resendVerificationHandler(
+      createMockReq({ method: 'POST', body: { email: 'confirmado@test.com' } }),
+      verifiedRes
+    )
+
+    assert.equal(pendingRes.statusCode, 200)
+    assert.deepEqual(pendingRes.body, verifiedRes.body)
+    assert.equal(mailerMock.sendMailCalls.length, 1)
+    assert.equal(mailerMock.sendMailCalls[0][0].to, 'pendente@test.com')
+  } finally {
+    loggerMock.restore()
+    mailerMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('POST /cadastro aberto cria usuario sem e-mail confirmado e envia o link', async () => {
+  const originalOpenSignup = process.env.ALLOW_OPEN_SIGNUP
+  const originalNodeEnv = process.env.NODE_ENV
+  process.env.ALLOW_OPEN_SIGNUP = 'true'
+  process.env.NODE_ENV = 'test'
+
+  let createdData
+  const prismaMock = mockPrisma({
+    configuracao: {
+      findUnique: async () => null,
+    },
+    Cluster0: {
+      findFirst: async () => null,
+      create: async ({ data }) => {
+        createdData = data
+        return { id: 'user-64', ...data }
+      },
+    },
+    verificacaoEmail: {
+      updateMany: async () => ({ count: 0 }),
+      create: async ({ data }) => ({ id: 'verif-3', ...data }),
+    },
+  })
+  const bcryptMock = mockBcrypt({
+    genSalt: async () => 'salt-10',
+    hash: async () => 'hashed',
+  })
+  const mailerMock = mockMailer()
+  const loggerMock = mockLogger()
+
+  try {
+    const req = createMockReq({ method: 'POST', path: '/cadastro', body: cadastroBaseBody })
+    const res = createMockRes()
+
+    await cadastroHandler(req, res)
+
+    assert.equal(res.statusCode, 201)
+    assert.equal(createdData.role, 'PROFESSOR')
+    assert.equal(createdData.emailVerificadoEm, null)
+    assert.equal(mailerMock.sendMailCalls.length, 1)
+    assert.match(mailerMock.sendMailCalls[0][0].html, /verificarEmail=/)
+  } finally {
+    loggerMock.restore()
+    mailerMock.restore()
+    bcryptMock.restore()
+    prismaMock.restore()
+    if (originalOpenSignup === undefined) delete process.env.ALLOW_OPEN_SIGNUP
+    else process.env.ALLOW_OPEN_SIGNUP = originalOpenSignup
+    if (originalNodeEnv === undefined) delete process.env.NODE_ENV
+    else process.env.NODE_ENV = originalNodeEnv
+  }
+})
+
+// Inicia o login no provedor local e devolve o code/state do redirecionamento
+const withMockOidc = async (fn) => {
+  const provider = await startMockOidcServer({ clientId: 'rajj-test' })
+  const originalEnv = {
+    OIDC_ISSUER: process.env.OIDC_ISSUER,
+    OIDC_CLIENT_ID: process.env.OIDC_CLIENT_ID,
+    OIDC_REDIRECT_URI: process.env.OIDC_REDIRECT_URI,
+  }
+  process.env.OIDC_ISSUER = provider.issuer
+  process.env.OIDC_CLIENT_ID = 'rajj-test'
+  process.env.OIDC_REDIRECT_URI = 'http://localhost:3000/login.html'
+  resetOidcCache()
+
+  try {
+    let storedLogin
+    const authorize = async (email) => {
+      const prismaMock = mockPrisma({
+        loginOidc: {
+          create: async ({ data }) => {
+            storedLogin = { id: 'oidc-1', ...data }
+            return storedLogin
+          },
+        },
+      })
+      try {
+        const res = createMockRes()
+        await startOidcHandler(createMockReq({ method: 'POST', path: '/login/oidc/iniciar' }), res)
+        assert.equal(res.statusCode, 200)
+
+        const url = new URL(res.body.url)
+        url.searchParams.set('login_hint', email)
+        const response = await fetch(url, { redirect: 'manual' })
+        const location = new URL(response.headers.get('location'))
+        return {
+          code: location.searchParams.get('code'),
+          state: location.searchParams.get('state'),
+          login: storedLogin,
+        }
+      } finally {
+        prismaMock.restore()
+      }
+    }
+
+    await fn({ provider, authorize })
+  } finally {
+    for (const [key, value] of Object.entries(originalEnv)) {
+      if (value === undefined) delete process.env[key]
+      else process.env[key] = value
+    }
+    resetOidcCache()
+    await provider.close()
+  }
+}
+
+test('POST /login/oidc/iniciar retorna 404 quando o provedor nao esta configurado', async () => {
+  const originalIssuer = process.env.OIDC_ISSUER
+  delete process.env.OIDC_ISSUER
+
+  try {
+    const res = createMockRes()
+    await startOidcHandler(createMockReq({ method: 'POST' }), res)
+
+    assert.equal(res.statusCode, 404)
+  } finally {
+    if (originalIssuer !== undefined) process.env.OIDC_ISSUER = originalIssuer
+  }
+})
+
+test('POST /login/oidc vincula o usuario pelo e-mail e emite os tokens', async () => {
+  await withMockOidc(async ({ authorize }) => {
+    const { code, state, login } = await authorize('thomas@test.com')
+    assert.equal(login.stateHash, crypto.createHash('sha256').update(state).digest('hex'))
+
+    let updatedData
+    const prismaMock = mockPrisma({
+      acessoLogin: acessoLoginMock,
+      loginOidc: {
+        findUnique: async ({ where }) => (where.stateHash === login.stateHash ? login : null),
+        updateMany: async () => ({ count: 1 }),
+      },
+      Cluster0: {
+        findUnique: async ({ where }) => ({
+          id: 'user-9',
+          name: 'Thomas',
+          email: where.email,
+          password: 'hashed-password',
+          status: 'ATIVO',
+          oidcSub: null,
+          emailVerificadoEm: null,
+        }),
+        update: async ({ data }) => {
+          updatedData = data
+          return { id: 'user-9', ...data }
+        },
+      },
+      sessao: {
+        create: sessaoCreateMock,
+      },
+      configuracao: {
+        findUnique: async () => null,
+      },
+    })
+    // o provedor local assina o id_token (RS256) com o mesmo jsonwebtoken
+    const realSign = jwt.sign
+    const jwtMock = mockJwt({
+      sign: (...args) => (args[2]?.algorithm === 'RS256' ? realSign(...args) : 'jwt-token-oidc'),
+    })
+    const loggerMock = mockLogger()
+    const previousMfaEnabled = process.env.MFA_ENABLED
+    process.env.MFA_ENABLED = 'false'
+
+    try {
+      const req = createMockReq({ method: 'POST', path: '/login/oidc', body: { code, state } })
+      const res = createMockRes()
+
+      await oidcLoginHandler(req, res)
+
+      assert.equal(res.statusCode, 200)
+      assert.equal(res.body.token, 'jwt-token-oidc')
+      assert.equal(res.body.user.email, 'thomas@test.com')
+      assert.match(updatedData.oidcSub, /^[a-f0-9]{24}$/)
+      assert.ok(updatedData.emailVerificadoEm instanceof Date)
+    } finally {
+      process.env.MFA_ENABLED = previousMfaEnabled
+      loggerMock.restore()
+      jwtMock.restore()
+      prismaMock.restore()
+    }
+  })
+})
+
+test('POST /login/oidc recusa e-mail nao confirmado pelo provedor', async () => {
+  await withMockOidc(async ({ provider, authorize }) => {
+    const { code, state, login } = await authorize('thomas@test.com')
+    provider.setNextClaims({ email_verified: false })
+
+    let userLookups = 0
+    const prismaMock = mockPrisma({
+      loginOidc: {
+        findUnique: async () => login,
+        updateMany: async () => ({ count: 1 }),
+      },
+      Cluster0: {
+        findUnique: async () => {
+          userLookups += 1
+          return null
+        },
+      },
+    })
+    const loggerMock = mockLogger()
+
+    try {
+      const res = createMockRes()
+      await oidcLoginHandler(createMockReq({ method: 'POST', body: { code, state } }), res)
+
+      assert.equal(res.statusCode, 403)
+      assert.equal(userLookups, 0)
+    } finally {
+      loggerMock.restore()
+      prismaMock.restore()
+    }
+  })
+})
+
+test('POST /login/oidc recusa cadastro vinculado a outra conta do provedor', async () => {
+  await withMockOidc(async ({ authorize }) => {
+    const { code, state, login } = await authorize('thomas@test.com')
+
+    let updated = false
+    const prismaMock = mockPrisma({
+      acessoLogin: acessoLoginMock,
+      loginOidc: {
+        findUnique: async () => login,
+        updateMany: async () => ({ count: 1 }),
+      },
+      Cluster0: {
+        findUnique: async ({ where }) => ({
+          id: 'user-9',
+          email: where.email,
+          status: 'ATIVO',
+          oidcSub: 'outro-sub',
+          emailVerificadoEm: new Date(),
+        }),
+        update: async () => {
+          updated = true
+        },
+      },
+    })
+    const loggerMock = mockLogger()
+
+    try {
+      const res = createMockRes()
+      await oidcLoginHandler(createMockReq({ method: 'POST', body: { code, state } }), res)
+
+      assert.equal(res.statusCode, 403)
+      assert.equal(updated, false)
+    } finally {
+      loggerMock.restore()
+      prismaMock.restore()
+    }
+  })
+})
+
+test('POST /login/oidc recusa state ja utilizado', async () => {
+  const originalEnv = { issuer: process.env.OIDC_ISSUER, clientId: process.env.OIDC_CLIENT_ID }
+  process.env.OIDC_ISSUER = 'http://127.0.0.1:1'
+  process.env.OIDC_CLIENT_ID = 'rajj-test'
+  const prismaMock = mockPrisma({
+    loginOidc: {
+      findUnique: async () => ({
+        id: 'oidc-1',
+        nonce: 'n',
+        codeVerifier: 'v',
+        expiraEm: new Date(Date.now() + 60000),
+        consumidoEm: new Date(),
+      }),
+    },
+  })
+  const loggerMock = mockLogger()
+
+  try {
+    const res = createMockRes()
+    await oidcLoginHandler(createMockReq({ method: 'POST', body: { code: 'abc', state: 'xyz' } }), res)
+
+    assert.equal(res.statusCode, 400)
+  } finally {
+    loggerMock.restore()
+    prismaMock.restore()
+    if (originalEnv.issuer === undefined) delete process.env.OIDC_ISSUER
+    else process.env.OIDC_ISSUER = originalEnv.issuer
+    if (originalEnv.clientId === undefined) delete process.env.OIDC_CLIENT_ID
+    else process.env.OIDC_CLIENT_ID = originalEnv.clientId
+  }
+})
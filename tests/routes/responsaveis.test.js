@@ -0,0 +1,139 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import responsaveisRouter from '../../routes/responsaveis.js'
+import {
+  createMockReq,
+  createMockRes,
+  getRouteHandler,
+} from '../helpers/http.js'
+import { mockPrisma } from '../mocks/dependencies.js'
+
+const createResponsavelHandler = getRouteHandler(responsaveisRouter, 'post', '/responsavel', 1)
+const listResponsaveisHandler = getRouteHandler(responsaveisRouter, 'get', '/responsaveis', 1)
+const deleteResponsavelHandler = getRouteHandler(responsaveisRouter, 'delete', '/responsavel/:id', 1)
+
+const RESPONSAVEL_ID = '507f1f77bcf86cd799439088'
+
+test('POST /responsavel normaliza os campos e registra o autor', async () => {
+  let createdData
+  const prismaMock = mockPrisma({
+    responsavel: {
+      findFirst: async () => null,
+      create: async ({ data }) => {
+        createdData = data
+        return { id: RESPONSAVEL_ID, ...data }
+      },
+    },
+    auditLog: {
+      create: async ({ data }) => data,
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      path: '/responsavel',
+      body: { nome: ' Maria Silva ', cpf: '529.982.247-25', telefones: ['(11) 99999-9999'] },
+      user: { id: '507f191e810c19729de860eb', role: 'SECRETARIA' },
+    })
+    const res = createMockRes()
+
+    await createResponsavelHandler(req, res)
+
+    assert.equal(res.statusCode, 201)
+    assert.equal(createdData.nome, 'Maria Silva')
+    assert.equal(createdData.cpf, '52998224725')
+    assert.deepEqual(createdData.telefones, ['11999999999'])
+    assert.equal(createdData.criadoPorId, '507f191e810c19729de860eb')
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('POST /responsavel retorna 409 com o cadastro existente para CPF repetido', async () => {
+  const prismaMock = mockPrisma({
+    responsavel: {
+      findFirst: async ({ where }) => ({ id: RESPONSAVEL_ID, nome: 'Maria Silva', cpf: where.cpf }),
+      create: async () => {
+        throw new Error('nao deveria criar')
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({ method: 'POST', path: '/responsavel', body: { nome: 'Maria', cpf: '52998224725' } })
+    const res = createMockRes()
+
+    await createResponsavelHandler(req, res)
+
+    assert.equal(res.statusCode, 409)
+    assert.equal(res.body.responsavel.id, RESPONSAVEL_ID)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('GET /responsaveis busca por nome ou CPF e conta os alunos vinculados', async () => {
+  let findManyArgs
+  const prismaMock = mockPrisma({
+    responsavel: {
+      count: async () => 1,
+      findMany: async (args) => {
+        findManyArgs = args
+        return [{ id: RESPONSAVEL_ID, nome: 'Maria Silva', _count: { alunos: 2 } }]
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({ method: 'GET', path: '/responsaveis', query: { q: '529.982' } })
+    const res = createMockRes()
+
+    await listResponsaveisHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.deepEqual(findManyArgs.where.OR, [
+      { nome: { contains: '529.982', mode: 'insensitive' } },
+      { cpf: { contains: '529982' } },
+    ])
+    assert.deepEqual(res.body.responsaveis, [{ id: RESPONSAVEL_ID, nome: 'Maria Silva', totalAlunos: 2 }])
+    assert.equal(res.body.totalPages, 1)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('DELETE /responsavel/:id retorna 409 enquanto houver alunos vinculados', async () => {
+  let deleted = false
+  const prismaMock = mockPrisma({
+    responsavel: {
+      findUnique: async ({ where }) => ({ id: where.id, nome: 'Maria Silva' }),
+      delete: async () => {
+        deleted = true
+      },
+    },
+    alunoResponsavel: {
+      count: async ({ where }) => {
+        assert.deepEqual(where, { responsavelId: RESPONSAVEL_ID })
+        return 2
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'DELETE',
+      path: `/responsavel/${RESPONSAVEL_ID}`,
+      params: { id: RESPONSAVEL_ID },
+    })
+    const res = createMockRes()
+
+    await deleteResponsavelHandler(req, res)
+
+    assert.equal(res.statusCode, 409)
+    assert.equal(deleted, false)
+  } finally {
+    prismaMock.restore()
+  }
+})
@@ -0,0 +1,214 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import retiradasRouter from '../../routes/retiradas.js'
+import {
+  createMockReq,
+  createMockRes,
+  getRouteHandler,
+} from '../helpers/http.js'
+import { mockPrisma } from '../mocks/dependencies.js'
+
+const createAutorizacaoHandler = getRouteHandler(retiradasRouter, 'post', '/aluno/:id/autorizados', 2)
+const updateAutorizacaoHandler = getRouteHandler(retiradasRouter, 'patch', '/aluno/:id/autorizados/:autorizacaoId', 2)
+const entradaHandler = getRouteHandler(retiradasRouter, 'post', '/aluno/:id/entrada', 1)
+const saidaHandler = getRouteHandler(retiradasRouter, 'post', '/aluno/:id/saida', 1)
+
+const ALUNO_ID = '507f1f77bcf86cd799439011'
+const AUTORIZACAO_ID = '507f1f77bcf86cd799439077'
+const RESPONSAVEL_ID = '507f1f77bcf86cd799439088'
+
+const alunoAtivo = { aluno: { findUnique: async ({ where }) => ({ id: where.id, nome: 'Ana', status: 'ATIVO' }) } }
+
+test('POST /aluno/:id/autorizados usa nome e CPF do responsavel cadastrado', async () => {
+  let createdData
+  const prismaMock = mockPrisma({
+    ...alunoAtivo,
+    responsavel: {
+      findUnique: async () => ({ id: RESPONSAVEL_ID, nome: 'Maria Silva', cpf: '52998224725' }),
+    },
+    autorizacaoRetirada: {
+      findFirst: async () => null,
+      create: async ({ data }) => {
+        createdData = data
+        return { id: AUTORIZACAO_ID, ...data }
+      },
+    },
+    auditLog: {
+      create: async ({ data }) => data,
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      path: `/aluno/${ALUNO_ID}/autorizados`,
+      params: { id: ALUNO_ID },
+      body: { responsavelId: RESPONSAVEL_ID, parentesco: 'mae', validoAte: '2025-12-31' },
+    })
+    const res = createMockRes()
+
+    await createAutorizacaoHandler(req, res)
+
+    assert.equal(res.statusCode, 201)
+    assert.equal(createdData.nome, 'Maria Silva')
+    assert.equal(createdData.documento, '52998224725')
+    assert.equal(createdData.alunoId, ALUNO_ID)
+    assert.equal(createdData.revogadaEm, null)
+    assert.equal(res.body.status, 'EXPIRADA')
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('PATCH /aluno/:id/autorizados/:autorizacaoId recusa documento de outra autorizacao ativa', async () => {
+  let updated = false
+  const buscas = []
+  const prismaMock = mockPrisma({
+    autorizacaoRetirada: {
+      findFirst: async ({ where }) => {
+        buscas.push(where)
+        if (where.id === AUTORIZACAO_ID) {
+          return { id: AUTORIZACAO_ID, alunoId: ALUNO_ID, nome: 'Maria Silva', documento: '52998224725', revogadaEm: null }
+        }
+        return { id: '507f1f77bcf86cd799439078', alunoId: ALUNO_ID, nome: 'Joao Souza', documento: '11144477735', revogadaEm: null }
+      },
+      update: async () => {
+        updated = true
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'PATCH',
+      path: `/aluno/${ALUNO_ID}/autorizados/${AUTORIZACAO_ID}`,
+      params: { id: ALUNO_ID, autorizacaoId: AUTORIZACAO_ID },
+      body: { documento: '111.444.777-35' },
+    })
+    const res = createMockRes()
+
+    await updateAutorizacaoHandler(req, res)
+
+    assert.equal(res.statusCode, 409)
+    assert.equal(res.body.error, 'Este documento já está na lista do aluno')
+    assert.deepEqual(buscas[1], {
+      alunoId: ALUNO_ID,
+      documento: '11144477735',
+      revogadaEm: null,
+      id: { not: AUTORIZACAO_ID },
+    })
+    assert.equal(updated, false)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('POST /aluno/:id/entrada recusa aluno ja presente e pessoa impedida', async () => {
+  let ultima = { tipo: 'ENTRADA', registradoEm: new Date() }
+  const prismaMock = mockPrisma({
+    ...alunoAtivo,
+    entradaSaida: {
+      findFirst: async () => ultima,
+      create: async () => {
+        throw new Error('nao deveria registrar')
+      },
+    },
+    autorizacaoRetirada: {
+      findMany: async () => [{ id: AUTORIZACAO_ID, documento: '123456789', impedido: true, revogadaEm: null }],
+    },
+  })
+
+  try {
+    const body = { nome: 'Carlos', documento: '12.345.678-9' }
+    const presente = createMockRes()
+    await entradaHandler(createMockReq({ method: 'POST', params: { id: ALUNO_ID }, body }), presente)
+    assert.equal(presente.statusCode, 409)
+
+    ultima = { tipo: 'SAIDA', registradoEm: new Date() }
+    const impedido = createMockRes()
+    await entradaHandler(createMockReq({ method: 'POST', params: { id: ALUNO_ID }, body }), impedido)
+    assert.equal(impedido.statusCode, 403)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('POST /aluno/:id/saida registra a retirada por pessoa autorizada', async () => {
+  let createdData
+  const prismaMock = mockPrisma({
+    ...alunoAtivo,
+    entradaSaida: {
+      findFirst: async ({ where }) => {
+        assert.deepEqual(where.tipo, { in: ['ENTRADA', 'SAIDA'] })
+        return { tipo: 'ENTRADA', registradoEm: new Date() }
+      },
+      create: async ({ data }) => {
+        createdData = data
+        return { id: 'mov1', ...data }
+      },
+    },
+    autorizacaoRetirada: {
+      findMany: async () => [
+        { id: AUTORIZACAO_ID, nome: 'Maria Silva', documento: '52998224725', impedido: false, revogadaEm: null },
+      ],
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      params: { id: ALUNO_ID },
+      body: { documento: '529.982.247-25' },
+      user: { id: '507f191e810c19729de860ea', role: 'PROFESSOR' },
+    })
+    const res = createMockRes()
+
+    await saidaHandler(req, res)
+
+    assert.equal(res.statusCode, 201)
+    assert.equal(createdData.tipo, 'SAIDA')
+    assert.equal(createdData.autorizacaoId, AUTORIZACAO_ID)
+    assert.equal(createdData.registradoPorId, '507f191e810c19729de860ea')
+    assert.equal(res.body.autorizacao.status, 'ATIVA')
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('POST /aluno/:id/saida recusa pessoa fora da lista e registra a tentativa', async () => {
+  let createdData
+  const prismaMock = mockPrisma({
+    ...alunoAtivo,
+    entradaSaida: {
+      findFirst: async () => ({ tipo: 'ENTRADA', registradoEm: new Date() }),
+      create: async ({ data }) => {
+        createdData = data
+        return data
+      },
+    },
+    autorizacaoRetirada: {
+      findMany: async () => [],
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      params: { id: ALUNO_ID },
+      body: { documento: '11.222.333-4', nome: 'Desconhecido' },
+    })
+    const res = createMockRes()
+
+    await saidaHandler(req, res)
+
+    assert.equal(res.statusCode, 403)
+    assert.deepEqual(res.body, { error: 'Pessoa não autorizada a retirar o aluno' })
+    assert.equal(createdData.tipo, 'RECUSADA')
+    assert.equal(createdData.pessoaNome, 'Desconhecido')
+    assert.equal(createdData.pessoaDocumento, '112223334')
+    assert.equal(createdData.motivo, 'Pessoa não autorizada a retirar o aluno')
+  } finally {
+    prismaMock.restore()
+  }
+})
@@ -0,0 +1,186 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import saudeRouter from '../../routes/saude.js'
+import {
+  createMockReq,
+  createMockRes,
+  getRouteHandler,
+} from '../helpers/http.js'
+import { mockPrisma } from '../mocks/dependencies.js'
+
+const fichaHandler = getRouteHandler(saudeRouter, 'put', '/aluno/:id/saude', 1)
+const resumoTurmaHandler = getRouteHandler(saudeRouter, 'get', '/turma/:id/saude/resumo', 1)
+const medicamentoHandler = getRouteHandler(saudeRouter, 'post', '/aluno/:id/medicamentos', 1)
+const pendentesHandler = getRouteHandler(saudeRouter, 'get', '/vacinas/pendentes', 1)
+
+const ALUNO_ID = '507f1f77bcf86cd799439011'
+const TURMA_ID = '507f1f77bcf86cd799439099'
+const PROFESSOR_ID = '507f191e810c19729de860ea'
+
+const turma = { id: TURMA_ID, nome: 'Maternal A', professoresIds: [PROFESSOR_ID] }
+
+test('PUT /aluno/:id/saude grava a ficha e sincroniza os nomes das alergias no aluno', async () => {
+  let alunoUpdateArgs
+  let upsertArgs
+  const prismaMock = mockPrisma({
+    aluno: {
+      findUnique: async () => ({ id: ALUNO_ID }),
+    },
+    fichaSaude: {
+      findUnique: async () => null,
+    },
+    auditLog: {
+      create: async () => ({}),
+    },
+    $transaction: async (callback) =>
+      callback({
+        fichaSaude: {
+          upsert: async (args) => {
+            upsertArgs = args
+            return { id: 'f1', ...args.create }
+          },
+        },
+        aluno: {
+          update: async (args) => {
+            alunoUpdateArgs = args
+            return args
+          },
+        },
+      }),
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'PUT',
+      params: { id: ALUNO_ID },
+      user: { id: 'u1', role: 'SECRETARIA' },
+      body: {
+        tipoSanguineo: 'A+',
+        alergias: [{ descricao: 'Amendoim', gravidade: 'GRAVE' }],
+        condicoes: ['Asma'],
+      },
+    })
+    const res = createMockRes()
+
+    await fichaHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(res.body.cadastrada, true)
+    assert.equal(upsertArgs.create.alunoId, ALUNO_ID)
+    assert.deepEqual(upsertArgs.update.condicoes, ['Asma'])
+    assert.deepEqual(alunoUpdateArgs.data.alergias, ['Amendoim'])
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('GET /turma/:id/saude/resumo lista so alunos com alertas e barra professor de outra turma', async () => {
+  const prismaMock = mockPrisma({
+    turma: {
+      findUnique: async () => turma,
+    },
+    aluno: {
+      findMany: async () => [
+        { id: 'a1', nome: 'Ana', alergias: ['Leite'], responsaveis: [] },
+        { id: 'a2', nome: 'Bia', alergias: [], responsaveis: [] },
+        { id: 'a3', nome: 'Caio', alergias: [], responsaveis: [] },
+      ],
+    },
+    fichaSaude: {
+      findMany: async () => [
+        { alunoId: 'a3', alergias: [{ descricao: 'Abelha', gravidade: 'GRAVE' }], medicamentos: [], restricoesAlimentares: [], condicoes: [] },
+      ],
+    },
+  })
+
+  try {
+    const res = createMockRes()
+    await resumoTurmaHandler(
+      createMockReq({ params: { id: TURMA_ID }, user: { id: PROFESSOR_ID, role: 'PROFESSOR' } }),
+      res
+    )
+
+    assert.equal(res.statusCode, 200)
+    assert.deepEqual(res.body.alunos.map((resumo) => resumo.aluno.nome), ['Caio', 'Ana'])
+
+    const outroProfessor = createMockRes()
+    await resumoTurmaHandler(
+      createMockReq({ params: { id: TURMA_ID }, user: { id: '507f191e810c19729de860eb', role: 'PROFESSOR' } }),
+      outroProfessor
+    )
+    assert.equal(outroProfessor.statusCode, 403)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('POST /aluno/:id/medicamentos registra quem deu a dose', async () => {
+  let createArgs
+  const prismaMock = mockPrisma({
+    aluno: {
+      findUnique: async () => ({ id: ALUNO_ID, turma }),
+    },
+    administracaoMedicamento: {
+      create: async (args) => {
+        createArgs = args
+        return { id: 'm1', ...args.data }
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      params: { id: ALUNO_ID },
+      user: { id: PROFESSOR_ID, email: 'prof@example.com', role: 'PROFESSOR' },
+      body: { medicamento: 'Dipirona', dose: '10 gotas', via: 'oral' },
+    })
+    const res = createMockRes()
+
+    await medicamentoHandler(req, res)
+
+    assert.equal(res.statusCode, 201)
+    assert.equal(createArgs.data.alunoId, ALUNO_ID)
+    assert.equal(createArgs.data.administradoPorId, PROFESSOR_ID)
+    assert.equal(createArgs.data.administradoPorEmail, 'prof@example.com')
+    assert.ok(createArgs.data.administradoEm instanceof Date)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('GET /vacinas/pendentes limita professor as proprias turmas e junta o aluno', async () => {
+  let alunoWhere
+  const proxima = new Date(Date.now() + 5 * 24 * 60 * 60 * 1000)
+  const prismaMock = mockPrisma({
+    aluno: {
+      findMany: async ({ where }) => {
+        alunoWhere = where
+        return [{ id: ALUNO_ID, nome: 'Ana', numeroMatricula: '1', turmaId: TURMA_ID }]
+      },
+    },
+    vacina: {
+      findMany: async () => [
+        { id: 'v1', alunoId: ALUNO_ID, nome: 'Hepatite A', aplicadaEm: new Date('2024-01-01'), proximaDoseEm: proxima },
+      ],
+    },
+  })
+
+  try {
+    const res = createMockRes()
+    await pendentesHandler(createMockReq({ query: {}, user: { id: PROFESSOR_ID, role: 'PROFESSOR' } }), res)
+
+    assert.equal(res.statusCode, 200)
+    assert.deepEqual(alunoWhere, { status: 'ATIVO', turma: { is: { professoresIds: { has: PROFESSOR_ID } } } })
+    assert.equal(res.body.total, 1)
+    assert.equal(res.body.vacinas[0].situacao, 'A_VENCER')
+    assert.equal(res.body.vacinas[0].aluno.nome, 'Ana')
+
+    const invalido = createMockRes()
+    await pendentesHandler(createMockReq({ query: { dias: '-1' } }), invalido)
+    assert.equal(invalido.statusCode, 400)
+  } finally {
+    prismaMock.restore()
+  }
+})
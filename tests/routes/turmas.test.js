@@ -0,0 +1,405 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import turmasRouter from '../../routes/turmas.js'
+import {
+  createMockReq,
+  createMockRes,
+  getRouteHandler,
+} from '../helpers/http.js'
+import { mockPrisma } from '../mocks/dependencies.js'
+
+const createTurmaHandler = getRouteHandler(turmasRouter, 'post', '/turma', 1)
+const listTurmasHandler = getRouteHandler(turmasRouter, 'get', '/turmas', 1)
+const updateTurmaHandler = getRouteHandler(turmasRouter, 'patch', '/turma/:id', 1)
+const deleteTurmaHandler = getRouteHandler(turmasRouter, 'delete', '/turma/:id', 1)
+const getRegrasIdadeHandler = getRouteHandler(turmasRouter, 'get', '/turmas/regras-idade', 1)
+const putRegrasIdadeHandler = getRouteHandler(turmasRouter, 'put', '/turmas/regras-idade', 1)
+const relatorioIdadeHandler = getRouteHandler(turmasRouter, 'get', '/turmas/relatorio-idade', 1)
+
+const TURMA_ID = '507f1f77bcf86cd799439099'
+const PROFESSOR_ID = '507f191e810c19729de860ea'
+
+const turmaBody = (overrides = {}) => ({
+  nome: ' Maternal A ',
+  segmento: 'maternal',
+  anoLetivo: 2025,
+  turno: 'manha',
+  capacidade: 18,
+  sala: 'Sala 3',
+  professoresIds: [PROFESSOR_ID],
+  ...overrides,
+})
+
+test('POST /turma normaliza os campos e registra o autor', async () => {
+  let createdData
+  const prismaMock = mockPrisma({
+    Cluster0: {
+      findMany: async ({ where }) => {
+        assert.equal(where.role, 'PROFESSOR')
+        return where.id.in.map((id) => ({ id }))
+      },
+    },
+    turma: {
+      create: async ({ data }) => {
+        createdData = data
+        return { id: TURMA_ID, ...data }
+      },
+    },
+    auditLog: {
+      create: async ({ data }) => data,
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'POST',
+      path: '/turma',
+      body: turmaBody(),
+      user: { id: '507f191e810c19729de860eb', role: 'SECRETARIA' },
+    })
+    const res = createMockRes()
+
+    await createTurmaHandler(req, res)
+
+    assert.equal(res.statusCode, 201)
+    assert.equal(createdData.nome, 'Maternal A')
+    assert.equal(createdData.segmento, 'MATERNAL')
+    assert.equal(createdData.turno, 'MANHA')
+    assert.deepEqual(createdData.professoresIds, [PROFESSOR_ID])
+    assert.equal(createdData.criadoPorId, '507f191e810c19729de860eb')
+    assert.equal(res.body.vagas, 18)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('POST /turma valida capacidade, turno e professores', async () => {
+  const prismaMock = mockPrisma({
+    Cluster0: {
+      findMany: async () => [],
+    },
+  })
+
+  try {
+    for (const [body, error] of [
+      [turmaBody({ capacidade: 0 }), 'Capacidade deve ser um inteiro entre 1 e 200'],
+      [turmaBody({ turno: 'NOITE' }), 'Turno inválido (MANHA/TARDE/INTEGRAL)'],
+      [turmaBody({ segmento: 'FUNDAMENTAL' }), 'Segmento inválido'],
+      [turmaBody({ professoresIds: 'abc' }), 'Professores inválidos'],
+      [turmaBody(), 'Professores devem ser usuários cadastrados com perfil PROFESSOR'],
+    ]) {
+      const req = createMockReq({ method: 'POST', path: '/turma', body })
+      const res = createMockRes()
+
+      await createTurmaHandler(req, res)
+
+      assert.equal(res.statusCode, 400)
+      assert.deepEqual(res.body, { error })
+    }
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('POST /turma retorna 409 para nome repetido no ano letivo', async () => {
+  const prismaMock = mockPrisma({
+    turma: {
+      create: async () => {
+        const error = new Error('Unique constraint failed')
+        error.code = 'P2002'
+        throw error
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({ method: 'POST', path: '/turma', body: turmaBody({ professoresIds: [] }) })
+    const res = createMockRes()
+
+    await createTurmaHandler(req, res)
+
+    assert.equal(res.statusCode, 409)
+    assert.deepEqual(res.body, { error: 'Já existe uma turma com este nome no ano letivo' })
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('GET /turmas filtra e calcula ocupacao e vagas', async () => {
+  let findManyArgs
+  const prismaMock = mockPrisma({
+    turma: {
+      findMany: async (args) => {
+        findManyArgs = args
+        return [{ id: TURMA_ID, nome: 'Maternal A', capacidade: 18, _count: { alunos: 12 } }]
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'GET',
+      path: '/turmas',
+      query: { anoLetivo: '2025', segmento: 'maternal', professorId: PROFESSOR_ID },
+    })
+    const res = createMockRes()
+
+    await listTurmasHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.deepEqual(findManyArgs.where, {
+      anoLetivo: 2025,
+      segmento: 'MATERNAL',
+      professoresIds: { has: PROFESSOR_ID },
+    })
+    assert.deepEqual(res.body, [{ id: TURMA_ID, nome: 'Maternal A', capacidade: 18, ocupadas: 12, vagas: 6 }])
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('PATCH /turma/:id nao reduz a capacidade abaixo dos alunos ativos', async () => {
+  let updated = false
+  const prismaMock = mockPrisma({
+    turma: {
+      findUnique: async ({ where }) => ({ id: where.id, nome: 'Maternal A', capacidade: 18 }),
+      update: async () => {
+        updated = true
+      },
+    },
+    aluno: {
+      count: async ({ where }) => {
+        assert.deepEqual(where, { turmaId: TURMA_ID, status: 'ATIVO' })
+        return 15
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({
+      method: 'PATCH',
+      path: `/turma/${TURMA_ID}`,
+      params: { id: TURMA_ID },
+      body: { capacidade: 12 },
+    })
+    const res = createMockRes()
+
+    await updateTurmaHandler(req, res)
+
+    assert.equal(res.statusCode, 409)
+    assert.match(res.body.error, /15 alunos ativos/)
+    assert.equal(updated, false)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('DELETE /turma/:id retorna 409 enquanto houver alunos na turma', async () => {
+  let deleted = false
+  const prismaMock = mockPrisma({
+    turma: {
+      findUnique: async ({ where }) => ({ id: where.id, nome: 'Maternal A', capacidade: 18 }),
+      delete: async () => {
+        deleted = true
+      },
+    },
+    aluno: {
+      count: async ({ where }) => {
+        assert.deepEqual(where, { turmaId: TURMA_ID })
+        return 1
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({ method: 'DELETE', path: `/turma/${TURMA_ID}`, params: { id: TURMA_ID } })
+    const res = createMockRes()
+
+    await deleteTurmaHandler(req, res)
+
+    assert.equal(res.statusCode, 409)
+    assert.equal(deleted, false)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('DELETE /turma/:id retorna 409 quando a turma tem frequencia registrada', async () => {
+  let deleted = false
+  const prismaMock = mockPrisma({
+    turma: {
+      findUnique: async ({ where, include }) => {
+        assert.deepEqual(include._count.select, { frequencias: true, registrosDiario: true })
+        return { id: where.id, nome: 'Maternal A', capacidade: 18, _count: { frequencias: 40, registrosDiario: 0 } }
+      },
+      delete: async () => {
+        deleted = true
+      },
+    },
+    aluno: {
+      count: async () => 0,
+    },
+  })
+
+  try {
+    const req = createMockReq({ method: 'DELETE', path: `/turma/${TURMA_ID}`, params: { id: TURMA_ID } })
+    const res = createMockRes()
+
+    await deleteTurmaHandler(req, res)
+
+    assert.equal(res.statusCode, 409)
+    assert.deepEqual(res.body.vinculos, ['frequência'])
+    assert.match(res.body.error, /registros vinculados \(frequência\)/)
+    assert.equal(deleted, false)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('DELETE /turma/:id retorna 409 quando a turma tem registros na agenda diaria', async () => {
+  let deleted = false
+  const prismaMock = mockPrisma({
+    turma: {
+      findUnique: async ({ where }) => ({
+        id: where.id,
+        nome: 'Maternal A',
+        capacidade: 18,
+        _count: { frequencias: 0, registrosDiario: 3 },
+      }),
+      delete: async () => {
+        deleted = true
+      },
+    },
+    aluno: {
+      count: async () => 0,
+    },
+  })
+
+  try {
+    const req = createMockReq({ method: 'DELETE', path: `/turma/${TURMA_ID}`, params: { id: TURMA_ID } })
+    const res = createMockRes()
+
+    await deleteTurmaHandler(req, res)
+
+    assert.equal(res.statusCode, 409)
+    assert.deepEqual(res.body.vinculos, ['agenda diária'])
+    assert.equal(deleted, false)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('GET /turmas/regras-idade devolve as regras padrao quando nao ha configuracao', async () => {
+  const prismaMock = mockPrisma({
+    configuracao: {
+      findUnique: async () => null,
+    },
+  })
+
+  try {
+    const res = createMockRes()
+
+    await getRegrasIdadeHandler(createMockReq({ path: '/turmas/regras-idade' }), res)
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(res.body.dataCorte, '03-31')
+    assert.equal(res.body.segmentos.EXTRA_CLASSE, null)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('PUT /turmas/regras-idade mescla com as regras atuais e valida', async () => {
+  let upsertArgs
+  const prismaMock = mockPrisma({
+    configuracao: {
+      findUnique: async () => ({ valor: { dataCorte: '06-30' } }),
+      upsert: async (args) => {
+        upsertArgs = args
+        return { valor: args.update.valor }
+      },
+    },
+  })
+
+  try {
+    const user = { id: '507f191e810c19729de860eb', role: 'ADMIN' }
+    const res = createMockRes()
+
+    await putRegrasIdadeHandler(
+      createMockReq({
+        method: 'PUT',
+        path: '/turmas/regras-idade',
+        user,
+        body: { segmentos: { BERCARIO: { idadeMaxMeses: 17 } } },
+      }),
+      res
+    )
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(upsertArgs.where.chave, 'turmas.regrasIdade')
+    assert.equal(res.body.dataCorte, '06-30')
+    assert.equal(res.body.segmentos.BERCARIO.idadeMaxMeses, 17)
+
+    const invalid = createMockRes()
+    await putRegrasIdadeHandler(
+      createMockReq({ method: 'PUT', path: '/turmas/regras-idade', user, body: { dataCorte: '31/03' } }),
+      invalid
+    )
+    assert.equal(invalid.statusCode, 400)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('GET /turmas/relatorio-idade lista apenas alunos ativos fora da faixa da turma', async () => {
+  let findManyArgs
+  const prismaMock = mockPrisma({
+    configuracao: {
+      findUnique: async () => null,
+    },
+    turma: {
+      findMany: async (args) => {
+        findManyArgs = args
+        return [
+          {
+            id: TURMA_ID,
+            nome: 'Maternal A',
+            segmento: 'MATERNAL',
+            anoLetivo: 2025,
+            turno: 'MANHA',
+            capacidade: 18,
+            alunos: [
+              { id: 'a1', nome: 'Ana', numeroMatricula: '20251001', dataNascimento: new Date('2022-03-31') },
+              { id: 'a2', nome: 'Bia', numeroMatricula: '20251002', dataNascimento: new Date('2021-02-15') },
+              { id: 'a3', nome: 'Caio', numeroMatricula: '20251003', dataNascimento: new Date('2019-08-01') },
+            ],
+          },
+        ]
+      },
+    },
+  })
+
+  try {
+    const req = createMockReq({ path: '/turmas/relatorio-idade', query: { anoLetivo: '2025' } })
+    const res = createMockRes()
+
+    await relatorioIdadeHandler(req, res)
+
+    assert.equal(res.statusCode, 200)
+    assert.equal(findManyArgs.where.anoLetivo, 2025)
+    assert.deepEqual(findManyArgs.include.alunos.where, { status: 'ATIVO' })
+    assert.equal(res.body.total, 2)
+    assert.deepEqual(
+      res.body.alunos.map((aluno) => [aluno.nome, aluno.nivel]),
+      [['Bia', 'AVISO'], ['Caio', 'ERRO']]
+    )
+    assert.equal(res.body.alunos[0].turma.nome, 'Maternal A')
+
+    const soErros = createMockRes()
+    await relatorioIdadeHandler(createMockReq({ path: '/turmas/relatorio-idade', query: { nivel: 'erro' } }), soErros)
+    assert.deepEqual(soErros.body.alunos.map((aluno) => aluno.nome), ['Caio'])
+  } finally {
+    prismaMock.restore()
+  }
+})
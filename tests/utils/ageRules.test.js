@@ -0,0 +1,88 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  DEFAULT_AGE_RULES,
+  ageInMonths,
+  checkAgeEligibility,
+  formatAge,
+  normalizeAgeRules,
+  referenceDate,
+} from '../../utils/ageRules.js'
+
+const maternal = { nome: 'Maternal A', segmento: 'MATERNAL', anoLetivo: 2025 }
+
+test('ageInMonths conta apenas meses completos', () => {
+  assert.equal(ageInMonths('2022-03-31', '2025-03-31'), 36)
+  assert.equal(ageInMonths('2022-04-01', '2025-03-31'), 35)
+  assert.equal(ageInMonths('2025-03-01', '2025-03-31'), 0)
+})
+
+test('referenceDate usa a data de corte no ano letivo da turma', () => {
+  assert.equal(referenceDate(2025, DEFAULT_AGE_RULES).toISOString(), '2025-03-31T00:00:00.000Z')
+  assert.equal(referenceDate(2026, { ...DEFAULT_AGE_RULES, dataCorte: '06-30' }).toISOString(), '2026-06-30T00:00:00.000Z')
+})
+
+test('checkAgeEligibility separa idade na faixa, aviso e erro', () => {
+  // 36 meses em 31/03/2025: dentro de 24-47
+  assert.equal(checkAgeEligibility('2022-03-31', maternal, DEFAULT_AGE_RULES).nivel, 'OK')
+
+  // 49 meses: 2 acima do limite, dentro da tolerancia de 3
+  const aviso = checkAgeEligibility('2021-02-15', maternal, DEFAULT_AGE_RULES)
+  assert.equal(aviso.nivel, 'AVISO')
+  assert.equal(aviso.idadeMeses, 49)
+  assert.match(aviso.mensagem, /^Em 31\/03\/2025 a criança terá 4 anos e 1 mês; a turma Maternal A/)
+
+  // 5 anos em um bercario
+  const erro = checkAgeEligibility('2020-01-10', { ...maternal, segmento: 'BERCARIO' }, DEFAULT_AGE_RULES)
+  assert.equal(erro.nivel, 'ERRO')
+})
+
+test('checkAgeEligibility aceita qualquer idade em segmento sem regra e usa a referencia informada', () => {
+  const extra = { ...maternal, segmento: 'EXTRA_CLASSE' }
+  assert.equal(checkAgeEligibility('2015-01-01', extra, DEFAULT_AGE_RULES).nivel, 'OK')
+
+  // no ano seguinte a mesma crianca ja passou da faixa do maternal
+  const result = checkAgeEligibility('2021-06-01', maternal, DEFAULT_AGE_RULES, { referencia: '2026-03-31' })
+  assert.equal(result.nivel, 'ERRO')
+  assert.equal(result.idadeMeses, 57)
+})
+
+test('checkAgeEligibility aceita no bercario bebe nascido depois da data de corte', () => {
+  const bercario = { ...maternal, nome: 'Bercario A', segmento: 'BERCARIO' }
+
+  const result = checkAgeEligibility('2025-09-15', bercario, DEFAULT_AGE_RULES)
+  assert.equal(result.nivel, 'OK')
+  assert.equal(result.idadeMeses, 0)
+
+  // no maternal continua fora da faixa
+  assert.equal(checkAgeEligibility('2025-09-15', maternal, DEFAULT_AGE_RULES).nivel, 'ERRO')
+})
+
+test('normalizeAgeRules aplica os campos enviados sobre as regras atuais', () => {
+  const { regras } = normalizeAgeRules({
+    dataCorte: '06-30',
+    segmentos: { MATERNAL: { toleranciaMeses: 0 }, BERCARIO: null },
+  })
+
+  assert.equal(regras.dataCorte, '06-30')
+  assert.deepEqual(regras.segmentos.MATERNAL, { idadeMinMeses: 24, idadeMaxMeses: 47, toleranciaMeses: 0 })
+  assert.equal(regras.segmentos.BERCARIO, null)
+  assert.deepEqual(regras.segmentos.PRE_ESCOLAR, DEFAULT_AGE_RULES.segmentos.PRE_ESCOLAR)
+})
+
+test('normalizeAgeRules recusa datas, segmentos e faixas invalidas', () => {
+  assert.equal(normalizeAgeRules({ dataCorte: '02-30' }).error, 'dataCorte deve estar no formato MM-DD')
+  assert.equal(normalizeAgeRules({ segmentos: { FUNDAMENTAL: null } }).error, 'Segmento inválido: FUNDAMENTAL')
+  assert.equal(
+    normalizeAgeRules({ segmentos: { MATERNAL: { idadeMinMeses: 50 } } }).error,
+    'MATERNAL: idadeMinMeses não pode ser maior que idadeMaxMeses'
+  )
+  assert.equal(normalizeAgeRules([]).error, 'Regras de idade inválidas')
+})
+
+test('formatAge escreve anos e meses', () => {
+  assert.equal(formatAge(0), '0 meses')
+  assert.equal(formatAge(12), '1 ano')
+  assert.equal(formatAge(61), '5 anos e 1 mês')
+})
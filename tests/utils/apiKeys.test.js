@@ -0,0 +1,95 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import crypto from 'crypto'
+
+import {
+  authenticateApiKey,
+  getApiKeyStatus,
+  isIpAllowed,
+  normalizeIpAllowlist,
+  normalizeScopes,
+} from '../../utils/apiKeys.js'
+import { mockPrisma } from '../mocks/dependencies.js'
+
+const KEY = `rajj_0a1b2c3d_${'x'.repeat(43)}`
+
+test('normalizeScopes aceita apenas modulo:acao dos modulos liberados', () => {
+  assert.deepEqual(normalizeScopes([' Contas:Read ', 'contas:read', 'alunos:write']), {
+    escopos: ['contas:read', 'alunos:write'],
+  })
+  assert.equal(normalizeScopes(['usuarios:read']).error, 'Escopo invalido: usuarios:read')
+  assert.equal(normalizeScopes([]).error, 'Informe ao menos um escopo')
+})
+
+test('normalizeIpAllowlist valida IPs e faixas CIDR', () => {
+  assert.deepEqual(normalizeIpAllowlist('203.0.113.10, 10.0.0.0/8'), {
+    ipsPermitidos: ['203.0.113.10', '10.0.0.0/8'],
+  })
+  assert.deepEqual(normalizeIpAllowlist(undefined), { ipsPermitidos: [] })
+  assert.equal(normalizeIpAllowlist(['10.0.0.0/40']).error, 'IP ou faixa invalida: 10.0.0.0/40')
+})
+
+test('isIpAllowed confere IP exato, faixa e IPv4 mapeado em IPv6', () => {
+  const ips = ['203.0.113.10', '10.1.0.0/16']
+
+  assert.equal(isIpAllowed(ips, '203.0.113.10'), true)
+  assert.equal(isIpAllowed(ips, '::ffff:10.1.20.30'), true)
+  assert.equal(isIpAllowed(ips, '10.2.0.1'), false)
+  assert.equal(isIpAllowed([], '10.2.0.1'), true)
+})
+
+test('getApiKeyStatus considera revogacao e validade', () => {
+  const now = new Date('2026-06-01T00:00:00.000Z')
+
+  assert.equal(getApiKeyStatus({ expiraEm: null, revogadaEm: null }, now), 'ATIVA')
+  assert.equal(getApiKeyStatus({ expiraEm: new Date('2026-05-31T00:00:00.000Z'), revogadaEm: null }, now), 'EXPIRADA')
+  assert.equal(getApiKeyStatus({ expiraEm: null, revogadaEm: new Date() }, now), 'REVOGADA')
+})
+
+test('authenticateApiKey busca pelo hash e registra o ultimo uso', async () => {
+  let receivedWhere
+  let usage
+  const prismaMock = mockPrisma({
+    chaveApi: {
+      findUnique: async ({ where }) => {
+        receivedWhere = where
+        return { id: 'chave-1', nome: 'Contabil', escopos: ['contas:read'], ipsPermitidos: [], expiraEm: null, revogadaEm: null }
+      },
+      update: async ({ data }) => {
+        usage = data
+      },
+    },
+  })
+
+  try {
+    const result = await authenticateApiKey(KEY, '203.0.113.10')
+
+    assert.equal(result.chave.id, 'chave-1')
+    assert.equal(receivedWhere.keyHash, crypto.createHash('sha256').update(KEY).digest('hex'))
+    assert.equal(usage.ultimoUsoIp, '203.0.113.10')
+    assert.ok(usage.ultimoUsoEm instanceof Date)
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('authenticateApiKey recusa IP fora da lista sem registrar uso', async () => {
+  let updated = false
+  const prismaMock = mockPrisma({
+    chaveApi: {
+      findUnique: async () => ({ id: 'chave-1', nome: 'Script', escopos: [], ipsPermitidos: ['10.0.0.1'], expiraEm: null, revogadaEm: null }),
+      update: async () => {
+        updated = true
+      },
+    },
+  })
+
+  try {
+    const result = await authenticateApiKey(KEY, '10.0.0.2')
+
+    assert.equal(result.error, 'ip')
+    assert.equal(updated, false)
+  } finally {
+    prismaMock.restore()
+  }
+})
@@ -0,0 +1,38 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import { diffChanges } from '../../utils/audit.js'
+
+test('diffChanges guarda apenas os campos alterados com antes e depois', () => {
+  const alteracoes = diffChanges(
+    { id: '1', status: 'ABERTA', valor: 100, dataVencimento: new Date('2026-05-10T00:00:00.000Z') },
+    { id: '1', status: 'PAGA', valor: 100, dataVencimento: new Date('2026-05-10T00:00:00.000Z') }
+  )
+
+  assert.deepEqual(alteracoes, { status: { antes: 'ABERTA', depois: 'PAGA' } })
+})
+
+test('diffChanges representa criacao e exclusao com null no lado ausente', () => {
+  assert.deepEqual(diffChanges(null, { nome: 'Ana' }), { nome: { antes: null, depois: 'Ana' } })
+  assert.deepEqual(diffChanges({ nome: 'Ana' }, null), { nome: { antes: 'Ana', depois: null } })
+})
+
+test('diffChanges nunca expoe senha nem segredos de MFA', () => {
+  const alteracoes = diffChanges(
+    { password: 'hash-antigo', mfaTotpSecret: 'segredo-1', tokenVersion: 1 },
+    { password: 'hash-novo', mfaTotpSecret: 'segredo-2', tokenVersion: 2 }
+  )
+
+  assert.deepEqual(alteracoes, { password: { antes: '[oculto]', depois: '[alterado]' } })
+})
+
+test('diffChanges compara arrays e objetos pelo conteudo', () => {
+  const alteracoes = diffChanges(
+    { alergias: ['Leite'], endereco: { cep: '01001000' } },
+    { alergias: ['Leite'], endereco: { cep: '01310100' } }
+  )
+
+  assert.deepEqual(alteracoes, {
+    endereco: { antes: { cep: '01001000' }, depois: { cep: '01310100' } },
+  })
+})
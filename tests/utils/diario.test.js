@@ -0,0 +1,63 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  normalizeRegistroDiario,
+  renderResumoDiarioHtml,
+  resumoDiario,
+} from '../../utils/diario.js'
+
+test('normalizeRegistroDiario valida os campos de cada tipo', () => {
+  assert.deepEqual(normalizeRegistroDiario({ tipo: 'alimentacao', hora: '11:30', refeicao: 'almoco', aceitacao: 'pouco' }).data, {
+    tipo: 'ALIMENTACAO',
+    hora: '11:30',
+    detalhes: { refeicao: 'ALMOCO', aceitacao: 'POUCO', quantidadeMl: null },
+    descricao: null,
+  })
+
+  const sono = normalizeRegistroDiario({ tipo: 'SONO', hora: '08:00', inicio: '12:30', fim: '14:15' }).data
+  assert.equal(sono.hora, '12:30')
+  assert.equal(sono.detalhes.duracaoMinutos, 105)
+
+  assert.equal(normalizeRegistroDiario({ tipo: 'SONO', inicio: '14:00', fim: '13:00' }).error, 'Fim do sono deve ser posterior ao início')
+  assert.match(normalizeRegistroDiario({ tipo: 'HIGIENE' }).error, /^Tipo de higiene é obrigatório/)
+  assert.equal(normalizeRegistroDiario({ tipo: 'ATIVIDADE' }).error, 'Descrição da atividade é obrigatória')
+  assert.equal(normalizeRegistroDiario({ tipo: 'OBSERVACAO' }).error, 'Informe a descrição ou o humor')
+  assert.match(normalizeRegistroDiario({ tipo: 'BRINCADEIRA' }).error, /^Tipo inválido/)
+})
+
+test('normalizeRegistroDiario mescla a correcao com o registro atual sem trocar o tipo', () => {
+  const atual = { tipo: 'SONO', hora: '12:30', descricao: null, detalhes: { inicio: '12:30', fim: null, duracaoMinutos: null } }
+
+  const { data } = normalizeRegistroDiario({ fim: '13:30' }, atual)
+  assert.deepEqual(data.detalhes, { inicio: '12:30', fim: '13:30', duracaoMinutos: 60 })
+
+  assert.equal(normalizeRegistroDiario({ tipo: 'HIGIENE' }, atual).error, 'O tipo do registro não pode ser alterado')
+})
+
+test('resumoDiario soma sono, trocas e usa o ultimo humor do dia', () => {
+  const resumo = resumoDiario([
+    { tipo: 'OBSERVACAO', hora: '16:00', detalhes: { humor: 'SONOLENTO' }, descricao: null },
+    { tipo: 'OBSERVACAO', hora: '08:00', detalhes: { humor: 'ALEGRE' }, descricao: 'Chegou animado' },
+    { tipo: 'SONO', hora: '12:30', detalhes: { inicio: '12:30', fim: '13:30', duracaoMinutos: 60 } },
+    { tipo: 'SONO', hora: '15:00', detalhes: { inicio: '15:00', fim: '15:20', duracaoMinutos: 20 } },
+    { tipo: 'HIGIENE', hora: '10:00', detalhes: { tipoHigiene: 'FRALDA', evacuacao: 'COCO' } },
+    { tipo: 'HIGIENE', hora: '14:00', detalhes: { tipoHigiene: 'FRALDA', evacuacao: 'XIXI' } },
+    { tipo: 'ALIMENTACAO', hora: '11:00', detalhes: { refeicao: 'ALMOCO', aceitacao: 'TUDO' } },
+  ])
+
+  assert.equal(resumo.total, 7)
+  assert.equal(resumo.humor, 'SONOLENTO')
+  assert.deepEqual(resumo.sono, {
+    cochilos: 2,
+    totalMinutos: 80,
+    periodos: [{ inicio: '12:30', fim: '13:30' }, { inicio: '15:00', fim: '15:20' }],
+  })
+  assert.deepEqual(resumo.higiene, { total: 2, trocasFralda: 2, evacuacoes: 1 })
+  assert.deepEqual(resumo.observacoes, [{ hora: '08:00', descricao: 'Chegou animado' }])
+
+  const html = renderResumoDiarioHtml({ nome: '<Ana>' }, '2025-03-10', resumo)
+  assert.match(html, /resumo do dia 10\/03\/2025 de &#x3C;Ana&#x3E;/)
+  assert.match(html, /Sono \(1h20\)/)
+  assert.match(html, /11:00 - Almo&#xE7;o: comeu tudo/)
+})
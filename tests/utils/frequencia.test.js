@@ -0,0 +1,72 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  normalizeRegistroFrequencia,
+  normalizeRegrasFrequencia,
+  parseDia,
+  parseMes,
+  resumoFrequencia,
+} from '../../utils/frequencia.js'
+
+test('parseDia e parseMes aceitam apenas datas reais', () => {
+  assert.equal(parseDia('2025-03-10').toISOString(), '2025-03-10T00:00:00.000Z')
+  assert.equal(parseDia('2025-02-30'), null)
+  assert.equal(parseDia('10/03/2025'), null)
+
+  const { inicio, fim } = parseMes('2025-12')
+  assert.equal(inicio.toISOString(), '2025-12-01T00:00:00.000Z')
+  assert.equal(fim.toISOString(), '2026-01-01T00:00:00.000Z')
+  assert.equal(parseMes('2025-13'), null)
+})
+
+test('normalizeRegistroFrequencia valida status e horarios e limpa horario de falta', () => {
+  assert.deepEqual(normalizeRegistroFrequencia({ status: 'presente', horaChegada: '07:45' }).data, {
+    status: 'PRESENTE',
+    horaChegada: '07:45',
+  })
+  assert.deepEqual(normalizeRegistroFrequencia({ status: 'falta', horaChegada: '07:45' }).data, {
+    status: 'FALTA',
+    horaChegada: null,
+    horaSaida: null,
+  })
+  assert.equal(
+    normalizeRegistroFrequencia({ status: 'PRESENTE', horaSaida: '25:00' }).error,
+    'horaSaida deve estar no formato HH:MM'
+  )
+  assert.match(normalizeRegistroFrequencia({ status: 'ATRASADO' }).error, /^Status inválido/)
+})
+
+test('resumoFrequencia calcula percentuais e alerta conforme as regras', () => {
+  const registros = [
+    ...Array(6).fill({ status: 'PRESENTE' }),
+    { status: 'FALTA' },
+    { status: 'FALTA_JUSTIFICADA' },
+    { status: 'FALTA_JUSTIFICADA' },
+    { status: 'FALTA' },
+  ]
+
+  const padrao = resumoFrequencia(registros)
+  assert.equal(padrao.dias, 10)
+  assert.equal(padrao.percentualPresenca, 60)
+  assert.equal(padrao.percentualFaltas, 20)
+  assert.equal(padrao.alerta, false)
+
+  const contandoJustificadas = resumoFrequencia(registros, { percentualMaximoFaltas: 25, contarJustificadas: true })
+  assert.equal(contandoJustificadas.percentualFaltas, 40)
+  assert.equal(contandoJustificadas.alerta, true)
+
+  assert.equal(resumoFrequencia([]).percentualPresenca, null)
+})
+
+test('normalizeRegrasFrequencia mescla e valida o limite', () => {
+  assert.deepEqual(normalizeRegrasFrequencia({ percentualMaximoFaltas: 30 }).regras, {
+    percentualMaximoFaltas: 30,
+    contarJustificadas: false,
+  })
+  assert.equal(
+    normalizeRegrasFrequencia({ percentualMaximoFaltas: 120 }).error,
+    'percentualMaximoFaltas deve ser um número entre 0 e 100'
+  )
+  assert.equal(normalizeRegrasFrequencia({ contarJustificadas: 'sim' }).error, 'contarJustificadas deve ser verdadeiro ou falso')
+})
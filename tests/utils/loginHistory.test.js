@@ -0,0 +1,101 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import { recordLoginFailure, recordLoginSuccess } from '../../utils/loginHistory.js'
+import { createMockReq } from '../helpers/http.js'
+import { mockLogger, mockMailer, mockPrisma } from '../mocks/dependencies.js'
+
+const user = { id: '507f1f77bcf86cd799439011', name: 'Ana', email: 'ana@test.com' }
+const req = createMockReq({ ip: '200.1.2.3', headers: { 'user-agent': 'Firefox/130' } })
+
+// historico: acessos concluidos ja registrados para a conta
+const mockHistory = (anteriores) => {
+  let created
+  const prismaMock = mockPrisma({
+    acessoLogin: {
+      findFirst: async ({ where }) =>
+        anteriores.find(
+          (acesso) =>
+            (where.ip === undefined || acesso.ip === where.ip) &&
+            (where.dispositivo === undefined || acesso.dispositivo === where.dispositivo)
+        ) || null,
+      create: async ({ data }) => {
+        created = data
+        return { id: 'acesso-1', criadoEm: new Date('2026-10-19T12:00:00.000Z'), ...data }
+      },
+    },
+  })
+  return { prismaMock, getCreated: () => created }
+}
+
+test('recordLoginSuccess avisa o dono quando dispositivo e IP sao novos na conta', async () => {
+  const { prismaMock, getCreated } = mockHistory([{ ip: '200.1.2.3', dispositivo: 'Chrome/129' }])
+  const mailerMock = mockMailer()
+  const loggerMock = mockLogger()
+
+  try {
+    await recordLoginSuccess(req, user, { metodo: 'SENHA', mfa: 'TOTP' })
+
+    assert.equal(getCreated().sucesso, true)
+    assert.equal(getCreated().novoDispositivo, true)
+    assert.equal(getCreated().mfa, 'TOTP')
+    assert.equal(mailerMock.sendMailCalls.length, 1)
+    assert.equal(mailerMock.sendMailCalls[0][0].to, 'ana@test.com')
+    assert.match(mailerMock.sendMailCalls[0][0].html, /200\.1\.2\.3/)
+    assert.match(mailerMock.sendMailCalls[0][0].html, /Firefox\/130/)
+  } finally {
+    loggerMock.restore()
+    mailerMock.restore()
+    prismaMock.restore()
+  }
+})
+
+test('recordLoginSuccess nao avisa no primeiro acesso nem em dispositivo conhecido', async () => {
+  const mailerMock = mockMailer()
+  const loggerMock = mockLogger()
+
+  try {
+    for (const anteriores of [[], [{ ip: '200.1.2.3', dispositivo: 'Firefox/130' }]]) {
+      const { prismaMock, getCreated } = mockHistory(anteriores)
+      try {
+        await recordLoginSuccess(req, user)
+        assert.equal(getCreated().novoDispositivo, false)
+      } finally {
+        prismaMock.restore()
+      }
+    }
+
+    assert.equal(mailerMock.sendMailCalls.length, 0)
+  } finally {
+    loggerMock.restore()
+    mailerMock.restore()
+  }
+})
+
+test('recordLoginFailure registra o motivo sem interromper quando o banco falha', async () => {
+  const { prismaMock, getCreated } = mockHistory([])
+  try {
+    await recordLoginFailure(req, user, { motivo: 'SENHA_INVALIDA' })
+    assert.equal(getCreated().sucesso, false)
+    assert.equal(getCreated().motivo, 'SENHA_INVALIDA')
+    assert.equal(getCreated().metodo, 'SENHA')
+  } finally {
+    prismaMock.restore()
+  }
+
+  const failingMock = mockPrisma({
+    acessoLogin: {
+      create: async () => {
+        throw new Error('mongo fora do ar')
+      },
+    },
+  })
+  const loggerMock = mockLogger()
+  try {
+    assert.equal(await recordLoginFailure(req, user, { motivo: 'MFA_INVALIDO' }), null)
+    assert.equal(loggerMock.calls.error.length, 1)
+  } finally {
+    loggerMock.restore()
+    failingMock.restore()
+  }
+})
@@ -0,0 +1,96 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  checkLoginThrottle,
+  clearLoginFailures,
+  createMemoryStore,
+  getProgressiveDelayMs,
+  registerLoginFailure,
+  setLoginThrottleStore,
+} from '../../utils/loginThrottle.js'
+
+const at = (seconds) => new Date(Date.UTC(2026, 0, 1, 12, 0, seconds))
+
+test('getProgressiveDelayMs libera as primeiras falhas e depois dobra a espera', () => {
+  assert.equal(getProgressiveDelayMs(1), 0)
+  assert.equal(getProgressiveDelayMs(2), 0)
+  assert.equal(getProgressiveDelayMs(3), 1000)
+  assert.equal(getProgressiveDelayMs(4), 2000)
+  assert.equal(getProgressiveDelayMs(20), 30000)
+})
+
+test('checkLoginThrottle exige espera progressiva antes da proxima tentativa', async () => {
+  setLoginThrottleStore(createMemoryStore())
+  const tentativa = { ip: '10.1.0.1', email: 'ana@test.com' }
+
+  for (let i = 0; i < 3; i++) {
+    await registerLoginFailure(tentativa, at(0))
+  }
+
+  const espera = await checkLoginThrottle(tentativa, at(0))
+  assert.equal(espera.motivo, 'espera')
+  assert.equal(espera.retryAfterSeconds, 1)
+  assert.equal(await checkLoginThrottle(tentativa, at(1)), null)
+})
+
+test('registerLoginFailure bloqueia a conta mesmo com IPs diferentes', async () => {
+  setLoginThrottleStore(createMemoryStore())
+  let result
+
+  for (let i = 0; i < 5; i++) {
+    result = await registerLoginFailure({ ip: `10.2.0.${i}`, email: 'Bia@Test.com' }, at(0))
+  }
+
+  assert.equal(result.accountLocked, true)
+  assert.equal(result.attemptsRemaining, 0)
+
+  const bloqueio = await checkLoginThrottle({ ip: '10.2.0.99', email: 'bia@test.com' }, at(60))
+  assert.equal(bloqueio.tipo, 'CONTA')
+  assert.equal(bloqueio.motivo, 'bloqueio')
+
+  // o bloqueio expira sozinho
+  assert.equal(await checkLoginThrottle({ ip: '10.2.0.99', email: 'bia@test.com' }, at(15 * 60)), null)
+})
+
+test('registerLoginFailure avisa o bloqueio da conta uma unica vez', async () => {
+  setLoginThrottleStore(createMemoryStore())
+  const locks = []
+
+  for (let i = 0; i < 6; i++) {
+    const result = await registerLoginFailure({ ip: `10.3.0.${i}`, email: 'caio@test.com' }, at(0))
+    locks.push(result.accountLocked)
+  }
+
+  assert.deepEqual(locks, [false, false, false, false, true, false])
+})
+
+test('clearLoginFailures zera os contadores apos login bem-sucedido', async () => {
+  setLoginThrottleStore(createMemoryStore())
+  const tentativa = { ip: '10.4.0.1', email: 'duda@test.com' }
+
+  for (let i = 0; i < 4; i++) {
+    await registerLoginFailure(tentativa, at(0))
+  }
+  await clearLoginFailures(tentativa)
+
+  assert.equal(await checkLoginThrottle(tentativa, at(0)), null)
+})
+
+test('clearLoginFailures do login nao zera as falhas do MFA', async () => {
+  setLoginThrottleStore(createMemoryStore())
+  const tentativa = { ip: '10.4.0.1', email: 'eva@test.com' }
+
+  for (let i = 0; i < 5; i++) {
+    await registerLoginFailure({ ...tentativa, escopo: 'mfa' }, at(0))
+  }
+  await clearLoginFailures(tentativa)
+
+  assert.equal(await checkLoginThrottle(tentativa, at(1)), null)
+  const bloqueio = await checkLoginThrottle({ ...tentativa, escopo: 'mfa' }, at(1))
+  assert.equal(bloqueio.tipo, 'IP')
+  assert.equal(bloqueio.motivo, 'bloqueio')
+
+  await clearLoginFailures({ ...tentativa, escopo: 'mfa' })
+  assert.equal(await checkLoginThrottle({ ...tentativa, escopo: 'mfa' }, at(1)), null)
+})
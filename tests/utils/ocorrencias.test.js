@@ -0,0 +1,82 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  getOcorrenciaStatus,
+  normalizeOcorrenciaInput,
+  parseAlunosOcorrencia,
+  renderOcorrenciaHtml,
+} from '../../utils/ocorrencias.js'
+
+const now = new Date('2025-03-10T15:00:00.000Z')
+const ALUNO_A = '507f1f77bcf86cd799439011'
+const ALUNO_B = '507f1f77bcf86cd799439012'
+
+test('normalizeOcorrenciaInput valida os campos e limpa as testemunhas', () => {
+  const { data, error } = normalizeOcorrenciaInput(
+    {
+      tipo: 'queda',
+      gravidade: 'leve',
+      ocorridaEm: '2025-03-10T14:30:00.000Z',
+      descricao: '  Caiu do escorregador  ',
+      local: 'Parque',
+      testemunhas: '["Prof. Carla", "  Prof.  Carla ", ""]',
+    },
+    { now }
+  )
+
+  assert.equal(error, undefined)
+  assert.equal(data.tipo, 'QUEDA')
+  assert.equal(data.gravidade, 'LEVE')
+  assert.equal(data.descricao, 'Caiu do escorregador')
+  assert.equal(data.providencias, null)
+  assert.deepEqual(data.testemunhas, ['Prof. Carla'])
+})
+
+test('normalizeOcorrenciaInput recusa data futura e descricao ausente', () => {
+  const base = { tipo: 'MORDIDA', gravidade: 'LEVE', descricao: 'Mordida no braço' }
+
+  assert.equal(
+    normalizeOcorrenciaInput({ ...base, ocorridaEm: '2025-03-10T16:00:00.000Z' }, { now }).error,
+    'ocorridaEm não pode estar no futuro'
+  )
+  assert.equal(
+    normalizeOcorrenciaInput({ ...base, descricao: ' ', ocorridaEm: '2025-03-10T14:00:00.000Z' }, { now }).error,
+    'Descrição é obrigatório'
+  )
+  assert.deepEqual(normalizeOcorrenciaInput({ providencias: 'Gelo no local' }, { parcial: true, now }).data, {
+    providencias: 'Gelo no local',
+  })
+})
+
+test('parseAlunosOcorrencia aceita ids ou objetos e recusa repetidos', () => {
+  assert.deepEqual(parseAlunosOcorrencia(JSON.stringify([ALUNO_A, { alunoId: ALUNO_B, papel: 'causador' }])).alunos, [
+    { alunoId: ALUNO_A, papel: 'ENVOLVIDO' },
+    { alunoId: ALUNO_B, papel: 'CAUSADOR' },
+  ])
+  assert.equal(parseAlunosOcorrencia([]).error, 'Informe ao menos um aluno')
+  assert.equal(parseAlunosOcorrencia([ALUNO_A, ALUNO_A]).error, `Aluno ${ALUNO_A} informado mais de uma vez`)
+  assert.match(parseAlunosOcorrencia([{ alunoId: ALUNO_A, papel: 'VITIMA' }]).error, /Papel inválido/)
+})
+
+test('getOcorrenciaStatus so conclui com a ciencia de todas as familias', () => {
+  assert.equal(getOcorrenciaStatus({ alunos: [{ cienciaEm: now }, { cienciaEm: null }] }), 'PENDENTE_CIENCIA')
+  assert.equal(getOcorrenciaStatus({ alunos: [{ cienciaEm: now }, { cienciaEm: now }] }), 'CONCLUIDA')
+})
+
+test('renderOcorrenciaHtml escapa os textos e traz as providencias', () => {
+  const html = renderOcorrenciaHtml(
+    {
+      tipo: 'MORDIDA',
+      ocorridaEm: '2025-03-10T14:30:00.000Z',
+      descricao: '<b>Mordida</b> no braço',
+      providencias: 'Compressa fria',
+    },
+    { nome: 'Ana' }
+  )
+
+  assert.match(html, /Registramos uma ocorrência com Ana/)
+  assert.match(html, /&#x3C;b&#x3E;Mordida&#x3C;\/b&#x3E;/)
+  assert.match(html, /Compressa fria/)
+  assert.doesNotMatch(html, /Local:/)
+})
@@ -0,0 +1,107 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import { startMockOidcServer } from '../../scripts/mock-oidc-server.js'
+import {
+  buildAuthorizationUrl,
+  createPkcePair,
+  exchangeCode,
+  resetOidcCache,
+  verifyIdToken,
+} from '../../utils/oidc.js'
+
+const REDIRECT_URI = 'http://localhost:3000/login.html'
+
+const withMockProvider = async (fn) => {
+  const provider = await startMockOidcServer({ clientId: 'rajj-test', email: 'ana@escola.test' })
+  const previousEnv = {
+    OIDC_ISSUER: process.env.OIDC_ISSUER,
+    OIDC_CLIENT_ID: process.env.OIDC_CLIENT_ID,
+    OIDC_REDIRECT_URI: process.env.OIDC_REDIRECT_URI,
+  }
+  process.env.OIDC_ISSUER = provider.issuer
+  process.env.OIDC_CLIENT_ID = 'rajj-test'
+  process.env.OIDC_REDIRECT_URI = REDIRECT_URI
+  resetOidcCache()
+
+  try {
+    await fn(provider)
+  } finally {
+    for (const [name, value] of Object.entries(previousEnv)) {
+      if (value === undefined) delete process.env[name]
+      else process.env[name] = value
+    }
+    resetOidcCache()
+    await provider.close()
+  }
+}
+
+// Segue a URL de autorizacao como o navegador faria e devolve o code
+const authorize = async (url) => {
+  const response = await fetch(url, { redirect: 'manual' })
+  const location = new URL(response.headers.get('location'))
+  return { code: location.searchParams.get('code'), state: location.searchParams.get('state') }
+}
+
+test('fluxo authorization code + PKCE retorna as claims do id_token', async () => {
+  await withMockProvider(async () => {
+    const { codeVerifier, codeChallenge } = createPkcePair()
+    const url = await buildAuthorizationUrl({ state: 'state-1', nonce: 'nonce-1', codeChallenge })
+
+    assert.equal(new URL(url).searchParams.get('code_challenge_method'), 'S256')
+    assert.equal(new URL(url).searchParams.get('redirect_uri'), REDIRECT_URI)
+
+    const { code, state } = await authorize(url)
+    assert.equal(state, 'state-1')
+
+    const { idToken } = await exchangeCode({ code, codeVerifier })
+    const { claims } = await verifyIdToken(idToken, { nonce: 'nonce-1' })
+
+    assert.equal(claims.email, 'ana@escola.test')
+    assert.equal(claims.email_verified, true)
+    assert.equal(claims.aud, 'rajj-test')
+  })
+})
+
+test('exchangeCode recusa code_verifier diferente do desafio', async () => {
+  await withMockProvider(async () => {
+    const { codeChallenge } = createPkcePair()
+    const { code } = await authorize(
+      await buildAuthorizationUrl({ state: 'state-2', nonce: 'nonce-2', codeChallenge })
+    )
+
+    const result = await exchangeCode({ code, codeVerifier: createPkcePair().codeVerifier })
+
+    assert.equal(result.error, 'code')
+  })
+})
+
+test('verifyIdToken recusa nonce diferente do login iniciado', async () => {
+  await withMockProvider(async () => {
+    const { codeVerifier, codeChallenge } = createPkcePair()
+    const { code } = await authorize(
+      await buildAuthorizationUrl({ state: 'state-3', nonce: 'nonce-3', codeChallenge })
+    )
+    const { idToken } = await exchangeCode({ code, codeVerifier })
+
+    assert.deepEqual(await verifyIdToken(idToken, { nonce: 'outro-nonce' }), { error: 'nonce' })
+  })
+})
+
+test('verifyIdToken recusa token adulterado', async () => {
+  await withMockProvider(async () => {
+    const { codeVerifier, codeChallenge } = createPkcePair()
+    const { code } = await authorize(
+      await buildAuthorizationUrl({ state: 'state-4', nonce: 'nonce-4', codeChallenge })
+    )
+    const { idToken } = await exchangeCode({ code, codeVerifier })
+
+    const [header, payload, signature] = idToken.split('.')
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString())
+    const forged = Buffer.from(JSON.stringify({ ...claims, email: 'admin@escola.test' })).toString('base64url')
+
+    assert.deepEqual(await verifyIdToken(`${header}.${forged}.${signature}`, { nonce: 'nonce-4' }), {
+      error: 'signature',
+    })
+  })
+})
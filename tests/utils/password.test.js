@@ -0,0 +1,67 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  DEFAULT_PASSWORD_POLICY,
+  isPasswordExpired,
+  nextPasswordHistory,
+  normalizePasswordPolicy,
+  validatePassword,
+} from '../../utils/password.js'
+import { mockBcrypt } from '../mocks/dependencies.js'
+
+const policy = { ...DEFAULT_PASSWORD_POLICY, tamanhoMinimo: 8, historico: 3, validadeDias: 0 }
+const codigos = (violacoes) => violacoes.map((violacao) => violacao.codigo)
+
+test('validatePassword aceita senha que cumpre todas as regras', async () => {
+  assert.deepEqual(await validatePassword('Ipe-Amarelo#27', { policy }), [])
+})
+
+test('validatePassword lista cada classe de caractere ausente', async () => {
+  assert.deepEqual(codigos(await validatePassword('abcdefgh', { policy })), ['MAIUSCULA', 'NUMERO', 'ESPECIAL'])
+  assert.deepEqual(codigos(await validatePassword('Ab1!', { policy })), ['TAMANHO_MINIMO'])
+})
+
+test('validatePassword recusa senhas da lista local sem diferenciar maiusculas', async () => {
+  assert.deepEqual(codigos(await validatePassword('p@SSw0rd123', { policy })), ['SENHA_COMUM'])
+  assert.deepEqual(await validatePassword('p@SSw0rd123', { policy: { ...policy, bloquearComuns: false } }), [])
+})
+
+test('validatePassword recusa as ultimas N senhas e ignora as mais antigas', async () => {
+  const bcryptMock = mockBcrypt({
+    compare: async (password, hash) => hash === `hash:${password}`,
+  })
+
+  try {
+    const historico = ['hash:Atual#2026', 'hash:Antiga#2025', 'hash:Velha#2024', 'hash:Remota#2023']
+
+    assert.deepEqual(codigos(await validatePassword('Velha#2024', { policy, historico })), ['REUTILIZADA'])
+    assert.deepEqual(await validatePassword('Remota#2023', { policy, historico }), [])
+  } finally {
+    bcryptMock.restore()
+  }
+})
+
+test('nextPasswordHistory guarda a senha atual no topo e respeita o tamanho do historico', () => {
+  const user = { password: 'hash-3', senhasAnteriores: ['hash-2', 'hash-1'] }
+
+  assert.deepEqual(nextPasswordHistory(user, policy), ['hash-3', 'hash-2'])
+  assert.deepEqual(nextPasswordHistory(user, { ...policy, historico: 0 }), [])
+})
+
+test('normalizePasswordPolicy valida tipos e limites', () => {
+  assert.equal(normalizePasswordPolicy({ historico: 6 }, policy).policy.historico, 6)
+  assert.ok(normalizePasswordPolicy({ tamanhoMinimo: 200 }).error)
+  assert.ok(normalizePasswordPolicy({ exigeNumero: 'sim' }).error)
+  assert.ok(normalizePasswordPolicy([]).error)
+})
+
+test('isPasswordExpired conta a validade desde a ultima troca ou o cadastro', () => {
+  const now = new Date('2026-10-19T00:00:00.000Z').getTime()
+  const comValidade = { ...policy, validadeDias: 90 }
+
+  assert.equal(isPasswordExpired({ senhaAlteradaEm: new Date('2026-07-01T00:00:00.000Z') }, comValidade, now), true)
+  assert.equal(isPasswordExpired({ senhaAlteradaEm: new Date('2026-09-01T00:00:00.000Z') }, comValidade, now), false)
+  assert.equal(isPasswordExpired({ criadoEm: new Date('2026-01-01T00:00:00.000Z') }, comValidade, now), true)
+  assert.equal(isPasswordExpired({ criadoEm: new Date('2026-01-01T00:00:00.000Z') }, policy, now), false)
+})
@@ -0,0 +1,102 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  emailsResponsaveis,
+  normalizeResponsavelInput,
+  parseVinculos,
+  vinculoCreateData,
+} from '../../utils/responsaveis.js'
+import { mockPrisma } from '../mocks/dependencies.js'
+
+const RESPONSAVEL_ID = '507f1f77bcf86cd799439088'
+
+test('normalizeResponsavelInput normaliza CPF, e-mail e telefones', () => {
+  const { data } = normalizeResponsavelInput({
+    nome: '  Maria   Silva ',
+    cpf: '529.982.247-25',
+    email: ' Maria@Example.com ',
+    telefones: ['(11) 99999-9999', '11999999999', ''],
+  })
+
+  assert.deepEqual(data, {
+    nome: 'Maria Silva',
+    cpf: '52998224725',
+    email: 'maria@example.com',
+    telefones: ['11999999999'],
+    observacoes: null,
+  })
+})
+
+test('normalizeResponsavelInput recusa CPF, e-mail e telefone invalidos', () => {
+  assert.equal(normalizeResponsavelInput({ nome: 'Maria', cpf: '12345678900' }).error, 'CPF do responsável inválido')
+  assert.equal(normalizeResponsavelInput({ nome: 'Maria', email: 'maria@' }).error, 'E-mail do responsável inválido')
+  assert.equal(normalizeResponsavelInput({ nome: 'Maria', telefones: ['123'] }).error, 'Telefone inválido: 123')
+  assert.equal(normalizeResponsavelInput({ cpf: '' }, { parcial: true }).data.cpf, null)
+})
+
+test('parseVinculos reaproveita o responsavel ja cadastrado com o mesmo CPF', async () => {
+  const prismaMock = mockPrisma({
+    responsavel: {
+      findMany: async ({ where }) => {
+        assert.deepEqual(where, { cpf: { in: ['52998224725'] } })
+        return [{ id: RESPONSAVEL_ID, cpf: '52998224725' }]
+      },
+      count: async () => 1,
+    },
+  })
+
+  try {
+    const { vinculos } = await parseVinculos([
+      { responsavel: { nome: 'Maria', cpf: '529.982.247-25' }, parentesco: 'mae', guardaLegal: 'true' },
+      { responsavel: { nome: 'Jose' }, parentesco: 'PAI' },
+    ])
+
+    assert.equal(vinculos[0].responsavelId, RESPONSAVEL_ID)
+    assert.equal(vinculos[0].guardaLegal, true)
+    assert.deepEqual(vinculoCreateData(vinculos[0]).responsavel, { connect: { id: RESPONSAVEL_ID } })
+    assert.equal(vinculoCreateData(vinculos[1], 'u1').responsavel.create.criadoPorId, 'u1')
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('parseVinculos recusa parentesco, responsavel repetido e id inexistente', async () => {
+  const prismaMock = mockPrisma({
+    responsavel: {
+      count: async () => 0,
+    },
+  })
+
+  try {
+    assert.match((await parseVinculos([{ responsavel: { nome: 'Maria' }, parentesco: 'VIZINHA' }])).error, /^Parentesco inválido/)
+    assert.equal(
+      (await parseVinculos(['Maria'])).error,
+      'Cada responsável deve informar responsavelId ou os dados do responsável'
+    )
+    assert.equal(
+      (await parseVinculos([
+        { responsavelId: RESPONSAVEL_ID, parentesco: 'MAE' },
+        { responsavelId: RESPONSAVEL_ID, parentesco: 'PAI' },
+      ])).error,
+      'O mesmo responsável foi informado mais de uma vez'
+    )
+    assert.equal(
+      (await parseVinculos([{ responsavelId: RESPONSAVEL_ID, parentesco: 'MAE' }])).error,
+      'Responsável não encontrado'
+    )
+  } finally {
+    prismaMock.restore()
+  }
+})
+
+test('emailsResponsaveis remove repetidos, vazios e responsaveis impedidos', () => {
+  const vinculos = [
+    { responsavel: { id: 'r1', email: 'Mae@Example.com' } },
+    { responsavel: { id: 'r2', email: 'pai@example.com' } },
+    { responsavel: { id: 'r3', email: null } },
+    { responsavel: { id: 'r4', email: 'mae@example.com' } },
+  ]
+
+  assert.deepEqual(emailsResponsaveis(vinculos, [{ responsavelId: 'r2' }]), ['mae@example.com'])
+})
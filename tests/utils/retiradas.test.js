@@ -0,0 +1,81 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  checkRetirada,
+  getAutorizacaoStatus,
+  normalizeAutorizacaoInput,
+  normalizeDocumento,
+} from '../../utils/retiradas.js'
+
+const NOW = new Date('2025-06-10T15:00:00Z')
+
+const autorizacao = (overrides = {}) => ({
+  id: 'a1',
+  nome: 'Ana Souza',
+  documento: '123456789',
+  impedido: false,
+  restricoes: null,
+  validoDe: null,
+  validoAte: null,
+  revogadaEm: null,
+  ...overrides,
+})
+
+test('normalizeDocumento ignora pontuacao e caixa', () => {
+  assert.equal(normalizeDocumento('12.345.678-x'), '12345678X')
+  assert.equal(normalizeDocumento(undefined), '')
+})
+
+test('normalizeAutorizacaoInput converte os campos do multipart', () => {
+  const { data } = normalizeAutorizacaoInput({
+    nome: ' Ana  Souza ',
+    documento: '12.345.678-9',
+    parentesco: 'avo',
+    validoAte: '2025-12-31',
+    impedido: 'false',
+  })
+
+  assert.equal(data.nome, 'Ana Souza')
+  assert.equal(data.documento, '123456789')
+  assert.equal(data.parentesco, 'AVO')
+  assert.equal(data.validoDe, null)
+  assert.equal(data.validoAte.toISOString(), '2025-12-31T23:59:59.999Z')
+  assert.equal(data.impedido, false)
+
+  assert.equal(
+    normalizeAutorizacaoInput({ nome: 'Ana', documento: '123', parentesco: 'AVO' }).error,
+    'Documento (CPF ou RG) inválido'
+  )
+  assert.equal(
+    normalizeAutorizacaoInput({ nome: 'Ana', documento: '123456789', parentesco: 'AVO', validoDe: '2025-02-01', validoAte: '2025-01-01' }).error,
+    'validoDe não pode ser posterior a validoAte'
+  )
+  // com responsavelId, nome e documento vem do cadastro do responsavel
+  assert.equal(normalizeAutorizacaoInput({ responsavelId: '507f1f77bcf86cd799439088', parentesco: 'MAE' }).error, undefined)
+})
+
+test('getAutorizacaoStatus considera revogacao, impedimento e validade', () => {
+  assert.equal(getAutorizacaoStatus(autorizacao(), NOW), 'ATIVA')
+  assert.equal(getAutorizacaoStatus(autorizacao({ revogadaEm: NOW }), NOW), 'REVOGADA')
+  assert.equal(getAutorizacaoStatus(autorizacao({ impedido: true }), NOW), 'IMPEDIDA')
+  assert.equal(getAutorizacaoStatus(autorizacao({ validoDe: new Date('2025-07-01') }), NOW), 'FUTURA')
+  assert.equal(getAutorizacaoStatus(autorizacao({ validoAte: new Date('2025-06-09T23:59:59Z') }), NOW), 'EXPIRADA')
+})
+
+test('checkRetirada libera apenas autorizacao em vigor e prioriza o impedimento', () => {
+  assert.equal(checkRetirada([autorizacao()], { documento: '12.345.678-9' }, NOW).autorizacao.id, 'a1')
+  assert.equal(checkRetirada([autorizacao()], { documento: '999999999' }, NOW).error, 'Pessoa não autorizada a retirar o aluno')
+  assert.equal(
+    checkRetirada([autorizacao({ validoAte: new Date('2025-06-01') })], { autorizacaoId: 'a1' }, NOW).error,
+    'Autorização expirada'
+  )
+
+  const impedido = checkRetirada(
+    [autorizacao(), autorizacao({ id: 'a2', impedido: true, restricoes: 'Ordem judicial 123' })],
+    { documento: '123456789' },
+    NOW
+  )
+  assert.equal(impedido.error, 'Pessoa impedida de retirar o aluno (Ordem judicial 123)')
+  assert.equal(impedido.autorizacao.id, 'a2')
+})
@@ -0,0 +1,115 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  normalizeAdministracaoInput,
+  normalizeFichaSaude,
+  normalizeVacinaInput,
+  resumoCritico,
+  vacinasPendentes,
+} from '../../utils/saude.js'
+
+test('normalizeFichaSaude valida alergias, medicamentos e plano de saude', () => {
+  const { data } = normalizeFichaSaude({
+    tipoSanguineo: 'o +',
+    alergias: [{ descricao: ' Amendoim ', gravidade: 'grave', conduta: 'Aplicar epinefrina' }],
+    medicamentos: [{ nome: 'Salbutamol', dose: '2 jatos', horarios: ['15:00', '09:00', '09:00'] }],
+    restricoesAlimentares: ['Sem lactose', 'sem lactose', ' '],
+    planoSaude: { operadora: 'Unimed', validade: '2026-12-31' },
+  })
+
+  assert.equal(data.tipoSanguineo, 'O+')
+  assert.deepEqual(data.alergias, [{ descricao: 'Amendoim', gravidade: 'GRAVE', reacao: null, conduta: 'Aplicar epinefrina' }])
+  assert.deepEqual(data.medicamentos[0].horarios, ['09:00', '15:00'])
+  assert.deepEqual(data.restricoesAlimentares, ['Sem lactose'])
+  assert.deepEqual(data.condicoes, [])
+  assert.deepEqual(data.planoSaude, { operadora: 'Unimed', numeroCarteirinha: null, validade: '2026-12-31' })
+
+  assert.match(normalizeFichaSaude({ alergias: [{ descricao: 'Leite' }] }).error, /^Alergia 1: gravidade inválida/)
+  assert.equal(
+    normalizeFichaSaude({ alergias: [{ descricao: 'Leite', gravidade: 'LEVE' }, { descricao: 'leite', gravidade: 'GRAVE' }] }).error,
+    'Alergia "leite" informada mais de uma vez'
+  )
+  assert.equal(
+    normalizeFichaSaude({ medicamentos: [{ nome: 'Dipirona', dose: '10 gotas', horarios: ['8h'] }] }).error,
+    'Medicamento 1: horários devem estar no formato HH:MM'
+  )
+  assert.match(normalizeFichaSaude({ tipoSanguineo: 'C+' }).error, /^Tipo sanguíneo inválido/)
+})
+
+test('resumoCritico ordena alergias graves primeiro e inclui alergias antigas sem ficha', () => {
+  const aluno = {
+    id: 'a1',
+    nome: 'Ana',
+    numeroMatricula: '1',
+    alergias: ['Leite', 'Amendoim', 'Poeira'],
+    responsaveis: [{ parentesco: 'MAE', responsavel: { nome: 'Maria', telefones: ['11999990000'] } }],
+  }
+  const ficha = {
+    alergias: [
+      { descricao: 'Leite', gravidade: 'LEVE' },
+      { descricao: 'Amendoim', gravidade: 'GRAVE' },
+    ],
+    medicamentos: [],
+    restricoesAlimentares: [],
+    condicoes: [],
+  }
+
+  const resumo = resumoCritico(aluno, ficha)
+  assert.deepEqual(resumo.alergias.map((a) => [a.descricao, a.gravidade]), [
+    ['Amendoim', 'GRAVE'],
+    ['Leite', 'LEVE'],
+    ['Poeira', null],
+  ])
+  assert.equal(resumo.alergiaGrave, true)
+  assert.deepEqual(resumo.contatos, [{ nome: 'Maria', parentesco: 'MAE', telefones: ['11999990000'] }])
+
+  const semFicha = resumoCritico({ ...aluno, alergias: [] }, null)
+  assert.equal(semFicha.possuiAlertas, false)
+})
+
+test('normalizeAdministracaoInput exige medicamento e dose e recusa horario futuro', () => {
+  const now = new Date('2025-03-10T12:00:00Z')
+  const { data } = normalizeAdministracaoInput({ medicamento: 'Dipirona', dose: '10 gotas' }, now)
+  assert.equal(data.administradoEm, now)
+
+  assert.equal(normalizeAdministracaoInput({ medicamento: 'Dipirona' }, now).error, 'Dose é obrigatória')
+  assert.equal(
+    normalizeAdministracaoInput({ medicamento: 'Dipirona', dose: '1', administradoEm: '2025-03-10T13:00:00Z' }, now).error,
+    'administradoEm não pode estar no futuro'
+  )
+})
+
+test('normalizeVacinaInput valida datas, inclusive contra a dose atual', () => {
+  const now = new Date('2025-03-10T12:00:00Z')
+  const { data } = normalizeVacinaInput({ nome: 'Tríplice viral', aplicadaEm: '2025-03-01', proximaDoseEm: '2025-09-01' }, { now })
+  assert.equal(data.aplicadaEm.toISOString(), '2025-03-01T00:00:00.000Z')
+  assert.equal(data.dose, null)
+
+  assert.equal(normalizeVacinaInput({ nome: 'BCG', aplicadaEm: '2025-04-01' }, { now }).error, 'aplicadaEm não pode estar no futuro')
+  assert.equal(
+    normalizeVacinaInput(
+      { proximaDoseEm: '2025-02-01' },
+      { parcial: true, atual: { aplicadaEm: new Date('2025-03-01T00:00:00Z') }, now }
+    ).error,
+    'proximaDoseEm deve ser posterior a aplicadaEm'
+  )
+})
+
+test('vacinasPendentes considera so a ultima dose de cada vacina', () => {
+  const now = new Date('2025-03-10T12:00:00Z')
+  const vacinas = [
+    { id: 'v1', alunoId: 'a1', nome: 'Tríplice viral', aplicadaEm: '2024-03-01', proximaDoseEm: '2025-01-01' },
+    { id: 'v2', alunoId: 'a1', nome: 'triplice viral', aplicadaEm: '2025-01-05', proximaDoseEm: null },
+    { id: 'v3', alunoId: 'a1', nome: 'Hepatite A', aplicadaEm: '2024-09-01', proximaDoseEm: '2025-03-01' },
+    { id: 'v4', alunoId: 'a2', nome: 'Hepatite A', aplicadaEm: '2024-09-01', proximaDoseEm: '2025-03-25' },
+    { id: 'v5', alunoId: 'a3', nome: 'Hepatite A', aplicadaEm: '2024-09-01', proximaDoseEm: '2025-06-01' },
+  ]
+
+  const pendentes = vacinasPendentes(vacinas, { now })
+  assert.deepEqual(pendentes.map((v) => [v.id, v.situacao]), [
+    ['v3', 'ATRASADA'],
+    ['v4', 'A_VENCER'],
+  ])
+  assert.equal(pendentes[1].diasRestantes, 15)
+})
@@ -0,0 +1,44 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  base32Decode,
+  base32Encode,
+  buildOtpAuthUri,
+  generateTotp,
+  generateTotpSecret,
+  verifyTotp,
+} from '../../utils/totp.js'
+
+// Segredo do apendice B da RFC 6238 ("12345678901234567890" em base32)
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'))
+
+test('generateTotp reproduz os vetores de teste da RFC 6238 (SHA1)', () => {
+  assert.equal(generateTotp(RFC_SECRET, 59 * 1000, 8), '94287082')
+  assert.equal(generateTotp(RFC_SECRET, 1111111109 * 1000, 8), '07081804')
+  assert.equal(generateTotp(RFC_SECRET, 1234567890 * 1000, 8), '89005924')
+  assert.equal(generateTotp(RFC_SECRET, 59 * 1000), '287082')
+})
+
+test('base32Decode desfaz base32Encode', () => {
+  const secret = generateTotpSecret()
+  assert.equal(base32Encode(base32Decode(secret)), secret)
+})
+
+test('verifyTotp aceita codigo do passo anterior e rejeita codigo antigo', () => {
+  const now = 1700000000 * 1000
+  const previous = generateTotp(RFC_SECRET, now - 30 * 1000)
+  const old = generateTotp(RFC_SECRET, now - 120 * 1000)
+
+  assert.equal(verifyTotp(RFC_SECRET, previous, { time: now }), Math.floor(now / 1000 / 30) - 1)
+  assert.equal(verifyTotp(RFC_SECRET, old, { time: now }), null)
+  assert.equal(verifyTotp(RFC_SECRET, 'abc123', { time: now }), null)
+})
+
+test('buildOtpAuthUri monta URI otpauth com emissor e conta', () => {
+  const uri = buildOtpAuthUri({ secret: 'JBSWY3DPEHPK3PXP', accountName: 'ana@test.com', issuer: 'RAJJ' })
+
+  assert.match(uri, /^otpauth:\/\/totp\/RAJJ:ana%40test\.com\?/)
+  assert.match(uri, /secret=JBSWY3DPEHPK3PXP/)
+  assert.match(uri, /issuer=RAJJ/)
+})
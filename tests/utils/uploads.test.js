@@ -0,0 +1,41 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import { signUploadPath, verifyUploadSignature } from '../../utils/uploads.js'
+
+const parseSignedUrl = (signedUrl) => {
+  const url = new URL(signedUrl, 'http://localhost')
+  return {
+    path: url.pathname,
+    expires: url.searchParams.get('expires'),
+    signature: url.searchParams.get('signature'),
+  }
+}
+
+test('signUploadPath gera link valido para o mesmo arquivo', () => {
+  const signed = parseSignedUrl(signUploadPath('/uploads/alunos/foto-1.png'))
+
+  assert.equal(signed.path, '/uploads/alunos/foto-1.png')
+  assert.equal(verifyUploadSignature(signed.path, signed.expires, signed.signature), true)
+})
+
+test('verifyUploadSignature rejeita assinatura de outro arquivo', () => {
+  const signed = parseSignedUrl(signUploadPath('/uploads/alunos/foto-1.png'))
+
+  assert.equal(
+    verifyUploadSignature('/uploads/alunos/doc-2.pdf', signed.expires, signed.signature),
+    false
+  )
+})
+
+test('verifyUploadSignature rejeita link expirado', () => {
+  const signed = parseSignedUrl(
+    signUploadPath('/uploads/alunos/foto-1.png', Date.now() - 60 * 60 * 1000)
+  )
+
+  assert.equal(verifyUploadSignature(signed.path, signed.expires, signed.signature), false)
+})
+
+test('signUploadPath retorna null sem caminho', () => {
+  assert.equal(signUploadPath(null), null)
+})
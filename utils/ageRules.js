@@ -0,0 +1,151 @@
+// utils/ageRules.js
+import prisma from './prisma.js'
+import { SEGMENTOS } from './turmas.js'
+
+// Faixa de idade de cada segmento, medida em meses completos na data de corte
+// do ano letivo da turma (padrao 31/03). Fora da faixa por ate toleranciaMeses
+// gera aviso e o cadastro segue; alem disso o cadastro e recusado. Segmento
+// sem regra (null) aceita qualquer idade. O admin sobrescreve pela
+// configuracao "turmas.regrasIdade".
+const AGE_RULES_KEY = 'turmas.regrasIdade'
+
+export const DEFAULT_AGE_RULES = {
+  dataCorte: '03-31', // MM-DD
+  segmentos: {
+    BERCARIO: { idadeMinMeses: 0, idadeMaxMeses: 23, toleranciaMeses: 3 },
+    MATERNAL: { idadeMinMeses: 24, idadeMaxMeses: 47, toleranciaMeses: 3 },
+    PRE_ESCOLAR: { idadeMinMeses: 48, idadeMaxMeses: 71, toleranciaMeses: 3 },
+    EXTRA_CLASSE: null,
+  },
+}
+
+const MAX_MESES = 240
+const DATA_CORTE_RE = /^(\d{2})-(\d{2})$/
+
+const parseDataCorte = (value) => {
+  const match = DATA_CORTE_RE.exec(String(value || ''))
+  if (!match) return null
+  const [mes, dia] = [Number(match[1]), Number(match[2])]
+  // 2001 nao e bissexto: 29/02 fica de fora de proposito
+  const data = new Date(Date.UTC(2001, mes - 1, dia))
+  return data.getUTCMonth() === mes - 1 && data.getUTCDate() === dia ? { mes, dia } : null
+}
+
+const normalizeSegmentRule = (segmento, input, base) => {
+  if (input === null) return { regra: null }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: `Regra do segmento ${segmento} inválida` }
+  }
+
+  const regra = { ...(base || { idadeMinMeses: 0, idadeMaxMeses: MAX_MESES, toleranciaMeses: 0 }) }
+  for (const campo of ['idadeMinMeses', 'idadeMaxMeses', 'toleranciaMeses']) {
+    if (input[campo] === undefined) continue
+    const value = Number(input[campo])
+    if (!Number.isInteger(value) || value < 0 || value > MAX_MESES) {
+      return { error: `${segmento}.${campo} deve ser um inteiro entre 0 e ${MAX_MESES}` }
+    }
+    regra[campo] = value
+  }
+
+  if (regra.idadeMinMeses > regra.idadeMaxMeses) {
+    return { error: `${segmento}: idadeMinMeses não pode ser maior que idadeMaxMeses` }
+  }
+  return { regra }
+}
+
+// Retorna { regras } com os campos enviados aplicados sobre "base", ou { error }
+export const normalizeAgeRules = (input, base = DEFAULT_AGE_RULES) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Regras de idade inválidas' }
+  }
+
+  const regras = { dataCorte: base.dataCorte, segmentos: { ...base.segmentos } }
+
+  if (input.dataCorte !== undefined) {
+    if (!parseDataCorte(input.dataCorte)) return { error: 'dataCorte deve estar no formato MM-DD' }
+    regras.dataCorte = input.dataCorte
+  }
+
+  if (input.segmentos !== undefined) {
+    if (!input.segmentos || typeof input.segmentos !== 'object' || Array.isArray(input.segmentos)) {
+      return { error: 'segmentos deve ser um objeto por segmento' }
+    }
+    for (const [segmento, valor] of Object.entries(input.segmentos)) {
+      if (!SEGMENTOS.includes(segmento)) return { error: `Segmento inválido: ${segmento}` }
+      const { regra, error } = normalizeSegmentRule(segmento, valor, regras.segmentos[segmento])
+      if (error) return { error }
+      regras.segmentos[segmento] = regra
+    }
+  }
+
+  return { regras }
+}
+
+export const getAgeRules = async () => {
+  const config = await prisma.configuracao.findUnique({
+    where: { chave: AGE_RULES_KEY },
+  })
+  const { regras } = normalizeAgeRules(config?.valor || {})
+  return regras || DEFAULT_AGE_RULES
+}
+
+export const setAgeRules = async (regras, userId) => {
+  const config = await prisma.configuracao.upsert({
+    where: { chave: AGE_RULES_KEY },
+    create: { chave: AGE_RULES_KEY, valor: regras, atualizadoPorId: userId },
+    update: { valor: regras, atualizadoPorId: userId },
+  })
+  return config.valor
+}
+
+export const referenceDate = (anoLetivo, regras) => {
+  const { mes, dia } = parseDataCorte(regras.dataCorte) || parseDataCorte(DEFAULT_AGE_RULES.dataCorte)
+  return new Date(Date.UTC(anoLetivo, mes - 1, dia))
+}
+
+// Meses completos entre o nascimento e a data de referencia
+export const ageInMonths = (dataNascimento, referencia) => {
+  const nascimento = new Date(dataNascimento)
+  const ref = new Date(referencia)
+  let meses =
+    (ref.getUTCFullYear() - nascimento.getUTCFullYear()) * 12 + (ref.getUTCMonth() - nascimento.getUTCMonth())
+  if (ref.getUTCDate() < nascimento.getUTCDate()) meses -= 1
+  return meses
+}
+
+export const formatAge = (meses) => {
+  const anos = Math.floor(meses / 12)
+  const resto = meses % 12
+  const partes = []
+  if (anos > 0) partes.push(`${anos} ${anos === 1 ? 'ano' : 'anos'}`)
+  if (resto > 0 || anos === 0) partes.push(`${resto} ${resto === 1 ? 'mês' : 'meses'}`)
+  return partes.join(' e ')
+}
+
+const formatDate = (date) => date.toISOString().slice(0, 10).split('-').reverse().join('/')
+
+// Retorna { nivel: 'OK' | 'AVISO' | 'ERRO', idadeMeses, dataReferencia, faixa, mensagem }.
+// "referencia" substitui a data de corte do ano letivo da turma (ex.: planejar o proximo ano).
+export const checkAgeEligibility = (dataNascimento, turma, regras, { referencia } = {}) => {
+  const dataReferencia = referencia ? new Date(referencia) : referenceDate(turma.anoLetivo, regras)
+  const faixa = regras.segmentos?.[turma.segmento] || null
+  let idadeMeses = ageInMonths(dataNascimento, dataReferencia)
+  // nascido depois da data de corte entra com 0 meses onde a faixa comeca do
+  // zero (bercario recebe bebes ao longo do ano)
+  if (idadeMeses < 0 && faixa?.idadeMinMeses === 0) idadeMeses = 0
+
+  const resultado = { nivel: 'OK', idadeMeses, dataReferencia, faixa, mensagem: null }
+  if (!faixa) return resultado
+
+  const abaixo = faixa.idadeMinMeses - idadeMeses
+  const acima = idadeMeses - faixa.idadeMaxMeses
+  const distancia = Math.max(abaixo, acima)
+  if (distancia <= 0) return resultado
+
+  resultado.nivel = distancia <= faixa.toleranciaMeses ? 'AVISO' : 'ERRO'
+  resultado.mensagem =
+    `Em ${formatDate(dataReferencia)} a criança terá ${formatAge(Math.max(idadeMeses, 0))}; ` +
+    `a turma ${turma.nome} (${turma.segmento}) é para ${formatAge(faixa.idadeMinMeses)} ` +
+    `a ${formatAge(faixa.idadeMaxMeses)}`
+  return resultado
+}
@@ -0,0 +1,153 @@
+// utils/apiKeys.js
+import crypto from 'crypto'
+import net from 'net'
+import prisma from './prisma.js'
+
+// Chaves de API para integracoes maquina-a-maquina. A chave completa
+// ("rajj_<prefixo>_<segredo>") so e exibida na criacao; no banco fica apenas o
+// SHA-256. Cada chave tem escopos "modulo:acao" e pode ter validade e lista de
+// IPs/faixas permitidos.
+export const API_KEY_MODULES = ['alunos', 'turmas', 'contas']
+export const API_KEY_ACTIONS = ['read', 'write']
+export const API_KEY_HEADER = 'x-api-key'
+
+const KEY_RE = /^rajj_([a-f0-9]{8})_[\w-]{43}$/
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex')
+
+export const apiKeySelect = {
+  id: true,
+  nome: true,
+  prefixo: true,
+  escopos: true,
+  ipsPermitidos: true,
+  expiraEm: true,
+  ultimoUsoEm: true,
+  ultimoUsoIp: true,
+  criadoPorId: true,
+  criadoEm: true,
+  revogadaEm: true,
+}
+
+export const getApiKeyStatus = (chave, now = new Date()) => {
+  if (chave.revogadaEm) return 'REVOGADA'
+  if (chave.expiraEm && new Date(chave.expiraEm).getTime() <= now.getTime()) return 'EXPIRADA'
+  return 'ATIVA'
+}
+
+// Retorna { escopos } ou { error }
+export const normalizeScopes = (value) => {
+  const list = Array.isArray(value) ? value : [value]
+  const escopos = [...new Set(list.map((item) => String(item || '').trim().toLowerCase()).filter(Boolean))]
+
+  if (escopos.length === 0) return { error: 'Informe ao menos um escopo' }
+
+  for (const escopo of escopos) {
+    const [modulo, acao, ...rest] = escopo.split(':')
+    if (!API_KEY_MODULES.includes(modulo) || !API_KEY_ACTIONS.includes(acao) || rest.length > 0) {
+      return { error: `Escopo invalido: ${escopo}` }
+    }
+  }
+
+  return { escopos }
+}
+
+const stripIpv4Mapping = (ip) => String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '')
+
+const parseIpEntry = (entry) => {
+  const [address, prefix, ...rest] = stripIpv4Mapping(entry).split('/')
+  const family = net.isIP(address)
+  if (!family || rest.length > 0) return null
+
+  if (prefix === undefined) return { address, family }
+
+  const bits = Number(prefix)
+  const maxBits = family === 4 ? 32 : 128
+  if (!/^\d+$/.test(prefix) || bits > maxBits) return null
+  return { address, family, bits }
+}
+
+// Retorna { ipsPermitidos } ou { error }
+export const normalizeIpAllowlist = (value) => {
+  if (value === undefined || value === null || value === '') return { ipsPermitidos: [] }
+
+  const list = (Array.isArray(value) ? value : String(value).split(','))
+    .map((item) => String(item || '').trim())
+    .filter(Boolean)
+
+  for (const entry of list) {
+    if (!parseIpEntry(entry)) return { error: `IP ou faixa invalida: ${entry}` }
+  }
+
+  return { ipsPermitidos: [...new Set(list)] }
+}
+
+export const isIpAllowed = (ipsPermitidos, ip) => {
+  if (!ipsPermitidos || ipsPermitidos.length === 0) return true
+
+  const address = stripIpv4Mapping(ip)
+  const family = net.isIP(address)
+  if (!family) return false
+
+  const blockList = new net.BlockList()
+  for (const entry of ipsPermitidos) {
+    const parsed = parseIpEntry(entry)
+    if (!parsed) continue
+    const type = parsed.family === 4 ? 'ipv4' : 'ipv6'
+    if (parsed.bits === undefined) blockList.addAddress(parsed.address, type)
+    else blockList.addSubnet(parsed.address, parsed.bits, type)
+  }
+
+  return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6')
+}
+
+export const createApiKey = async ({ nome, escopos, ipsPermitidos, expiraEm, criadoPorId }) => {
+  const prefixo = crypto.randomBytes(4).toString('hex')
+  const key = `rajj_${prefixo}_${crypto.randomBytes(32).toString('base64url')}`
+
+  const chave = await prisma.chaveApi.create({
+    data: {
+      nome,
+      prefixo,
+      keyHash: hashKey(key),
+      escopos,
+      ipsPermitidos,
+      expiraEm: expiraEm || null,
+      ultimoUsoEm: null,
+      ultimoUsoIp: null,
+      criadoPorId,
+      revogadaEm: null,
+    },
+    select: apiKeySelect,
+  })
+
+  return { chave, key }
+}
+
+// Retorna { chave } ou { error: 'invalid' | 'revoked' | 'expired' | 'ip' }
+export const authenticateApiKey = async (key, ip, now = new Date()) => {
+  if (!KEY_RE.test(String(key || ''))) return { error: 'invalid' }
+
+  const chave = await prisma.chaveApi.findUnique({ where: { keyHash: hashKey(key) } })
+  if (!chave) return { error: 'invalid' }
+
+  const status = getApiKeyStatus(chave, now)
+  if (status === 'REVOGADA') return { error: 'revoked', chave }
+  if (status === 'EXPIRADA') return { error: 'expired', chave }
+  if (!isIpAllowed(chave.ipsPermitidos, ip)) return { error: 'ip', chave }
+
+  await prisma.chaveApi.update({
+    where: { id: chave.id },
+    data: { ultimoUsoEm: now, ultimoUsoIp: ip || null },
+  })
+
+  return { chave }
+}
+
+export const revokeApiKey = async (id) => {
+  const result = await prisma.chaveApi.updateMany({
+    where: { id, revogadaEm: null },
+    data: { revogadaEm: new Date() },
+  })
+  return result.count
+}
@@ -0,0 +1,86 @@
+// utils/audit.js
+import prisma from './prisma.js'
+import logger from './logger.js'
+
+// Trilha de auditoria das mutacoes (alunos, turmas, contas e usuarios). Cada registro
+// guarda o ator, a entidade e apenas os campos que mudaram, no formato
+// { campo: { antes, depois } }. Segredos nunca entram no diff.
+export const AUDIT_ACTIONS = ['CRIAR', 'ATUALIZAR', 'EXCLUIR']
+
+const IGNORED_FIELDS = new Set([
+  'id',
+  'tokenVersion',
+  'mfaTotpSecret',
+  'mfaTotpPendente',
+  'mfaTotpUltimoPasso',
+  'mfaRecoveryCodes',
+  'senhasAnteriores',
+  'refreshTokenHash',
+  'atualizadoPorId',
+  'atualizadoEm',
+])
+
+// Campos sensiveis que mudaram aparecem so como marcacao
+const MASKED_FIELDS = new Set(['password'])
+
+const normalizeValue = (value) => {
+  if (value === undefined) return null
+  if (value instanceof Date) return value.toISOString()
+  return value
+}
+
+const isSameValue = (a, b) => JSON.stringify(normalizeValue(a)) === JSON.stringify(normalizeValue(b))
+
+export const diffChanges = (antes = {}, depois = {}) => {
+  const alteracoes = {}
+  const campos = new Set([...Object.keys(antes || {}), ...Object.keys(depois || {})])
+
+  for (const campo of campos) {
+    const valorAntes = antes?.[campo]
+    const valorDepois = depois?.[campo]
+
+    if (MASKED_FIELDS.has(campo)) {
+      if (!isSameValue(valorAntes, valorDepois)) {
+        alteracoes[campo] = { antes: '[oculto]', depois: '[alterado]' }
+      }
+      continue
+    }
+
+    if (IGNORED_FIELDS.has(campo) || isSameValue(valorAntes, valorDepois)) continue
+
+    alteracoes[campo] = {
+      antes: normalizeValue(valorAntes),
+      depois: normalizeValue(valorDepois),
+    }
+  }
+
+  return alteracoes
+}
+
+// Grava o registro sem interromper a requisicao: uma falha aqui vira log de erro
+export const recordAudit = async (req, { entidade, entidadeId, acao, antes = null, depois = null }) => {
+  const alteracoes = diffChanges(antes, depois)
+
+  // atualizacao que nao mudou nada nao gera registro
+  if (acao === 'ATUALIZAR' && Object.keys(alteracoes).length === 0) return null
+
+  try {
+    return await prisma.auditLog.create({
+      data: {
+        atorId: req.user?.id || null,
+        atorEmail: req.user?.email || null,
+        impersonadorId: req.user?.impersonatedBy?.id || null,
+        chaveApiId: req.user?.apiKey?.id || null,
+        entidade,
+        entidadeId: String(entidadeId),
+        acao,
+        alteracoes,
+        ip: req.ip || null,
+        requestId: req.id || null,
+      },
+    })
+  } catch (err) {
+    logger.error('Falha ao gravar auditoria', err, { entidade, entidadeId, acao })
+    return null
+  }
+}
@@ -0,0 +1,149 @@
+// utils/challenges.js
+import crypto from 'crypto'
+import prisma from './prisma.js'
+
+// Registros persistidos de redefinicao de senha, desafios MFA e logins OIDC.
+// Todos sao de uso unico: o consumo usa updateMany com o estado esperado
+// no filtro, entao duas requisicoes simultaneas nao consomem o mesmo registro.
+export const RESET_TOKEN_TTL_MINUTES = Number(process.env.RESET_TOKEN_TTL_MINUTES || 15)
+export const MFA_MAX_ATTEMPTS = Number(process.env.MFA_MAX_ATTEMPTS || 5)
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex')
+
+// ===== Redefinicao de senha =====
+
+export const createPasswordReset = async (user, req) => {
+  const now = new Date()
+
+  // um novo pedido invalida os links enviados antes
+  await prisma.resetSenha.updateMany({
+    where: { userId: user.id, consumidoEm: null, invalidadoEm: null },
+    data: { invalidadoEm: now },
+  })
+
+  const token = crypto.randomBytes(32).toString('base64url')
+  await prisma.resetSenha.create({
+    data: {
+      userId: user.id,
+      tokenHash: hashToken(token),
+      ip: req.ip || null,
+      expiraEm: new Date(now.getTime() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+      consumidoEm: null,
+      invalidadoEm: null,
+    },
+  })
+
+  return token
+}
+
+// Valida o link sem consumi-lo (a nova senha ainda pode ser recusada pela politica).
+// Retorna { reset } ou { error: 'invalid' | 'expired' | 'used' }
+export const findPasswordReset = async (token) => {
+  const reset = await prisma.resetSenha.findUnique({ where: { tokenHash: hashToken(token) } })
+
+  if (!reset) return { error: 'invalid' }
+  if (reset.consumidoEm || reset.invalidadoEm) return { error: 'used' }
+  if (reset.expiraEm.getTime() <= Date.now()) return { error: 'expired' }
+  return { reset }
+}
+
+// Retorna { userId } ou { error: 'invalid' | 'expired' | 'used' }
+export const consumePasswordReset = async (token) => {
+  const { reset, error } = await findPasswordReset(token)
+  if (error) return { error }
+
+  const result = await prisma.resetSenha.updateMany({
+    where: { id: reset.id, consumidoEm: null, invalidadoEm: null },
+    data: { consumidoEm: new Date() },
+  })
+
+  if (result.count === 0) return { error: 'used' }
+  return { userId: reset.userId }
+}
+
+// ===== Desafios MFA =====
+
+export const createMfaChallenge = (user, { metodo, codeHash = null, ttlMinutes }) =>
+  prisma.desafioMfa.create({
+    data: {
+      userId: user.id,
+      metodo,
+      codeHash,
+      tentativas: 0,
+      expiraEm: new Date(Date.now() + ttlMinutes * 60 * 1000),
+      consumidoEm: null,
+      bloqueadoEm: null,
+    },
+  })
+
+// Retorna { challenge } ou { error: 'invalid' | 'expired' | 'used' | 'locked' }
+export const findActiveMfaChallenge = async (challengeId, userId) => {
+  const challenge = await prisma.desafioMfa.findUnique({ where: { id: challengeId } })
+
+  if (!challenge || challenge.userId !== userId) return { error: 'invalid' }
+  if (challenge.consumidoEm) return { error: 'used' }
+  if (challenge.bloqueadoEm) return { error: 'locked' }
+  if (challenge.expiraEm.getTime() <= Date.now()) return { error: 'expired' }
+
+  return { challenge }
+}
+
+// Conta um codigo errado e bloqueia o desafio ao atingir MFA_MAX_ATTEMPTS
+export const registerFailedMfaAttempt = async (challenge) => {
+  const updated = await prisma.desafioMfa.update({
+    where: { id: challenge.id },
+    data: { tentativas: { increment: 1 } },
+  })
+
+  if (updated.tentativas >= MFA_MAX_ATTEMPTS) {
+    await prisma.desafioMfa.update({
+      where: { id: challenge.id },
+      data: { bloqueadoEm: new Date() },
+    })
+    return { locked: true, attemptsRemaining: 0 }
+  }
+
+  return { locked: false, attemptsRemaining: MFA_MAX_ATTEMPTS - updated.tentativas }
+}
+
+export const consumeMfaChallenge = async (challenge) => {
+  const result = await prisma.desafioMfa.updateMany({
+    where: { id: challenge.id, consumidoEm: null, bloqueadoEm: null },
+    data: { consumidoEm: new Date() },
+  })
+  return result.count === 1
+}
+
+// ===== Login OIDC =====
+
+// state, nonce e code_verifier de um login iniciado no provedor de identidade
+export const OIDC_LOGIN_TTL_MINUTES = Number(process.env.OIDC_LOGIN_TTL_MINUTES || 10)
+
+export const createOidcLogin = ({ state, nonce, codeVerifier }, req) =>
+  prisma.loginOidc.create({
+    data: {
+      stateHash: hashToken(state),
+      nonce,
+      codeVerifier,
+      ip: req.ip || null,
+      expiraEm: new Date(Date.now() + OIDC_LOGIN_TTL_MINUTES * 60 * 1000),
+      consumidoEm: null,
+    },
+  })
+
+// Retorna { nonce, codeVerifier } ou { error: 'invalid' | 'expired' | 'used' }
+export const consumeOidcLogin = async (state) => {
+  const login = await prisma.loginOidc.findUnique({ where: { stateHash: hashToken(state) } })
+
+  if (!login) return { error: 'invalid' }
+  if (login.consumidoEm) return { error: 'used' }
+  if (login.expiraEm.getTime() <= Date.now()) return { error: 'expired' }
+
+  const result = await prisma.loginOidc.updateMany({
+    where: { id: login.id, consumidoEm: null },
+    data: { consumidoEm: new Date() },
+  })
+
+  if (result.count === 0) return { error: 'used' }
+  return { nonce: login.nonce, codeVerifier: login.codeVerifier }
+}
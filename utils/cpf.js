@@ -0,0 +1,21 @@
+// utils/cpf.js
+
+// CPF com os dois digitos verificadores (aceita pontuacao)
+export const validarCPF = (rawCpf) => {
+  const cpf = String(rawCpf || '').replace(/\D/g, '')
+  if (!cpf || cpf.length !== 11) return false
+
+  // rejeita 00000000000, 11111111111 etc.
+  if (/^(\d)\1{10}$/.test(cpf)) return false
+
+  const digito = (tamanho) => {
+    let soma = 0
+    for (let i = 1; i <= tamanho; i++) {
+      soma += parseInt(cpf.substring(i - 1, i), 10) * (tamanho + 2 - i)
+    }
+    const resto = (soma * 10) % 11
+    return resto === 10 || resto === 11 ? 0 : resto
+  }
+
+  return digito(9) === parseInt(cpf[9], 10) && digito(10) === parseInt(cpf[10], 10)
+}
@@ -0,0 +1,252 @@
+// utils/diario.js
+import he from 'he'
+import mailer from './mailer.js'
+import logger from './logger.js'
+
+// Agenda (diario) da crianca: registros do dia por tipo, feitos pelos
+// professores, e o resumo do dia enviado por e-mail aos responsaveis.
+// Os campos de cada tipo ficam em "detalhes".
+export const TIPOS_REGISTRO_DIARIO = ['ALIMENTACAO', 'SONO', 'HIGIENE', 'ATIVIDADE', 'OBSERVACAO']
+export const REFEICOES = ['CAFE_DA_MANHA', 'LANCHE_MANHA', 'ALMOCO', 'LANCHE_TARDE', 'JANTAR', 'MAMADEIRA']
+export const ACEITACOES = ['TUDO', 'MAIS_DA_METADE', 'METADE', 'POUCO', 'RECUSOU']
+export const TIPOS_HIGIENE = ['FRALDA', 'BANHEIRO', 'BANHO', 'ESCOVACAO']
+export const EVACUACOES = ['XIXI', 'COCO', 'XIXI_E_COCO', 'SECA']
+export const HUMORES = ['ALEGRE', 'CALMO', 'AGITADO', 'CHOROSO', 'SONOLENTO', 'INDISPOSTO']
+
+const isNonEmptyString = (s) => typeof s === 'string' && s.trim().length > 0
+const HORA_RE = /^([01]\d|2[0-3]):[0-5]\d$/
+const MAX_TEXTO_LEN = 500
+const MAX_ML = 1000
+
+const ROTULOS = {
+  CAFE_DA_MANHA: 'Café da manhã',
+  LANCHE_MANHA: 'Lanche da manhã',
+  ALMOCO: 'Almoço',
+  LANCHE_TARDE: 'Lanche da tarde',
+  JANTAR: 'Jantar',
+  MAMADEIRA: 'Mamadeira',
+  TUDO: 'comeu tudo',
+  MAIS_DA_METADE: 'comeu mais da metade',
+  METADE: 'comeu metade',
+  POUCO: 'comeu pouco',
+  RECUSOU: 'recusou',
+  FRALDA: 'Troca de fralda',
+  BANHEIRO: 'Banheiro',
+  BANHO: 'Banho',
+  ESCOVACAO: 'Escovação',
+  XIXI: 'xixi',
+  COCO: 'cocô',
+  XIXI_E_COCO: 'xixi e cocô',
+  SECA: 'seca',
+  ALEGRE: 'Alegre',
+  CALMO: 'Calmo',
+  AGITADO: 'Agitado',
+  CHOROSO: 'Choroso',
+  SONOLENTO: 'Sonolento',
+  INDISPOSTO: 'Indisposto',
+}
+
+const minutos = (hora) => Number(hora.slice(0, 2)) * 60 + Number(hora.slice(3, 5))
+
+const parseEnum = (value, valores, campo, { obrigatorio = false } = {}) => {
+  if (!isNonEmptyString(value)) {
+    return obrigatorio ? { error: `${campo} é obrigatório (${valores.join('/')})` } : { valor: null }
+  }
+  const valor = value.trim().toUpperCase()
+  if (!valores.includes(valor)) return { error: `${campo} inválido (${valores.join('/')})` }
+  return { valor }
+}
+
+const parseHora = (value, campo) => {
+  if (value === undefined || value === null || value === '') return { valor: null }
+  if (!HORA_RE.test(String(value))) return { error: `${campo} deve estar no formato HH:MM` }
+  return { valor: String(value) }
+}
+
+// Retorna { detalhes } com os campos do tipo, ou { error }
+const normalizeDetalhes = (tipo, input) => {
+  if (tipo === 'ALIMENTACAO') {
+    const refeicao = parseEnum(input.refeicao, REFEICOES, 'Refeição', { obrigatorio: true })
+    if (refeicao.error) return refeicao
+    const aceitacao = parseEnum(input.aceitacao, ACEITACOES, 'Aceitação')
+    if (aceitacao.error) return aceitacao
+
+    let quantidadeMl = null
+    if (input.quantidadeMl !== undefined && input.quantidadeMl !== null && input.quantidadeMl !== '') {
+      quantidadeMl = Number(input.quantidadeMl)
+      if (!Number.isInteger(quantidadeMl) || quantidadeMl <= 0 || quantidadeMl > MAX_ML) {
+        return { error: `quantidadeMl deve ser um inteiro entre 1 e ${MAX_ML}` }
+      }
+    }
+    return { detalhes: { refeicao: refeicao.valor, aceitacao: aceitacao.valor, quantidadeMl } }
+  }
+
+  if (tipo === 'SONO') {
+    const inicio = parseHora(input.inicio, 'inicio')
+    if (inicio.error) return inicio
+    if (!inicio.valor) return { error: 'Início do sono é obrigatório' }
+    const fim = parseHora(input.fim, 'fim')
+    if (fim.error) return fim
+    if (fim.valor && minutos(fim.valor) <= minutos(inicio.valor)) {
+      return { error: 'Fim do sono deve ser posterior ao início' }
+    }
+    return {
+      detalhes: {
+        inicio: inicio.valor,
+        fim: fim.valor,
+        duracaoMinutos: fim.valor ? minutos(fim.valor) - minutos(inicio.valor) : null,
+      },
+    }
+  }
+
+  if (tipo === 'HIGIENE') {
+    const tipoHigiene = parseEnum(input.tipoHigiene, TIPOS_HIGIENE, 'Tipo de higiene', { obrigatorio: true })
+    if (tipoHigiene.error) return tipoHigiene
+    const evacuacao = parseEnum(input.evacuacao, EVACUACOES, 'Evacuação')
+    if (evacuacao.error) return evacuacao
+    return { detalhes: { tipoHigiene: tipoHigiene.valor, evacuacao: evacuacao.valor } }
+  }
+
+  if (tipo === 'OBSERVACAO') {
+    const humor = parseEnum(input.humor, HUMORES, 'Humor')
+    if (humor.error) return humor
+    return { detalhes: { humor: humor.valor } }
+  }
+
+  return { detalhes: {} }
+}
+
+// Retorna { data } com tipo, hora, detalhes e descricao validados, ou { error }.
+// Em atualizacoes o registro atual e mesclado com os campos enviados.
+export const normalizeRegistroDiario = (input, atual = null) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'Registro inválido' }
+
+  const merged = atual ? { tipo: atual.tipo, hora: atual.hora, descricao: atual.descricao, ...atual.detalhes, ...input } : input
+
+  const tipo = parseEnum(merged.tipo, TIPOS_REGISTRO_DIARIO, 'Tipo', { obrigatorio: true })
+  if (tipo.error) return { error: tipo.error }
+  if (atual && tipo.valor !== atual.tipo) return { error: 'O tipo do registro não pode ser alterado' }
+
+  const hora = parseHora(merged.hora, 'hora')
+  if (hora.error) return { error: hora.error }
+
+  const descricao = isNonEmptyString(merged.descricao) ? merged.descricao.trim() : null
+  if (descricao && descricao.length > MAX_TEXTO_LEN) {
+    return { error: `Descrição deve ter no máximo ${MAX_TEXTO_LEN} caracteres` }
+  }
+
+  const { detalhes, error } = normalizeDetalhes(tipo.valor, merged)
+  if (error) return { error }
+
+  if (tipo.valor === 'ATIVIDADE' && !descricao) return { error: 'Descrição da atividade é obrigatória' }
+  if (tipo.valor === 'OBSERVACAO' && !descricao && !detalhes.humor) {
+    return { error: 'Informe a descrição ou o humor' }
+  }
+
+  return {
+    data: {
+      tipo: tipo.valor,
+      // no sono a hora do registro e sempre o inicio
+      hora: tipo.valor === 'SONO' ? detalhes.inicio : hora.valor,
+      detalhes,
+      descricao,
+    },
+  }
+}
+
+const ordenarPorHora = (registros) =>
+  [...registros].sort((a, b) => String(a.hora || '99:99').localeCompare(String(b.hora || '99:99')))
+
+// Resumo do dia de um aluno a partir dos registros
+export const resumoDiario = (registros) => {
+  const doTipo = (tipo) => ordenarPorHora(registros.filter((r) => r.tipo === tipo))
+
+  const sonos = doTipo('SONO')
+  const higiene = doTipo('HIGIENE')
+  const humores = doTipo('OBSERVACAO').filter((r) => r.detalhes?.humor)
+
+  return {
+    total: registros.length,
+    refeicoes: doTipo('ALIMENTACAO').map((r) => ({ hora: r.hora, ...r.detalhes, descricao: r.descricao })),
+    sono: {
+      cochilos: sonos.length,
+      totalMinutos: sonos.reduce((total, r) => total + (r.detalhes?.duracaoMinutos || 0), 0),
+      periodos: sonos.map((r) => ({ inicio: r.detalhes?.inicio, fim: r.detalhes?.fim })),
+    },
+    higiene: {
+      total: higiene.length,
+      trocasFralda: higiene.filter((r) => r.detalhes?.tipoHigiene === 'FRALDA').length,
+      evacuacoes: higiene.filter((r) => ['COCO', 'XIXI_E_COCO'].includes(r.detalhes?.evacuacao)).length,
+    },
+    atividades: doTipo('ATIVIDADE').map((r) => ({ hora: r.hora, descricao: r.descricao })),
+    observacoes: doTipo('OBSERVACAO')
+      .filter((r) => r.descricao)
+      .map((r) => ({ hora: r.hora, descricao: r.descricao })),
+    // ultimo humor registrado no dia
+    humor: humores.length ? humores[humores.length - 1].detalhes.humor : null,
+  }
+}
+
+const formatDuracao = (totalMinutos) => {
+  const horas = Math.floor(totalMinutos / 60)
+  const resto = totalMinutos % 60
+  return horas ? `${horas}h${resto ? String(resto).padStart(2, '0') : ''}` : `${resto} min`
+}
+
+const linha = (hora, texto) => `<li>${hora ? `${he.encode(hora)} - ` : ''}${he.encode(texto)}</li>`
+
+const secao = (titulo, itens) => (itens.length ? `<p><strong>${titulo}</strong></p><ul>${itens.join('')}</ul>` : '')
+
+// dia: "AAAA-MM-DD"
+export const renderResumoDiarioHtml = (aluno, dia, resumo) => {
+  const [ano, mes, diaMes] = dia.split('-')
+
+  const refeicoes = resumo.refeicoes.map((r) => {
+    const partes = [ROTULOS[r.refeicao], r.aceitacao && ROTULOS[r.aceitacao], r.quantidadeMl && `${r.quantidadeMl} ml`]
+    return linha(r.hora, [partes.filter(Boolean).join(': '), r.descricao].filter(Boolean).join(' - '))
+  })
+  const sono = resumo.sono.periodos.map((p) => linha(null, p.fim ? `${p.inicio} às ${p.fim}` : `a partir de ${p.inicio}`))
+  const higiene = []
+  if (resumo.higiene.trocasFralda) higiene.push(linha(null, `Trocas de fralda: ${resumo.higiene.trocasFralda}`))
+  if (resumo.higiene.evacuacoes) higiene.push(linha(null, `Evacuações: ${resumo.higiene.evacuacoes}`))
+  const atividades = resumo.atividades.map((a) => linha(a.hora, a.descricao))
+  const observacoes = resumo.observacoes.map((o) => linha(o.hora, o.descricao))
+
+  return `
+      <p>Olá!</p>
+      <p>Este é o resumo do dia ${diaMes}/${mes}/${ano} de ${he.encode(aluno.nome || '')}.</p>
+      ${resumo.humor ? `<p>Humor: ${he.encode(ROTULOS[resumo.humor])}</p>` : ''}
+      ${secao('Alimentação', refeicoes)}
+      ${secao(`Sono${resumo.sono.totalMinutos ? ` (${formatDuracao(resumo.sono.totalMinutos)})` : ''}`, sono)}
+      ${secao('Higiene', higiene)}
+      ${secao('Atividades', atividades)}
+      ${secao('Recados da escola', observacoes)}
+      <p>Qualquer dúvida, fale com a escola.</p>
+    `
+}
+
+// Envia o resumo do dia para cada e-mail; falhas de um destinatario nao
+// impedem os demais. Retorna { enviados, falhas } com os e-mails.
+export const sendResumoDiario = async (aluno, dia, resumo, emails) => {
+  const [ano, mes, diaMes] = dia.split('-')
+  const html = renderResumoDiarioHtml(aluno, dia, resumo)
+  const enviados = []
+  const falhas = []
+
+  for (const email of emails) {
+    try {
+      await mailer.sendMail({
+        from: process.env.SMTP_FROM || process.env.SMTP_USER,
+        to: email,
+        subject: `Agenda de ${aluno.nome} - ${diaMes}/${mes}/${ano} - RAJJ`,
+        html,
+      })
+      enviados.push(email)
+    } catch (mailError) {
+      logger.error('Falha ao enviar resumo do dia', mailError, { alunoId: aluno.id, email })
+      falhas.push(email)
+    }
+  }
+
+  return { enviados, falhas }
+}
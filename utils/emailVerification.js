@@ -0,0 +1,86 @@
+// utils/emailVerification.js
+import crypto from 'crypto'
+import he from 'he'
+import prisma from './prisma.js'
+import mailer from './mailer.js'
+
+// Confirmacao de posse do e-mail. Vale para o cadastro (emailVerificadoEm) e
+// para trocas de e-mail: o novo endereco fica em emailPendente e so passa a
+// valer quando o link enviado para ele e aberto.
+export const EMAIL_VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS || 24)
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex')
+
+const createEmailVerification = async (user, email) => {
+  const now = new Date()
+
+  // um novo link invalida os enviados antes
+  await prisma.verificacaoEmail.updateMany({
+    where: { userId: user.id, consumidoEm: null, invalidadoEm: null },
+    data: { invalidadoEm: now },
+  })
+
+  const token = crypto.randomBytes(32).toString('base64url')
+  await prisma.verificacaoEmail.create({
+    data: {
+      userId: user.id,
+      email,
+      tokenHash: hashToken(token),
+      expiraEm: new Date(now.getTime() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000),
+      consumidoEm: null,
+      invalidadoEm: null,
+    },
+  })
+
+  return token
+}
+
+// Gera o link e envia para o endereco a confirmar (o atual ou o pendente)
+export const sendEmailVerification = async (user, email = user.email) => {
+  const token = await createEmailVerification(user, email)
+  const appUrl = process.env.APP_URL || 'http://localhost:3000'
+  const verifyLink = `${appUrl}/login.html?verificarEmail=${encodeURIComponent(token)}`
+
+  const safeName = he.encode(user.name || '')
+  const safeVerifyLink = he.encode(verifyLink)
+
+  await mailer.sendMail({
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    to: email,
+    subject: 'Confirme seu e-mail - RAJJ',
+    html: `
+      <p>Ola, ${safeName}!</p>
+      <p>Confirme que este endereco pertence a voce clicando no link abaixo (valido por ${EMAIL_VERIFICATION_TTL_HOURS} horas):</p>
+      <p><a href="${safeVerifyLink}">${safeVerifyLink}</a></p>
+      <p>Se voce nao reconhece esta solicitacao, ignore este e-mail.</p>
+    `,
+  })
+}
+
+// Retorna { userId, email } ou { error: 'invalid' | 'used' | 'expired' }
+export const consumeEmailVerification = async (token) => {
+  const verificacao = await prisma.verificacaoEmail.findUnique({
+    where: { tokenHash: hashToken(token) },
+  })
+
+  if (!verificacao) return { error: 'invalid' }
+  if (verificacao.consumidoEm || verificacao.invalidadoEm) return { error: 'used' }
+  if (verificacao.expiraEm.getTime() <= Date.now()) return { error: 'expired' }
+
+  const result = await prisma.verificacaoEmail.updateMany({
+    where: { id: verificacao.id, consumidoEm: null, invalidadoEm: null },
+    data: { consumidoEm: new Date() },
+  })
+
+  if (result.count === 0) return { error: 'used' }
+  return { userId: verificacao.userId, email: verificacao.email }
+}
+
+// Um novo e-mail (pendente ou definitivo) nao pode pertencer a outra conta
+export const isEmailInUse = async (email, userId) => {
+  const owner = await prisma.Cluster0.findFirst({
+    where: { OR: [{ email }, { emailPendente: email }] },
+    select: { id: true },
+  })
+  return Boolean(owner && owner.id !== userId)
+}
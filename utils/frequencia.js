@@ -0,0 +1,151 @@
+// utils/frequencia.js
+import prisma from './prisma.js'
+
+// Frequencia diaria: um registro por aluno e dia letivo, com a turma em que o
+// aluno estava naquele dia. Dias sem registro nao contam no percentual.
+export const STATUS_FREQUENCIA = ['PRESENTE', 'FALTA', 'FALTA_JUSTIFICADA']
+
+// Alerta quando as faltas do mes passam do percentual configurado; faltas
+// justificadas so contam se contarJustificadas. O admin sobrescreve pela
+// configuracao "frequencia.alertas".
+const REGRAS_KEY = 'frequencia.alertas'
+
+export const DEFAULT_REGRAS_FREQUENCIA = {
+  percentualMaximoFaltas: 25,
+  contarJustificadas: false,
+}
+
+const DIA_RE = /^\d{4}-\d{2}-\d{2}$/
+const MES_RE = /^(\d{4})-(\d{2})$/
+const HORA_RE = /^([01]\d|2[0-3]):[0-5]\d$/
+
+// "AAAA-MM-DD" -> meia-noite UTC do dia (ou null)
+export const parseDia = (value) => {
+  if (!DIA_RE.test(String(value || ''))) return null
+  const dia = new Date(`${value}T00:00:00.000Z`)
+  return Number.isNaN(dia.getTime()) || dia.toISOString().slice(0, 10) !== value ? null : dia
+}
+
+// "AAAA-MM" -> { inicio, fim } do mes em UTC (fim exclusivo), ou null
+export const parseMes = (value) => {
+  const match = MES_RE.exec(String(value || ''))
+  if (!match) return null
+  const [ano, mes] = [Number(match[1]), Number(match[2])]
+  if (mes < 1 || mes > 12) return null
+  return { inicio: new Date(Date.UTC(ano, mes - 1, 1)), fim: new Date(Date.UTC(ano, mes, 1)) }
+}
+
+export const isHora = (value) => HORA_RE.test(String(value || ''))
+
+// Hora local "HH:MM" de um registro de entrada/saida da portaria
+export const formatHora = (date) => {
+  const d = new Date(date)
+  return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`
+}
+
+// Retorna { data } com status, horarios e justificativa validados, ou { error }
+export const normalizeRegistroFrequencia = (input, { parcial = false } = {}) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'Registro de frequência inválido' }
+
+  const data = {}
+  const has = (campo) => input[campo] !== undefined
+
+  if (!parcial || has('status')) {
+    const status = String(input.status || '').trim().toUpperCase()
+    if (!STATUS_FREQUENCIA.includes(status)) {
+      return { error: `Status inválido (${STATUS_FREQUENCIA.join('/')})` }
+    }
+    data.status = status
+  }
+
+  for (const campo of ['horaChegada', 'horaSaida']) {
+    if (!has(campo)) continue
+    if (input[campo] === null || input[campo] === '') {
+      data[campo] = null
+      continue
+    }
+    if (!isHora(input[campo])) return { error: `${campo} deve estar no formato HH:MM` }
+    data[campo] = input[campo]
+  }
+
+  if (has('justificativa')) {
+    const texto = typeof input.justificativa === 'string' ? input.justificativa.trim() : ''
+    if (texto.length > 500) return { error: 'Justificativa deve ter no máximo 500 caracteres' }
+    data.justificativa = texto || null
+  }
+
+  // falta nao tem horario
+  if (data.status && data.status !== 'PRESENTE') {
+    data.horaChegada = null
+    data.horaSaida = null
+  }
+
+  return { data }
+}
+
+// Retorna { regras } com os campos enviados aplicados sobre "base", ou { error }
+export const normalizeRegrasFrequencia = (input, base = DEFAULT_REGRAS_FREQUENCIA) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Regras de frequência inválidas' }
+  }
+
+  const regras = { ...base }
+
+  if (input.percentualMaximoFaltas !== undefined) {
+    const value = Number(input.percentualMaximoFaltas)
+    if (!Number.isFinite(value) || value < 0 || value > 100) {
+      return { error: 'percentualMaximoFaltas deve ser um número entre 0 e 100' }
+    }
+    regras.percentualMaximoFaltas = value
+  }
+
+  if (input.contarJustificadas !== undefined) {
+    if (typeof input.contarJustificadas !== 'boolean') {
+      return { error: 'contarJustificadas deve ser verdadeiro ou falso' }
+    }
+    regras.contarJustificadas = input.contarJustificadas
+  }
+
+  return { regras }
+}
+
+export const getRegrasFrequencia = async () => {
+  const config = await prisma.configuracao.findUnique({
+    where: { chave: REGRAS_KEY },
+  })
+  const { regras } = normalizeRegrasFrequencia(config?.valor || {})
+  return regras || DEFAULT_REGRAS_FREQUENCIA
+}
+
+export const setRegrasFrequencia = async (regras, userId) => {
+  const config = await prisma.configuracao.upsert({
+    where: { chave: REGRAS_KEY },
+    create: { chave: REGRAS_KEY, valor: regras, atualizadoPorId: userId },
+    update: { valor: regras, atualizadoPorId: userId },
+  })
+  return config.valor
+}
+
+const arredondar = (value) => Math.round(value * 10) / 10
+
+// Totais e percentuais de um conjunto de registros (ex.: um aluno no mes)
+export const resumoFrequencia = (registros, regras = DEFAULT_REGRAS_FREQUENCIA) => {
+  const dias = registros.length
+  const presencas = registros.filter((r) => r.status === 'PRESENTE').length
+  const faltas = registros.filter((r) => r.status === 'FALTA').length
+  const faltasJustificadas = registros.filter((r) => r.status === 'FALTA_JUSTIFICADA').length
+
+  const faltasContadas = faltas + (regras.contarJustificadas ? faltasJustificadas : 0)
+  const percentualPresenca = dias > 0 ? arredondar((presencas / dias) * 100) : null
+  const percentualFaltas = dias > 0 ? arredondar((faltasContadas / dias) * 100) : null
+
+  return {
+    dias,
+    presencas,
+    faltas,
+    faltasJustificadas,
+    percentualPresenca,
+    percentualFaltas,
+    alerta: percentualFaltas !== null && percentualFaltas > regras.percentualMaximoFaltas,
+  }
+}
@@ -0,0 +1,33 @@
+// utils/impersonation.js
+import jwt from 'jsonwebtoken'
+import { DEFAULT_ROLE } from './permissions.js'
+
+// Acesso de suporte "como outro usuario". O token tem curta duracao, nao abre
+// sessao (nao ha refresh) e carrega as duas identidades: id/email/role sao do
+// usuario personificado e `imp` e o admin que esta de fato operando.
+export const IMPERSONATION_TTL_MINUTES = Number(process.env.IMPERSONATION_TTL_MINUTES || 15)
+
+export const issueImpersonationToken = (admin, target) => {
+  const token = jwt.sign(
+    {
+      id: target.id,
+      email: target.email,
+      role: target.role || DEFAULT_ROLE,
+      tv: target.tokenVersion || 0,
+      imp: {
+        id: admin.id,
+        email: admin.email,
+        tv: admin.tokenVersion || 0,
+      },
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: `${IMPERSONATION_TTL_MINUTES}m` }
+  )
+
+  return {
+    token,
+    expiraEm: new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000),
+  }
+}
+
+export const isImpersonating = (req) => Boolean(req.user?.impersonatedBy)
@@ -0,0 +1,100 @@
+// utils/invites.js
+import crypto from 'crypto'
+import prisma from './prisma.js'
+
+// Convites de cadastro da equipe. O admin informa e-mail e perfil; o link
+// enviado carrega um token opaco (no banco fica apenas o hash SHA-256) e so
+// pode ser usado uma vez, ate expirar ou ser revogado.
+export const INVITE_TTL_HOURS = Number(process.env.INVITE_TTL_HOURS || 72)
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex')
+
+export const inviteSelect = {
+  id: true,
+  email: true,
+  role: true,
+  criadoPorId: true,
+  criadoEm: true,
+  expiraEm: true,
+  aceitoEm: true,
+  aceitoPorId: true,
+  revogadoEm: true,
+}
+
+// Cadastro aberto (sem convite) so pode ser ligado fora de producao
+export const isOpenSignupEnabled = () =>
+  process.env.ALLOW_OPEN_SIGNUP === 'true' && process.env.NODE_ENV !== 'production'
+
+export const getInviteStatus = (convite, now = new Date()) => {
+  if (convite.aceitoEm) return 'ACEITO'
+  if (convite.revogadoEm) return 'REVOGADO'
+  if (new Date(convite.expiraEm).getTime() <= now.getTime()) return 'EXPIRADO'
+  return 'PENDENTE'
+}
+
+export const createInvite = async ({ email, role, criadoPorId }) => {
+  const now = new Date()
+
+  // um novo convite para o mesmo e-mail substitui os pendentes
+  await prisma.convite.updateMany({
+    where: { email, aceitoEm: null, revogadoEm: null },
+    data: { revogadoEm: now },
+  })
+
+  const token = crypto.randomBytes(32).toString('base64url')
+  const convite = await prisma.convite.create({
+    data: {
+      email,
+      role,
+      tokenHash: hashToken(token),
+      criadoPorId,
+      expiraEm: new Date(now.getTime() + INVITE_TTL_HOURS * 60 * 60 * 1000),
+      aceitoEm: null,
+      aceitoPorId: null,
+      revogadoEm: null,
+    },
+    select: inviteSelect,
+  })
+
+  return { convite, token }
+}
+
+// Retorna { convite } ou { error: 'invalid' | 'used' | 'revoked' | 'expired' }
+export const findPendingInvite = async (token) => {
+  const convite = await prisma.convite.findUnique({ where: { tokenHash: hashToken(token) } })
+  if (!convite) return { error: 'invalid' }
+
+  const status = getInviteStatus(convite)
+  if (status === 'ACEITO') return { error: 'used' }
+  if (status === 'REVOGADO') return { error: 'revoked' }
+  if (status === 'EXPIRADO') return { error: 'expired' }
+
+  return { convite }
+}
+
+// Reserva o convite antes de criar o usuario; false se outra requisicao ja o usou
+export const acceptInvite = async (convite) => {
+  const result = await prisma.convite.updateMany({
+    where: { id: convite.id, aceitoEm: null, revogadoEm: null },
+    data: { aceitoEm: new Date() },
+  })
+  return result.count === 1
+}
+
+export const linkInviteToUser = (convite, userId) =>
+  prisma.convite.update({ where: { id: convite.id }, data: { aceitoPorId: userId } })
+
+// Devolve o convite quando a criacao do usuario falha depois da reserva
+export const releaseInvite = (convite) =>
+  prisma.convite.updateMany({
+    where: { id: convite.id, aceitoPorId: null },
+    data: { aceitoEm: null },
+  })
+
+export const revokeInvite = async (id) => {
+  const result = await prisma.convite.updateMany({
+    where: { id, aceitoEm: null, revogadoEm: null },
+    data: { revogadoEm: new Date() },
+  })
+  return result.count
+}
@@ -0,0 +1,138 @@
+// utils/loginHistory.js
+import he from 'he'
+import prisma from './prisma.js'
+import mailer from './mailer.js'
+import logger from './logger.js'
+import { getDevice } from './sessions.js'
+
+// Historico de acessos das contas existentes (logins concluidos e recusados).
+// Um login concluido de um par dispositivo (user-agent) + IP que a conta nunca
+// usou gera um aviso por e-mail para o dono. Falhas aqui nunca interrompem o login.
+export const accessSelect = {
+  id: true,
+  ip: true,
+  dispositivo: true,
+  metodo: true,
+  mfa: true,
+  sucesso: true,
+  motivo: true,
+  novoDispositivo: true,
+  criadoEm: true,
+}
+
+// O primeiro acesso registrado da conta nao gera aviso: nao ha com o que comparar
+const isNewDevice = async (userId, { ip, dispositivo }) => {
+  const anterior = await prisma.acessoLogin.findFirst({
+    where: { userId, sucesso: true },
+    select: { id: true },
+  })
+  if (!anterior) return false
+
+  const conhecido = await prisma.acessoLogin.findFirst({
+    where: { userId, sucesso: true, ip, dispositivo },
+    select: { id: true },
+  })
+  return !conhecido
+}
+
+const sendNewDeviceEmail = async (user, acesso) => {
+  const appUrl = process.env.APP_URL || 'http://localhost:3000'
+  const quando = new Date(acesso.criadoEm || Date.now()).toLocaleString('pt-BR', {
+    timeZone: 'America/Sao_Paulo',
+  })
+
+  await mailer.sendMail({
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    to: user.email,
+    subject: 'Novo acesso a sua conta - RAJJ',
+    html: `
+      <p>Ola, ${he.encode(user.name || '')}!</p>
+      <p>Sua conta foi acessada de um dispositivo ou rede que ainda nao tinhamos visto:</p>
+      <ul>
+        <li>Quando: ${he.encode(quando)} (horario de Brasilia)</li>
+        <li>IP: ${he.encode(acesso.ip || 'desconhecido')}</li>
+        <li>Dispositivo: ${he.encode(acesso.dispositivo || 'desconhecido')}</li>
+      </ul>
+      <p>Se foi voce, nenhuma acao e necessaria.</p>
+      <p>Se nao reconhece este acesso, troque sua senha e encerre as sessoes abertas em ${he.encode(appUrl)}.</p>
+    `,
+  })
+}
+
+export const recordLoginSuccess = async (req, user, { metodo = 'SENHA', mfa = null } = {}) => {
+  const ip = req.ip || null
+  const dispositivo = getDevice(req)
+
+  let acesso
+  try {
+    const novoDispositivo = await isNewDevice(user.id, { ip, dispositivo })
+    acesso = await prisma.acessoLogin.create({
+      data: {
+        userId: user.id,
+        ip,
+        dispositivo,
+        metodo,
+        mfa,
+        sucesso: true,
+        motivo: null,
+        novoDispositivo,
+      },
+    })
+  } catch (err) {
+    logger.error('Falha ao registrar acesso', err, { userId: user.id, ip })
+    return null
+  }
+
+  if (acesso.novoDispositivo) {
+    try {
+      await sendNewDeviceEmail(user, acesso)
+      logger.userAction('aviso_novo_dispositivo', user.id, { ip, acessoId: acesso.id })
+    } catch (mailError) {
+      logger.error('Falha ao enviar aviso de novo dispositivo', mailError, {
+        userId: user.id,
+        email: user.email,
+      })
+    }
+  }
+
+  return acesso
+}
+
+// motivo: SENHA_INVALIDA | CADASTRO_INATIVO | EMAIL_NAO_CONFIRMADO | MFA_INVALIDO | OIDC_OUTRA_IDENTIDADE
+export const recordLoginFailure = async (req, user, { metodo = 'SENHA', motivo, mfa = null }) => {
+  try {
+    return await prisma.acessoLogin.create({
+      data: {
+        userId: user.id,
+        ip: req.ip || null,
+        dispositivo: getDevice(req),
+        metodo,
+        mfa,
+        sucesso: false,
+        motivo,
+        novoDispositivo: false,
+      },
+    })
+  } catch (err) {
+    logger.error('Falha ao registrar acesso', err, { userId: user.id, motivo })
+    return null
+  }
+}
+
+export const listLoginHistory = async (userId, { page = 1, limit = 20, sucesso } = {}) => {
+  const where = { userId }
+  if (typeof sucesso === 'boolean') where.sucesso = sucesso
+
+  const [total, acessos] = await Promise.all([
+    prisma.acessoLogin.count({ where }),
+    prisma.acessoLogin.findMany({
+      where,
+      select: accessSelect,
+      orderBy: { criadoEm: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+  ])
+
+  return { total, acessos }
+}
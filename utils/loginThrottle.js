@@ -0,0 +1,182 @@
+// utils/loginThrottle.js
+import prisma from './prisma.js'
+
+// Protecao contra forca bruta no login. As falhas sao contadas por IP e por
+// conta (e-mail), entao uma conta atacada a partir de varios IPs tambem e
+// bloqueada. Depois de algumas falhas cada nova tentativa exige uma espera
+// crescente; ao atingir o limite a chave fica bloqueada por um periodo.
+// Os contadores ficam no Mongo (TentativaLogin) para sobreviver a reinicios e
+// valer entre instancias; LOGIN_THROTTLE_STORE=memory usa um Map local.
+const POLICIES = {
+  IP: {
+    maxAttempts: Number(process.env.LOGIN_MAX_ATTEMPTS_IP || 5),
+    lockMs: Number(process.env.LOGIN_IP_BLOCK_MINUTES || 5) * 60 * 1000,
+  },
+  CONTA: {
+    maxAttempts: Number(process.env.LOGIN_MAX_ATTEMPTS_ACCOUNT || 5),
+    lockMs: Number(process.env.LOGIN_ACCOUNT_LOCK_MINUTES || 15) * 60 * 1000,
+  },
+}
+const DELAY_FREE_ATTEMPTS = Number(process.env.LOGIN_DELAY_FREE_ATTEMPTS || 2)
+const DELAY_BASE_SECONDS = Number(process.env.LOGIN_DELAY_BASE_SECONDS || 1)
+const DELAY_MAX_SECONDS = Number(process.env.LOGIN_DELAY_MAX_SECONDS || 30)
+// falhas mais antigas que a janela deixam de contar
+const ATTEMPT_WINDOW_MS = Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || 15) * 60 * 1000
+
+// ===== Stores =====
+
+export const createMemoryStore = () => {
+  const records = new Map()
+
+  return {
+    get: async (chave) => records.get(chave) || null,
+    increment: async (chave, tipo, now) => {
+      const current = records.get(chave)
+      const record = {
+        chave,
+        tipo,
+        falhas: (current?.falhas || 0) + 1,
+        ultimaFalhaEm: now,
+        bloqueadoAte: current?.bloqueadoAte || null,
+      }
+      records.set(chave, record)
+      return record
+    },
+    lock: async (chave, bloqueadoAte) => {
+      const current = records.get(chave)
+      if (current) records.set(chave, { ...current, bloqueadoAte })
+    },
+    clear: async (chave) => {
+      records.delete(chave)
+    },
+  }
+}
+
+export const createPrismaStore = () => {
+  const upsert = (chave, tipo, now) =>
+    prisma.tentativaLogin.upsert({
+      where: { chave },
+      create: { chave, tipo, falhas: 1, ultimaFalhaEm: now, bloqueadoAte: null },
+      update: { falhas: { increment: 1 }, ultimaFalhaEm: now },
+    })
+
+  return {
+    get: (chave) => prisma.tentativaLogin.findUnique({ where: { chave } }),
+    increment: async (chave, tipo, now) => {
+      try {
+        return await upsert(chave, tipo, now)
+      } catch (err) {
+        // duas instancias criando a mesma chave ao mesmo tempo
+        if (err.code === 'P2002') return upsert(chave, tipo, now)
+        throw err
+      }
+    },
+    lock: (chave, bloqueadoAte) =>
+      prisma.tentativaLogin.updateMany({ where: { chave }, data: { bloqueadoAte } }),
+    clear: (chave) => prisma.tentativaLogin.deleteMany({ where: { chave } }),
+  }
+}
+
+let store = process.env.LOGIN_THROTTLE_STORE === 'memory' ? createMemoryStore() : createPrismaStore()
+
+export const setLoginThrottleStore = (nextStore) => {
+  store = nextStore
+}
+
+// ===== Regras =====
+
+const ipKey = (ip) => `ip:${ip || 'desconhecido'}`
+
+export const accountKey = (email) => `conta:${String(email).trim().toLowerCase()}`
+
+// Falhas no segundo fator (escopo 'mfa') tem contadores proprios: a senha
+// correta zera as falhas de login, mas nao as do codigo MFA
+const mfaKey = (chave) => `mfa:${chave}`
+
+const buildKeys = ({ ip, email, escopo = 'login' }) => {
+  const keys = [{ chave: ipKey(ip), tipo: 'IP' }]
+  if (email) keys.push({ chave: accountKey(email), tipo: 'CONTA' })
+  if (escopo !== 'mfa') return keys
+  return keys.map((key) => ({ ...key, chave: mfaKey(key.chave) }))
+}
+
+export const getProgressiveDelayMs = (falhas) => {
+  if (falhas <= DELAY_FREE_ATTEMPTS) return 0
+  const seconds = DELAY_BASE_SECONDS * 2 ** (falhas - DELAY_FREE_ATTEMPTS - 1)
+  return Math.min(seconds, DELAY_MAX_SECONDS) * 1000
+}
+
+// Registro sem bloqueio ativo e sem falhas recentes volta a zero
+const isStale = (record, now) => {
+  if (record.bloqueadoAte) return new Date(record.bloqueadoAte).getTime() <= now.getTime()
+  return now.getTime() - new Date(record.ultimaFalhaEm).getTime() > ATTEMPT_WINDOW_MS
+}
+
+const loadRecord = async (chave, now) => {
+  const record = await store.get(chave)
+  if (record && isStale(record, now)) {
+    await store.clear(chave)
+    return null
+  }
+  return record
+}
+
+// Retorna null quando a tentativa pode seguir, ou
+// { tipo: 'IP' | 'CONTA', motivo: 'bloqueio' | 'espera', retryAfterSeconds }
+export const checkLoginThrottle = async ({ ip, email, escopo }, now = new Date()) => {
+  for (const { chave, tipo } of buildKeys({ ip, email, escopo })) {
+    const record = await loadRecord(chave, now)
+    if (!record) continue
+
+    if (record.bloqueadoAte) {
+      const remainingMs = new Date(record.bloqueadoAte).getTime() - now.getTime()
+      return { tipo, motivo: 'bloqueio', retryAfterSeconds: Math.ceil(remainingMs / 1000) }
+    }
+
+    const waitMs =
+      new Date(record.ultimaFalhaEm).getTime() + getProgressiveDelayMs(record.falhas) - now.getTime()
+    if (waitMs > 0) {
+      return { tipo, motivo: 'espera', retryAfterSeconds: Math.ceil(waitMs / 1000) }
+    }
+  }
+
+  return null
+}
+
+// Conta uma falha para o IP e para a conta. accountLocked so e true na falha
+// que bloqueou a conta, para que o aviso por e-mail seja enviado uma vez.
+export const registerLoginFailure = async ({ ip, email, escopo }, now = new Date()) => {
+  const result = { attemptsRemaining: Infinity, accountLocked: false, ipLocked: false }
+
+  for (const { chave, tipo } of buildKeys({ ip, email, escopo })) {
+    const policy = POLICIES[tipo]
+    await loadRecord(chave, now)
+    const record = await store.increment(chave, tipo, now)
+
+    result.attemptsRemaining = Math.min(
+      result.attemptsRemaining,
+      Math.max(policy.maxAttempts - record.falhas, 0)
+    )
+
+    if (record.falhas >= policy.maxAttempts && !record.bloqueadoAte) {
+      await store.lock(chave, new Date(now.getTime() + policy.lockMs))
+      if (tipo === 'CONTA') result.accountLocked = true
+      else result.ipLocked = true
+    }
+  }
+
+  return result
+}
+
+export const clearLoginFailures = async ({ ip, email, escopo }) => {
+  for (const { chave } of buildKeys({ ip, email, escopo })) {
+    await store.clear(chave)
+  }
+}
+
+export const unlockAccount = async (email) => {
+  await store.clear(accountKey(email))
+  await store.clear(mfaKey(accountKey(email)))
+}
+
+export const ACCOUNT_LOCK_MINUTES = POLICIES.CONTA.lockMs / 60 / 1000
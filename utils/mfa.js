@@ -0,0 +1,104 @@
+// utils/mfa.js
+import crypto from 'crypto'
+import prisma from './prisma.js'
+import { ROLES } from './permissions.js'
+import { base32Encode, verifyTotp } from './totp.js'
+
+const MFA_POLICY_KEY = 'mfa.perfisObrigatorios'
+const RECOVERY_CODES_COUNT = 10
+
+// Segredos TOTP ficam cifrados (AES-256-GCM) no banco
+const TOTP_ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.MFA_TOTP_ENCRYPTION_KEY || `${process.env.JWT_SECRET || 'fallback'}_TOTP`)
+  .digest()
+
+export const encryptSecret = (plain) => {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv('aes-256-gcm', TOTP_ENCRYPTION_KEY, iv)
+  const encrypted = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()])
+  const tag = cipher.getAuthTag()
+  return [iv, tag, encrypted].map((part) => part.toString('base64')).join(':')
+}
+
+export const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = String(payload || '')
+    .split(':')
+    .map((part) => Buffer.from(part, 'base64'))
+  const decipher = crypto.createDecipheriv('aes-256-gcm', TOTP_ENCRYPTION_KEY, iv)
+  decipher.setAuthTag(tag)
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8')
+}
+
+export const isTotpEnabled = (user) => Boolean(user?.mfaTotpAtivadoEm && user?.mfaTotpSecret)
+
+const normalizeRecoveryCode = (code) =>
+  String(code || '').toUpperCase().replace(/[^A-Z2-7]/g, '')
+
+export const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex')
+
+// Codigos no formato XXXXX-XXXXX, exibidos uma unica vez ao usuario
+export const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODES_COUNT }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10)
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`
+  })
+
+// Valida o codigo do app autenticador e impede reuso do mesmo passo de tempo
+export const verifyUserTotp = async (user, code) => {
+  if (!isTotpEnabled(user)) return false
+
+  const counter = verifyTotp(decryptSecret(user.mfaTotpSecret), code)
+  if (counter === null) return false
+  if (user.mfaTotpUltimoPasso !== null && user.mfaTotpUltimoPasso !== undefined &&
+      counter <= user.mfaTotpUltimoPasso) {
+    return false
+  }
+
+  // condicional: duas verificacoes simultaneas nao aceitam o mesmo passo
+  const result = await prisma.Cluster0.updateMany({
+    where: {
+      id: user.id,
+      OR: [
+        { mfaTotpUltimoPasso: { isSet: false } },
+        { mfaTotpUltimoPasso: null },
+        { mfaTotpUltimoPasso: { lt: counter } },
+      ],
+    },
+    data: { mfaTotpUltimoPasso: counter },
+  })
+  return result.count > 0
+}
+
+// Codigo de recuperacao: vale uma vez e e removido da lista
+export const consumeRecoveryCode = async (user, code) => {
+  const hash = hashRecoveryCode(code)
+  const codes = Array.isArray(user?.mfaRecoveryCodes) ? user.mfaRecoveryCodes : []
+  if (!normalizeRecoveryCode(code) || !codes.includes(hash)) return false
+
+  // so remove se a lista ainda for a lida: o mesmo codigo nao vale duas vezes
+  const result = await prisma.Cluster0.updateMany({
+    where: { id: user.id, mfaRecoveryCodes: { equals: codes } },
+    data: { mfaRecoveryCodes: codes.filter((item) => item !== hash) },
+  })
+  return result.count > 0
+}
+
+export const getMfaRequiredRoles = async () => {
+  const config = await prisma.configuracao.findUnique({
+    where: { chave: MFA_POLICY_KEY },
+  })
+  return Array.isArray(config?.valor)
+    ? config.valor.filter((role) => ROLES.includes(role))
+    : []
+}
+
+export const setMfaRequiredRoles = async (roles, userId) => {
+  const config = await prisma.configuracao.upsert({
+    where: { chave: MFA_POLICY_KEY },
+    create: { chave: MFA_POLICY_KEY, valor: roles, atualizadoPorId: userId },
+    update: { valor: roles, atualizadoPorId: userId },
+  })
+  return config.valor
+}
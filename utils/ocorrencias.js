@@ -0,0 +1,172 @@
+// utils/ocorrencias.js
+import he from 'he'
+import mailer from './mailer.js'
+import logger from './logger.js'
+import { GRAVIDADES } from './saude.js'
+
+// Ocorrencias (queda, mordida, mal-estar...) com um ou mais alunos. A familia
+// de cada aluno precisa dar ciencia; a secretaria ou o professor registra a
+// ciencia do responsavel (assinatura na agenda, na saida etc.). Ocorrencias
+// nao sao excluidas e, com todas as ciencias, nao podem mais ser alteradas.
+export const TIPOS_OCORRENCIA = ['QUEDA', 'MORDIDA', 'BATIDA', 'ARRANHAO', 'BRIGA', 'MAL_ESTAR', 'REACAO_ALERGICA', 'OUTRO']
+export const GRAVIDADES_OCORRENCIA = GRAVIDADES
+// LESIONADO: quem se machucou; CAUSADOR: quem mordeu/empurrou
+export const PAPEIS_OCORRENCIA = ['ENVOLVIDO', 'LESIONADO', 'CAUSADOR']
+
+const isNonEmptyString = (s) => typeof s === 'string' && s.trim().length > 0
+const OBJECT_ID_RE = /^[a-fA-F0-9]{24}$/
+const MAX_TEXTO_LEN = 2000
+const MAX_NOME_LEN = 120
+const MAX_TESTEMUNHAS = 20
+const MAX_ALUNOS = 20
+
+const ROTULOS_TIPO = {
+  QUEDA: 'Queda',
+  MORDIDA: 'Mordida',
+  BATIDA: 'Batida',
+  ARRANHAO: 'Arranhão',
+  BRIGA: 'Briga',
+  MAL_ESTAR: 'Mal-estar',
+  REACAO_ALERGICA: 'Reação alérgica',
+  OUTRO: 'Ocorrência',
+}
+
+// Listas chegam como JSON quando a ocorrencia vem em multipart (fotos)
+export const parseLista = (value) => {
+  if (value === undefined || value === null || value === '') return []
+  if (Array.isArray(value)) return value
+  try {
+    const parsed = JSON.parse(value)
+    if (Array.isArray(parsed)) return parsed
+  } catch (_) {}
+  return null
+}
+
+const parseTexto = (value, campo, { obrigatorio = false } = {}) => {
+  if (!isNonEmptyString(value)) return obrigatorio ? { error: `${campo} é obrigatório` } : { valor: null }
+  const valor = value.trim()
+  if (valor.length > MAX_TEXTO_LEN) return { error: `${campo} deve ter no máximo ${MAX_TEXTO_LEN} caracteres` }
+  return { valor }
+}
+
+// Retorna { data } com os campos validados, ou { error }. Em atualizacoes
+// (parcial) so os campos enviados sao validados.
+export const normalizeOcorrenciaInput = (body, { parcial = false, now = new Date() } = {}) => {
+  const data = {}
+  const has = (campo) => body[campo] !== undefined
+
+  for (const [campo, valores, rotulo] of [
+    ['tipo', TIPOS_OCORRENCIA, 'Tipo'],
+    ['gravidade', GRAVIDADES_OCORRENCIA, 'Gravidade'],
+  ]) {
+    if (parcial && !has(campo)) continue
+    const valor = String(body[campo] || '').trim().toUpperCase()
+    if (!valores.includes(valor)) return { error: `${rotulo} inválido (${valores.join('/')})` }
+    data[campo] = valor
+  }
+
+  if (!parcial || has('ocorridaEm')) {
+    const ocorridaEm = new Date(String(body.ocorridaEm || ''))
+    if (Number.isNaN(ocorridaEm.getTime())) return { error: 'ocorridaEm inválido' }
+    // tolera diferenca de relogio do aparelho
+    if (ocorridaEm.getTime() > now.getTime() + 5 * 60 * 1000) {
+      return { error: 'ocorridaEm não pode estar no futuro' }
+    }
+    data.ocorridaEm = ocorridaEm
+  }
+
+  for (const [campo, rotulo, obrigatorio] of [
+    ['descricao', 'Descrição', true],
+    ['providencias', 'Providências', false],
+    ['local', 'Local', false],
+  ]) {
+    if (parcial && !has(campo)) continue
+    const { valor, error } = parseTexto(body[campo], rotulo, { obrigatorio })
+    if (error) return { error }
+    data[campo] = valor
+  }
+
+  if (!parcial || has('testemunhas')) {
+    const testemunhas = parseLista(body.testemunhas)
+    if (!testemunhas) return { error: 'Testemunhas deve ser uma lista' }
+    data.testemunhas = [...new Set(testemunhas.filter(isNonEmptyString).map((nome) => nome.trim().replace(/\s+/g, ' ')))]
+    if (data.testemunhas.length > MAX_TESTEMUNHAS) {
+      return { error: `Informe no máximo ${MAX_TESTEMUNHAS} testemunhas` }
+    }
+    if (data.testemunhas.some((nome) => nome.length > MAX_NOME_LEN)) {
+      return { error: `Nome da testemunha deve ter no máximo ${MAX_NOME_LEN} caracteres` }
+    }
+  }
+
+  return { data }
+}
+
+// Retorna { alunos: [{ alunoId, papel }] } ou { error }; aceita ids ou objetos
+export const parseAlunosOcorrencia = (value) => {
+  const lista = parseLista(value)
+  if (!lista || lista.length === 0) return { error: 'Informe ao menos um aluno' }
+  if (lista.length > MAX_ALUNOS) return { error: `Informe no máximo ${MAX_ALUNOS} alunos` }
+
+  const alunos = []
+  for (const item of lista) {
+    const alunoId = String(typeof item === 'object' && item !== null ? item.alunoId || '' : item || '').trim()
+    if (!OBJECT_ID_RE.test(alunoId)) return { error: 'Aluno inválido' }
+    if (alunos.some((aluno) => aluno.alunoId === alunoId)) {
+      return { error: `Aluno ${alunoId} informado mais de uma vez` }
+    }
+
+    const papel = String((typeof item === 'object' && item?.papel) || 'ENVOLVIDO').trim().toUpperCase()
+    if (!PAPEIS_OCORRENCIA.includes(papel)) {
+      return { error: `Papel inválido (${PAPEIS_OCORRENCIA.join('/')})` }
+    }
+    alunos.push({ alunoId, papel })
+  }
+
+  return { alunos }
+}
+
+// PENDENTE_CIENCIA enquanto alguma familia nao deu ciencia
+export const getOcorrenciaStatus = (ocorrencia) =>
+  (ocorrencia.alunos || []).every((vinculo) => vinculo.cienciaEm) ? 'CONCLUIDA' : 'PENDENTE_CIENCIA'
+
+// Aviso a familia de um aluno; nao lista os outros alunos envolvidos
+export const renderOcorrenciaHtml = (ocorrencia, aluno) => {
+  const quando = new Date(ocorrencia.ocorridaEm).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' })
+
+  return `
+      <p>Olá!</p>
+      <p>Registramos uma ocorrência com ${he.encode(aluno.nome || '')}:</p>
+      <ul>
+        <li>Tipo: ${he.encode(ROTULOS_TIPO[ocorrencia.tipo] || ocorrencia.tipo)}</li>
+        <li>Quando: ${he.encode(quando)} (horário de Brasília)</li>
+        ${ocorrencia.local ? `<li>Local: ${he.encode(ocorrencia.local)}</li>` : ''}
+      </ul>
+      <p>${he.encode(ocorrencia.descricao || '')}</p>
+      ${ocorrencia.providencias ? `<p>Providências tomadas: ${he.encode(ocorrencia.providencias)}</p>` : ''}
+      <p>Pedimos que um responsável dê ciência da ocorrência na escola (na agenda ou na saída).</p>
+    `
+}
+
+// Retorna { enviados, falhas } com os e-mails; uma falha nao impede os demais
+export const sendOcorrenciaEmail = async (ocorrencia, aluno, emails) => {
+  const html = renderOcorrenciaHtml(ocorrencia, aluno)
+  const enviados = []
+  const falhas = []
+
+  for (const email of emails) {
+    try {
+      await mailer.sendMail({
+        from: process.env.SMTP_FROM || process.env.SMTP_USER,
+        to: email,
+        subject: `${ROTULOS_TIPO[ocorrencia.tipo] || 'Ocorrência'} com ${aluno.nome} - RAJJ`,
+        html,
+      })
+      enviados.push(email)
+    } catch (mailError) {
+      logger.error('Falha ao enviar aviso de ocorrência', mailError, { ocorrenciaId: ocorrencia.id, alunoId: aluno.id, email })
+      falhas.push(email)
+    }
+  }
+
+  return { enviados, falhas }
+}
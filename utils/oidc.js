@@ -0,0 +1,162 @@
+// utils/oidc.js
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+
+// Cliente OpenID Connect (authorization code + PKCE) para login pelo provedor
+// de identidade da escola (Google Workspace, Keycloak...). Usa apenas o
+// discovery (/.well-known/openid-configuration), o token_endpoint e o JWKS;
+// a configuracao e lida a cada chamada para que os testes possam apontar para
+// um provedor local (scripts/mock-oidc-server.js).
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384']
+const CLOCK_TOLERANCE_SECONDS = 60
+
+const trimTrailingSlash = (value) => String(value || '').replace(/\/+$/, '')
+
+export const getOidcConfig = () => ({
+  issuer: trimTrailingSlash(process.env.OIDC_ISSUER),
+  clientId: process.env.OIDC_CLIENT_ID || '',
+  clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+  redirectUri:
+    process.env.OIDC_REDIRECT_URI || `${process.env.APP_URL || 'http://localhost:3000'}/login.html`,
+  scopes: process.env.OIDC_SCOPES || 'openid email profile',
+})
+
+export const isOidcEnabled = () => Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID)
+
+// ===== Discovery e JWKS (em cache por emissor) =====
+
+let providerCache = null
+let jwksCache = null
+
+export const resetOidcCache = () => {
+  providerCache = null
+  jwksCache = null
+}
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options)
+  const body = await response.json().catch(() => null)
+  return { ok: response.ok, status: response.status, body }
+}
+
+export const discoverProvider = async () => {
+  const { issuer } = getOidcConfig()
+  if (providerCache?.configuredIssuer === issuer) return providerCache.document
+
+  const { ok, status, body } = await fetchJson(`${issuer}/.well-known/openid-configuration`)
+  if (!ok || !body) {
+    throw new Error(`Discovery OIDC falhou (${status})`)
+  }
+  if (trimTrailingSlash(body.issuer) !== issuer) {
+    throw new Error('Discovery OIDC retornou um emissor diferente do configurado')
+  }
+
+  providerCache = { configuredIssuer: issuer, document: body }
+  return body
+}
+
+const getSigningKey = async (kid) => {
+  const provider = await discoverProvider()
+
+  const findKey = () =>
+    jwksCache?.uri === provider.jwks_uri
+      ? jwksCache.keys.find((key) => (kid ? key.kid === kid : key.use !== 'enc'))
+      : null
+
+  // chave desconhecida: o provedor pode ter rotacionado as chaves
+  if (!findKey()) {
+    const { ok, status, body } = await fetchJson(provider.jwks_uri)
+    if (!ok || !Array.isArray(body?.keys)) {
+      throw new Error(`JWKS OIDC indisponivel (${status})`)
+    }
+    jwksCache = { uri: provider.jwks_uri, keys: body.keys }
+  }
+
+  const jwk = findKey()
+  return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null
+}
+
+// ===== Fluxo =====
+
+const base64url = (buffer) => buffer.toString('base64url')
+
+export const createPkcePair = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32))
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest())
+  return { codeVerifier, codeChallenge }
+}
+
+export const buildAuthorizationUrl = async ({ state, nonce, codeChallenge }) => {
+  const provider = await discoverProvider()
+  const { clientId, redirectUri, scopes } = getOidcConfig()
+
+  const url = new URL(provider.authorization_endpoint)
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope: scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  }).toString()
+
+  return url.toString()
+}
+
+// Retorna { idToken } ou { error: 'code' } quando o provedor recusa o codigo
+export const exchangeCode = async ({ code, codeVerifier }) => {
+  const provider = await discoverProvider()
+  const { clientId, clientSecret, redirectUri } = getOidcConfig()
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: clientId,
+    code_verifier: codeVerifier,
+  })
+  if (clientSecret) params.set('client_secret', clientSecret)
+
+  const { ok, status, body } = await fetchJson(provider.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: params.toString(),
+  })
+
+  if (status >= 400 && status < 500) return { error: 'code', detail: body?.error || null }
+  if (!ok || !body?.id_token) {
+    throw new Error(`Token endpoint OIDC falhou (${status})`)
+  }
+
+  return { idToken: body.id_token }
+}
+
+// Retorna { claims } ou { error: 'signature' | 'nonce' }
+export const verifyIdToken = async (idToken, { nonce }) => {
+  const provider = await discoverProvider()
+  const { clientId } = getOidcConfig()
+
+  const decoded = jwt.decode(idToken, { complete: true })
+  if (!decoded?.header) return { error: 'signature' }
+
+  const key = await getSigningKey(decoded.header.kid)
+  if (!key) return { error: 'signature' }
+
+  let claims
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: provider.issuer,
+      audience: clientId,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS,
+    })
+  } catch (_) {
+    return { error: 'signature' }
+  }
+
+  if (!claims.nonce || claims.nonce !== nonce) return { error: 'nonce' }
+
+  return { claims }
+}
@@ -0,0 +1,148 @@
+// utils/password.js
+import bcrypt from 'bcrypt'
+import fs from 'fs'
+import prisma from './prisma.js'
+
+// Politica de senhas do cadastro, da redefinicao e da troca pelo proprio
+// usuario. Os valores padrao vem do ambiente e o admin pode sobrescreve-los
+// (configuracao "senha.politica"). As violacoes voltam como { codigo, mensagem }
+// para o front exibir cada regra nao atendida.
+const PASSWORD_POLICY_KEY = 'senha.politica'
+
+const envFlag = (name) => process.env[name] !== 'false'
+
+export const DEFAULT_PASSWORD_POLICY = {
+  tamanhoMinimo: Number(process.env.PASSWORD_MIN_LENGTH || 8),
+  exigeMinuscula: envFlag('PASSWORD_REQUIRE_LOWERCASE'),
+  exigeMaiuscula: envFlag('PASSWORD_REQUIRE_UPPERCASE'),
+  exigeNumero: envFlag('PASSWORD_REQUIRE_DIGIT'),
+  exigeEspecial: envFlag('PASSWORD_REQUIRE_SYMBOL'),
+  bloquearComuns: envFlag('PASSWORD_BLOCK_COMMON'),
+  historico: Number(process.env.PASSWORD_HISTORY_SIZE || 5), // ultimas N senhas, contando a atual
+  validadeDias: Number(process.env.PASSWORD_MAX_AGE_DAYS || 0), // 0 = sem validade
+}
+
+const POLICY_FLAGS = ['exigeMinuscula', 'exigeMaiuscula', 'exigeNumero', 'exigeEspecial', 'bloquearComuns']
+const POLICY_LIMITS = {
+  tamanhoMinimo: [6, 128],
+  historico: [0, 24],
+  validadeDias: [0, 3650],
+}
+
+// Lista local (sem servico externo), uma senha por linha, comparada sem diferenciar maiusculas
+const COMMON_PASSWORDS = new Set(
+  fs
+    .readFileSync(new URL('./common-passwords.txt', import.meta.url), 'utf8')
+    .split(/\r?\n/)
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith('#'))
+)
+
+// Retorna { policy } com os campos enviados aplicados sobre "base", ou { error }
+export const normalizePasswordPolicy = (input, base = DEFAULT_PASSWORD_POLICY) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Politica de senha invalida' }
+  }
+
+  const policy = { ...base }
+
+  for (const flag of POLICY_FLAGS) {
+    if (input[flag] === undefined) continue
+    if (typeof input[flag] !== 'boolean') return { error: `${flag} deve ser verdadeiro ou falso` }
+    policy[flag] = input[flag]
+  }
+
+  for (const [campo, [min, max]] of Object.entries(POLICY_LIMITS)) {
+    if (input[campo] === undefined) continue
+    const value = Number(input[campo])
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `${campo} deve ser um inteiro entre ${min} e ${max}` }
+    }
+    policy[campo] = value
+  }
+
+  return { policy }
+}
+
+export const getPasswordPolicy = async () => {
+  const config = await prisma.configuracao.findUnique({
+    where: { chave: PASSWORD_POLICY_KEY },
+  })
+  const { policy } = normalizePasswordPolicy(config?.valor || {})
+  return policy || { ...DEFAULT_PASSWORD_POLICY }
+}
+
+export const setPasswordPolicy = async (policy, userId) => {
+  const config = await prisma.configuracao.upsert({
+    where: { chave: PASSWORD_POLICY_KEY },
+    create: { chave: PASSWORD_POLICY_KEY, valor: policy, atualizadoPorId: userId },
+    update: { valor: policy, atualizadoPorId: userId },
+  })
+  return config.valor
+}
+
+// Hashes da senha atual e das anteriores, da mais recente para a mais antiga
+export const getPasswordHistory = (user) =>
+  [user?.password, ...(user?.senhasAnteriores || [])].filter(Boolean)
+
+// senhasAnteriores depois de trocar a senha: a atual entra no topo
+export const nextPasswordHistory = (user, policy) =>
+  getPasswordHistory(user).slice(0, Math.max(policy.historico - 1, 0))
+
+// Retorna a lista de violacoes ({ codigo, mensagem }); vazia quando a senha e aceita
+export const validatePassword = async (password, { policy, historico = [] }) => {
+  const value = String(password || '')
+  const violacoes = []
+
+  if (value.length < policy.tamanhoMinimo) {
+    violacoes.push({
+      codigo: 'TAMANHO_MINIMO',
+      mensagem: `A senha deve ter pelo menos ${policy.tamanhoMinimo} caracteres`,
+    })
+  }
+  if (policy.exigeMinuscula && !/\p{Ll}/u.test(value)) {
+    violacoes.push({ codigo: 'MINUSCULA', mensagem: 'A senha deve ter ao menos uma letra minuscula' })
+  }
+  if (policy.exigeMaiuscula && !/\p{Lu}/u.test(value)) {
+    violacoes.push({ codigo: 'MAIUSCULA', mensagem: 'A senha deve ter ao menos uma letra maiuscula' })
+  }
+  if (policy.exigeNumero && !/\p{N}/u.test(value)) {
+    violacoes.push({ codigo: 'NUMERO', mensagem: 'A senha deve ter ao menos um numero' })
+  }
+  if (policy.exigeEspecial && !/[^\p{L}\p{N}\s]/u.test(value)) {
+    violacoes.push({ codigo: 'ESPECIAL', mensagem: 'A senha deve ter ao menos um caractere especial' })
+  }
+  if (policy.bloquearComuns && COMMON_PASSWORDS.has(value.toLowerCase())) {
+    violacoes.push({ codigo: 'SENHA_COMUM', mensagem: 'Esta senha e muito comum. Escolha outra' })
+  }
+
+  // bcrypt e caro: o historico so e consultado para uma senha que ja passou nas demais regras
+  if (violacoes.length === 0 && policy.historico > 0) {
+    for (const hash of historico.slice(0, policy.historico)) {
+      if (await bcrypt.compare(value, hash)) {
+        violacoes.push({
+          codigo: 'REUTILIZADA',
+          mensagem: `A senha nao pode repetir nenhuma das ultimas ${policy.historico} senhas`,
+        })
+        break
+      }
+    }
+  }
+
+  return violacoes
+}
+
+export const passwordPolicyError = (violacoes) => ({
+  message: 'A senha nao atende a politica de senhas',
+  violacoes,
+})
+
+// Senha vencida exige troca no proximo login (contada desde a ultima troca ou o cadastro)
+export const isPasswordExpired = (user, policy, now = Date.now()) => {
+  if (!policy.validadeDias) return false
+
+  const alteradaEm = user.senhaAlteradaEm || user.criadoEm
+  if (!alteradaEm) return false
+
+  return now - new Date(alteradaEm).getTime() >= policy.validadeDias * 24 * 60 * 60 * 1000
+}
@@ -0,0 +1,91 @@
+// utils/permissions.js
+
+// Perfis de acesso dos usuarios do sistema (Cluster0)
+export const ROLES = ['ADMIN', 'SECRETARIA', 'FINANCEIRO', 'PROFESSOR']
+
+// Perfil atribuido a cadastros sem perfil definido (menor privilegio)
+export const DEFAULT_ROLE = 'PROFESSOR'
+
+// Matriz de permissoes: quem pode ler/escrever em cada modulo
+export const PERMISSIONS = {
+  alunos: {
+    read: ['ADMIN', 'SECRETARIA', 'FINANCEIRO', 'PROFESSOR'],
+    write: ['ADMIN', 'SECRETARIA'],
+  },
+  // cadastro das turmas (capacidade, turno, professores); todos consultam
+  turmas: {
+    read: ['ADMIN', 'SECRETARIA', 'FINANCEIRO', 'PROFESSOR'],
+    write: ['ADMIN', 'SECRETARIA'],
+  },
+  // portaria: entrada e saida dos alunos; a lista de autorizados e editada pelo modulo de alunos
+  entradasSaidas: {
+    read: ['ADMIN', 'SECRETARIA', 'PROFESSOR'],
+    write: ['ADMIN', 'SECRETARIA', 'PROFESSOR'],
+  },
+  // chamada diaria; professores marcam apenas as proprias turmas (checado na rota)
+  frequencia: {
+    read: ['ADMIN', 'SECRETARIA', 'PROFESSOR'],
+    write: ['ADMIN', 'SECRETARIA', 'PROFESSOR'],
+  },
+  // ficha de saude e vacinas; professores consultam as das proprias turmas (checado na rota)
+  saude: {
+    read: ['ADMIN', 'SECRETARIA', 'PROFESSOR'],
+    write: ['ADMIN', 'SECRETARIA'],
+  },
+  // registro das doses de medicamento dadas na escola
+  medicamentos: {
+    read: ['ADMIN', 'SECRETARIA', 'PROFESSOR'],
+    write: ['ADMIN', 'SECRETARIA', 'PROFESSOR'],
+  },
+  // agenda diaria das criancas; professores registram apenas nas proprias turmas (checado na rota)
+  diario: {
+    read: ['ADMIN', 'SECRETARIA', 'PROFESSOR'],
+    write: ['ADMIN', 'SECRETARIA', 'PROFESSOR'],
+  },
+  // ocorrencias com alunos e ciencia dos responsaveis; professores so com alunos das proprias turmas
+  ocorrencias: {
+    read: ['ADMIN', 'SECRETARIA', 'PROFESSOR'],
+    write: ['ADMIN', 'SECRETARIA', 'PROFESSOR'],
+  },
+  contas: {
+    read: ['ADMIN', 'SECRETARIA', 'FINANCEIRO'],
+    write: ['ADMIN', 'FINANCEIRO'],
+  },
+  usuarios: {
+    read: ['ADMIN', 'SECRETARIA'],
+    write: ['ADMIN'],
+  },
+  configuracoes: {
+    read: ['ADMIN'],
+    write: ['ADMIN'],
+  },
+  // a trilha de auditoria e gravada pelo proprio servidor; ninguem escreve nela pela API
+  auditoria: {
+    read: ['ADMIN'],
+    write: [],
+  },
+  // acessar o sistema como outro usuario (suporte)
+  personificacao: {
+    read: [],
+    write: ['ADMIN'],
+  },
+  // gestao das chaves de API das integracoes
+  integracoes: {
+    read: ['ADMIN'],
+    write: ['ADMIN'],
+  },
+}
+
+export const normalizeRole = (value) => {
+  const role = String(value || '').trim().toUpperCase()
+  return ROLES.includes(role) ? role : null
+}
+
+export const hasPermission = (role, modulo, acao) =>
+  Boolean(PERMISSIONS[modulo]?.[acao]?.includes(role))
+
+// Chaves de API usam escopos "modulo:acao" no lugar do perfil; escrita inclui leitura
+export const hasApiKeyScope = (escopos, modulo, acao) =>
+  Boolean(
+    escopos?.includes(`${modulo}:${acao}`) || (acao === 'read' && escopos?.includes(`${modulo}:write`))
+  )
@@ -0,0 +1,208 @@
+// utils/responsaveis.js
+import prisma from './prisma.js'
+import { validarCPF } from './cpf.js'
+
+// Responsaveis sao registros proprios, ligados aos alunos por AlunoResponsavel.
+// Parentesco, responsabilidade financeira e guarda legal ficam no vinculo,
+// porque mudam de um aluno para outro (ex.: padrasto de um irmao so).
+export const PARENTESCOS = ['MAE', 'PAI', 'MADRASTA', 'PADRASTO', 'AVO', 'TIO', 'IRMAO', 'TUTOR', 'OUTRO']
+
+const isNonEmptyString = (s) => typeof s === 'string' && s.trim().length > 0
+const OBJECT_ID_RE = /^[a-fA-F0-9]{24}$/
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const BRAZIL_PHONE_RE = /^(?:[1-9][0-9])(?:9\d{8}|\d{8})$/
+const MAX_OBS_LEN = 500
+
+export const responsavelSelect = {
+  id: true,
+  nome: true,
+  cpf: true,
+  email: true,
+  telefones: true,
+}
+
+// Vinculos devolvidos junto com o aluno
+export const vinculosInclude = {
+  include: { responsavel: { select: responsavelSelect } },
+  orderBy: { criadoEm: 'asc' },
+}
+
+const parseBoolean = (value) => {
+  if (value === undefined || value === null || value === '') return false
+  if (typeof value === 'boolean') return value
+  if (value === 'true') return true
+  if (value === 'false') return false
+  return null
+}
+
+// Retorna { data } com os campos do responsavel normalizados, ou { error }.
+// Em atualizacoes (parcial) so os campos enviados sao validados.
+export const normalizeResponsavelInput = (body, { parcial = false } = {}) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Responsável inválido' }
+  }
+
+  const data = {}
+  const has = (campo) => body[campo] !== undefined
+
+  if (!parcial || has('nome')) {
+    if (!isNonEmptyString(body.nome)) return { error: 'Nome do responsável é obrigatório' }
+    data.nome = body.nome.trim().replace(/\s+/g, ' ')
+  }
+
+  if (has('cpf') || !parcial) {
+    if (isNonEmptyString(body.cpf)) {
+      if (!validarCPF(body.cpf)) return { error: 'CPF do responsável inválido' }
+      data.cpf = String(body.cpf).replace(/\D/g, '')
+    } else {
+      data.cpf = null
+    }
+  }
+
+  if (has('email') || !parcial) {
+    if (isNonEmptyString(body.email)) {
+      const email = body.email.trim().toLowerCase()
+      if (!EMAIL_RE.test(email)) return { error: 'E-mail do responsável inválido' }
+      data.email = email
+    } else {
+      data.email = null
+    }
+  }
+
+  if (has('telefones') || !parcial) {
+    const telefones = body.telefones ?? []
+    if (!Array.isArray(telefones)) return { error: 'Telefones deve ser uma lista' }
+
+    data.telefones = []
+    for (const telefone of telefones) {
+      const digits = String(telefone || '').replace(/\D/g, '')
+      if (!digits) continue
+      if (!BRAZIL_PHONE_RE.test(digits)) return { error: `Telefone inválido: ${telefone}` }
+      if (!data.telefones.includes(digits)) data.telefones.push(digits)
+    }
+  }
+
+  if (has('observacoes') || !parcial) {
+    const obs = isNonEmptyString(body.observacoes) ? body.observacoes.trim() : null
+    if (obs && obs.length > MAX_OBS_LEN) {
+      return { error: `Observações deve ter no máximo ${MAX_OBS_LEN} caracteres` }
+    }
+    data.observacoes = obs
+  }
+
+  return { data }
+}
+
+// CPF ja usado por outro responsavel (ou null)
+export const findResponsavelByCpf = (cpf, { excluirId, client = prisma } = {}) =>
+  client.responsavel.findFirst({
+    where: { cpf, ...(excluirId ? { id: { not: excluirId } } : {}) },
+    select: responsavelSelect,
+  })
+
+// Valida a lista de vinculos enviada no cadastro/alteracao do aluno. Cada item
+// aponta para um responsavel existente ({ responsavelId }) ou traz um novo
+// ({ responsavel: { nome, cpf, ... } }); um novo com CPF ja cadastrado reaproveita
+// o registro existente, evitando redigitar o mesmo pai para os irmaos.
+// Retorna { vinculos } ou { error }.
+export const parseVinculos = async (input) => {
+  if (!Array.isArray(input)) return { error: 'Responsáveis deve ser uma lista' }
+
+  const vinculos = []
+  for (const item of input) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return { error: 'Cada responsável deve informar responsavelId ou os dados do responsável' }
+    }
+
+    const parentesco = String(item.parentesco || '').trim().toUpperCase()
+    if (!PARENTESCOS.includes(parentesco)) {
+      return { error: `Parentesco inválido (${PARENTESCOS.join('/')})` }
+    }
+
+    const responsavelFinanceiro = parseBoolean(item.responsavelFinanceiro)
+    const guardaLegal = parseBoolean(item.guardaLegal)
+    if (responsavelFinanceiro === null || guardaLegal === null) {
+      return { error: 'responsavelFinanceiro e guardaLegal devem ser verdadeiro ou falso' }
+    }
+
+    const vinculo = { parentesco, responsavelFinanceiro, guardaLegal, responsavelId: null, novo: null }
+
+    if (item.responsavelId !== undefined) {
+      const responsavelId = String(item.responsavelId).trim()
+      if (!OBJECT_ID_RE.test(responsavelId)) return { error: 'Responsável inválido' }
+      vinculo.responsavelId = responsavelId
+    } else {
+      const { data, error } = normalizeResponsavelInput(item.responsavel)
+      if (error) return { error }
+      vinculo.novo = data
+    }
+
+    vinculos.push(vinculo)
+  }
+
+  // novos com CPF ja cadastrado passam a apontar para o registro existente
+  const cpfs = vinculos.map((v) => v.novo?.cpf).filter(Boolean)
+  if (new Set(cpfs).size !== cpfs.length) {
+    return { error: 'O mesmo CPF aparece em mais de um responsável' }
+  }
+  if (cpfs.length > 0) {
+    const existentes = await prisma.responsavel.findMany({
+      where: { cpf: { in: cpfs } },
+      select: { id: true, cpf: true },
+    })
+    for (const vinculo of vinculos) {
+      const existente = existentes.find((r) => vinculo.novo?.cpf && r.cpf === vinculo.novo.cpf)
+      if (existente) {
+        vinculo.responsavelId = existente.id
+        vinculo.novo = null
+      }
+    }
+  }
+
+  const ids = vinculos.map((v) => v.responsavelId).filter(Boolean)
+  if (new Set(ids).size !== ids.length) {
+    return { error: 'O mesmo responsável foi informado mais de uma vez' }
+  }
+  if (ids.length > 0) {
+    const encontrados = await prisma.responsavel.count({ where: { id: { in: ids } } })
+    if (encontrados !== ids.length) return { error: 'Responsável não encontrado' }
+  }
+
+  return { vinculos }
+}
+
+// Dados do create de AlunoResponsavel (aninhado no aluno ou isolado, com alunoId)
+export const vinculoCreateData = (vinculo, userId = null) => ({
+  parentesco: vinculo.parentesco,
+  responsavelFinanceiro: vinculo.responsavelFinanceiro,
+  guardaLegal: vinculo.guardaLegal,
+  responsavel: vinculo.responsavelId
+    ? { connect: { id: vinculo.responsavelId } }
+    : { create: { ...vinculo.novo, criadoPorId: userId, atualizadoPorId: userId } },
+})
+
+// E-mails (sem repeticao) dos responsaveis vinculados, exceto os que tem
+// autorizacao de retirada marcada como impedido (ex.: ordem judicial)
+export const emailsResponsaveis = (vinculos, impedidos = []) => {
+  const impedidosIds = new Set(impedidos.map((autorizacao) => autorizacao.responsavelId))
+  const emails = vinculos
+    .map((vinculo) => vinculo.responsavel)
+    .filter((responsavel) => responsavel?.email && !impedidosIds.has(responsavel.id))
+    .map((responsavel) => responsavel.email.toLowerCase())
+  return [...new Set(emails)]
+}
+
+// Destinatarios dos avisos da escola sobre o aluno (agenda, ocorrencias)
+export const findEmailsResponsaveis = async (alunoId, { client = prisma } = {}) => {
+  const [vinculos, impedidos] = await Promise.all([
+    client.alunoResponsavel.findMany({
+      where: { alunoId },
+      select: { responsavel: { select: { id: true, email: true } } },
+    }),
+    client.autorizacaoRetirada.findMany({
+      where: { alunoId, impedido: true, revogadaEm: null, responsavelId: { not: null } },
+      select: { responsavelId: true },
+    }),
+  ])
+  return emailsResponsaveis(vinculos, impedidos)
+}
@@ -0,0 +1,151 @@
+// utils/retiradas.js
+import { PARENTESCOS } from './responsaveis.js'
+
+// Lista de quem pode buscar cada aluno e registro de entradas e saidas.
+// Uma autorizacao vale entre validoDe e validoAte (datas so com o dia valem o
+// dia inteiro); "impedido" marca quem nunca pode retirar o aluno, como o pai
+// ou a mae com ordem judicial, e tambem e recusado na entrada.
+export const TIPOS_MOVIMENTACAO = ['ENTRADA', 'SAIDA', 'RECUSADA']
+
+const isNonEmptyString = (s) => typeof s === 'string' && s.trim().length > 0
+const OBJECT_ID_RE = /^[a-fA-F0-9]{24}$/
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/
+const DOCUMENTO_RE = /^[0-9A-Z]{5,20}$/
+const MAX_NOME_LEN = 120
+const MAX_TEXTO_LEN = 500
+
+// CPF ou RG sem pontuacao, para comparar o documento apresentado na portaria
+export const normalizeDocumento = (value) => String(value || '').toUpperCase().replace(/[^0-9A-Z]/g, '')
+
+const parseBoolean = (value) => {
+  if (value === undefined || value === null || value === '') return false
+  if (typeof value === 'boolean') return value
+  if (value === 'true') return true
+  if (value === 'false') return false
+  return null
+}
+
+const parseData = (value, { endOfDay = false } = {}) => {
+  const date = new Date(String(value))
+  if (Number.isNaN(date.getTime())) return undefined
+  if (endOfDay && DATE_ONLY_RE.test(String(value))) date.setUTCHours(23, 59, 59, 999)
+  return date
+}
+
+// Retorna { data } com os campos validados, ou { error }. Chega como multipart
+// (foto), entao booleanos e datas vem como texto. Em atualizacoes (parcial) so
+// os campos enviados sao validados.
+export const normalizeAutorizacaoInput = (body, { parcial = false } = {}) => {
+  const data = {}
+  const has = (campo) => body[campo] !== undefined
+
+  if (has('responsavelId')) {
+    const responsavelId = isNonEmptyString(body.responsavelId) ? body.responsavelId.trim() : null
+    if (responsavelId && !OBJECT_ID_RE.test(responsavelId)) return { error: 'Responsável inválido' }
+    data.responsavelId = responsavelId
+  }
+
+  // com responsavelId, nome e documento podem vir do cadastro do responsavel
+  if (has('nome') || (!parcial && !data.responsavelId)) {
+    if (!isNonEmptyString(body.nome)) return { error: 'Nome é obrigatório' }
+    if (body.nome.trim().length > MAX_NOME_LEN) {
+      return { error: `Nome deve ter no máximo ${MAX_NOME_LEN} caracteres` }
+    }
+    data.nome = body.nome.trim().replace(/\s+/g, ' ')
+  }
+
+  if (has('documento') || (!parcial && !data.responsavelId)) {
+    const documento = normalizeDocumento(body.documento)
+    if (!DOCUMENTO_RE.test(documento)) return { error: 'Documento (CPF ou RG) inválido' }
+    data.documento = documento
+  }
+
+  if (!parcial || has('parentesco')) {
+    const parentesco = String(body.parentesco || '').trim().toUpperCase()
+    if (!PARENTESCOS.includes(parentesco)) {
+      return { error: `Parentesco inválido (${PARENTESCOS.join('/')})` }
+    }
+    data.parentesco = parentesco
+  }
+
+  for (const [campo, endOfDay] of [['validoDe', false], ['validoAte', true]]) {
+    if (!has(campo) && parcial) continue
+    if (!isNonEmptyString(String(body[campo] ?? ''))) {
+      data[campo] = null
+      continue
+    }
+    const date = parseData(body[campo], { endOfDay })
+    if (!date) return { error: `${campo} inválido` }
+    data[campo] = date
+  }
+  if (data.validoDe && data.validoAte && data.validoDe > data.validoAte) {
+    return { error: 'validoDe não pode ser posterior a validoAte' }
+  }
+
+  if (!parcial || has('impedido')) {
+    const impedido = parseBoolean(body.impedido)
+    if (impedido === null) return { error: 'impedido deve ser verdadeiro ou falso' }
+    data.impedido = impedido
+  }
+
+  if (!parcial || has('restricoes')) {
+    const restricoes = isNonEmptyString(body.restricoes) ? body.restricoes.trim() : null
+    if (restricoes && restricoes.length > MAX_TEXTO_LEN) {
+      return { error: `Restrições deve ter no máximo ${MAX_TEXTO_LEN} caracteres` }
+    }
+    data.restricoes = restricoes
+  }
+
+  return { data }
+}
+
+export const getAutorizacaoStatus = (autorizacao, now = new Date()) => {
+  if (autorizacao.revogadaEm) return 'REVOGADA'
+  if (autorizacao.impedido) return 'IMPEDIDA'
+  if (autorizacao.validoDe && new Date(autorizacao.validoDe).getTime() > now.getTime()) return 'FUTURA'
+  if (autorizacao.validoAte && new Date(autorizacao.validoAte).getTime() < now.getTime()) return 'EXPIRADA'
+  return 'ATIVA'
+}
+
+const MOTIVOS = {
+  IMPEDIDA: 'Pessoa impedida de retirar o aluno',
+  FUTURA: 'Autorização ainda não está em vigor',
+  EXPIRADA: 'Autorização expirada',
+  REVOGADA: 'Autorização revogada',
+}
+
+// Procura a pessoa (por autorizacaoId ou documento) nas autorizacoes do aluno.
+// Retorna { autorizacao } quando ela pode retirar o aluno agora, ou
+// { error, autorizacao? } com o motivo da recusa.
+export const checkRetirada = (autorizacoes, { autorizacaoId, documento }, now = new Date()) => {
+  const doc = documento ? normalizeDocumento(documento) : null
+  const candidatas = autorizacoes.filter((a) =>
+    autorizacaoId ? a.id === autorizacaoId : doc && a.documento === doc
+  )
+
+  if (candidatas.length === 0) {
+    return { error: 'Pessoa não autorizada a retirar o aluno' }
+  }
+
+  // impedimento vale mesmo se houver outra autorizacao ativa para o mesmo documento
+  const impedida = candidatas.find((a) => !a.revogadaEm && a.impedido)
+  if (impedida) {
+    const detalhe = impedida.restricoes ? ` (${impedida.restricoes})` : ''
+    return { error: `${MOTIVOS.IMPEDIDA}${detalhe}`, autorizacao: impedida }
+  }
+
+  const ativa = candidatas.find((a) => getAutorizacaoStatus(a, now) === 'ATIVA')
+  if (ativa) return { autorizacao: ativa }
+
+  const [primeira] = candidatas
+  return { error: MOTIVOS[getAutorizacaoStatus(primeira, now)], autorizacao: primeira }
+}
+
+// Entrada ainda sem saida no dia: o aluno esta na escola
+export const isPresente = (ultimaMovimentacao) => ultimaMovimentacao?.tipo === 'ENTRADA'
+
+export const startOfDay = (now = new Date()) => {
+  const date = new Date(now)
+  date.setHours(0, 0, 0, 0)
+  return date
+}
@@ -0,0 +1,332 @@
+// utils/saude.js
+
+// Ficha de saude do aluno, registro dos medicamentos dados na escola e
+// carteira de vacinacao. Aluno.alergias continua guardando so os nomes das
+// alergias (busca e filtro da listagem) e e sincronizado com a ficha.
+export const GRAVIDADES = ['LEVE', 'MODERADA', 'GRAVE']
+export const TIPOS_SANGUINEOS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']
+
+// Vacinas com proxima dose dentro deste prazo entram nos alertas
+export const DIAS_ALERTA_VACINA = 30
+
+const isNonEmptyString = (s) => typeof s === 'string' && s.trim().length > 0
+const HORA_RE = /^([01]\d|2[0-3]):[0-5]\d$/
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/
+const DIA_MS = 24 * 60 * 60 * 1000
+const MAX_NOME_LEN = 120
+const MAX_TEXTO_LEN = 500
+const MAX_ITENS = 30
+
+const ORDEM_GRAVIDADE = { GRAVE: 0, MODERADA: 1, LEVE: 2 }
+
+const parseTexto = (value, campo, max = MAX_TEXTO_LEN) => {
+  if (!isNonEmptyString(value)) return { valor: null }
+  const valor = value.trim()
+  if (valor.length > max) return { error: `${campo} deve ter no máximo ${max} caracteres` }
+  return { valor }
+}
+
+const parseData = (value) => {
+  if (!isNonEmptyString(String(value ?? ''))) return null
+  const date = new Date(DATE_ONLY_RE.test(String(value)) ? `${value}T00:00:00.000Z` : String(value))
+  return Number.isNaN(date.getTime()) ? undefined : date
+}
+
+// Lista de textos sem repeticao (ignorando maiusculas)
+const parseListaTextos = (value, campo) => {
+  if (value === undefined || value === null) return { lista: [] }
+  if (!Array.isArray(value)) return { error: `${campo} deve ser uma lista` }
+
+  const lista = []
+  const vistos = new Set()
+  for (const item of value) {
+    if (!isNonEmptyString(item)) continue
+    const texto = item.trim().replace(/\s+/g, ' ')
+    if (texto.length > MAX_NOME_LEN) return { error: `${campo}: cada item deve ter no máximo ${MAX_NOME_LEN} caracteres` }
+    if (vistos.has(texto.toLowerCase())) continue
+    vistos.add(texto.toLowerCase())
+    lista.push(texto)
+  }
+  if (lista.length > MAX_ITENS) return { error: `${campo}: no máximo ${MAX_ITENS} itens` }
+  return { lista }
+}
+
+const normalizeAlergia = (item, index) => {
+  const prefixo = `Alergia ${index + 1}`
+  if (!item || typeof item !== 'object') return { error: `${prefixo}: inválida` }
+  if (!isNonEmptyString(item.descricao)) return { error: `${prefixo}: descrição é obrigatória` }
+  const descricao = item.descricao.trim().replace(/\s+/g, ' ')
+  if (descricao.length > MAX_NOME_LEN) {
+    return { error: `${prefixo}: descrição deve ter no máximo ${MAX_NOME_LEN} caracteres` }
+  }
+
+  const gravidade = String(item.gravidade || '').trim().toUpperCase()
+  if (!GRAVIDADES.includes(gravidade)) {
+    return { error: `${prefixo}: gravidade inválida (${GRAVIDADES.join('/')})` }
+  }
+
+  const reacao = parseTexto(item.reacao, `${prefixo}: reação`)
+  if (reacao.error) return reacao
+  const conduta = parseTexto(item.conduta, `${prefixo}: conduta`)
+  if (conduta.error) return conduta
+
+  return { alergia: { descricao, gravidade, reacao: reacao.valor, conduta: conduta.valor } }
+}
+
+const normalizeMedicamento = (item, index) => {
+  const prefixo = `Medicamento ${index + 1}`
+  if (!item || typeof item !== 'object') return { error: `${prefixo}: inválido` }
+  if (!isNonEmptyString(item.nome)) return { error: `${prefixo}: nome é obrigatório` }
+  if (!isNonEmptyString(item.dose)) return { error: `${prefixo}: dose é obrigatória` }
+
+  const horarios = item.horarios ?? []
+  if (!Array.isArray(horarios) || horarios.some((hora) => !HORA_RE.test(String(hora)))) {
+    return { error: `${prefixo}: horários devem estar no formato HH:MM` }
+  }
+
+  const via = parseTexto(item.via, `${prefixo}: via`, MAX_NOME_LEN)
+  if (via.error) return via
+  const observacoes = parseTexto(item.observacoes, `${prefixo}: observações`)
+  if (observacoes.error) return observacoes
+
+  return {
+    medicamento: {
+      nome: item.nome.trim().slice(0, MAX_NOME_LEN),
+      dose: item.dose.trim().slice(0, MAX_NOME_LEN),
+      horarios: [...new Set(horarios)].sort(),
+      via: via.valor,
+      observacoes: observacoes.valor,
+    },
+  }
+}
+
+// Retorna { data } com a ficha completa validada (PUT substitui a ficha), ou { error }
+export const normalizeFichaSaude = (body) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return { error: 'Ficha de saúde inválida' }
+
+  const data = {}
+
+  if (isNonEmptyString(body.tipoSanguineo)) {
+    const tipo = body.tipoSanguineo.replace(/\s+/g, '').toUpperCase()
+    if (!TIPOS_SANGUINEOS.includes(tipo)) {
+      return { error: `Tipo sanguíneo inválido (${TIPOS_SANGUINEOS.join('/')})` }
+    }
+    data.tipoSanguineo = tipo
+  } else {
+    data.tipoSanguineo = null
+  }
+
+  const alergias = body.alergias ?? []
+  if (!Array.isArray(alergias)) return { error: 'Alergias deve ser uma lista' }
+  if (alergias.length > MAX_ITENS) return { error: `Alergias: no máximo ${MAX_ITENS} itens` }
+  data.alergias = []
+  for (const [index, item] of alergias.entries()) {
+    const { alergia, error } = normalizeAlergia(item, index)
+    if (error) return { error }
+    if (data.alergias.some((a) => a.descricao.toLowerCase() === alergia.descricao.toLowerCase())) {
+      return { error: `Alergia "${alergia.descricao}" informada mais de uma vez` }
+    }
+    data.alergias.push(alergia)
+  }
+
+  const medicamentos = body.medicamentos ?? []
+  if (!Array.isArray(medicamentos)) return { error: 'Medicamentos deve ser uma lista' }
+  if (medicamentos.length > MAX_ITENS) return { error: `Medicamentos: no máximo ${MAX_ITENS} itens` }
+  data.medicamentos = []
+  for (const [index, item] of medicamentos.entries()) {
+    const { medicamento, error } = normalizeMedicamento(item, index)
+    if (error) return { error }
+    data.medicamentos.push(medicamento)
+  }
+
+  for (const [campo, rotulo] of [['restricoesAlimentares', 'Restrições alimentares'], ['condicoes', 'Condições']]) {
+    const { lista, error } = parseListaTextos(body[campo], rotulo)
+    if (error) return { error }
+    data[campo] = lista
+  }
+
+  if (body.planoSaude === undefined || body.planoSaude === null || body.planoSaude === '') {
+    data.planoSaude = null
+  } else {
+    const plano = body.planoSaude
+    if (typeof plano !== 'object' || !isNonEmptyString(plano.operadora)) {
+      return { error: 'Plano de saúde: operadora é obrigatória' }
+    }
+    const validade = parseData(plano.validade)
+    if (validade === undefined) return { error: 'Plano de saúde: validade inválida' }
+    data.planoSaude = {
+      operadora: plano.operadora.trim().slice(0, MAX_NOME_LEN),
+      numeroCarteirinha: isNonEmptyString(plano.numeroCarteirinha) ? plano.numeroCarteirinha.trim().slice(0, 40) : null,
+      validade: validade ? validade.toISOString().slice(0, 10) : null,
+    }
+  }
+
+  const observacoes = parseTexto(body.observacoes, 'Observações', 1000)
+  if (observacoes.error) return { error: observacoes.error }
+  data.observacoes = observacoes.valor
+
+  return { data }
+}
+
+// Ficha de quem ainda nao tem cadastro de saude: so as alergias antigas, sem gravidade
+export const fichaPadrao = (aluno) => ({
+  alunoId: aluno.id,
+  tipoSanguineo: null,
+  alergias: (aluno.alergias || []).map((descricao) => ({ descricao, gravidade: null, reacao: null, conduta: null })),
+  medicamentos: [],
+  restricoesAlimentares: [],
+  condicoes: [],
+  planoSaude: null,
+  observacoes: null,
+})
+
+// Informacoes que o professor precisa ter a mao. Alergias cadastradas no aluno
+// e ainda nao descritas na ficha tambem aparecem (sem gravidade).
+export const resumoCritico = (aluno, ficha) => {
+  const base = ficha || fichaPadrao(aluno)
+  const descritas = new Set((base.alergias || []).map((a) => a.descricao.toLowerCase()))
+  const alergias = [
+    ...(base.alergias || []),
+    ...(aluno.alergias || [])
+      .filter((descricao) => !descritas.has(String(descricao).toLowerCase()))
+      .map((descricao) => ({ descricao, gravidade: null, reacao: null, conduta: null })),
+  ].sort((a, b) => (ORDEM_GRAVIDADE[a.gravidade] ?? 3) - (ORDEM_GRAVIDADE[b.gravidade] ?? 3))
+
+  const resumo = {
+    aluno: { id: aluno.id, nome: aluno.nome, numeroMatricula: aluno.numeroMatricula },
+    tipoSanguineo: base.tipoSanguineo,
+    alergias,
+    restricoesAlimentares: base.restricoesAlimentares || [],
+    condicoes: base.condicoes || [],
+    medicamentos: base.medicamentos || [],
+    planoSaude: base.planoSaude,
+    contatos: (aluno.responsaveis || []).map((vinculo) => ({
+      nome: vinculo.responsavel?.nome,
+      parentesco: vinculo.parentesco,
+      telefones: vinculo.responsavel?.telefones || [],
+    })),
+  }
+
+  return {
+    ...resumo,
+    alergiaGrave: alergias.some((a) => a.gravidade === 'GRAVE'),
+    possuiAlertas:
+      alergias.length > 0 ||
+      resumo.restricoesAlimentares.length > 0 ||
+      resumo.condicoes.length > 0 ||
+      resumo.medicamentos.length > 0,
+  }
+}
+
+// Retorna { data } com a dose administrada, ou { error }
+export const normalizeAdministracaoInput = (body, now = new Date()) => {
+  if (!body || typeof body !== 'object') return { error: 'Registro inválido' }
+  if (!isNonEmptyString(body.medicamento)) return { error: 'Medicamento é obrigatório' }
+  if (!isNonEmptyString(body.dose)) return { error: 'Dose é obrigatória' }
+
+  let administradoEm = now
+  if (body.administradoEm !== undefined && body.administradoEm !== null && body.administradoEm !== '') {
+    administradoEm = new Date(String(body.administradoEm))
+    if (Number.isNaN(administradoEm.getTime())) return { error: 'administradoEm inválido' }
+    // tolera diferenca de relogio do aparelho
+    if (administradoEm.getTime() > now.getTime() + 5 * 60 * 1000) {
+      return { error: 'administradoEm não pode estar no futuro' }
+    }
+  }
+
+  const via = parseTexto(body.via, 'Via', MAX_NOME_LEN)
+  if (via.error) return { error: via.error }
+  const observacoes = parseTexto(body.observacoes, 'Observações')
+  if (observacoes.error) return { error: observacoes.error }
+
+  return {
+    data: {
+      medicamento: body.medicamento.trim().slice(0, MAX_NOME_LEN),
+      dose: body.dose.trim().slice(0, MAX_NOME_LEN),
+      via: via.valor,
+      administradoEm,
+      observacoes: observacoes.valor,
+    },
+  }
+}
+
+// Retorna { data } com a dose de vacina validada, ou { error }. Em atualizacoes
+// (parcial) so os campos enviados sao validados.
+export const normalizeVacinaInput = (body, { parcial = false, atual = {}, now = new Date() } = {}) => {
+  if (!body || typeof body !== 'object') return { error: 'Vacina inválida' }
+
+  const data = {}
+  const has = (campo) => body[campo] !== undefined
+
+  if (!parcial || has('nome')) {
+    if (!isNonEmptyString(body.nome)) return { error: 'Nome da vacina é obrigatório' }
+    data.nome = body.nome.trim().replace(/\s+/g, ' ').slice(0, MAX_NOME_LEN)
+  }
+
+  for (const campo of ['dose', 'lote']) {
+    if (!parcial || has(campo)) {
+      const { valor, error } = parseTexto(body[campo], campo === 'dose' ? 'Dose' : 'Lote', 40)
+      if (error) return { error }
+      data[campo] = valor
+    }
+  }
+
+  if (!parcial || has('aplicadaEm')) {
+    const aplicadaEm = parseData(body.aplicadaEm)
+    if (!aplicadaEm) return { error: 'aplicadaEm inválido' }
+    if (aplicadaEm.getTime() > now.getTime()) return { error: 'aplicadaEm não pode estar no futuro' }
+    data.aplicadaEm = aplicadaEm
+  }
+
+  if (!parcial || has('proximaDoseEm')) {
+    const proximaDoseEm = parseData(body.proximaDoseEm)
+    if (proximaDoseEm === undefined) return { error: 'proximaDoseEm inválido' }
+    data.proximaDoseEm = proximaDoseEm
+  }
+
+  const aplicadaEm = data.aplicadaEm ?? atual.aplicadaEm
+  const proximaDoseEm = data.proximaDoseEm !== undefined ? data.proximaDoseEm : atual.proximaDoseEm
+  if (aplicadaEm && proximaDoseEm && new Date(proximaDoseEm) <= new Date(aplicadaEm)) {
+    return { error: 'proximaDoseEm deve ser posterior a aplicadaEm' }
+  }
+
+  if (!parcial || has('observacoes')) {
+    const { valor, error } = parseTexto(body.observacoes, 'Observações')
+    if (error) return { error }
+    data.observacoes = valor
+  }
+
+  return { data }
+}
+
+const chaveVacina = (nome) =>
+  String(nome || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim()
+
+// Situacao da proxima dose de cada vacina, olhando so a ultima dose aplicada
+// (uma dose nova da mesma vacina cumpre o agendamento da anterior).
+// Retorna as vacinas ATRASADA ou A_VENCER (ate "dias" dias), mais urgentes primeiro.
+export const vacinasPendentes = (vacinas, { now = new Date(), dias = DIAS_ALERTA_VACINA } = {}) => {
+  const ultimas = new Map()
+  for (const vacina of vacinas) {
+    const chave = `${vacina.alunoId}:${chaveVacina(vacina.nome)}`
+    const atual = ultimas.get(chave)
+    if (!atual || new Date(vacina.aplicadaEm) > new Date(atual.aplicadaEm)) ultimas.set(chave, vacina)
+  }
+
+  const limite = now.getTime() + dias * DIA_MS
+  return [...ultimas.values()]
+    .filter((vacina) => vacina.proximaDoseEm && new Date(vacina.proximaDoseEm).getTime() <= limite)
+    .map((vacina) => {
+      const restante = new Date(vacina.proximaDoseEm).getTime() - now.getTime()
+      return {
+        ...vacina,
+        situacao: restante < 0 ? 'ATRASADA' : 'A_VENCER',
+        diasRestantes: Math.ceil(restante / DIA_MS),
+      }
+    })
+    .sort((a, b) => new Date(a.proximaDoseEm) - new Date(b.proximaDoseEm))
+}
@@ -0,0 +1,126 @@
+// utils/sessions.js
+import crypto from 'crypto'
+import prisma from './prisma.js'
+
+// Sessoes de login (uma por dispositivo) com refresh token rotativo.
+// O refresh token entregue ao cliente tem o formato "<sessaoId>.<segredo>";
+// no banco fica apenas o hash SHA-256 do segredo.
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 7)
+const OBJECT_ID_RE = /^[a-fA-F0-9]{24}$/
+
+export const sessionSelect = {
+  id: true,
+  dispositivo: true,
+  ip: true,
+  criadoEm: true,
+  ultimoUsoEm: true,
+  expiraEm: true,
+}
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex')
+
+const generateSecret = () => crypto.randomBytes(32).toString('base64url')
+
+export const getDevice = (req) => String(req.headers?.['user-agent'] || '').slice(0, 255) || null
+
+export const parseRefreshToken = (refreshToken) => {
+  const [sessaoId, secret, ...rest] = String(refreshToken || '').split('.')
+  if (!OBJECT_ID_RE.test(sessaoId) || !secret || rest.length > 0) return null
+  return { sessaoId, secret }
+}
+
+export const createSession = async (user, req) => {
+  const secret = generateSecret()
+  const sessao = await prisma.sessao.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashSecret(secret),
+      dispositivo: getDevice(req),
+      ip: req.ip || null,
+      expiraEm: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+      revogadoEm: null,
+    },
+  })
+
+  return { sessao, refreshToken: `${sessao.id}.${secret}` }
+}
+
+export const revokeSession = async (sessaoId, userId) => {
+  const where = { id: sessaoId, revogadoEm: null }
+  if (userId) where.userId = userId
+
+  const result = await prisma.sessao.updateMany({
+    where,
+    data: { revogadoEm: new Date() },
+  })
+  return result.count
+}
+
+// Logout: so revoga quando o segredo confere com o refresh token atual
+export const revokeRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken)
+  if (!parsed) return 0
+
+  const result = await prisma.sessao.updateMany({
+    where: {
+      id: parsed.sessaoId,
+      refreshTokenHash: hashSecret(parsed.secret),
+      revogadoEm: null,
+    },
+    data: { revogadoEm: new Date() },
+  })
+  return result.count
+}
+
+export const revokeAllSessions = async (userId) => {
+  const result = await prisma.sessao.updateMany({
+    where: { userId, revogadoEm: null },
+    data: { revogadoEm: new Date() },
+  })
+  return result.count
+}
+
+// Troca o refresh token por um novo. Retorna { error } quando o token nao
+// pode ser usado; reuso de um token ja trocado encerra a sessao inteira.
+export const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken)
+  if (!parsed) return { error: 'invalid' }
+
+  const sessao = await prisma.sessao.findUnique({ where: { id: parsed.sessaoId } })
+  if (!sessao || sessao.revogadoEm || sessao.expiraEm.getTime() <= Date.now()) {
+    return { error: 'invalid' }
+  }
+
+  const currentHash = hashSecret(parsed.secret)
+  if (currentHash !== sessao.refreshTokenHash) {
+    await revokeSession(sessao.id)
+    return { error: 'reused', sessao }
+  }
+
+  if (sessao.dispositivo && sessao.dispositivo !== getDevice(req)) {
+    return { error: 'device', sessao }
+  }
+
+  const secret = generateSecret()
+  // updateMany com o hash antigo no filtro evita que duas renovacoes
+  // simultaneas com o mesmo token gerem dois tokens validos
+  const result = await prisma.sessao.updateMany({
+    where: { id: sessao.id, refreshTokenHash: currentHash, revogadoEm: null },
+    data: {
+      refreshTokenHash: hashSecret(secret),
+      ultimoUsoEm: new Date(),
+      ip: req.ip || sessao.ip,
+    },
+  })
+
+  if (result.count === 0) return { error: 'reused', sessao }
+
+  return { sessao, refreshToken: `${sessao.id}.${secret}` }
+}
+
+export const listActiveSessions = (userId) =>
+  prisma.sessao.findMany({
+    where: { userId, revogadoEm: null, expiraEm: { gt: new Date() } },
+    select: sessionSelect,
+    orderBy: { ultimoUsoEm: 'desc' },
+  })
@@ -0,0 +1,105 @@
+// utils/totp.js
+import crypto from 'crypto'
+
+// TOTP (RFC 6238) sobre HOTP (RFC 4226), compativel com Google Authenticator,
+// Microsoft Authenticator, Authy etc.: HMAC-SHA1, 6 digitos, passo de 30s.
+export const TOTP_PERIOD_SECONDS = 30
+export const TOTP_DIGITS = 6
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+export const base32Encode = (buffer) => {
+  let bits = 0
+  let value = 0
+  let output = ''
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+
+  return output
+}
+
+export const base32Decode = (input) => {
+  const clean = String(input || '').toUpperCase().replace(/=+$/, '').replace(/\s/g, '')
+  let bits = 0
+  let value = 0
+  const bytes = []
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) throw new Error('Segredo base32 invalido')
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+
+  return Buffer.from(bytes)
+}
+
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20))
+
+export const generateHotp = (secret, counter, digits = TOTP_DIGITS) => {
+  const counterBuffer = Buffer.alloc(8)
+  counterBuffer.writeBigUInt64BE(BigInt(counter))
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest()
+  const offset = hmac[hmac.length - 1] & 0x0f
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3]
+
+  return String(binary % 10 ** digits).padStart(digits, '0')
+}
+
+export const getTotpCounter = (time = Date.now()) =>
+  Math.floor(time / 1000 / TOTP_PERIOD_SECONDS)
+
+export const generateTotp = (secret, time = Date.now(), digits = TOTP_DIGITS) =>
+  generateHotp(secret, getTotpCounter(time), digits)
+
+// Retorna o contador (passo de tempo) aceito ou null. "window" tolera
+// relogios adiantados/atrasados em N passos de 30s.
+export const verifyTotp = (secret, code, { time = Date.now(), window = 1 } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '')
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) return null
+
+  const current = getTotpCounter(time)
+  for (let delta = -window; delta <= window; delta += 1) {
+    const counter = current + delta
+    if (counter < 0) continue
+    const expected = generateHotp(secret, counter)
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return counter
+    }
+  }
+
+  return null
+}
+
+// URI lida pelos apps autenticadores (o front gera o QR code a partir dela)
+export const buildOtpAuthUri = ({ secret, accountName, issuer }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  })
+  return `otpauth://totp/${label}?${params.toString()}`
+}
@@ -0,0 +1,69 @@
+// utils/turmas.js
+import prisma from './prisma.js'
+
+// Turmas sao cadastradas por ano letivo; o segmento e a etapa (antigo valor
+// fixo de Aluno.turma). So alunos ATIVOS ocupam vaga.
+export const SEGMENTOS = ['BERCARIO', 'MATERNAL', 'PRE_ESCOLAR', 'EXTRA_CLASSE']
+export const TURNOS = ['MANHA', 'TARDE', 'INTEGRAL']
+
+// Resumo embutido nas respostas de alunos
+export const turmaResumoSelect = {
+  id: true,
+  nome: true,
+  segmento: true,
+  anoLetivo: true,
+  turno: true,
+}
+
+export const countAlunosAtivos = (turmaId, { excluirAlunoId, client = prisma } = {}) =>
+  client.aluno.count({
+    where: {
+      turmaId,
+      status: 'ATIVO',
+      ...(excluirAlunoId ? { id: { not: excluirAlunoId } } : {}),
+    },
+  })
+
+// Retorna { turma } quando o aluno pode entrar na turma, ou { error, status }.
+// ocupaVaga: false (aluno INATIVO) so exige que a turma exista. Com vaga, grava
+// Turma.versaoVagas: a contagem sozinha le um snapshot e nao impede duas
+// matriculas simultaneas na ultima vaga; a escrita no documento da turma sim.
+export const checkTurmaCapacity = async (turmaId, { ocupaVaga = true, excluirAlunoId, client = prisma } = {}) => {
+  const turma = await client.turma.findUnique({ where: { id: turmaId } })
+  if (!turma) return { error: 'Turma não encontrada', status: 400 }
+  if (!ocupaVaga) return { turma }
+
+  const ocupadas = await countAlunosAtivos(turmaId, { excluirAlunoId, client })
+  if (ocupadas >= turma.capacidade) {
+    return {
+      error: `Turma ${turma.nome} sem vagas (capacidade de ${turma.capacidade} alunos)`,
+      status: 409,
+    }
+  }
+
+  await client.turma.update({
+    where: { id: turmaId },
+    data: { versaoVagas: { increment: 1 } },
+  })
+
+  return { turma }
+}
+
+// Conflito de escrita (P2034) na transacao: outra matricula ocupou a turma ao
+// mesmo tempo. Refaz a transacao inteira, que volta a contar as vagas.
+const TENTATIVAS_MATRICULA = 3
+
+export const runMatriculaTransaction = async (callback) => {
+  for (let tentativa = 1; ; tentativa++) {
+    try {
+      return await prisma.$transaction(callback)
+    } catch (error) {
+      if (error.code !== 'P2034' || tentativa >= TENTATIVAS_MATRICULA) throw error
+    }
+  }
+}
+
+// Professores so acessam dados do dia a dia (frequencia, saude) das turmas em que
+// sao responsaveis; os demais perfis passam pela matriz de permissoes
+export const canAccessTurma = (req, turma) =>
+  req.user?.role !== 'PROFESSOR' || Boolean(turma?.professoresIds?.includes(req.user.id))
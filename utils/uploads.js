@@ -0,0 +1,61 @@
+// utils/uploads.js
+import crypto from 'crypto'
+import multer from 'multer'
+import path from 'path'
+import fs from 'fs'
+
+// Links assinados para arquivos enviados (fotos/documentos de alunos).
+// Permitem abrir o arquivo em <img>/<a> sem enviar o header Authorization.
+const UPLOAD_URL_SECRET =
+  process.env.UPLOAD_URL_SECRET || `${process.env.JWT_SECRET || 'fallback'}_UPLOADS`
+const UPLOAD_URL_TTL_MINUTES = Number(process.env.UPLOAD_URL_TTL_MINUTES || 15)
+
+const computeSignature = (filePath, expires) =>
+  crypto
+    .createHmac('sha256', UPLOAD_URL_SECRET)
+    .update(`${filePath}:${expires}`)
+    .digest('hex')
+
+export const signUploadPath = (filePath, now = Date.now()) => {
+  if (!filePath) return null
+
+  const expires = Math.floor(now / 1000) + UPLOAD_URL_TTL_MINUTES * 60
+  const signature = computeSignature(filePath, expires)
+  return `${filePath}?expires=${expires}&signature=${signature}`
+}
+
+export const verifyUploadSignature = (filePath, expires, signature, now = Date.now()) => {
+  const expiresNum = Number(expires)
+  if (!Number.isInteger(expiresNum) || expiresNum * 1000 < now) return false
+  if (typeof signature !== 'string' || !/^[a-f0-9]{64}$/.test(signature)) return false
+
+  const expected = Buffer.from(computeSignature(filePath, expiresNum), 'hex')
+  const received = Buffer.from(signature, 'hex')
+  return crypto.timingSafeEqual(expected, received)
+}
+
+// ===== MULTER (arquivos de alunos: foto, documentos, fotos de autorizados, justificativas de falta) =====
+// Servidos em /uploads/alunos, atras do link assinado acima
+export const UPLOAD_DIR_ALUNOS = path.resolve('uploads', 'alunos')
+fs.mkdirSync(UPLOAD_DIR_ALUNOS, { recursive: true })
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, UPLOAD_DIR_ALUNOS)
+  },
+  filename: (req, file, cb) => {
+    const unique = Date.now() + '-' + Math.round(Math.random() * 1e9)
+    const ext = path.extname(file.originalname) || ''
+    cb(null, `${file.fieldname}-${unique}${ext}`)
+  }
+})
+
+export const uploadAlunos = multer({
+  storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024,
+    files: 10
+  }
+})
+
+export const toAlunoUploadPath = (file) => `/uploads/alunos/${file.filename}`